@@ -5,79 +5,45 @@
  * - Preserves keep regions (see utils/file_writer.js)
  * - Partial generation: --only (entities), --skipParts=services,forms,views,models,enums,core,widgets,routes,main
  * - Emits main.dart when emitMain is true (YAML wins unless CLI explicitly sets it)
+ * - --watch regenerates the entities whose definition changed (see watchAndRegenerate)
+ * - YAML `plugins:` hook into parsing, per-entity generation and file content (see utils/plugins.js)
+ * - fhipster.config.yaml is checked against a schema; `validate-config` only checks it (see utils/config_schema.js)
+ * - `templatesDir` overrides any generated file with a user template; `eject` copies one out (see utils/templates.js)
+ * - A thin wrapper around the library: settings in lib/settings.js, parsing and generation in lib/pipeline.js,
+ *   the programmatic generate() in lib/index.js; its typed errors (lib/errors.js) are printed here
  */
 
 const fs = require('fs');
 const path = require('path');
-const yaml = require('js-yaml');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 
 // ---- Generators ----
-const { generateEnvTemplate } = require('../generators/env_generator');
-const { generateApiClientTemplate } = require('../generators/api_client_generator');
-const { generateModuleBridgeTemplate } = require('../generators/module_bridge_generator');
-const { generateAuthServiceTemplate } = require('../generators/auth_service_generator');
-const { generateAuthMiddlewareTemplate } = require('../generators/auth_middleware_generator');
-const { generateRoleMiddlewareTemplate } = require('../generators/role_middleware_generator');
-const { generateTokenDecoderTemplate } = require('../generators/token_decoder_generator');
-const { generateConnectivityServiceTemplate } = require('../generators/connectivity_service_generator');
-const { generateSyncServiceTemplate } = require('../generators/sync_service_generator');
-const { generateSamplePubspec } = require('../generators/pubspec_generator');
-
-const { generateAppShellTemplate } = require('../generators/app_shell_generator');
-const { generateNavigationSidebarTemplate } = require('../generators/navigation_sidebar_generator');
-const { generateNavigationDestinationsTemplate } = require('../generators/navigation_destinations_generator');
-const { generateAppThemeTemplate } = require('../generators/theme_generator');
-const { generateRoutesTemplate } = require('../generators/routes_generator');
-
-const { generateEnumTemplate } = require('../generators/enum_generator');
-const { generateModelTemplate } = require('../generators/model_generator');
-const { generateServiceTemplate } = require('../generators/service_generator');
-const { generateEntityControllerTemplate } = require('../generators/entity_controller_generator');
-const { generateFormTemplate } = require('../generators/form_generator');
-const { generateTableViewTemplate } = require('../generators/table_view_generator');
-const { generateTableWidgetsTemplates } = require('../generators/table_widgets_generator');
-const { generateFHipsterInputFieldTemplate } = require('../generators/fhipster_input_field_generator');
-const { generateLocalDatabaseTemplate, generateDaoTemplate } = require('../generators/sqlite_generator');
-const { generateColumnPreferencesTemplate } = require('../generators/column_preferences_generator');
-const { generateColumnSettingsViewTemplate } = require('../generators/column_settings_view_generator');
-const { generateColumnPreferencesRegistryTemplate } = require('../generators/column_preferences_registry_generator');
-const { generateFilterDrawerTemplate } = require('../generators/filter_generator');
-const { generatePageTemplate } = require('../generators/page_generator');
-
-const { generateLoginControllerTemplate } = require('../generators/login_controller_generator');
-const { generateLoginViewTemplate } = require('../generators/login_view_generator');
-const { generateSplashControllerTemplate } = require('../generators/splash_controller_generator');
-const { generateSplashViewTemplate } = require('../generators/splash_view_generator');
-const { generateHomeViewTemplate } = require('../generators/home_view_generator');
-const { generateUnauthorizedViewTemplate } = require('../generators/unauthorized_view_generator');
-const { generateForbiddenViewTemplate } = require('../generators/forbidden_view_generator');
-
-const { generateMainDartTemplate } = require('../generators/main_dart_generator');
+const { generatePageTemplate, generatePageControllerTemplate, isGeneratedPageFile } = require('../generators/page_generator');
+const { generateMermaidDiagram, generateDotDiagram, generateSvgDiagram } = require('../generators/diagram_generator');
+
+// ---- Library ----
+const { generate, FHipsterError } = require('../lib');
+const { resolveSettings, findYamlConfig, loadYamlConfig, resolveInputPaths, inputKindOf, parseCsv, pick, relPath } = require('../lib/settings');
+const { loadModel, generateFiles, generateTracked, entitySignatures, diffEntities, selectApplication, resolveDirs } = require('../lib/pipeline');
+const { consoleLogger, collectingLogger } = require('../lib/logger');
 
 // ---- Parser / Utils ----
-const { parseJdl } = require('../parser');
-const {
-  entityFileBase,
-  entityClassName,
-  controllerClassName,
-  tableViewClassName,
-  modelFileName,
-  serviceFileName,
-  controllerFileName,
-  formFileName,
-  tableViewFileName,
-  enumFileName,
-  resourcePlural,
-  titleCase,
-  toWords,
-} = require('../utils/naming');
-const { writeFile } = require('../utils/file_writer');
+const { formatDiagnostic } = require('../parser');
+const { parseJdlAst } = require('../parser/jdl_parser');
+const { entityFileBase, titleCase, toWords, ucFirst } = require('../utils/naming');
+const { writeFile, removeFile, collectWrites, withTransform, dryRunWrites, isFlaggedDoNotOverwrite } = require('../utils/file_writer');
+const { loadManifest, saveManifest, pruneOrphans } = require('../utils/manifest');
+const { watchPaths } = require('../utils/watch');
+const { escapeTemplateText, TEMPLATE_EXT } = require('../utils/templates');
+const { validateConfigFile, didYouMean } = require('../utils/config_schema');
+const { hasPage, pageImports, removePage, addPageRoute, pageRouteSnippet, addPageDestination, removeLegacyDestination } = require('../utils/page_routes');
+const { fieldLine, relationshipItem, entityText, addField, addRelationships, addEntity } = require('../utils/jdl_edit');
+const { unifiedDiff, colorizeDiff } = require('../utils/diff');
 
 function main() {
   const argv = yargs(hideBin(process.argv))
-    .usage('Usage: $0 <jdlFile> --microservice <name> [options]')
+    .usage('Usage: $0 <jdlFile...|jdl dir|.jhipster dir|openapi.json> --microservice <name> [options]')
     .option('config', { alias: 'c', type: 'string', describe: 'Path to YAML config (CLI overrides YAML)' })
     .option('microservice', { alias: 'm', type: 'string', describe: 'Microservice short name (e.g., dms)' })
     .option('apiHost', { alias: 'a', type: 'string', describe: 'Base host for the API (e.g., http://localhost:8080)' })
@@ -91,412 +57,167 @@ function main() {
     .option('skipParts', { type: 'string', describe: 'Skip parts: models,services,controllers,forms,views,enums,core,widgets,routes,main' })
     .option('debugRelationships', { type: 'string', describe: 'Comma-separated entity names to print relationship metadata for ("*" for all)' })
     .option('module', { type: 'boolean', default: false, describe: 'Generate as module (views/services/controllers only, no auth/SQLite)' })
-    .option('force', { alias: 'f', type: 'boolean', default: false, describe: 'Overwrite existing files' })
+    .option('force', { alias: 'f', type: 'boolean', default: false, describe: 'Overwrite existing files, including hand-edited ones' })
+    .option('prune', { type: 'boolean', default: false, describe: 'Delete generated files of entities no longer in the input' })
+    .option('dry-run', { type: 'boolean', default: false, describe: 'Write nothing; print a diff of every file that would change' })
+    .option('diff-out', { type: 'string', describe: 'Dry run that also saves the diff as a patch file (e.g. changes.patch)' })
+    .option('watch', { alias: 'w', type: 'boolean', default: false, describe: 'Watch the inputs and YAML config; regenerate what changed' })
+    .option('templatesDir', { type: 'string', describe: 'Directory of .tmpl files overriding generated files (see `eject`)' })
     .help('h').alias('h', 'help')
     .version().alias('v', 'version')
     .epilog('FHipster — JDL → Flutter (GetX) generator')
-    .command('generate-page <pageName>', 'Generate a blank page', (yargs) => {
+    .command('generate-page <pageName>', 'Generate a blank page and register its route and navigation entry', (yargs) => {
+      yargs
+        .positional('pageName', {
+          describe: 'Name of the page to generate (e.g. About -> views/about_page.dart, /about)',
+          type: 'string'
+        })
+        .option('withController', { type: 'boolean', default: false, describe: 'Also generate a GetX controller bound by the route' })
+        .option('roles', { type: 'string', describe: 'Authorities required by the route (comma-separated, e.g. ROLE_ADMIN)' })
+        .option('icon', { type: 'string', describe: 'Material icon of the navigation entry (e.g. info_outline or info_outline,info)' })
+        .option('noNav', { type: 'boolean', default: false, describe: 'Do not add a navigation entry' });
+    }, (argv) => {
+      runCommand(() => generatePage(argv));
+      process.exit(0); // Exit after handling subcommand
+    })
+    .command('remove-page <pageName>', 'Remove a page added with generate-page, with its route and navigation entry', (yargs) => {
       yargs.positional('pageName', {
-        describe: 'Name of the page to generate',
+        describe: 'Name the page was generated with',
         type: 'string'
       });
     }, (argv) => {
-      const pageName = argv.pageName;
-      const libDir = findLibDir();
-      if (!libDir) {
-        console.error('❌ Could not find lib/ directory in current or parent folders.');
-        process.exit(1);
-      }
-      const viewsDir = path.join(libDir, 'views');
-      const routesFile = path.join(libDir, 'core', 'routes.dart');
-      const navDestFile = path.join(libDir, 'core', 'navigation_destinations.dart');
-      const fileName = `${pageName.toLowerCase()}_page.dart`;
-      const className = `${pageName}Page`;
-      const routeName = `/${pageName.toLowerCase()}`;
-
-      // Generate the page
-      writeFile(path.join(viewsDir, fileName), generatePageTemplate(pageName), !!argv.force, `views/${fileName}`);
-
-      // Try to update navigation destinations
-      if (fs.existsSync(navDestFile)) {
-        try {
-          let navContent = fs.readFileSync(navDestFile, 'utf8');
-          const humanizedLabel = titleCase(toWords(pageName).join(' '));
-
-          // Check if route already exists
-          if (navContent.includes(`route: '${routeName}'`)) {
-            console.log(`ℹ️ Route '${routeName}' already exists in navigation destinations`);
-          } else {
-            // Add the new destination before the closing bracket
-            const insertPoint = navContent.lastIndexOf('];');
-            if (insertPoint !== -1) {
-              const newEntry = `  AppDestination(
-    route: '${routeName}',
-    icon: Icons.description_outlined,
-    selectedIcon: Icons.description,
-    label: '${humanizedLabel}',
-  ),`;
-              navContent = navContent.substring(0, insertPoint) + newEntry + '\n];';
-              fs.writeFileSync(navDestFile, navContent);
-              console.log(`✅ Updated navigation destinations: lib/core/navigation_destinations.dart`);
-            }
-          }
-        } catch (e) {
-          console.warn(`⚠️ Could not update navigation destinations: ${e.message}`);
-        }
-      }
-
-      console.log(`✅ Generated blank page: lib/views/${fileName}`);
-      console.log(`📝 Add this route to lib/core/routes.dart in the pages list:`);
-      console.log(`    GetPage(`);
-      console.log(`      name: '${routeName}',`);
-      console.log(`      page: () => const ${className}(),`);
-      console.log(`    ),`);
-      process.exit(0); // Exit after handling subcommand
+      runCommand(() => removeGeneratedPage(argv));
+      process.exit(0);
+    })
+    .command('diagram [inputs..]', 'Write an entity relationship diagram (Mermaid + Graphviz DOT, optional SVG)', (yargs) => {
+      yargs
+        .positional('inputs', {
+          describe: 'JDL file(s), JDL directory, .jhipster directory or OpenAPI spec (default: jdlFile from YAML)',
+          type: 'string',
+        })
+        .option('out', { type: 'string', default: 'domain', describe: 'Output path without extension (domain -> domain.mmd, domain.dot)' })
+        .option('svg', { type: 'boolean', default: false, describe: 'Also render a static SVG (domain.svg)' });
+    }, (argv) => {
+      runCommand(() => writeDiagrams(argv));
+      process.exit(0);
+    })
+    .command('validate-config', 'Check fhipster.config.yaml for unknown keys and wrong values without generating', (yargs) => {
+      yargs.option('strict', { type: 'boolean', default: false, describe: 'Also fail on warnings (unknown keys)' });
+    }, (argv) => {
+      process.exit(validateConfigCommand(argv) ? 0 : 1);
+    })
+    .command('eject <file> [inputs..]', 'Copy a generated file into templatesDir as a template to customize', (yargs) => {
+      yargs
+        .positional('file', {
+          describe: 'Generated file, relative to lib/ (e.g. views/login_view.dart)',
+          type: 'string',
+        })
+        .positional('inputs', {
+          describe: 'JDL file(s), JDL directory, .jhipster directory or OpenAPI spec (default: jdlFile from YAML)',
+          type: 'string',
+        });
+    }, (argv) => {
+      runCommand(() => ejectTemplate(argv));
+      process.exit(0);
+    })
+    .command('add-entity <name>', 'Add an entity to the JDL and generate it', (yargs) => {
+      yargs
+        .positional('name', { describe: 'Entity name (e.g. Invoice)', type: 'string' })
+        .option('field', { type: 'string', describe: 'Field as "<name> <type> [validations]" (repeatable)' })
+        .option('rel', { type: 'string', describe: 'Relationship as "<Type> <Target> [field[(display)]] [required]" (repeatable)' })
+        .option('doc', { type: 'string', describe: 'Documentation comment of the entity' })
+        .option('into', { type: 'string', describe: 'JDL file to add it to when there are several (default: the first --rel target\'s file)' });
+      jdlEditOptions(yargs);
+    }, (argv) => {
+      runCommand(() => addEntityCommand(argv));
+      process.exit(0);
+    })
+    .command('add-field <entity> <field..>', 'Add a field to an entity in the JDL and regenerate the entity', (yargs) => {
+      yargs
+        .positional('entity', { describe: 'Entity to add the field to', type: 'string' })
+        .positional('field', { describe: 'Field name, type and validations (e.g. notes TextBlob required)', type: 'string' })
+        .option('doc', { type: 'string', describe: 'Documentation comment of the field' });
+      jdlEditOptions(yargs);
+    }, (argv) => {
+      runCommand(() => addFieldCommand(argv));
+      process.exit(0);
     })
     .argv;
 
   // YAML
-  const yamlConfig = loadYamlConfig(argv.config);
-
   // If it's a subcommand, don't require JDL/microservice
-  if (argv._[0] === 'generate-page') {
+  if (['generate-page', 'remove-page', 'diagram', 'validate-config', 'eject', 'add-entity', 'add-field'].includes(argv._[0])) {
     // Handled in the command handler
     return;
   }
 
-  // Inputs
-  const jdlFilePath = resolveJdlPath(argv._[0] || yamlConfig.jdlFile);
-  const outputDir = path.resolve(process.cwd(), argv.outputDir || yamlConfig.outputDir || 'flutter_generated');
-
-  const microserviceName = pick(argv.microservice, yamlConfig.microservice, null);
-  if (!microserviceName) {
-    console.error('❌ Missing required option: --microservice (or set microservice in YAML)');
+  if (argv.watch && (argv.dryRun || argv.diffOut)) {
+    console.error('❌ --dry-run/--diff-out cannot be combined with --watch');
     process.exit(1);
   }
-
-  // Precedence: YAML wins when CLI not explicitly set
-  const includeAuthGuards = argv.includeAuthGuards !== undefined ? argv.includeAuthGuards
-                           : (yamlConfig.includeAuthGuards ?? true);
-  const emitMain = argv.emitMain !== undefined ? argv.emitMain
-                  : (yamlConfig.emitMain ?? false);
-
-  const force = !!argv.force;
-  const isModule = !!argv.module;
-
-  // Partial gen flags
-  const onlyEntities = parseCsv(argv.only || yamlConfig.only);
-  const skipParts = new Set(parseCsv(argv.skipParts || yamlConfig.skipParts));
-  const debugRelationships = parseCsv(argv.debugRelationships);
-
-  // In module mode, skip auth, SQLite, main, and app-specific core components
-  if (isModule) {
-    skipParts.add('auth');
-    skipParts.add('sqlite');
-    skipParts.add('main');
-    skipParts.add('core');
-  }
-
-  const shouldGen = (part) => !skipParts.has(part);
-  const entityAllowed = (name) =>
-    !onlyEntities.length || onlyEntities.map(s => s.toLowerCase()).includes(String(name).toLowerCase());
-
-  // Build profiles from YAML
-  const { devProfile, prodProfile } = buildProfilesFromYaml(yamlConfig, argv);
-  const enableSQLite = isModule ? false : pick(argv.enableSQLite, yamlConfig.enableSQLite, true);
-
-  if (!fs.existsSync(jdlFilePath)) {
-    console.error(`❌ JDL file not found at '${jdlFilePath}'`);
-    process.exit(1);
-  }
-
-  // Parse JDL
-  const jdlContent = fs.readFileSync(jdlFilePath, 'utf8');
-  const { entities, enums, pluralOverrides: fromJdlPlural = {} } = parseJdl(jdlContent);
-
-  if (debugRelationships.length) {
-    const targets = debugRelationships.includes('*') ? Object.keys(entities || {}) : debugRelationships.map((n) => n.trim()).filter(Boolean);
-    console.log('\n🔍 Relationship metadata preview:');
-    targets.forEach((entityName) => {
-      const fields = entities?.[entityName];
-      if (!fields) {
-        console.log(`  • ${entityName}: not found in parsed entities`);
-        return;
-      }
-      const rels = fields.filter((f) => f && f.isRelationship);
-      if (!rels.length) {
-        console.log(`  • ${entityName}: no relationships detected`);
-        return;
-      }
-      console.log(`  • ${entityName}:`);
-      rels.forEach((rel) => {
-        const type = String(rel.relationshipType || '').toLowerCase() || 'unknown';
-        console.log(`      - ${rel.name} ➜ ${rel.targetEntity} (${type})`);
-      });
-    });
-    console.log('');
+  if (argv.watch) {
+    runCommand(() => watchAndRegenerate(argv, resolveSettings(argv, loadYamlConfig(argv.config))));
+    return;
   }
 
-  devProfile.pluralOverrides = { ...(fromJdlPlural || {}), ...(devProfile.pluralOverrides || {}) };
-  prodProfile.pluralOverrides = { ...(fromJdlPlural || {}), ...(prodProfile.pluralOverrides || {}) };
-
-  // Dirs
-  const dirs = resolveDirs(outputDir);
-  ensureDirs(dirs);
-
-  // Sample pubspec to track dependencies expected by generated code
-  writeFile(
-    path.join(dirs.projectRoot, 'pubspec.offline_sample.yaml'),
-    generateSamplePubspec({ enableSQLite }),
-    force,
-    'pubspec.offline_sample.yaml'
-  );
-
-  // Header
-  console.log(`\n📦 Output: '${outputDir}'`);
-  console.log(`🔧 Microservice: '${microserviceName}'`);
-  console.log(`🧩 Profiles: dev → ${devProfile.apiHost} | prod → ${prodProfile.apiHost}\n`);
-
-  // Core / Env / Auth
-  if (shouldGen('core')) {
-    console.log('• Generating core/env/auth ...');
-
-    writeFile(
-      path.join(dirs.coreDir, 'env', 'env.dart'),
-      generateEnvTemplate({ devProfile, prodProfile }),
-      force,
-      'core/env/env.dart'
-    );
-
-    writeFile(path.join(dirs.coreDir, 'api_client.dart'), generateApiClientTemplate(isModule), force, 'core/api_client.dart');
-    if (isModule) {
-      writeFile(path.join(dirs.coreDir, 'module_bridge.dart'), generateModuleBridgeTemplate(), force, 'core/module_bridge.dart');
-    } else {
-      writeFile(path.join(dirs.coreAuthDir, 'auth_service.dart'), generateAuthServiceTemplate(), force, 'core/auth/auth_service.dart');
+  const result = runCommand(() => generate({ ...argv, jdl: argv._, logger: consoleLogger, verbose: true }));
+  const dryRun = result.patch !== undefined;
+  printWriteSummary(result.files, { dryRun });
+  if (dryRun) {
+    if (argv.diffOut) {
+      console.log(`📝 Patch: ${relPath(path.resolve(process.cwd(), argv.diffOut))}${result.patch ? '' : ' (empty, nothing would change)'}`);
     }
-    writeFile(path.join(dirs.coreAuthDir, 'auth_middleware.dart'), generateAuthMiddlewareTemplate(), force, 'core/auth/auth_middleware.dart');
-    writeFile(path.join(dirs.coreAuthDir, 'role_middleware.dart'), generateRoleMiddlewareTemplate(), force, 'core/auth/role_middleware.dart');
-    writeFile(path.join(dirs.coreAuthDir, 'token_decoder.dart'), generateTokenDecoderTemplate(), force, 'core/auth/token_decoder.dart');
-
-    writeFile(path.join(dirs.coreDir, 'app_shell.dart'), generateAppShellTemplate(), force, 'core/app_shell.dart');
-    writeFile(path.join(dirs.widgetsDir, 'navigation_sidebar.dart'), generateNavigationSidebarTemplate(), force, 'widgets/navigation_sidebar.dart');
-    writeFile(
-      path.join(dirs.coreThemeDir, 'app_theme.dart'),
-      generateAppThemeTemplate(),
-      force,
-      'core/theme/app_theme.dart'
-    );
-    writeFile(
-      path.join(dirs.corePreferencesDir, 'column_preferences.dart'),
-      generateColumnPreferencesTemplate(),
-      force,
-      'core/preferences/column_preferences.dart'
-    );
-
-    writeFile(
-      path.join(dirs.coreConnectivityDir, 'connectivity_service.dart'),
-      generateConnectivityServiceTemplate(),
-      force,
-      'core/connectivity/connectivity_service.dart'
-    );
-  }
-
-  const generatedDaoEntities = new Set();
-
-  if (enableSQLite) {
-    console.log('• Generating local SQLite cache ...');
-    const entityNames = entities ? Object.keys(entities) : [];
-    writeFile(
-      path.join(dirs.localDir, 'local_database.dart'),
-      generateLocalDatabaseTemplate(entityNames),
-      force,
-      'core/local/local_database.dart'
-    );
-
-    entityNames.forEach((entityName) => {
-      const modelFile = `${entityFileBase(entityName)}_model.dart`;
-      const modelImportRelative = path.relative(dirs.localDaoDir, path.join(dirs.modelsDir, modelFile)).replace(/\\/g, '/');
-      const daoContent = generateDaoTemplate(entityName, { modelImportPath: modelImportRelative });
-      writeFile(
-        path.join(dirs.localDaoDir, `${entityFileBase(entityName)}_dao.dart`),
-        daoContent,
-        force,
-        path.join('core/local/dao', `${entityFileBase(entityName)}_dao.dart`)
-      );
-      generatedDaoEntities.add(entityName);
-    });
+    console.log('\nℹ️ Dry run: nothing was written.');
+    return;
   }
+  printNextSteps({ isModule: !!argv.module, outputDir: result.outputDir });
+}
 
-  // Widgets
-  if (shouldGen('widgets')) {
-    console.log('• Generating common widgets ...');
-    writeFile(path.join(dirs.widgetsDir, 'fhipster_input_field.dart'), generateFHipsterInputFieldTemplate(), force, 'widgets/fhipster_input_field.dart');
-
-    const tableWidgetFiles = generateTableWidgetsTemplates();
-    Object.entries(tableWidgetFiles).forEach(([relPath, content]) => {
-      writeFile(path.join(dirs.widgetsDir, relPath), content, force, path.join('widgets', relPath));
-    });
+/**
+ * Run a command; FHipster errors (lib/errors.js) are printed with their diagnostics and
+ * end the process with 1.
+ */
+function runCommand(fn) {
+  try {
+    return fn();
+  } catch (e) {
+    if (!(e instanceof FHipsterError)) throw e;
+    reportError(e);
+    process.exit(1);
   }
+}
 
-  // Enums
-  if (shouldGen('enums') && enums && Object.keys(enums).length > 0) {
-    console.log('• Generating enums ...');
-    for (const [enumName, values] of Object.entries(enums)) {
-      const eFile = enumFileName(enumName);
-      writeFile(path.join(dirs.enumsDir, eFile), generateEnumTemplate(enumName, values), force, path.join('enums', eFile));
-    }
-  }
+function reportError(e) {
+  reportDiagnostics(e.diagnostics || []);
+  console.error(`❌ ${e.message}`);
+}
 
-  // Entities
-  console.log('• Generating entities (models/services/controllers/forms/views) ...');
-
-  const entityRoutes = [];
-  const navRoutes = [];
-  const navRouteMap = new Map();
-  const entityNamesForRegistry = [];
-  if (entities) {
-    Object.keys(entities).forEach((entityName) => {
-      const path = `/${resourcePlural(entityName, devProfile.pluralOverrides || {})}`;
-      const entry = { path, label: entityName };
-      navRoutes.push(entry);
-      navRouteMap.set(entityName, entry);
+// Lists longer than this are cut short in the summary (each file was logged as it was written)
+const SUMMARY_LIST_LIMIT = 10;
+
+function printWriteSummary(results, { dryRun = false } = {}) {
+  const groups = [
+    ['✍️ ', 'Written', results.filter((r) => r.status === 'created' || r.status === 'updated')],
+    ['🔀', 'Merged', results.filter((r) => r.status === 'merged' || r.status === 'conflict')],
+    ['↩︎ ', 'Unchanged', results.filter((r) => r.status === 'unchanged')],
+    ['🛡️ ', 'Protected', results.filter((r) => r.status === 'protected')],
+    ['🗑️ ', 'Pruned', results.filter((r) => r.status === 'pruned')],
+  ];
+  console.log(`\n📋 ${dryRun ? 'Dry run, would be' : 'Summary'}: ${groups.map(([, title, list]) => `${list.length} ${title.toLowerCase()}`).join(', ')}`);
+  groups.filter(([, , list]) => list.length).forEach(([icon, title, list]) => {
+    const shown = list.slice(0, SUMMARY_LIST_LIMIT).map((r) => {
+      if (r.reason === 'edited') return `${r.label} (hand-edited; --force overwrites)`;
+      if (r.reason === 'flagged') return `${r.label} (DO NOT OVERWRITE)`;
+      if (r.reason === 'conflicts') return `${r.label} (unresolved conflict markers)`;
+      if (r.status === 'conflict') return `${r.label} (conflicts to resolve)`;
+      return r.label;
     });
-  }
-
-  navRoutes.push({
-    path: '/settings/columns',
-    label: 'Column Settings',
-    icon: 'Icons.view_column_outlined',
-    selectedIcon: 'Icons.view_column',
+    const more = list.length > SUMMARY_LIST_LIMIT ? `, … ${list.length - SUMMARY_LIST_LIMIT} more` : '';
+    console.log(`  ${icon} ${title}: ${shown.join(', ')}${more}`);
   });
+}
 
-  writeFile(path.join(dirs.coreDir, 'navigation_destinations.dart'), generateNavigationDestinationsTemplate(navRoutes), force, 'core/navigation_destinations.dart');
-
-  const generatedServiceEntities = new Set();
-  if (entities) {
-    for (const [entityName, fields] of Object.entries(entities)) {
-      if (!entityAllowed(entityName)) continue;
-      if (!entityNamesForRegistry.includes(entityName)) {
-        entityNamesForRegistry.push(entityName);
-      }
-
-      const modelF = modelFileName(entityName);
-      const serviceF = serviceFileName(entityName);
-      const controllerF = controllerFileName(entityName);
-      const formF = formFileName(entityName);
-      const viewF = tableViewFileName(entityName);
-
-      const tenantIsolation = {
-        enabled: !!devProfile.tenantIsolationEnabled && !!devProfile.tenantFieldName && Array.isArray(fields) && fields.some(f => f?.name === devProfile.tenantFieldName),
-        fieldName: devProfile.tenantFieldName,
-      };
-
-      if (devProfile.tenantIsolationEnabled && devProfile.tenantFieldName && !tenantIsolation.enabled) {
-        console.warn(`⚠️ Tenant isolation enabled but field '${devProfile.tenantFieldName}' not found on entity '${entityName}'.`);
-      }
-
-      const routePath = (navRouteMap.get(entityName)?.path) ?? `/${resourcePlural(entityName, devProfile.pluralOverrides || {})}`;
-
-      if (shouldGen('models')) {
-        writeFile(path.join(dirs.modelsDir, modelF), generateModelTemplate(entityName, fields, enums), force, `models/${modelF}`);
-      }
-      if (shouldGen('services')) {
-        writeFile(
-          path.join(dirs.servicesDir, serviceF),
-          generateServiceTemplate(entityName, {
-            microserviceName: devProfile.gatewayServiceName || microserviceName,
-            useGateway: !!devProfile.useGateway,
-            tenantIsolation,
-            enableSQLite,
-          }),
-          force,
-          `services/${serviceF}`
-        );
-        generatedServiceEntities.add(entityName);
-      }
-      if (shouldGen('controllers')) {
-        writeFile(path.join(dirs.controllersDir, controllerF), generateEntityControllerTemplate(entityName, fields, enums, { tenantIsolation, enableSQLite }), force, `controllers/${controllerF}`);
-      }
-      if (shouldGen('forms')) {
-        writeFile(path.join(dirs.formsDir, formF), generateFormTemplate(entityName, fields, enums, { tenantIsolation }), force, `forms/${formF}`);
-      }
-      if (shouldGen('views')) {
-        writeFile(path.join(dirs.viewsDir, viewF), generateTableViewTemplate(entityName, fields, entities, { enableSQLite, navRoutes, enums }), force, `views/${viewF}`);
-      }
-      if (shouldGen('widgets')) {
-        writeFile(path.join(dirs.widgetsDir, `${entityFileBase(entityName)}_filter_drawer.dart`), generateFilterDrawerTemplate(entityName, fields, enums), force, `widgets/${entityFileBase(entityName)}_filter_drawer.dart`);
-      }
-
-      entityRoutes.push({
-        path: routePath,
-        controllerFile: controllerF,
-        viewFile: viewF,
-        controllerClass: controllerClassName(entityName),
-        viewClass: tableViewClassName(entityName),
-        label: entityName,
-        roles: [],
-      });
-    }
-  }
-
-  if (enableSQLite) {
-    const syncEntities = shouldGen('services')
-      ? Array.from(generatedDaoEntities).filter((entityName) => generatedServiceEntities.has(entityName))
-      : [];
-
-    writeFile(
-      path.join(dirs.coreSyncDir, 'sync_service.dart'),
-      generateSyncServiceTemplate(syncEntities),
-      force,
-      'core/sync/sync_service.dart'
-    );
-  }
-
-  // Static screens
-  if (shouldGen('views') || shouldGen('controllers')) {
-    console.log('• Generating static views/controllers ...');
-
-    if (shouldGen('controllers')) {
-      writeFile(path.join(dirs.controllersDir, 'splash_controller.dart'), generateSplashControllerTemplate(), force, 'controllers/splash_controller.dart');
-      writeFile(path.join(dirs.controllersDir, 'login_controller.dart'), generateLoginControllerTemplate(), force, 'controllers/login_controller.dart');
-    }
-    if (shouldGen('views')) {
-      writeFile(path.join(dirs.viewsDir, 'splash_view.dart'), generateSplashViewTemplate(), force, 'views/splash_view.dart');
-      writeFile(path.join(dirs.viewsDir, 'login_view.dart'), generateLoginViewTemplate(), force, 'views/login_view.dart');
-      writeFile(path.join(dirs.viewsDir, 'home_view.dart'), generateHomeViewTemplate(), force, 'views/home_view.dart');
-      writeFile(path.join(dirs.viewsDir, 'unauthorized_view.dart'), generateUnauthorizedViewTemplate(), force, 'views/unauthorized_view.dart');
-      writeFile(path.join(dirs.viewsDir, 'forbidden_view.dart'), generateForbiddenViewTemplate(), force, 'views/forbidden_view.dart');
-      writeFile(
-        path.join(dirs.viewsSettingsDir, 'column_settings_view.dart'),
-        generateColumnSettingsViewTemplate(navRoutes),
-        force,
-        'views/settings/column_settings_view.dart'
-      );
-      writeFile(
-        path.join(dirs.viewsSettingsDir, 'column_preferences_registry.dart'),
-        generateColumnPreferencesRegistryTemplate(entityNamesForRegistry),
-        force,
-        'views/settings/column_preferences_registry.dart'
-      );
-    }
-  }
-
-  // Routes
-  if (shouldGen('routes')) {
-    writeFile(
-      path.join(dirs.coreDir, 'routes.dart'),
-      generateRoutesTemplate({ entityRoutes, includeAuthGuards, includeColumnSettings: shouldGen('views') }),
-      force,
-      'core/routes.dart'
-    );
-  }
-
-  // main.dart
-  if (emitMain && shouldGen('main')) {
-    console.log('• Generating main.dart ...');
-    writeFile(path.join(dirs.libDir, 'main.dart'), generateMainDartTemplate({ enableSQLite }), force, 'main.dart');
-  }
-
+function printNextSteps({ isModule, outputDir }) {
   console.log('\n✅ Generation complete!');
   if (isModule) {
     console.log("Module generation complete!");
@@ -517,354 +238,542 @@ function main() {
   }
 }
 
-// ---------- Profiles ----------
-
-const DEFAULT_THEME = {
-  light: {
-    primary: '0xFF2D6CDF',
-    secondary: '0xFF1B48B2',
-    accent: '0xFF0B6EFD',
-  },
-  dark: {
-    primary: '0xFF8AB4F8',
-    secondary: '0xFF5F85DB',
-    accent: '0xFF4C8CF6',
-  },
-};
-
-function buildProfilesFromYaml(yamlConfig, argv) {
-  const base = {
-    appName: yamlConfig.appName ?? 'FHipster',
-    envName: yamlConfig.envName ?? 'dev',
-    apiHost: yamlConfig.apiHost ?? 'http://localhost:8080',
-    useGateway: yamlConfig.useGateway ?? false,
-    gatewayServiceName: yamlConfig.gatewayServiceName ?? null,
-
-    auth: yamlConfig.auth || { provider: 'keycloak', keycloak: {} },
-
-    defaultPageSize: yamlConfig.defaultPageSize ?? 20,
-    pageSizeOptions: yamlConfig.pageSizeOptions || [10, 20, 50, 100],
-    defaultSort: yamlConfig.defaultSort || ['id,desc'],
-    defaultSearchSort: yamlConfig.defaultSearchSort || ['_score,desc'],
-    distinctByDefault: yamlConfig.distinctByDefault ?? false,
-
-    totalCountHeaderName: yamlConfig.totalCountHeaderName || 'X-Total-Count',
-    storageKeyAccessToken: yamlConfig.storageKeyAccessToken || 'fh_access_token',
-    storageKeyAccessExpiry: yamlConfig.storageKeyAccessExpiry || 'fh_access_expiry',
-    storageKeyRefreshToken: yamlConfig.storageKeyRefreshToken || 'fh_refresh_token',
-    storageKeyRefreshExpiry: yamlConfig.storageKeyRefreshExpiry || 'fh_refresh_expiry',
-    storageKeyRememberedUsername: yamlConfig.storageKeyRememberedUsername || 'fh_remembered_username',
-
-    relationshipPayloadMode: yamlConfig.relationshipPayloadMode || 'idOnly',
-
-    // Security options
-    storageMode: yamlConfig.storageMode || 'get_storage',
-    httpStrict: yamlConfig.httpStrict ?? false,
-    pinnedSha256Certs: yamlConfig.pinnedSha256Certs || [],
-
-    pluralOverrides: yamlConfig.pluralOverrides || {},
-
-    tenantIsolationEnabled: yamlConfig.tenantIsolationEnabled ?? false,
-    tenantFieldName: yamlConfig.tenantFieldName || null,
-
-    syncIntervalMinutes: yamlConfig.syncIntervalMinutes ?? 15,
-    theme: normalizeTheme(yamlConfig.theme, DEFAULT_THEME),
-  };
-
-  // CLI quick overrides
-  if (argv.apiHost) base.apiHost = argv.apiHost;
-  if (typeof argv.useGateway === 'boolean') base.useGateway = argv.useGateway;
-  if (argv.gatewayServiceName) base.gatewayServiceName = argv.gatewayServiceName;
-
-  const devIn = (yamlConfig.profiles || {}).dev || {};
-  const prodIn = (yamlConfig.profiles || {}).prod || {};
+// ---------- Diagram ----------
 
-  const dev = normalizeProfile(devIn, base);
-  const prod = normalizeProfile(prodIn, base, { envName: 'prod', appName: base.appName });
+/**
+ * `fhipster diagram`: the parsed entities and relationships as Mermaid and DOT (and SVG
+ * with --svg). With --microservice naming a JDL application only its entities are drawn;
+ * skipClient entities are part of the domain and stay in.
+ */
+function writeDiagrams(argv) {
+  const yamlConfig = loadYamlConfig(argv.config);
+  const inputPaths = resolveInputPaths(argv.inputs && argv.inputs.length ? argv.inputs : yamlConfig.jdlFile);
+  const microserviceName = pick(argv.microservice, yamlConfig.microservice, null);
+  const model = loadModel({ inputPaths, microserviceName }, { select: false });
 
-  return { devProfile: dev, prodProfile: prod };
+  const application = microserviceName ? selectApplication(model.applications, microserviceName) : null;
+  const entities = {};
+  Object.entries(model.entities).forEach(([name, fields]) => {
+    if (!application || application.entities.includes(name)) entities[name] = fields;
+  });
+  const relationships = model.relationships.filter((r) => entities[r.from] && entities[r.to]);
+  const diagram = { entities, relationships };
+
+  const base = path.resolve(process.cwd(), argv.out);
+  const title = application ? application.baseName : path.basename(base);
+  const files = [
+    ['mmd', generateMermaidDiagram(diagram)],
+    ['dot', generateDotDiagram(diagram, { name: title })],
+  ];
+  if (argv.svg) files.push(['svg', generateSvgDiagram(diagram, { title })]);
+  files.forEach(([ext, content]) => writeFile(`${base}.${ext}`, content, !!argv.force, relPath(`${base}.${ext}`)));
+
+  const entityCount = Object.keys(entities).length;
+  console.log(`✅ Diagram of ${entityCount} entit${entityCount === 1 ? 'y' : 'ies'} and ${relationships.length} relationship${relationships.length === 1 ? '' : 's'}: ${files.map(([ext]) => relPath(`${base}.${ext}`)).join(', ')}`);
 }
 
-function normalizeProfile(pIn, base, hard = {}) {
-  const authIn = pIn.auth || base.auth || {};
-  const kcIn = authIn.keycloak || {};
+// ---------- Pages ----------
 
+/** File, class and route names of a generate-page page ('About' -> views/about_page.dart, /about). */
+function pageNames(pageName) {
+  const name = ucFirst(String(pageName || '').trim());
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+    console.error(`❌ '${pageName}' is not a valid page name; use a Dart class name such as About or OrderReport`);
+    process.exit(1);
+  }
+  const key = name.toLowerCase();
   return {
-    appName: valueOr(pIn.appName, base.appName, hard.appName),
-    envName: valueOr(pIn.envName, base.envName, hard.envName),
-    apiHost: valueOr(pIn.apiHost, base.apiHost),
-    useGateway: valueOrBool(pIn.useGateway, base.useGateway),
-    gatewayServiceName: valueOr(pIn.gatewayServiceName, base.gatewayServiceName),
-
-    authProvider: authIn.provider || base.auth.provider || 'keycloak',
-    jwtAuthEndpoint: authIn.jwtAuthEndpoint || '/api/authenticate',
-    accountEndpoint: authIn.accountEndpoint || '/api/account',
-    allowCredentialCacheForJwt: valueOrBool(authIn.allowCredentialCacheForJwt, false),
-
-    keycloakTokenEndpoint: kcIn.tokenEndpoint || null,
-    keycloakLogoutEndpoint: kcIn.logoutEndpoint || null,
-    keycloakAuthorizeEndpoint: kcIn.authorizeEndpoint || null,
-    keycloakUserinfoEndpoint: kcIn.userinfoEndpoint || null,
-    keycloakClientId: kcIn.clientId || null,
-    keycloakClientSecret: kcIn.clientSecret || null,
-    keycloakScopes: Array.isArray(kcIn.scopes) && kcIn.scopes.length > 0 ? kcIn.scopes : ['openid','profile','email','offline_access'],
-
-    defaultPageSize: valueOrNum(pIn.defaultPageSize, base.defaultPageSize),
-    pageSizeOptions: Array.isArray(pIn.pageSizeOptions) ? pIn.pageSizeOptions : base.pageSizeOptions,
-    defaultSort: Array.isArray(pIn.defaultSort) ? pIn.defaultSort : base.defaultSort,
-    defaultSearchSort: Array.isArray(pIn.defaultSearchSort) ? pIn.defaultSearchSort : base.defaultSearchSort,
-    distinctByDefault: valueOrBool(pIn.distinctByDefault, base.distinctByDefault),
-
-    totalCountHeaderName: valueOr(pIn.totalCountHeaderName, base.totalCountHeaderName),
-    storageKeyAccessToken: valueOr(pIn.storageKeyAccessToken, base.storageKeyAccessToken),
-    storageKeyAccessExpiry: valueOr(pIn.storageKeyAccessExpiry, base.storageKeyAccessExpiry),
-    storageKeyRefreshToken: valueOr(pIn.storageKeyRefreshToken, base.storageKeyRefreshToken),
-    storageKeyRefreshExpiry: valueOr(pIn.storageKeyRefreshExpiry, base.storageKeyRefreshExpiry),
-    storageKeyRememberedUsername: valueOr(pIn.storageKeyRememberedUsername, base.storageKeyRememberedUsername),
-
-    relationshipPayloadMode: valueOr(pIn.relationshipPayloadMode, base.relationshipPayloadMode),
-
-    storageMode: valueOr(pIn.storageMode, base.storageMode),
-    httpStrict: valueOrBool(pIn.httpStrict, base.httpStrict),
-    pinnedSha256Certs: Array.isArray(pIn.pinnedSha256Certs) ? pIn.pinnedSha256Certs : base.pinnedSha256Certs,
-
-    pluralOverrides: {
-      ...(base.pluralOverrides || {}),
-      ...(pIn.pluralOverrides || {}),
-    },
-
-    tenantIsolationEnabled: valueOrBool(pIn.tenantIsolationEnabled, base.tenantIsolationEnabled),
-    tenantFieldName: valueOr(pIn.tenantFieldName, base.tenantFieldName),
-
-    syncIntervalMinutes: valueOrNum(pIn.syncIntervalMinutes, base.syncIntervalMinutes),
-
-    theme: normalizeTheme(pIn.theme, base.theme || DEFAULT_THEME),
+    name,
+    key,
+    route: `/${key}`,
+    label: titleCase(toWords(name).join(' ')),
+    viewFile: `${key}_page.dart`,
+    viewClass: `${name}Page`,
+    controllerFile: `${key}_controller.dart`,
+    controllerClass: `${name}Controller`,
   };
 }
 
-function normalizeTheme(themeIn, fallback = DEFAULT_THEME) {
-  const provided = themeIn || {};
-  const base = fallback && typeof fallback === 'object' ? fallback : DEFAULT_THEME;
-
-  const baseLight = base.light || DEFAULT_THEME.light;
-  const baseDark = base.dark || DEFAULT_THEME.dark;
+function findLibDirOrExit() {
+  const libDir = findLibDir();
+  if (!libDir) {
+    console.error('❌ Could not find lib/ directory in current or parent folders.');
+    process.exit(1);
+  }
+  return libDir;
+}
 
-  const lightIn = provided.light || {};
-  const darkIn = provided.dark || {};
+/** `--icon name` or `--icon name,selectedName` -> Dart icon references */
+function pageIcons(value) {
+  if (!value) return {};
+  const [icon, selected] = String(value).split(',').map((s) => s.trim().replace(/^Icons\./, ''));
+  if (![icon, selected].filter(Boolean).every((n) => /^[a-z0-9_]+$/.test(n))) {
+    console.error(`❌ --icon expects a Material icon name such as info_outline (or info_outline,info), got '${value}'`);
+    process.exit(1);
+  }
+  return { icon: `Icons.${icon}`, selectedIcon: `Icons.${selected || icon}` };
+}
 
-  return {
-    light: {
-      primary: parseColor(lightIn.primary, baseLight.primary),
-      secondary: parseColor(lightIn.secondary, baseLight.secondary),
-      accent: parseColor(lightIn.accent, baseLight.accent),
-    },
-    dark: {
-      primary: parseColor(darkIn.primary, baseDark.primary || baseLight.primary),
-      secondary: parseColor(darkIn.secondary, baseDark.secondary || baseLight.secondary),
-      accent: parseColor(darkIn.accent, baseDark.accent || baseLight.accent),
-    },
-  };
+/**
+ * Save a page edit of routes.dart / navigation_destinations.dart. Not through writeFile: it
+ * would put back the keep regions the edit is about.
+ */
+function updatePageRegistry(absPath, text) {
+  const label = relPath(absPath);
+  if (isFlaggedDoNotOverwrite(fs.readFileSync(absPath, 'utf8'))) {
+    console.warn(`⚠️ ${label} is flagged DO NOT OVERWRITE; not updated`);
+    return false;
+  }
+  fs.writeFileSync(absPath, text, 'utf8');
+  console.log(`✅ Updated ${label}`);
+  return true;
 }
 
-function parseColor(value, fallback) {
-  const defaultFallback = typeof fallback === 'string' && fallback.trim()
-    ? fallback.trim()
-    : '0xFF2D6CDF';
+/**
+ * `generate-page`: write the page (and with --withController its controller), register the
+ * route in core/routes.dart and add a navigation destination (see utils/page_routes.js).
+ */
+function generatePage(argv) {
+  const libDir = findLibDirOrExit();
+  const page = pageNames(argv.pageName);
+  const roles = parseCsv(argv.roles);
+  const icons = pageIcons(argv.icon);
+  const viewPath = path.join(libDir, 'views', page.viewFile);
+  const controllerPath = path.join(libDir, 'controllers', page.controllerFile);
+
+  const existing = [viewPath, ...(argv.withController ? [controllerPath] : [])].filter((p) => fs.existsSync(p));
+  if (existing.length && !argv.force) {
+    console.error(`❌ ${existing.map((p) => relPath(p)).join(', ')} already exist${existing.length === 1 ? 's' : ''}; --force replaces ${existing.length === 1 ? 'it' : 'them'}`);
+    process.exit(1);
+  }
 
-  if (typeof value === 'number' && Number.isFinite(value)) {
-    const hex = value.toString(16).toUpperCase().padStart(8, '0');
-    return `0x${hex}`;
+  // Page (and controller)
+  fs.mkdirSync(path.dirname(viewPath), { recursive: true });
+  writeFile(viewPath, generatePageTemplate(page.name, argv.withController ? { controllerFile: page.controllerFile } : {}), !!argv.force, `views/${page.viewFile}`);
+  if (argv.withController) {
+    fs.mkdirSync(path.dirname(controllerPath), { recursive: true });
+    writeFile(controllerPath, generatePageControllerTemplate(page.name), !!argv.force, `controllers/${page.controllerFile}`);
   }
 
-  if (typeof value === 'string') {
-    const trimmed = value.trim();
-    if (!trimmed) {
-      return defaultFallback;
+  // Route
+  const routesFile = path.join(libDir, 'core', 'routes.dart');
+  const routesText = fs.existsSync(routesFile) ? fs.readFileSync(routesFile, 'utf8') : null;
+  const entry = {
+    key: page.key,
+    route: page.route,
+    viewFile: page.viewFile,
+    viewClass: page.viewClass,
+    ...(argv.withController ? { controllerFile: page.controllerFile, controllerClass: page.controllerClass } : {}),
+    roles,
+    authGuards: routesText === null || routesText.includes('AuthMiddleware(requireAuth: true)'),
+  };
+  if (routesText !== null && hasPage(routesText, page.key)) {
+    console.log(`ℹ️ Route '${page.route}' is already registered in lib/core/routes.dart (remove-page ${page.name} first to change it)`);
+  } else {
+    const routed = routesText === null ? null : addPageRoute(routesText, entry);
+    if (routed !== null) {
+      updatePageRegistry(routesFile, routed);
+    } else {
+      console.log(`📝 lib/core/routes.dart ${routesText === null ? 'does not exist' : 'has no page regions (regenerate it to get them)'}; add the route by hand:`);
+      pageRouteSnippet(entry).forEach((line) => console.log(line));
     }
+  }
 
-    let hex = trimmed.replace(/^#/, '').replace(/^0x/i, '');
-    const isSix = /^[0-9a-fA-F]{6}$/.test(hex);
-    const isEight = /^[0-9a-fA-F]{8}$/.test(hex);
-    if (!isSix && !isEight) {
-      return defaultFallback;
-    }
-    if (hex.length === 6) {
-      hex = `FF${hex}`;
+  // Navigation
+  const navDestFile = path.join(libDir, 'core', 'navigation_destinations.dart');
+  if (!argv.noNav && fs.existsSync(navDestFile)) {
+    const navText = fs.readFileSync(navDestFile, 'utf8');
+    if (hasPage(navText, page.key) || navText.includes(`route: '${page.route}'`)) {
+      console.log(`ℹ️ Route '${page.route}' already exists in navigation destinations`);
+    } else {
+      const withDestination = addPageDestination(navText, { key: page.key, route: page.route, label: page.label, ...icons });
+      if (withDestination === null) console.warn('⚠️ Could not find the destination list in lib/core/navigation_destinations.dart');
+      else updatePageRegistry(navDestFile, withDestination);
     }
-    return `0x${hex.toUpperCase()}`;
   }
 
-  if (typeof defaultFallback === 'number' && Number.isFinite(defaultFallback)) {
-    const hex = defaultFallback.toString(16).toUpperCase().padStart(8, '0');
-    return `0x${hex}`;
+  console.log(`✅ Generated page: lib/views/${page.viewFile}${argv.withController ? ` + lib/controllers/${page.controllerFile}` : ''}`);
+  console.log(`   Route: ${page.route}${roles.length ? ` (roles: ${roles.join(', ')})` : ''}${argv.noNav ? ', no navigation entry' : ''}. Navigate with Get.toNamed('${page.route}').`);
+}
+
+/**
+ * `remove-page`: undo generate-page (files, route and navigation destination). Only a page
+ * registered in routes.dart is removed, and only the files its route imports that
+ * generate-page wrote; an entity's own view or controller of the same name stays.
+ */
+function removeGeneratedPage(argv) {
+  const libDir = findLibDirOrExit();
+  const page = pageNames(argv.pageName);
+  const routesFile = path.join(libDir, 'core', 'routes.dart');
+  const routesText = fs.existsSync(routesFile) ? fs.readFileSync(routesFile, 'utf8') : null;
+  if (routesText === null || !hasPage(routesText, page.key)) {
+    console.error(`❌ No page '${page.name}' registered in lib/core/routes.dart (remove-page only removes pages added by generate-page)`);
+    process.exit(1);
+  }
+  const removed = [];
+
+  const imported = pageImports(routesText, page.key);
+  [['views', page.viewFile], ['controllers', page.controllerFile]].forEach(([dir, file]) => {
+    const abs = path.join(libDir, dir, file);
+    if (!imported.includes(`${dir}/${file}`) || !fs.existsSync(abs)) return;
+    if (!isGeneratedPageFile(fs.readFileSync(abs, 'utf8'))) {
+      console.warn(`⚠️ lib/${dir}/${file} was not written by generate-page for '${page.name}'; left in place`);
+      return;
+    }
+    removeFile(abs);
+    removed.push(`lib/${dir}/${file}`);
+  });
+
+  const { text, removed: n } = removePage(routesText, page.key);
+  if (n && updatePageRegistry(routesFile, text)) removed.push(`route ${page.route}`);
+
+  const navDestFile = path.join(libDir, 'core', 'navigation_destinations.dart');
+  if (fs.existsSync(navDestFile)) {
+    const navText = fs.readFileSync(navDestFile, 'utf8');
+    let result = removePage(navText, page.key);
+    if (!result.removed) result = removeLegacyDestination(navText, page.route);
+    if (result.removed && updatePageRegistry(navDestFile, result.text)) {
+      removed.push('navigation destination');
+    }
   }
 
-  return defaultFallback;
+  console.log(`✅ Removed page '${page.name}': ${removed.length ? removed.join(', ') : 'nothing left to remove'}`);
 }
 
-// ---------- YAML / FS helpers ----------
+// ---------- Templates ----------
 
-function resolveDirs(rootOut) {
-  const libDir = rootOut;
-  return {
-    libDir,
-    projectRoot: path.resolve(libDir, '..'),
-    coreDir: path.join(libDir, 'core'),
-    coreAuthDir: path.join(libDir, 'core', 'auth'),
-    coreEnvDir: path.join(libDir, 'core', 'env'),
-    coreThemeDir: path.join(libDir, 'core', 'theme'),
-    corePreferencesDir: path.join(libDir, 'core', 'preferences'),
-    coreConnectivityDir: path.join(libDir, 'core', 'connectivity'),
-    coreSyncDir: path.join(libDir, 'core', 'sync'),
-    modelsDir: path.join(libDir, 'models'),
-    servicesDir: path.join(libDir, 'services'),
-    controllersDir: path.join(libDir, 'controllers'),
-    formsDir: path.join(libDir, 'forms'),
-    viewsDir: path.join(libDir, 'views'),
-    viewsSettingsDir: path.join(libDir, 'views', 'settings'),
-    widgetsDir: path.join(libDir, 'widgets'),
-    widgetsTableDir: path.join(libDir, 'widgets', 'table'),
-    widgetsCommonDir: path.join(libDir, 'widgets', 'common'),
-    enumsDir: path.join(libDir, 'enums'),
-    localDir: path.join(libDir, 'core', 'local'),
-    localDaoDir: path.join(libDir, 'core', 'local', 'dao'),
+/**
+ * `eject <file>`: generate (in memory) with the current settings and copy the built-in
+ * output of `file` into templatesDir as `<file>.tmpl`, escaped so it renders unchanged.
+ */
+function ejectTemplate(argv) {
+  const yamlConfig = loadYamlConfig(argv.config);
+  const settings = {
+    ...resolveSettings({ ...argv, _: argv.inputs || [], quiet: true }, yamlConfig),
+    dryRun: true,
+    debugRelationships: [],
   };
-}
+  if (!settings.templatesDir) {
+    console.error('❌ No templates directory: set templatesDir in fhipster.config.yaml or pass --templatesDir');
+    process.exit(1);
+  }
+  const wanted = String(argv.file).split(path.sep).join('/').replace(/^(\.\/)?lib\//, '').replace(/\.tmpl$/, '');
+  const target = path.join(settings.templatesDir, ...wanted.split('/')) + TEMPLATE_EXT;
+  if (fs.existsSync(target) && !argv.force) {
+    console.error(`❌ ${relPath(target)} already exists; --force replaces it`);
+    process.exit(1);
+  }
+
+  const model = loadModel(settings, { log: false });
+  const generated = [];
+  let found = null;
+  // the built-in output as generateFiles() produces it, before any template or plugin
+  const capture = (content, { absPath, entity }) => {
+    const file = path.relative(settings.outputDir, absPath).split(path.sep).join('/');
+    generated.push(file);
+    if (file === wanted) found = { content, entity };
+    return content;
+  };
+  collectWrites(() => dryRunWrites(() => withTransform(capture, () => generateFiles(settings, model))));
 
-function ensureDirs(dirs) {
-  [
-    dirs.libDir,
-    dirs.coreDir,
-    dirs.coreAuthDir,
-    dirs.coreEnvDir,
-    dirs.coreThemeDir,
-    dirs.corePreferencesDir,
-    dirs.modelsDir,
-    dirs.servicesDir,
-    dirs.controllersDir,
-    dirs.formsDir,
-    dirs.viewsDir,
-    dirs.viewsSettingsDir,
-    dirs.widgetsDir,
-    dirs.widgetsTableDir,
-    dirs.widgetsCommonDir,
-    dirs.enumsDir,
-    dirs.coreConnectivityDir,
-    dirs.coreSyncDir,
-    dirs.localDir,
-    dirs.localDaoDir,
-  ].forEach((d) => fs.mkdirSync(d, { recursive: true }));
+  if (!found) {
+    const dir = path.posix.dirname(wanted);
+    const nearby = generated.filter((f) => path.posix.dirname(f) === dir && !f.startsWith('..'));
+    console.error(`❌ '${wanted}' is not generated with the current settings${nearby.length ? `; ${dir}/ has: ${nearby.map((f) => path.posix.basename(f)).join(', ')}` : ''}`);
+    process.exit(1);
+  }
+  writeFile(target, escapeTemplateText(found.content), true, relPath(target));
+  if (found.entity) {
+    const base = path.posix.basename(wanted).split(entityFileBase(found.entity)).join('[entity]');
+    const generic = path.posix.join(path.posix.dirname(wanted), base);
+    console.log(`ℹ️ This template only applies to ${found.entity}; rename it to ${generic}${TEMPLATE_EXT} and use {{entity.*}} / {{#each fields}} to cover every entity`);
+  }
+  console.log(`✅ Ejected ${wanted} → ${relPath(target)}`);
 }
 
-function loadYamlConfig(providedPath) {
-  const tryPaths = [];
-  if (providedPath) tryPaths.push(path.resolve(process.cwd(), providedPath));
-  tryPaths.push(
-    path.resolve(process.cwd(), 'fhipster.config.yaml'),
-    path.resolve(process.cwd(), 'fhipster.config.yml')
-  );
+// ---------- JDL edits ----------
 
-  for (const p of tryPaths) {
-    if (fs.existsSync(p)) {
-      try {
-        const raw = fs.readFileSync(p, 'utf8');
-        const data = yaml.load(raw) || {};
-        console.log(`📝 Using config: ${p}`);
-        return normalizeYaml(data);
-      } catch (e) {
-        console.error(`⚠️ Failed to read YAML at ${p}: ${e.message}`);
-        return {};
-      }
-    }
-  }
-  return {};
+function jdlEditOptions(yargs) {
+  yargs
+    .option('jdl', { type: 'string', describe: 'JDL file(s) to edit (default: jdlFile from YAML, or the JDL of every service)' })
+    .option('generate', { type: 'boolean', default: true, describe: 'Regenerate the affected entities (--no-generate only edits the JDL)' });
 }
 
-function normalizeYaml(data) {
-  const root = { ...(data || {}) };
-  const proj = root.project || {};
+/**
+ * `add-entity` / `add-field`: apply `edit` to the JDL sources, check the edited JDL still
+ * parses (else the files are restored), then regenerate the entities the edit affects, as
+ * --watch would. `edit({ files, entities, enums })` gets every JDL file ({ path, text, ast })
+ * and the declared names; it returns `{ changes: { [path]: text }, message }`.
+ */
+function editJdlAndRegenerate(argv, edit) {
+  const yamlConfig = loadYamlConfig(argv.config);
+  // with services: in YAML every service's JDL is loaded and --jdl only picks the files to edit
+  const services = Array.isArray(yamlConfig.services) && yamlConfig.services.length > 0;
+  const settings = resolveSettings({ ...argv, _: services ? [] : [].concat(argv.jdl || []) }, yamlConfig);
+  const editable = services && argv.jdl ? resolveInputPaths(argv.jdl) : settings.inputPaths;
+  const notJdl = editable.find((p) => inputKindOf(p) !== 'jdl');
+  if (notJdl) {
+    console.error(`❌ ${argv._[0]} edits JDL files; '${relPath(notJdl)}' is not one`);
+    process.exit(1);
+  }
+  // its warnings are shown once, for the edited JDL
+  const before = loadModel({ ...settings, logger: collectingLogger([]) }, { log: false });
 
-  return {
-    enableSQLite: pickBool(root.enableSQLite, proj.enableSQLite, false) ?? false,
-    jdlFile: root.jdlFile || proj.jdlFile,
-    outputDir: root.outputDir || proj.outputDir,
-    microservice: root.microservice || proj.microservice,
+  const files = editable.map((p) => {
+    const text = fs.readFileSync(p, 'utf8');
+    return { path: p, text, ast: parseJdlAst(text, { file: relPath(p) }).ast };
+  });
+  const entities = files.flatMap((f) => f.ast.entities.map((e) => e.name));
+  const enums = files.flatMap((f) => f.ast.enums.map((e) => e.name));
+  let edited;
+  try {
+    edited = edit({ files, entities, enums });
+  } catch (e) {
+    if (!e.jdlEdit) throw e;
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+  const changed = files.filter((f) => edited.changes[f.path] !== undefined && edited.changes[f.path] !== f.text);
 
-    appName: root.appName || proj.appName,
-    envName: root.envName || proj.envName,
-    includeAuthGuards: pickBool(root.includeAuthGuards, proj.includeAuthGuards, undefined),
-    emitMain: pickBool(root.emitMain, proj.emitMain, undefined),
+  if (settings.dryRun) {
+    changed.forEach((f) => {
+      const rel = relPath(f.path).split(path.sep).join('/');
+      console.log(colorizeDiff(unifiedDiff(f.text, edited.changes[f.path], { oldLabel: `a/${rel}`, newLabel: `b/${rel}` })).replace(/\n$/, ''));
+    });
+    console.log('\nℹ️ Dry run: the JDL was not changed.');
+    return;
+  }
 
-    apiHost: root.apiHost || proj.apiHost,
-    useGateway: pickBool(root.useGateway, proj.useGateway, undefined),
-    gatewayServiceName: root.gatewayServiceName || proj.gatewayServiceName,
+  changed.forEach((f) => fs.writeFileSync(f.path, edited.changes[f.path], 'utf8'));
+  let after;
+  try {
+    after = loadModel(settings, { log: false });
+  } catch (e) {
+    if (!(e instanceof FHipsterError)) throw e;
+    changed.forEach((f) => fs.writeFileSync(f.path, f.text, 'utf8'));
+    reportDiagnostics(e.diagnostics || []);
+    console.error(`❌ The edit would leave the JDL invalid; ${changed.map((f) => relPath(f.path)).join(', ')} left unchanged.`);
+    process.exit(1);
+  }
+  console.log(`📝 ${edited.message}`);
+  if (argv.generate === false) {
+    console.log('ℹ️ Not regenerated (--no-generate); run fhipster to generate.');
+    return;
+  }
 
-    auth: root.auth || proj.auth,
+  const { affected } = diffEntities(entitySignatures(before), entitySignatures(after), after.entities);
+  if (!affected.size) {
+    console.log('ℹ️ No generated entity is affected (skipClient, or not part of this application).');
+    return;
+  }
+  console.log(`🔁 Regenerating ${[...affected].join(', ')}`);
+  const manifest = loadManifest(resolveDirs(settings.outputDir).projectRoot, { logger: settings.logger });
+  const results = collectWrites(() => generateTracked({ ...settings, quiet: true }, after, manifest, affected), { log: true });
+  saveManifest(manifest);
+  printWriteSummary(results);
+}
 
-    defaultPageSize: root.defaultPageSize ?? proj.defaultPageSize,
-    pageSizeOptions: root.pageSizeOptions || proj.pageSizeOptions,
-    defaultSort: root.defaultSort || proj.defaultSort,
-    defaultSearchSort: root.defaultSearchSort || proj.defaultSearchSort,
-    distinctByDefault: pickBool(root.distinctByDefault, proj.distinctByDefault, undefined),
+/** `add-entity <name> [--field ...] [--rel ...]` */
+function addEntityCommand(argv) {
+  const name = String(argv.name || '').trim();
+  if (!/^[A-Z][A-Za-z0-9]*$/.test(name)) {
+    console.error(`❌ '${argv.name}' is not a valid entity name; use PascalCase such as Invoice`);
+    process.exit(1);
+  }
+  editJdlAndRegenerate(argv, ({ files, entities, enums }) => {
+    if (entities.includes(name)) {
+      console.error(`❌ Entity '${name}' already exists; use add-field to extend it`);
+      process.exit(1);
+    }
+    const fieldLines = [].concat(argv.field || []).map((spec) => fieldLine(spec, { enums, entities }));
+    const rels = [].concat(argv.rel || []).map((spec) => relationshipItem(name, spec, { entities: [...entities, name] }));
+
+    let file;
+    if (argv.into) {
+      const into = path.resolve(process.cwd(), argv.into);
+      file = files.find((f) => f.path === into);
+      if (!file) {
+        console.error(`❌ --into '${argv.into}' is not one of the JDL inputs (${files.map((f) => relPath(f.path)).join(', ')})`);
+        process.exit(1);
+      }
+    } else {
+      const target = rels.length ? rels[0].target : null;
+      file = files.find((f) => f.ast.entities.some((e) => e.name === target)) || files[0];
+    }
 
-    totalCountHeaderName: root.totalCountHeaderName || proj.totalCountHeaderName,
-    storageKeyAccessToken: root.storageKeyAccessToken || proj.storageKeyAccessToken,
-    storageKeyAccessExpiry: root.storageKeyAccessExpiry || proj.storageKeyAccessExpiry,
-    storageKeyRefreshToken: root.storageKeyRefreshToken || proj.storageKeyRefreshToken,
-    storageKeyRefreshExpiry: root.storageKeyRefreshExpiry || proj.storageKeyRefreshExpiry,
-    storageKeyRememberedUsername: root.storageKeyRememberedUsername || proj.storageKeyRememberedUsername,
+    let text = addEntity(file.text, file.ast, entityText(name, fieldLines, { doc: argv.doc }));
+    rels.forEach((rel) => {
+      text = addRelationships(text, parseJdlAst(text).ast, rel.type, [rel.line]);
+    });
+    const counts = [`${fieldLines.length} field${fieldLines.length === 1 ? '' : 's'}`];
+    if (rels.length) counts.push(`${rels.length} relationship${rels.length === 1 ? '' : 's'}`);
+    return { changes: { [file.path]: text }, message: `Added entity ${name} (${counts.join(', ')}) to ${relPath(file.path)}` };
+  });
+}
 
-    relationshipPayloadMode: root.relationshipPayloadMode || proj.relationshipPayloadMode,
+/** `add-field <entity> <name> <type> [validations...]` */
+function addFieldCommand(argv) {
+  editJdlAndRegenerate(argv, ({ files, entities, enums }) => {
+    const file = files.find((f) => f.ast.entities.some((e) => e.name === argv.entity));
+    if (!file) {
+      const hint = didYouMean(argv.entity, entities);
+      console.error(`❌ No entity '${argv.entity}' in the JDL${hint ? `; did you mean '${hint}'?` : ''}`);
+      process.exit(1);
+    }
+    const entity = file.ast.entities.find((e) => e.name === argv.entity);
+    const line = fieldLine([].concat(argv.field).join(' '), { enums, entities });
+    const fieldName = line.split(/\s+/)[0];
+    if (entity.fields.some((f) => f.name === fieldName)) {
+      console.error(`❌ Entity '${entity.name}' already has a field '${fieldName}'`);
+      process.exit(1);
+    }
+    return {
+      changes: { [file.path]: addField(file.text, file.ast, entity, line, { doc: argv.doc }) },
+      message: `Added field '${line}' to ${entity.name} in ${relPath(file.path)}`,
+    };
+  });
+}
 
-    storageMode: root.storageMode || proj.storageMode,
-    httpStrict: pickBool(root.httpStrict, proj.httpStrict, undefined),
-    pinnedSha256Certs: root.pinnedSha256Certs || proj.pinnedSha256Certs,
+// ---------- Watch mode ----------
 
-    pluralOverrides: root.pluralOverrides || proj.pluralOverrides || {},
+/**
+ * --watch: generate once, then again whenever an input or the YAML config changes.
+ * After an input change only the entities whose definition changed (and the entities
+ * related to them) are rewritten, with the shared routes/navigation; a config change
+ * regenerates everything. Config, parse, plugin and template errors are reported and the
+ * previous settings and output are kept.
+ */
+function watchAndRegenerate(argv, initialSettings) {
+  const configPath = findYamlConfig(argv.config) || path.resolve(process.cwd(), 'fhipster.config.yaml');
+  let settings = initialSettings;
+  let manifest = loadManifest(resolveDirs(settings.outputDir).projectRoot, { logger: settings.logger });
+  let model = null;
+  let signatures = {};
+  let stopWatching = null;
+
+  const cycle = (changedPaths) => {
+    const started = Date.now();
+    const configChanged = changedPaths.includes(configPath);
+    const what = changedPaths.map(relPath).join(', ');
+    console.log(`\n🔁 [${new Date().toTimeString().slice(0, 8)}] ${model ? `${what} changed` : 'Initial generation'}`);
+
+    if (configChanged) {
+      const previousInputs = settings.inputPaths.join('\n');
+      const previousOutput = settings.outputDir;
+      try {
+        settings = resolveSettings(argv, loadYamlConfig(argv.config));
+      } catch (e) {
+        if (!(e instanceof FHipsterError)) throw e;
+        reportError(e);
+        console.error('❌ Keeping the previous settings.');
+        return;
+      }
+      if (settings.inputPaths.join('\n') !== previousInputs) listen();
+      if (settings.outputDir !== previousOutput) manifest = loadManifest(resolveDirs(settings.outputDir).projectRoot, { logger: settings.logger });
+    }
 
-    tenantIsolationEnabled: pickBool(root.tenantIsolationEnabled, proj.tenantIsolationEnabled, undefined),
-    tenantFieldName: root.tenantFieldName || proj.tenantFieldName,
+    const keepOutput = (e) => {
+      if (!(e instanceof FHipsterError)) throw e;
+      reportError(e);
+      console.log('⏸️  Keeping the previous output; waiting for changes ...');
+    };
+    let next;
+    try {
+      next = loadModel(settings, { log: !model || configChanged });
+    } catch (e) {
+      keepOutput(e);
+      return;
+    }
 
-    profiles: root.profiles || proj.profiles || {},
-    theme: root.theme || proj.theme,
+    const nextSignatures = entitySignatures(next);
+    let changed = null;
+    if (model && !configChanged) {
+      const diff = diffEntities(signatures, nextSignatures, next.entities);
+      changed = diff.affected;
+      if (diff.changed.length) console.log(`   Entities: ${diff.changed.join(', ')}${diff.affected.size > diff.changed.length ? ` (+ related: ${[...diff.affected].filter((n) => !diff.changed.includes(n)).join(', ')})` : ''}`);
+      if (diff.removed.length) console.log(`   Removed: ${diff.removed.join(', ')}${settings.prune ? '' : ' (their files were left in place; --prune deletes them)'}`);
+      if (!diff.changed.length && !diff.removed.length) console.log('   No entity changes');
+    }
 
-    // Optional passthroughs for partial gen
-    only: root.only || proj.only,
-    skipParts: root.skipParts || proj.skipParts,
+    let results;
+    try {
+      results = collectWrites(() => generateTracked(settings, next, manifest, changed));
+    } catch (e) {
+      keepOutput(e);
+      return;
+    }
+    if (settings.prune) results.push(...pruneOrphans(manifest, Object.keys(next.entities || {}), { force: settings.force, outputDir: settings.outputDir }));
+    saveManifest(manifest);
+    const initial = !model;
+    model = next;
+    signatures = nextSignatures;
+
+    const count = (status) => results.filter((r) => r.status === status).length;
+    results
+      .filter((r) => !initial && (r.status === 'created' || r.status === 'updated'))
+      .forEach((r) => console.log(`   ✍️  ${r.label}${r.status === 'created' ? ' (new)' : ''}`));
+    const notes = {
+      merged: (r) => `   🔀 ${r.label} (merged with your edits)`,
+      conflict: (r) => `   ⚔️  ${r.label} (conflicts to resolve)`,
+      pruned: (r) => `   🗑️  ${r.label}`,
+      protected: (r) => ({
+        edited: `   🛡️  ${r.label} (hand-edited; --force overwrites)`,
+        conflicts: `   ⚔️  ${r.label} (resolve its conflict markers first)`,
+      })[r.reason] || null,
+    };
+    results.map((r) => notes[r.status] && notes[r.status](r)).filter(Boolean).forEach((line) => console.log(line));
+    const extra = [['merged', count('merged') + count('conflict')], ['protected', count('protected')], ['pruned', count('pruned')]]
+      .filter(([, n]) => n).map(([what, n]) => `, ${n} ${what}`).join('');
+    console.log(`   ✅ ${count('created') + count('updated')} written, ${count('unchanged')} unchanged${extra} (${Date.now() - started} ms)`);
+  };
 
-    syncIntervalMinutes: root.syncIntervalMinutes ?? proj.syncIntervalMinutes,
+  const listen = () => {
+    if (stopWatching) stopWatching();
+    // A project root is watched through its `.jhipster/` folder (lib/ output lives next to it)
+    const inputs = settings.inputPaths.map((p) => (
+      inputKindOf(p) === 'jhipster' && fs.existsSync(path.join(p, '.jhipster')) ? path.join(p, '.jhipster') : p
+    ));
+    const watched = [...inputs, configPath];
+    stopWatching = watchPaths(watched, cycle);
+    console.log(`👀 Watching ${watched.map(relPath).join(', ')} (Ctrl+C to stop)`);
   };
-}
 
-function pick(...vals) {
-  for (const v of vals) if (v !== undefined && v !== null) return v;
-  return undefined;
-}
-function pickBool(...vals) {
-  for (const v of vals) if (v === true || v === false) return v;
-  return undefined;
-}
-function valueOr(v, fallback, hardOverride) {
-  if (hardOverride !== undefined) return hardOverride;
-  return v !== undefined ? v : fallback;
-}
-function valueOrBool(v, fallback) {
-  return (v === true || v === false) ? v : !!fallback;
-}
-function valueOrNum(v, fallback) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : Number(fallback);
-}
-function parseCsv(s) {
-  if (!s) return [];
-  return String(s).split(',').map(x => x.trim()).filter(Boolean);
+  cycle([]);
+  listen();
+  process.on('SIGINT', () => {
+    if (stopWatching) stopWatching();
+    console.log('\n👋 Stopped watching.');
+    process.exit(0);
+  });
 }
-function resolveJdlPath(jdlFromArgOrYaml) {
-  if (!jdlFromArgOrYaml) {
-    console.error('❌ Missing JDL file path (provide as first arg or set jdlFile in YAML).');
-    process.exit(1);
+
+
+/** `validate-config`: the loadYamlConfig checks alone. Returns whether the config passed. */
+function validateConfigCommand(argv) {
+  const p = findYamlConfig(argv.config);
+  if (!p) {
+    console.error(`❌ No config found: ${argv.config ? `'${argv.config}' does not exist` : 'no fhipster.config.yaml or fhipster.config.yml in the working directory'}`);
+    return false;
+  }
+  const { diagnostics } = validateConfigFile(p, { label: relPath(p) });
+  reportDiagnostics(diagnostics);
+  const errors = diagnostics.filter((d) => d.severity === 'error').length;
+  const warnings = diagnostics.length - errors;
+  if (!diagnostics.length) {
+    console.log(`✅ ${relPath(p)} is valid`);
+    return true;
   }
-  return path.resolve(process.cwd(), jdlFromArgOrYaml);
+  const passed = !errors && !(argv.strict && warnings);
+  console.log(`${passed ? '✅' : '❌'} ${relPath(p)}: ${errors} error(s), ${warnings} warning(s)`);
+  return passed;
+}
+
+
+function reportDiagnostics(diagnostics = []) {
+  diagnostics.forEach((d) => {
+    if (d.severity === 'error') console.error(`❌ ${formatDiagnostic(d)}`);
+    else console.warn(`⚠️ ${formatDiagnostic(d)}`);
+  });
 }
 
 function findLibDir() {
@@ -1,9 +1,10 @@
 const { tableViewClassName, tableViewFileName } = require('../utils/naming');
 
-function generateColumnPreferencesRegistryTemplate(entityNames = []) {
+// `folders`: { Entity: 'inventory' } for entities whose views live in lib/<folder>/views
+function generateColumnPreferencesRegistryTemplate(entityNames = [], { folders = {} } = {}) {
   const uniqueEntities = Array.from(new Set(entityNames || []));
   const importLines = uniqueEntities
-    .map((name) => `import '../${tableViewFileName(name)}' show ${tableViewClassName(name)};`)
+    .map((name) => `import '../${folders[name] ? `../${folders[name]}/views/` : ''}${tableViewFileName(name)}' show ${tableViewClassName(name)};`)
     .join('\n');
   const registerCalls = uniqueEntities
     .map((name) => `${tableViewClassName(name)}.registerColumns(prefs);`)
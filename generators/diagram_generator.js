@@ -0,0 +1,307 @@
+// generators/diagram_generator.js
+// Entity relationship diagrams of the parsed domain (used by `fhipster diagram`):
+// - generateMermaidDiagram -> Mermaid `erDiagram` (renders in GitHub/GitLab markdown)
+// - generateDotDiagram     -> Graphviz DOT (`dot -Tpng domain.dot -o domain.png`)
+// - generateSvgDiagram     -> standalone SVG laid out here, no Graphviz or network needed
+//
+// Every entity lists its non-relationship fields with their JDL type; required fields
+// are marked (`*`, or "required" in Mermaid). Relationships are drawn once, as declared
+// in the JDL, with the cardinality of both ends (`1`, `0..1`, `*`, `1..*`).
+//
+// Usage:
+//   const model = parseJdl(text);   // { entities, relationships, ... }
+//   generateMermaidDiagram(model);  generateDotDiagram(model);  generateSvgDiagram(model);
+
+const CHAR_WIDTH = 7.2; // 12px monospace
+const LINE_HEIGHT = 18;
+const HEADER_HEIGHT = 26;
+const BOX_PADDING = 10;
+const LABEL_CHAR_WIDTH = 6.6; // 11px italic relationship labels
+const GAP_X = 90; // widened to fit the longest relationship label
+const GAP_Y = 80;
+const MARGIN = 30;
+
+/**
+ * How many `from` records one `to` record has (left end), and how many `to` records
+ * one `from` record has (right end). `required` on a side makes the far end mandatory.
+ */
+function relationshipEnds(rel) {
+  const t = String(rel.type).toLowerCase();
+  return {
+    from: { many: t === 'manytoone' || t === 'manytomany', required: !!rel.toRequired },
+    to: { many: t === 'onetomany' || t === 'manytomany', required: !!rel.fromRequired },
+  };
+}
+
+function cardinalityText({ many, required }) {
+  if (many) return required ? '1..*' : '*';
+  return required ? '1' : '0..1';
+}
+
+function relationshipLabel(rel) {
+  const names = [rel.fromField, rel.toField].filter(Boolean);
+  return names.length ? names.join(' / ') : rel.type;
+}
+
+/** Attributes shown for an entity: its own fields, relationships are drawn as edges. */
+function attributesOf(fields = []) {
+  return fields
+    .filter((f) => f && !f.isRelationship)
+    .map((f) => ({
+      name: f.name,
+      type: f.type,
+      required: !!f.required,
+      unique: !!(f.validations && f.validations.unique),
+      id: f.name === 'id',
+    }));
+}
+
+function relationshipsOf(model) {
+  const entities = model.entities || {};
+  return (model.relationships || []).filter((r) => entities[r.from] && entities[r.to]);
+}
+
+// ---------------------------------------------------------------- Mermaid
+
+function generateMermaidDiagram(model) {
+  const lines = ['erDiagram'];
+  Object.entries(model.entities || {}).forEach(([name, fields]) => {
+    lines.push(`  ${name} {`);
+    attributesOf(fields).forEach((a) => {
+      const key = a.id ? ' PK' : a.unique ? ' UK' : '';
+      const comment = a.required ? ' "required"' : '';
+      lines.push(`    ${mermaidType(a.type)} ${a.name}${key}${comment}`);
+    });
+    lines.push('  }');
+  });
+  relationshipsOf(model).forEach((rel) => {
+    const ends = relationshipEnds(rel);
+    const left = ends.from.many ? (ends.from.required ? '}|' : '}o') : (ends.from.required ? '||' : '|o');
+    const right = ends.to.many ? (ends.to.required ? '|{' : 'o{') : (ends.to.required ? '||' : 'o|');
+    lines.push(`  ${rel.from} ${left}--${right} ${rel.to} : "${relationshipLabel(rel).replace(/"/g, "'")}"`);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/** Mermaid attribute types are single words: `byte[]` or `Map<..>` would break the block. */
+function mermaidType(type) {
+  return String(type || 'String').replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+// ---------------------------------------------------------------- DOT
+
+function generateDotDiagram(model, { name = 'Domain' } = {}) {
+  const out = [
+    `digraph ${dotId(name)} {`,
+    '  graph [rankdir=LR, fontname="Helvetica", nodesep=0.6, ranksep=1.1];',
+    '  node [shape=plaintext, fontname="Helvetica", fontsize=11];',
+    '  edge [fontname="Helvetica", fontsize=10, arrowhead=none, color="#555555"];',
+    '',
+  ];
+  Object.entries(model.entities || {}).forEach(([entity, fields]) => {
+    const rows = attributesOf(fields).map((a) => (
+      `<tr><td align="left">${htmlEscape(a.name)}${a.required ? ' *' : ''}</td><td align="left"><font color="#666666">${htmlEscape(a.type)}</font></td></tr>`
+    ));
+    out.push(`  ${dotId(entity)} [label=<<table border="0" cellborder="1" cellspacing="0" cellpadding="4">`
+      + `<tr><td colspan="2" bgcolor="#dde6f7"><b>${htmlEscape(entity)}</b></td></tr>${rows.join('')}</table>>];`);
+  });
+  out.push('');
+  relationshipsOf(model).forEach((rel) => {
+    const ends = relationshipEnds(rel);
+    out.push(`  ${dotId(rel.from)} -> ${dotId(rel.to)} [label="${dotEscape(relationshipLabel(rel))}", `
+      + `taillabel="${cardinalityText(ends.from)}", headlabel="${cardinalityText(ends.to)}"];`);
+  });
+  out.push('}');
+  return `${out.join('\n')}\n`;
+}
+
+function dotId(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `"${dotEscape(name)}"`;
+}
+
+function dotEscape(s) {
+  return String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+// ---------------------------------------------------------------- SVG
+
+/**
+ * Static SVG: entity boxes on a grid, ordered breadth-first along relationships so
+ * related entities end up next to each other; straight edges between box borders.
+ */
+function generateSvgDiagram(model, { title = '' } = {}) {
+  const entities = model.entities || {};
+  const rels = relationshipsOf(model);
+  const boxes = {};
+  Object.entries(entities).forEach(([name, fields]) => {
+    const lines = attributesOf(fields).map((a) => `${a.name}${a.required ? '*' : ''}: ${a.type}`);
+    const widest = Math.max(name.length + 2, ...lines.map((l) => l.length), 8);
+    boxes[name] = {
+      name,
+      lines,
+      width: Math.ceil(widest * CHAR_WIDTH + BOX_PADDING * 2),
+      height: HEADER_HEIGHT + lines.length * LINE_HEIGHT + BOX_PADDING,
+    };
+  });
+
+  const order = layoutOrder(Object.keys(entities), rels);
+  const cols = Math.max(1, Math.ceil(Math.sqrt(order.length)));
+  const colWidths = [];
+  const rowHeights = [];
+  order.forEach((name, i) => {
+    const col = i % cols;
+    const row = Math.floor(i / cols);
+    colWidths[col] = Math.max(colWidths[col] || 0, boxes[name].width);
+    rowHeights[row] = Math.max(rowHeights[row] || 0, boxes[name].height);
+  });
+  const top = MARGIN + (title ? 30 : 0);
+  const gapX = Math.min(240, Math.max(GAP_X, ...rels.map((r) => relationshipLabel(r).length * LABEL_CHAR_WIDTH + 24)));
+  const colX = colWidths.map((_, c) => MARGIN + colWidths.slice(0, c).reduce((sum, w) => sum + w + gapX, 0));
+  const rowY = rowHeights.map((_, r) => top + rowHeights.slice(0, r).reduce((sum, h) => sum + h + GAP_Y, 0));
+  order.forEach((name, i) => {
+    const box = boxes[name];
+    box.x = colX[i % cols] + (colWidths[i % cols] - box.width) / 2;
+    box.y = rowY[Math.floor(i / cols)];
+  });
+  const width = colX.length ? colX[colX.length - 1] + colWidths[colWidths.length - 1] + MARGIN : MARGIN * 2;
+  const height = rowY.length ? rowY[rowY.length - 1] + rowHeights[rowHeights.length - 1] + MARGIN : top + MARGIN;
+
+  const pairCount = {};
+  const edges = rels.map((rel) => {
+    const key = [rel.from, rel.to].sort().join('|');
+    const index = pairCount[key] = (pairCount[key] || 0) + 1;
+    return svgEdge(rel, boxes[rel.from], boxes[rel.to], index);
+  });
+  const nodes = order.map((name) => svgBox(boxes[name]));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${Math.ceil(width)}" height="${Math.ceil(height)}" viewBox="0 0 ${Math.ceil(width)} ${Math.ceil(height)}" font-family="Menlo, Consolas, 'DejaVu Sans Mono', monospace" font-size="12">
+  <style>
+    .box { fill: #ffffff; stroke: #4a6fa5; stroke-width: 1.2; }
+    .header { fill: #dde6f7; stroke: #4a6fa5; stroke-width: 1.2; }
+    .entity { font-weight: bold; fill: #1d2b45; }
+    .field { fill: #333333; }
+    .edge { stroke: #666666; stroke-width: 1.2; fill: none; }
+    .card { fill: #8a2d2d; font-size: 11px; }
+    .rel { fill: #555555; font-size: 11px; font-style: italic; paint-order: stroke; stroke: #ffffff; stroke-width: 3px; }
+  </style>
+  <rect width="100%" height="100%" fill="#fafbfd"/>
+${title ? `  <text x="${MARGIN}" y="${MARGIN + 6}" font-size="16" font-weight="bold">${xmlEscape(title)}</text>\n` : ''}${edges.join('\n')}
+${nodes.join('\n')}
+</svg>
+`;
+}
+
+/** Breadth-first from the most connected entity of each connected group. */
+function layoutOrder(names, rels) {
+  const neighbours = {};
+  names.forEach((n) => { neighbours[n] = new Set(); });
+  rels.forEach((r) => {
+    if (r.from === r.to) return;
+    neighbours[r.from].add(r.to);
+    neighbours[r.to].add(r.from);
+  });
+  const byDegree = [...names].sort((a, b) => neighbours[b].size - neighbours[a].size);
+  const order = [];
+  const seen = new Set();
+  byDegree.forEach((start) => {
+    if (seen.has(start)) return;
+    const queue = [start];
+    seen.add(start);
+    while (queue.length) {
+      const current = queue.shift();
+      order.push(current);
+      [...neighbours[current]]
+        .sort((a, b) => neighbours[b].size - neighbours[a].size)
+        .forEach((n) => {
+          if (!seen.has(n)) {
+            seen.add(n);
+            queue.push(n);
+          }
+        });
+    }
+  });
+  return order;
+}
+
+function svgBox(box) {
+  const fields = box.lines.map((line, i) => (
+    `    <text class="field" x="${box.x + BOX_PADDING}" y="${box.y + HEADER_HEIGHT + (i + 1) * LINE_HEIGHT - 4}">${xmlEscape(line)}</text>`
+  ));
+  return `  <g>
+    <rect class="box" x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" rx="4"/>
+    <rect class="header" x="${box.x}" y="${box.y}" width="${box.width}" height="${HEADER_HEIGHT}" rx="4"/>
+    <text class="entity" x="${box.x + box.width / 2}" y="${box.y + 17}" text-anchor="middle">${xmlEscape(box.name)}</text>
+${fields.join('\n')}
+  </g>`;
+}
+
+function svgEdge(rel, a, b, index) {
+  const ends = relationshipEnds(rel);
+  const label = xmlEscape(relationshipLabel(rel));
+  if (a === b) {
+    // self relationship: loop around the top-right corner, from the top edge to the right edge
+    const right = a.x + a.width;
+    const sx = right - 24 - (index - 1) * 16;
+    const ey = a.y + 18 + (index - 1) * 16;
+    const reach = 30 + (index - 1) * 10;
+    return `  <path class="edge" d="M ${sx} ${a.y} C ${sx} ${a.y - reach}, ${right + reach} ${ey}, ${right} ${ey}"/>
+  <text class="card" x="${sx - 4}" y="${a.y - 4}" text-anchor="end">${cardinalityText(ends.from)}</text>
+  <text class="card" x="${right + 4}" y="${ey + 14}">${cardinalityText(ends.to)}</text>
+  <text class="rel" x="${right + 8}" y="${a.y - reach / 2}">${label}</text>`;
+  }
+
+  // parallel edges between the same pair are spread out sideways
+  const ax = a.x + a.width / 2;
+  const ay = a.y + a.height / 2;
+  const bx = b.x + b.width / 2;
+  const by = b.y + b.height / 2;
+  const len = Math.hypot(bx - ax, by - ay) || 1;
+  const nx = -(by - ay) / len;
+  const ny = (bx - ax) / len;
+  const side = index % 2 ? 1 : -1;
+  const offset = Math.ceil((index - 1) / 2) * 24 * side;
+  const [sx, sy] = clipToBox(ax + nx * offset, ay + ny * offset, bx + nx * offset, by + ny * offset, a);
+  const [tx, ty] = clipToBox(bx + nx * offset, by + ny * offset, ax + nx * offset, ay + ny * offset, b);
+  const ux = (tx - sx) / (Math.hypot(tx - sx, ty - sy) || 1);
+  const uy = (ty - sy) / (Math.hypot(tx - sx, ty - sy) || 1);
+  const cardAt = (x, y, dir) => [x + ux * dir * 16 + nx * 9, y + uy * dir * 16 + ny * 9 + 4];
+  const [c1x, c1y] = cardAt(sx, sy, 1);
+  const [c2x, c2y] = cardAt(tx, ty, -1);
+  // label above a horizontal-ish edge, beside a vertical-ish one (on the side it was shifted to)
+  const vertical = Math.abs(ty - sy) > Math.abs(tx - sx);
+  const lx = (sx + tx) / 2 + (vertical ? Math.sign(nx * side || 1) * 6 : 0);
+  const ly = (sy + ty) / 2 + (vertical ? 4 : -4);
+  const anchor = !vertical ? 'middle' : lx >= (sx + tx) / 2 ? 'start' : 'end';
+  return `  <line class="edge" x1="${round(sx)}" y1="${round(sy)}" x2="${round(tx)}" y2="${round(ty)}"/>
+  <text class="card" x="${round(c1x)}" y="${round(c1y)}" text-anchor="middle">${cardinalityText(ends.from)}</text>
+  <text class="card" x="${round(c2x)}" y="${round(c2y)}" text-anchor="middle">${cardinalityText(ends.to)}</text>
+  <text class="rel" x="${round(lx)}" y="${round(ly)}" text-anchor="${anchor}">${label}</text>`;
+}
+
+/** Point where the segment from (x1,y1) inside `box` towards (x2,y2) leaves the box. */
+function clipToBox(x1, y1, x2, y2, box) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const ts = [];
+  if (dx) ts.push(((dx > 0 ? box.x + box.width : box.x) - x1) / dx);
+  if (dy) ts.push(((dy > 0 ? box.y + box.height : box.y) - y1) / dy);
+  const t = Math.max(0, Math.min(1, ...ts.filter((v) => v >= 0)));
+  return [x1 + dx * t, y1 + dy * t];
+}
+
+function round(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function xmlEscape(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const htmlEscape = xmlEscape;
+
+module.exports = {
+  generateMermaidDiagram,
+  generateDotDiagram,
+  generateSvgDiagram,
+};
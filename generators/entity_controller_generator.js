@@ -3,8 +3,11 @@
 // - GetxController per entity
 // - List state: items, isLoading, page, size, total, sort, query (debounced)
 // - CRUD via <Entity>Service
-// - Search (Elasticsearch) when query is non-empty; otherwise criteria list
+// - Search (Elasticsearch) when query is non-empty and the entity has `search`; otherwise criteria list
+// - Page/size are only sent for entities with `paginate` (others load the whole list)
 // - Relationship option loaders (single: Rxn<T>; multi: RxList<T>)
+// - Inverse sides: after a save/delete, controllers of related entities that cache this
+//   record in a collection (`Customer.orders` for `Order.customer`) reload their list
 // - Form state owned by controller (Stateless GetView forms bind to this)
 // - Helpers: beginCreate/beginEdit, submit (create/update), delete, refresh
 //
@@ -32,17 +35,15 @@ function generateEntityControllerTemplate(entityName, fields, parsedEnums = {},
   const tenantEnabled = !!tenantIsolation.enabled && !!tenantIsolation.fieldName;
   const tenantFieldName = tenantIsolation.fieldName;
   const enableSQLite = !!options.enableSQLite;
+  const searchEnabled = options.search !== false;
+  const paginateEnabled = options.paginate !== false;
 
   // Relationships
   const rels = fields.filter(f => f.isRelationship);
-  const singleRels = rels.filter(f => {
-    const t = (f.relationshipType || '').toLowerCase();
-    return t === 'manytoone' || t === 'onetoone';
-  });
-  const multiRels = rels.filter(f => {
-    const t = (f.relationshipType || '').toLowerCase();
-    return t === 'onetomany' || t === 'manytomany';
-  });
+  const singleRels = rels.filter(f => !f.isCollection);
+  const multiRels = rels.filter(f => f.isCollection);
+  // Relationships whose other side holds a list of this entity (M2O -> O2M, M2M -> M2M)
+  const inverseCollectionRels = rels.filter(f => f.inverse && f.targetEntity !== entityName && (f.relKind === 'M2O' || f.relKind === 'M2M'));
 
   const multiRelMeta = multiRels.map((r) => ({
     ...r,
@@ -52,6 +53,7 @@ function generateEntityControllerTemplate(entityName, fields, parsedEnums = {},
   // Collect imports for related models & services
   const relModelImports = Array.from(new Set(rels.map(r => `import '../models/${toFileName(r.targetEntity)}_model.dart';`))).join('\n');
   const relServiceImports = Array.from(new Set(rels.map(r => `import '../services/${toFileName(r.targetEntity)}_service.dart';`))).join('\n');
+  const inverseControllerImports = Array.from(new Set(inverseCollectionRels.map(r => `import '${toFileName(r.targetEntity)}_controller.dart';`))).join('\n');
 
   // Enums used by primitive fields
   const enumTypesUsed = Array.from(new Set(fields.filter(f => !f.isRelationship && parsedEnums?.[f.type]).map(f => f.type)));
@@ -117,8 +119,7 @@ function generateEntityControllerTemplate(entityName, fields, parsedEnums = {},
     if (n === 'id') return `      id: _editing.value?.id,`;
     if (f.isAudit) return `      ${n}: _editing.value?.${n},`;
     if (f.isRelationship) {
-      const t = (f.relationshipType || '').toLowerCase();
-      if (t === 'onetomany' || t === 'manytomany') {
+      if (f.isCollection) {
         const relMeta = multiRelMeta.find((meta) => meta.name === n);
         const stateName = relMeta ? relMeta.stateName : n;
         return `      ${n}: ${stateName}.toList(),`;
@@ -209,8 +210,84 @@ function generateEntityControllerTemplate(entityName, fields, parsedEnums = {},
   }`;
   }).join('\n');
 
+  // inverse sides: one refresh per related controller, with the ids this record left or joined
+  const inverseTargets = Array.from(new Set(inverseCollectionRels.map(r => r.targetEntity)));
+  const inverseRefresh = inverseTargets.map((target) => {
+    const ids = inverseCollectionRels.filter(r => r.targetEntity === target).flatMap(r => (r.isCollection
+      ? [`...?before?.${r.name}?.map((e) => e.id)`, `...?after?.${r.name}?.map((e) => e.id)`]
+      : [`before?.${r.name}?.id`, `after?.${r.name}?.id`]));
+    return `    if (Get.isRegistered<${target}Controller>()) {
+      Get.find<${target}Controller>().refreshIfCached([${ids.join(', ')}]);
+    }`;
+  }).join('\n');
+  const inverseDoc = inverseCollectionRels.map(r => `${r.targetEntity}.${r.inverse.fieldName}`).join(', ');
+  const inverseHelper = inverseTargets.length
+    ? `
+  // ===== Inverse sides =====
+
+  /// ${inverseDoc} cache this record; reload the lists it left or joined.
+  void _refreshInverseSides(${modelClass}? before, ${modelClass}? after) {
+${inverseRefresh}
+  }
+`
+    : '';
+  const refreshInverseAfterSave = inverseTargets.length ? '      _refreshInverseSides(before, model);\n' : '';
+  const refreshInverseAfterDelete = inverseTargets.length ? '      _refreshInverseSides(m, null);\n' : '';
+
   // controller content
   const syncImport = enableSQLite ? "import '../core/sync/sync_service.dart';\n" : '';
+  // Entities without `paginate` return the whole collection, so page/size are not sent.
+  const pageArgs = (pad) => (paginateEnabled ? `${pad}page: page.value,\n${pad}size: size.value,\n` : '');
+  const listCall = (pad) => `${pad}final res = await service.listPaged(
+${pageArgs(pad + '  ')}${pad}  sort: sort.toList(),
+${pad}  filters: filters.isNotEmpty ? filters : null,
+${pad});
+${pad}items.assignAll(res.items);
+${pad}total.value = res.total ?? res.items.length;
+`;
+  const searchBranch = searchEnabled
+    ? `      var loadedViaSearch = false;
+      final trimmedQuery = (query.value).trim();
+      if (_searchSupported && trimmedQuery.isNotEmpty) {
+        try {
+          final wildcardQuery = _wildcardQuery(trimmedQuery);
+          final res = await service.search(
+            query: wildcardQuery,
+${pageArgs('            ')}            sort: sort.toList(),
+            filters: filters.isNotEmpty ? filters : null,
+          );
+          items.assignAll(res.items);
+          total.value = res.total ?? res.items.length;
+          loadedViaSearch = true;
+        } catch (e) {
+          final message = e.toString().toLowerCase();
+          final isNotFound = message.contains('http 404') || message.contains('not found');
+          if (!isNotFound) {
+            rethrow;
+          }
+          // mark search as unsupported so we stop hitting the missing endpoint
+          _searchSupported = false;
+          // fall through to standard list load when search endpoint is unavailable
+        }
+      }
+
+`
+    : '';
+  const listBranch = searchEnabled
+    ? `      if (!loadedViaSearch) {\n${listCall('        ')}      }\n`
+    : listCall('      ');
+  const wildcardHelper = searchEnabled
+    ? `  String _wildcardQuery(String raw) {
+    final term = raw.trim();
+    if (term.isEmpty) return term;
+    final normalized = term.replaceAll('*', '');
+    if (normalized.isEmpty) return '*';
+    return '*\$normalized*';
+  }
+
+`
+    : '';
+
   const syncInitCall = enableSQLite
     ? '    if (Get.isRegistered<SyncService>()) {\n      Get.find<SyncService>().syncNow().catchError((_) {});\n    }\n'
     : '';
@@ -224,7 +301,7 @@ import 'dart:html' as html;
 import '../core/env/env.dart';
 ${syncImport}import '../models/${toFileName(entityName)}_model.dart';
 import '../services/${toFileName(entityName)}_service.dart';
-${enumImports ? enumImports + '\n' : ''}${relModelImports ? relModelImports + '\n' : ''}${relServiceImports ? relServiceImports + '\n' : ''}
+${enumImports ? enumImports + '\n' : ''}${relModelImports ? relModelImports + '\n' : ''}${relServiceImports ? relServiceImports + '\n' : ''}${inverseControllerImports ? inverseControllerImports + '\n' : ''}
 
 /// Controller for ${entityName} list & form state.
 class ${className} extends GetxController {
@@ -232,8 +309,7 @@ class ${className} extends GetxController {
   final RxList<${modelClass}> items = <${modelClass}>[].obs;
   final RxBool isLoading = false.obs;
   final RxBool isSaving = false.obs;
-  static bool _searchSupported = true;
-
+${searchEnabled ? '  static bool _searchSupported = true;\n' : ''}
   final RxInt page = 0.obs;
   final RxInt size = 0.obs;
   final RxInt total = 0.obs;
@@ -306,44 +382,7 @@ ${primFields.filter(f => !isEnumType(f.type, parsedEnums) && !isBooleanType(f.ty
       isLoading.value = true;
       page.value = p;
 
-      var loadedViaSearch = false;
-      final trimmedQuery = (query.value).trim();
-      if (_searchSupported && trimmedQuery.isNotEmpty) {
-        try {
-          final wildcardQuery = _wildcardQuery(trimmedQuery);
-          final res = await service.search(
-            query: wildcardQuery,
-            page: page.value,
-            size: size.value,
-            sort: sort.toList(),
-            filters: filters.isNotEmpty ? filters : null,
-          );
-          items.assignAll(res.items);
-          total.value = res.total ?? res.items.length;
-          loadedViaSearch = true;
-        } catch (e) {
-          final message = e.toString().toLowerCase();
-          final isNotFound = message.contains('http 404') || message.contains('not found');
-          if (!isNotFound) {
-            rethrow;
-          }
-          // mark search as unsupported so we stop hitting the missing endpoint
-          _searchSupported = false;
-          // fall through to standard list load when search endpoint is unavailable
-        }
-      }
-
-      if (!loadedViaSearch) {
-        final res = await service.listPaged(
-          page: page.value,
-          size: size.value,
-          sort: sort.toList(),
-          filters: filters.isNotEmpty ? filters : null,
-        );
-        items.assignAll(res.items);
-        total.value = res.total ?? res.items.length;
-      }
-    } catch (e) {
+${searchBranch}${listBranch}    } catch (e) {
       _error('Failed to load ${entityName} list', e);
     } finally {
       isLoading.value = false;
@@ -384,15 +423,7 @@ ${primFields.filter(f => !isEnumType(f.type, parsedEnums) && !isBooleanType(f.ty
     loadPage(0);
   }
 
-  String _wildcardQuery(String raw) {
-    final term = raw.trim();
-    if (term.isEmpty) return term;
-    final normalized = term.replaceAll('*', '');
-    if (normalized.isEmpty) return '*';
-    return '*\$normalized*';
-  }
-
-  // ===== Form flow =====
+${wildcardHelper}  // ===== Form flow =====
 
   void beginCreate() {
     _editing.value = null;
@@ -412,7 +443,7 @@ ${primFields.filter(f => !isEnumType(f.type, parsedEnums) && !isBooleanType(f.ty
 
   Future<bool> submitForm() async {
     final model = _buildModelFromForm();
-    try {
+${inverseTargets.length ? '    final before = _editing.value;\n' : ''}    try {
       isSaving.value = true;
       if (_editing.value?.id == null) {
         final created = await service.create(model);
@@ -423,7 +454,7 @@ ${primFields.filter(f => !isEnumType(f.type, parsedEnums) && !isBooleanType(f.ty
         _editing.value = updated;
         _info('${entityName} updated');
       }
-      await loadPage(page.value);
+${refreshInverseAfterSave}      await loadPage(page.value);
       return true;
     } catch (e) {
       _error('Failed to save ${entityName}', e);
@@ -438,7 +469,7 @@ ${primFields.filter(f => !isEnumType(f.type, parsedEnums) && !isBooleanType(f.ty
       isSaving.value = true;
       await service.delete(m.id);
       _info('${entityName} deleted');
-      await loadPage(page.value);
+${refreshInverseAfterDelete}      await loadPage(page.value);
     } catch (e) {
       _error('Failed to delete ${entityName}', e);
     } finally {
@@ -446,10 +477,19 @@ ${primFields.filter(f => !isEnumType(f.type, parsedEnums) && !isBooleanType(f.ty
     }
   }
 
+  /// Reloads the current page when it shows any of [ids]; called by controllers of
+  /// related entities after a change to a record these items embed.
+  Future<void> refreshIfCached(Iterable<dynamic> ids) async {
+    final wanted = ids.where((id) => id != null).toSet();
+    if (wanted.isNotEmpty && items.any((e) => wanted.contains(e.id))) {
+      await loadPage(page.value);
+    }
+  }
+
   // ===== Relation options loaders =====
 ${singleLoaders}
 ${multiLoaders}
-
+${inverseHelper}
   // ===== Internals =====
 
   void _fillForm(${modelClass}? m) {
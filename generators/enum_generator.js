@@ -3,11 +3,16 @@
 // - Simple Dart enum + (de)serialization helpers
 // - Keeps original JDL enum value tokens (after sanitizing to valid identifiers)
 // - Produces toJson()/fromJson-style top-level helpers
+// - `label` getter: the JDL custom value (`IN_PROGRESS (In progress)`) or a humanized token
 //
 // Usage:
-//   const dart = generateEnumTemplate('Status', ['NEW','ACTIVE','PAUSED']);
+//   const dart = generateEnumTemplate('Status', ['NEW','ACTIVE','PAUSED'], { values: enumValues.Status });
 //   // writes to lib/enums/status_enum.dart
 
+const { enumTokenLabel } = require('./helpers/enum_labels');
+const { dartStringEscape } = require('./helpers/validations');
+const { dartDocComment } = require('./helpers/docs');
+
 function sanitizeEnumMember(name) {
   // Dart identifier: letters, digits, underscore; cannot start with digit.
   let s = String(name || '').trim();
@@ -19,29 +24,50 @@ function sanitizeEnumMember(name) {
   return s;
 }
 
-function generateEnumTemplate(enumName, values = []) {
+function generateEnumTemplate(enumName, values = [], options = {}) {
   const enumId = String(enumName).trim();
   const fileHeader = `// ignore_for_file: constant_identifier_names
 
 /// Generated enum for ${enumId} (from JDL).
-/// Values are serialized as their enum token (e.g., 'ACTIVE').
+/// Values are serialized as their enum token (e.g., 'ACTIVE'); [label] is for display.
 `;
 
-  const sanitized = values
-    .map(v => sanitizeEnumMember(v))
-    .filter((v, i, arr) => v && arr.indexOf(v) === i);
+  // { token, member, label, doc } per value; metadata comes from parser enumValues
+  const meta = options.values || [];
+  const members = values
+    .map((token) => {
+      const info = meta.find(v => v.name === token) || {};
+      return {
+        token,
+        member: sanitizeEnumMember(token),
+        label: info.label || enumTokenLabel(token),
+        doc: info.doc,
+      };
+    })
+    .filter((m, i, arr) => m.member && arr.findIndex(x => x.member === m.member) === i);
 
   const enumDecl = `enum ${enumId} {
-  ${sanitized.join(',\n  ')}
+${members.map(m => `${dartDocComment(m.doc, '  ')}  ${m.member}`).join(',\n')}
 }
 `;
 
+  const labelEntries = members
+    .map(m => `  ${enumId}.${m.member}: '${dartStringEscape(m.label)}',`)
+    .join('\n');
+
   // Helper functions use toString().split('.') to avoid depending on Dart's .name property.
   const helpers = `extension ${enumId}X on ${enumId} {
   /// 'Status.ACTIVE' -> 'ACTIVE'
   String get value => toString().split('.').last;
+
+  /// Display label, e.g. 'In progress' for IN_PROGRESS (translate with \`.tr\`).
+  String get label => _${_lcFirst(enumId)}Labels[this] ?? value;
 }
 
+const Map<${enumId}, String> _${_lcFirst(enumId)}Labels = {
+${labelEntries}
+};
+
 /// Try to parse any input to the enum; returns null if no match.
 /// Accepts the raw token ('ACTIVE') or a full 'EnumName.TOKEN' string.
 ${enumId}? ${_lcFirst(enumId)}FromJson(Object? input) {
@@ -1,5 +1,9 @@
 // generators/env_generator.js
-// Emits lib/core/env/env.dart with two baked profiles and security options.
+// Emits lib/core/env/env.dart with the baked profiles (dev, prod and any other named in
+// YAML) and security options. Each profile is an EnvConfig factory registered by
+// Env.initGenerated(), so `--dart-define=ENV=<name>` selects it in main.dart.
+
+const { pascalCase } = require('../utils/naming');
 
 function dartList(list) {
   return `const [${(list || []).map(v => JSON.stringify(v)).join(', ')}]`.replace(/"/g, '\'');
@@ -54,13 +58,80 @@ function themeLiteral(theme) {
     )`;
 }
 
-function generateEnvTemplate({ devProfile, prodProfile }) {
-  const dev = devProfile || {};
-  const prod = prodProfile || {};
-  const DOLLAR = '$';
+// EnvConfig factory of profile `name` (`p`); values it lacks come from `fallback` (dev), then the defaults
+function profileFactory(name, p, fallback) {
+  const f = fallback;
+  return `  static EnvConfig ${factoryName(name)}() => EnvConfig(
+    appName: ${dartStringOrNull(p.appName || f.appName || 'FHipster')},
+    envName: ${dartStringOrNull(p.envName || name)},
+    theme: ${themeLiteral(p.theme)},
+    apiHost: ${dartStringOrNull(p.apiHost || f.apiHost || 'http://localhost:8080')},
+    useGateway: ${boolOr(p.useGateway, f.useGateway || false)},
+    gatewayServiceName: ${dartStringOrNull(p.gatewayServiceName || f.gatewayServiceName || null)},
+
+    authProvider: AuthProvider.${(p.authProvider || f.authProvider || 'keycloak') === 'jhipsterJwt' ? 'jhipsterJwt' : 'keycloak'},
+
+    jwtAuthEndpoint: ${dartStringOrNull(p.jwtAuthEndpoint || f.jwtAuthEndpoint || '/api/authenticate')},
+    accountEndpoint: ${dartStringOrNull(p.accountEndpoint || f.accountEndpoint || '/api/account')},
+    allowCredentialCacheForJwt: ${boolOr(p.allowCredentialCacheForJwt, f.allowCredentialCacheForJwt || false)},
+
+    tokenEndpoint: ${dartStringOrNull(p.keycloakTokenEndpoint || f.keycloakTokenEndpoint || null)},
+    logoutEndpoint: ${dartStringOrNull(p.keycloakLogoutEndpoint || f.keycloakLogoutEndpoint || null)},
+    authorizeEndpoint: ${dartStringOrNull(p.keycloakAuthorizeEndpoint || f.keycloakAuthorizeEndpoint || null)},
+    userinfoEndpoint: ${dartStringOrNull(p.keycloakUserinfoEndpoint || f.keycloakUserinfoEndpoint || null)},
+    keycloakClientId: ${dartStringOrNull(p.keycloakClientId || f.keycloakClientId || null)},
+    keycloakClientSecret: ${dartStringOrNull(p.keycloakClientSecret || f.keycloakClientSecret || null)},
+    keycloakScopes: ${dartList(p.keycloakScopes || f.keycloakScopes || ['openid','profile','email','offline_access'])},
+
+    defaultPageSize: ${(p.defaultPageSize ?? f.defaultPageSize ?? 20)},
+    pageSizeOptions: ${JSON.stringify(p.pageSizeOptions || f.pageSizeOptions || [10,20,50,100]).replace(/"/g, '')},
+    defaultSort: ${JSON.stringify(p.defaultSort || f.defaultSort || ['id,desc']).replace(/"/g, '\'')},
+    defaultSearchSort: ${JSON.stringify(p.defaultSearchSort || f.defaultSearchSort || ['_score,desc']).replace(/"/g, '\'')},
+    distinctByDefault: ${boolOr(p.distinctByDefault, f.distinctByDefault || false)},
+
+    totalCountHeaderName: ${dartStringOrNull(p.totalCountHeaderName || f.totalCountHeaderName || 'X-Total-Count')},
+    storageKeyAccessToken: ${dartStringOrNull(p.storageKeyAccessToken || f.storageKeyAccessToken || 'fh_access_token')},
+    storageKeyAccessExpiry: ${dartStringOrNull(p.storageKeyAccessExpiry || f.storageKeyAccessExpiry || 'fh_access_expiry')},
+    storageKeyRefreshToken: ${dartStringOrNull(p.storageKeyRefreshToken || f.storageKeyRefreshToken || 'fh_refresh_token')},
+    storageKeyRefreshExpiry: ${dartStringOrNull(p.storageKeyRefreshExpiry || f.storageKeyRefreshExpiry || 'fh_refresh_expiry')},
+    storageKeyRememberedUsername: ${dartStringOrNull(p.storageKeyRememberedUsername || f.storageKeyRememberedUsername || 'fh_remembered_username')},
+
+    relationshipPayloadMode: ${relMode(p.relationshipPayloadMode || f.relationshipPayloadMode || 'idOnly')},
+
+    storageMode: ${dartStringOrNull(p.storageMode || f.storageMode || 'get_storage')},
+    httpStrict: ${boolOr(p.httpStrict, f.httpStrict || false)},
+    pinnedSha256Certs: ${JSON.stringify(p.pinnedSha256Certs || f.pinnedSha256Certs || []).replace(/"/g, '\'')},
+
+    pluralOverrides: ${dartMap(p.pluralOverrides || f.pluralOverrides || {})},
+
+    tenantIsolationEnabled: ${boolOr(p.tenantIsolationEnabled, f.tenantIsolationEnabled || false)},
+    tenantFieldName: ${dartStringOrNull(p.tenantFieldName || f.tenantFieldName || null)},
+
+    syncInterval: Duration(minutes: ${(p.syncIntervalMinutes ?? f.syncIntervalMinutes ?? 15)}),
+  );
+`;
+}
+
+// Dart factory of a profile: _dev(), _prod(), _profileStaging()
+function factoryName(name) {
+  return name === 'dev' || name === 'prod' ? `_${name}` : `_profile${pascalCase(name)}`;
+}
+
+// 'dev' and 'prod', 'dev', 'prod' and 'staging'
+function quotedList(names) {
+  const quoted = names.map((n) => `'${n}'`);
+  return quoted.length > 1 ? `${quoted.slice(0, -1).join(', ')} and ${quoted[quoted.length - 1]}` : quoted.join('');
+}
+
+// `profiles`: every profile by name; dev and prod are always emitted (first)
+function generateEnvTemplate({ devProfile, prodProfile, profiles: named = {} } = {}) {
+  const profiles = { dev: devProfile || {}, prod: prodProfile || {}, ...named };
+  const names = Object.keys(profiles);
+  const dev = profiles.dev;
+  const factories = names.map((name) => profileFactory(name, profiles[name], name === 'dev' ? {} : dev)).join('\n');
 
   return `// GENERATED by FHipster — do not edit by hand.
-// You may switch profile at runtime with: Env.setProfile('dev'|'prod').
+// You may switch profile at runtime with: Env.setProfile(${names.map((n) => `'${n}'`).join('|')}).
 
 import 'package:get/get.dart';
 
@@ -237,11 +308,10 @@ class Env {
 
   static EnvConfig get() => _active;
 
-  /// Registers the baked-in 'dev' and 'prod' profiles generated from YAML.
+  /// Registers the baked-in ${quotedList(names)} profiles generated from YAML.
   static void initGenerated() {
     registerProfiles({
-      'dev': _dev(),
-      'prod': _prod(),
+${names.map((name) => `      '${name}': ${factoryName(name)}(),`).join('\n')}
     });
     _active = _dev();
   }
@@ -351,104 +421,7 @@ class Env {
 
   // ------------ Baked profiles ------------
 
-  static EnvConfig _dev() => EnvConfig(
-    appName: ${dartStringOrNull(dev.appName || 'FHipster')},
-    envName: ${dartStringOrNull(dev.envName || 'dev')},
-    theme: ${themeLiteral(dev.theme)},
-    apiHost: ${dartStringOrNull(dev.apiHost || 'http://localhost:8080')},
-    useGateway: ${boolOr(dev.useGateway, false)},
-    gatewayServiceName: ${dartStringOrNull(dev.gatewayServiceName || null)},
-
-    authProvider: AuthProvider.${(dev.authProvider || 'keycloak') === 'jhipsterJwt' ? 'jhipsterJwt' : 'keycloak'},
-
-    jwtAuthEndpoint: ${dartStringOrNull(dev.jwtAuthEndpoint || '/api/authenticate')},
-    accountEndpoint: ${dartStringOrNull(dev.accountEndpoint || '/api/account')},
-    allowCredentialCacheForJwt: ${boolOr(dev.allowCredentialCacheForJwt, false)},
-
-    tokenEndpoint: ${dartStringOrNull(dev.keycloakTokenEndpoint || null)},
-    logoutEndpoint: ${dartStringOrNull(dev.keycloakLogoutEndpoint || null)},
-    authorizeEndpoint: ${dartStringOrNull(dev.keycloakAuthorizeEndpoint || null)},
-    userinfoEndpoint: ${dartStringOrNull(dev.keycloakUserinfoEndpoint || null)},
-    keycloakClientId: ${dartStringOrNull(dev.keycloakClientId || null)},
-    keycloakClientSecret: ${dartStringOrNull(dev.keycloakClientSecret || null)},
-    keycloakScopes: ${dartList(dev.keycloakScopes || ['openid','profile','email','offline_access'])},
-
-    defaultPageSize: ${(dev.defaultPageSize ?? 20)},
-    pageSizeOptions: ${JSON.stringify(dev.pageSizeOptions || [10,20,50,100]).replace(/"/g, '')},
-    defaultSort: ${JSON.stringify(dev.defaultSort || ['id,desc']).replace(/"/g, '\'')},
-    defaultSearchSort: ${JSON.stringify(dev.defaultSearchSort || ['_score,desc']).replace(/"/g, '\'')},
-    distinctByDefault: ${boolOr(dev.distinctByDefault, false)},
-
-    totalCountHeaderName: ${dartStringOrNull(dev.totalCountHeaderName || 'X-Total-Count')},
-    storageKeyAccessToken: ${dartStringOrNull(dev.storageKeyAccessToken || 'fh_access_token')},
-    storageKeyAccessExpiry: ${dartStringOrNull(dev.storageKeyAccessExpiry || 'fh_access_expiry')},
-    storageKeyRefreshToken: ${dartStringOrNull(dev.storageKeyRefreshToken || 'fh_refresh_token')},
-    storageKeyRefreshExpiry: ${dartStringOrNull(dev.storageKeyRefreshExpiry || 'fh_refresh_expiry')},
-    storageKeyRememberedUsername: ${dartStringOrNull(dev.storageKeyRememberedUsername || 'fh_remembered_username')},
-
-    relationshipPayloadMode: ${relMode(dev.relationshipPayloadMode || 'idOnly')},
-
-    storageMode: ${dartStringOrNull(dev.storageMode || 'get_storage')},
-    httpStrict: ${boolOr(dev.httpStrict, false)},
-    pinnedSha256Certs: ${JSON.stringify(dev.pinnedSha256Certs || []).replace(/"/g, '\'')},
-
-    pluralOverrides: ${dartMap(dev.pluralOverrides || {})},
-
-    tenantIsolationEnabled: ${boolOr(dev.tenantIsolationEnabled, false)},
-    tenantFieldName: ${dartStringOrNull(dev.tenantFieldName || null)},
-
-    syncInterval: Duration(minutes: ${(dev.syncIntervalMinutes ?? 15)}),
-  );
-
-  static EnvConfig _prod() => EnvConfig(
-    appName: ${dartStringOrNull(prod.appName || dev.appName || 'FHipster')},
-    envName: ${dartStringOrNull(prod.envName || 'prod')},
-    theme: ${themeLiteral(prod.theme)},
-    apiHost: ${dartStringOrNull(prod.apiHost || dev.apiHost || 'http://localhost:8080')},
-    useGateway: ${boolOr(prod.useGateway, dev.useGateway || false)},
-    gatewayServiceName: ${dartStringOrNull(prod.gatewayServiceName || dev.gatewayServiceName || null)},
-
-    authProvider: AuthProvider.${(prod.authProvider || dev.authProvider || 'keycloak') === 'jhipsterJwt' ? 'jhipsterJwt' : 'keycloak'},
-
-    jwtAuthEndpoint: ${dartStringOrNull(prod.jwtAuthEndpoint || dev.jwtAuthEndpoint || '/api/authenticate')},
-    accountEndpoint: ${dartStringOrNull(prod.accountEndpoint || dev.accountEndpoint || '/api/account')},
-    allowCredentialCacheForJwt: ${boolOr(prod.allowCredentialCacheForJwt, dev.allowCredentialCacheForJwt || false)},
-
-    tokenEndpoint: ${dartStringOrNull(prod.keycloakTokenEndpoint || dev.keycloakTokenEndpoint || null)},
-    logoutEndpoint: ${dartStringOrNull(prod.keycloakLogoutEndpoint || dev.keycloakLogoutEndpoint || null)},
-    authorizeEndpoint: ${dartStringOrNull(prod.keycloakAuthorizeEndpoint || dev.keycloakAuthorizeEndpoint || null)},
-    userinfoEndpoint: ${dartStringOrNull(prod.keycloakUserinfoEndpoint || dev.keycloakUserinfoEndpoint || null)},
-    keycloakClientId: ${dartStringOrNull(prod.keycloakClientId || dev.keycloakClientId || null)},
-    keycloakClientSecret: ${dartStringOrNull(prod.keycloakClientSecret || dev.keycloakClientSecret || null)},
-    keycloakScopes: ${dartList(prod.keycloakScopes || dev.keycloakScopes || ['openid','profile','email','offline_access'])},
-
-    defaultPageSize: ${(prod.defaultPageSize ?? dev.defaultPageSize ?? 20)},
-    pageSizeOptions: ${JSON.stringify(prod.pageSizeOptions || dev.pageSizeOptions || [10,20,50,100]).replace(/"/g, '')},
-    defaultSort: ${JSON.stringify(prod.defaultSort || dev.defaultSort || ['id,desc']).replace(/"/g, '\'')},
-    defaultSearchSort: ${JSON.stringify(prod.defaultSearchSort || dev.defaultSearchSort || ['_score,desc']).replace(/"/g, '\'')},
-    distinctByDefault: ${boolOr(prod.distinctByDefault, dev.distinctByDefault || false)},
-
-    totalCountHeaderName: ${dartStringOrNull(prod.totalCountHeaderName || dev.totalCountHeaderName || 'X-Total-Count')},
-    storageKeyAccessToken: ${dartStringOrNull(prod.storageKeyAccessToken || dev.storageKeyAccessToken || 'fh_access_token')},
-    storageKeyAccessExpiry: ${dartStringOrNull(prod.storageKeyAccessExpiry || dev.storageKeyAccessExpiry || 'fh_access_expiry')},
-    storageKeyRefreshToken: ${dartStringOrNull(prod.storageKeyRefreshToken || dev.storageKeyRefreshToken || 'fh_refresh_token')},
-    storageKeyRefreshExpiry: ${dartStringOrNull(prod.storageKeyRefreshExpiry || dev.storageKeyRefreshExpiry || 'fh_refresh_expiry')},
-    storageKeyRememberedUsername: ${dartStringOrNull(prod.storageKeyRememberedUsername || dev.storageKeyRememberedUsername || 'fh_remembered_username')},
-
-    relationshipPayloadMode: ${relMode(prod.relationshipPayloadMode || dev.relationshipPayloadMode || 'idOnly')},
-
-    storageMode: ${dartStringOrNull(prod.storageMode || dev.storageMode || 'get_storage')},
-    httpStrict: ${boolOr(prod.httpStrict, dev.httpStrict || false)},
-    pinnedSha256Certs: ${JSON.stringify(prod.pinnedSha256Certs || dev.pinnedSha256Certs || []).replace(/"/g, '\'')},
-
-    pluralOverrides: ${dartMap(prod.pluralOverrides || dev.pluralOverrides || {})},
-
-    tenantIsolationEnabled: ${boolOr(prod.tenantIsolationEnabled, dev.tenantIsolationEnabled || false)},
-    tenantFieldName: ${dartStringOrNull(prod.tenantFieldName || dev.tenantFieldName || null)},
-
-    syncInterval: Duration(minutes: ${(prod.syncIntervalMinutes ?? dev.syncIntervalMinutes ?? 15)}),
-  );
-
+${factories}
   static EnvConfig _default() => _dev();
 }
 `;
@@ -1,6 +1,7 @@
 // generators/fhipster_input_field_generator.js
 // Emits lib/widgets/fhipster_input_field.dart
-// - Reusable input with label/hint, prefix/suffix, password toggle
+// - Reusable input with label/hint/helper text, prefix/suffix, password toggle
+// - Multi-line (textarea) via maxLines
 // - Adapts to theme InputDecoration defaults
 // - Highlights label on focus or when filled
 
@@ -12,6 +13,7 @@ class FHipsterInputField extends StatefulWidget {
   final TextEditingController controller;
   final String label;
   final String hint;
+  final String? helperText;
   final Widget? prefix;
   final Widget? suffix;
   final TextInputType keyboardType;
@@ -20,12 +22,14 @@ class FHipsterInputField extends StatefulWidget {
   final String? Function(String?)? validator;
   final List<TextInputFormatter>? inputFormatters;
   final bool isPassword;
+  final int maxLines;
 
   const FHipsterInputField({
     super.key,
     required this.controller,
     this.label = '',
     this.hint = '',
+    this.helperText,
     this.prefix,
     this.suffix,
     this.keyboardType = TextInputType.text,
@@ -34,6 +38,7 @@ class FHipsterInputField extends StatefulWidget {
     this.validator,
     this.inputFormatters,
     this.isPassword = false,
+    this.maxLines = 1,
   });
 
   @override
@@ -84,6 +89,7 @@ class _FHipsterInputFieldState extends State<FHipsterInputField> {
       focusNode: _focusNode,
       keyboardType: widget.keyboardType,
       obscureText: widget.isPassword ? _obscureText : false,
+      maxLines: widget.isPassword ? 1 : widget.maxLines,
       readOnly: widget.readOnly,
       onTap: widget.onTap,
       validator: widget.validator,
@@ -97,6 +103,8 @@ class _FHipsterInputFieldState extends State<FHipsterInputField> {
         ),
         hintText: widget.hint,
         hintStyle: theme.inputDecorationTheme.hintStyle,
+        helperText: widget.helperText,
+        helperMaxLines: 3,
         prefixIcon: widget.prefix != null
             ? Padding(
                 padding: const EdgeInsets.only(left: 20, right: 4),
@@ -4,9 +4,11 @@
 // - Supports operations: equals, notEquals, greaterThan, lessThan, contains, etc.
 // - Fields for primitives, dates, enums
 // - Apply/Clear buttons
+// - Value inputs show the field's JDL validation constraints as helper text
 
 const { jdlToDartType, isBooleanType, isEnumType, isDateType, isNumericType, normalizeJdlType } = require('../parser/type_mapping');
 const { toFileName } = require('../utils/naming');
+const { validationHint, dartStringEscape } = require('./helpers/validations');
 
 function lcFirst(s) { return s ? s.charAt(0).toLowerCase() + s.slice(1) : s; }
 function cap(s) { return s ? s.charAt(0).toUpperCase() + s.slice(1) : s; }
@@ -21,10 +23,10 @@ function generateFilterDrawerTemplate(entityName, fields, parsedEnums = {}) {
   const modelClass = `${entityName}Model`;
   const instance = lcFirst(entityName);
 
-  const enumTypesUsed = Array.from(new Set(fields.filter(f => !f.isRelationship && parsedEnums?.[f.type]).map(f => f.type)));
+  const enumTypesUsed = Array.from(new Set(fields.filter(f => !f.isRelationship && !f.hidden && parsedEnums?.[f.type]).map(f => f.type)));
   const enumImports = enumTypesUsed.map(e => `import '../enums/${toFileName(e)}_enum.dart';`).join('\n');
 
-  const filterableFields = fields.filter(f => !f.isRelationship && !f.isAudit && f.name !== 'id');
+  const filterableFields = fields.filter(f => !f.isRelationship && !f.isAudit && !f.hidden && f.name !== 'id');
 
   const operations = [
     'equals', 'notEquals', 'greaterThan', 'lessThan', 'greaterThanOrEqualTo', 'lessThanOrEqualTo',
@@ -68,7 +70,7 @@ function generateFilterDrawerTemplate(entityName, fields, parsedEnums = {}) {
                   value: criterion.value as ${f.type}?,
                   items: ${f.type}.values.map((e) => DropdownMenuItem<${f.type}>(
                     value: e,
-                    child: Text(e.toString().split('.').last),
+                    child: Text(e.label.tr),
                   )).toList(),
                   onChanged: (v) => setState(() => criterion.value = v),
                   decoration: InputDecoration(labelText: 'Value'),
@@ -109,10 +111,11 @@ function generateFilterDrawerTemplate(entityName, fields, parsedEnums = {}) {
                   },
                 )`;
     } else {
+      const hint = validationHint(f);
       valueInput = `
                 TextFormField(
                   controller: criterion.controller,
-                  decoration: InputDecoration(labelText: 'Value'),
+                  decoration: InputDecoration(labelText: 'Value'${hint ? `, helperText: '${dartStringEscape(hint)}'` : ''}),
                   validator: (v) {
                     if (criterion.operation == 'isNull' || criterion.operation == 'isNotNull') return null;
                     if (v == null || v.isEmpty) return 'Required';
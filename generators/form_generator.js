@@ -7,7 +7,10 @@
 // - Handles relationships:
 //     * ManyToOne / OneToOne -> Dropdown of related options
 //     * OneToMany / ManyToMany -> Multi-select chips
-// - Validates required fields
+// - Validates required fields plus JDL minlength/maxlength/pattern/min/max/minbytes/maxbytes
+// - Field UI annotations: @FhHidden fields are left out, @FhReadOnly fields are shown
+//   but not editable (and not validated), @FhWidget picks the input
+//   (textarea/password/email/phone/url for strings, switch for booleans)
 // - Calls controller.submitForm() on Save
 
 const {
@@ -18,6 +21,9 @@ const {
   isNumericType,
 } = require('../parser/type_mapping');
 const { toFileName } = require('../utils/naming');
+const { formInputChecks } = require('./helpers/validations');
+const { relationshipLabelExpr } = require('./helpers/relationship_display');
+const { docText } = require('./helpers/docs');
 
 function lcFirst(s) {
   return s ? s.charAt(0).toLowerCase() + s.slice(1) : s;
@@ -31,6 +37,19 @@ function labelize(fieldName) {
     .replace(/^./, (c) => c.toUpperCase());
 }
 
+function indentChecks(lines, pad) {
+  return lines.map(l => `${pad}${l}\n`).join('');
+}
+
+// `@FhWidget` string inputs -> extra FHipsterInputField arguments
+const STRING_WIDGET_ARGS = {
+  textarea: ['keyboardType: TextInputType.multiline', 'maxLines: 5'],
+  password: ['isPassword: true'],
+  email: ['keyboardType: TextInputType.emailAddress'],
+  phone: ['keyboardType: TextInputType.phone'],
+  url: ['keyboardType: TextInputType.url'],
+};
+
 function wrapInGridCol(widgetExpr) {
   return `
                 ResponsiveGridCol(
@@ -56,8 +75,12 @@ function generateFormTemplate(entityName, fields, parsedEnums = {}, options = {}
   const thisFileBase = toFileName(entityName); // e.g., UserProfile -> user_profile
 
   // Collect enum imports used in primitive fields
+  // (plus enums used as relationship display fields, for their `label` extension)
   const enumTypesUsed = Array.from(
-    new Set(fields.filter(f => !f.isRelationship && parsedEnums?.[f.type]).map(f => f.type))
+    new Set([
+      ...fields.filter(f => !f.isRelationship && !f.hidden && parsedEnums?.[f.type]).map(f => f.type),
+      ...fields.filter(f => f.isRelationship && parsedEnums?.[f.displayFieldType]).map(f => f.displayFieldType),
+    ])
   );
   const enumImports = enumTypesUsed
     .map(e => `import '../enums/${toFileName(e)}_enum.dart';`)
@@ -73,12 +96,20 @@ function generateFormTemplate(entityName, fields, parsedEnums = {}, options = {}
   const formFields = fields.filter(f =>
     f.name !== 'id' &&
     !(tenantEnabled && f.name === tenantFieldName) &&
-    !f.isAudit
+    !f.isAudit &&
+    !f.hidden
   );
 
   const gridCols = formFields.map(f => {
     const n = f.name;
     const label = labelize(n);
+    // JDL Javadoc -> helper text under the input
+    const help = docText(f.doc);
+    const helperLine = (pad) => (help ? `\n${pad}helperText: '${help}'.tr,` : '');
+    // @FhReadOnly: shown but not editable, so nothing to validate
+    const ro = !!f.readOnly;
+    const readOnlyLine = (pad) => (ro ? `\n${pad}readOnly: true,` : '');
+    const validated = (expr) => (ro ? 'null' : expr);
 
     // Category selection
     const isDate = isDateType(f.type, parsedEnums);
@@ -93,11 +124,19 @@ function generateFormTemplate(entityName, fields, parsedEnums = {}, options = {}
     let widgetExpr = '';
 
     if (cat === 'bool') {
-      widgetExpr = `
+      const onChanged = ro ? 'null' : `(v) => controller.${n}.value = v${f.widget === 'switch' ? '' : ' ?? false'}`;
+      widgetExpr = f.widget === 'switch'
+        ? `
+            Obx(() => SwitchListTile(
+              title: Text('${label}'.tr),${help ? `\n              subtitle: Text('${help}'.tr),` : ''}
+              value: controller.${n}.value,
+              onChanged: ${onChanged},
+            ))`
+        : `
             Obx(() => CheckboxListTile(
-              title: Text('${label}'.tr),
+              title: Text('${label}'.tr),${help ? `\n              subtitle: Text('${help}'.tr),` : ''}
               value: controller.${n}.value,
-              onChanged: (v) => controller.${n}.value = v ?? false,
+              onChanged: ${onChanged},
               controlAffinity: ListTileControlAffinity.leading,
             ))`;
       return wrapInGridCol(widgetExpr);
@@ -110,11 +149,11 @@ function generateFormTemplate(entityName, fields, parsedEnums = {}, options = {}
               value: controller.${n}.value,
               items: ${f.type}.values.map((e) => DropdownMenuItem<${f.type}>(
                 value: e,
-                child: Text(e.toString().split('.').last),
+                child: Text(e.label.tr),
               )).toList(),
-              onChanged: (v) => controller.${n}.value = v,
-              decoration: InputDecoration(labelText: '${label}'.tr),
-              validator: ${f.required ? `(v) => v == null ? 'Please select ${label.toLowerCase()}'.tr : null` : `null`},
+              onChanged: ${ro ? 'null' : `(v) => controller.${n}.value = v`},
+              decoration: InputDecoration(labelText: '${label}'.tr${help ? `, helperText: '${help}'.tr` : ''}),
+              validator: ${validated(f.required ? `(v) => v == null ? 'Please select ${label.toLowerCase()}'.tr : null` : `null`)},
             ))`;
       return wrapInGridCol(widgetExpr);
     }
@@ -122,11 +161,11 @@ function generateFormTemplate(entityName, fields, parsedEnums = {}, options = {}
     if (cat === 'date') {
       widgetExpr = `
             TextFormField(
-              controller: controller.${n}Ctrl,
+              controller: controller.${n}Ctrl,${readOnlyLine('              ')}
               decoration: InputDecoration(
                 labelText: '${label}'.tr,
-                hintText: 'YYYY-MM-DD'.tr,
-                suffixIcon: IconButton(
+                hintText: 'YYYY-MM-DD'.tr,${helperLine('                ')}
+                suffixIcon: ${ro ? 'null,' : `IconButton(
                   icon: const Icon(Icons.calendar_today),
                   onPressed: () async {
                     final picked = await showDatePicker(
@@ -139,9 +178,9 @@ function generateFormTemplate(entityName, fields, parsedEnums = {}, options = {}
                       controller.${n}Ctrl.text = picked.toIso8601String().split('T').first;
                     }
                   },
-                ),
+                ),`}
               ),
-              validator: ${f.required ? `(v) => (v == null || v.isEmpty) ? 'Please enter ${label.toLowerCase()}'.tr : null` : `null`},
+              validator: ${validated(f.required ? `(v) => (v == null || v.isEmpty) ? 'Please enter ${label.toLowerCase()}'.tr : null` : `null`)},
             )`;
       return wrapInGridCol(widgetExpr);
     }
@@ -149,11 +188,11 @@ function generateFormTemplate(entityName, fields, parsedEnums = {}, options = {}
     if (cat === 'datetime') {
       widgetExpr = `
             TextFormField(
-              controller: controller.${n}Ctrl,
+              controller: controller.${n}Ctrl,${readOnlyLine('              ')}
               decoration: InputDecoration(
                 labelText: '${label}'.tr,
-                hintText: 'YYYY-MM-DDTHH:MM:SSZ'.tr,
-                suffixIcon: IconButton(
+                hintText: 'YYYY-MM-DDTHH:MM:SSZ'.tr,${helperLine('                ')}
+                suffixIcon: ${ro ? 'null,' : `IconButton(
                   icon: const Icon(Icons.calendar_today),
                   onPressed: () async {
                     final date = await showDatePicker(
@@ -173,15 +212,15 @@ function generateFormTemplate(entityName, fields, parsedEnums = {}, options = {}
                       }
                     }
                   },
-                ),
+                ),`}
               ),
-              validator: (v) {
+              validator: ${validated(`(v) {
                 ${f.required ? `if (v == null || v.isEmpty) return 'Please enter ${label.toLowerCase()}'.tr;` : ''}
                 if (v != null && v.isNotEmpty) {
                   try { DateTime.parse(v); } catch (_) { return 'Invalid date format'.tr; }
                 }
                 return null;
-              },
+              }`)},
             )`;
       return wrapInGridCol(widgetExpr);
     }
@@ -192,17 +231,17 @@ function generateFormTemplate(entityName, fields, parsedEnums = {}, options = {}
             FHipsterInputField(
               controller: controller.${n}Ctrl,
               label: '${label}'.tr,
-              hint: 'Enter ${label}'.tr,
-              keyboardType: TextInputType.number,
-              validator: (v) {
+              hint: 'Enter ${label}'.tr,${helperLine('              ')}
+              keyboardType: TextInputType.number,${readOnlyLine('              ')}
+              validator: ${validated(`(v) {
                 ${f.required ? `if (v == null || v.isEmpty) return 'Please enter ${label.toLowerCase()}'.tr;` : ''}
                 if (v != null && v.isNotEmpty) {
                   if (${isInt ? 'int.tryParse(v) == null' : 'double.tryParse(v) == null'}) {
                     return 'Please enter a valid number'.tr;
                   }
-                }
+${indentChecks(formInputChecks(f, 'number'), '                  ')}                }
                 return null;
-              },
+              }`)},
             )`;
       return wrapInGridCol(widgetExpr);
     }
@@ -212,24 +251,23 @@ function generateFormTemplate(entityName, fields, parsedEnums = {}, options = {}
             FHipsterInputField(
               controller: controller.${n}Ctrl,
               label: '${label}'.tr,
-              hint: '{ "key": "value" }'.tr,
-              keyboardType: TextInputType.multiline,
-              validator: (v) {
+              hint: '{ "key": "value" }'.tr,${helperLine('              ')}
+              keyboardType: TextInputType.multiline,${readOnlyLine('              ')}
+              validator: ${validated(`(v) {
                 ${f.required ? `if (v == null || v.isEmpty) return 'Please enter ${label.toLowerCase()}'.tr;` : ''}
                 if (v != null && v.isNotEmpty) {
                   try { jsonDecode(v); } catch (_) { return 'Invalid JSON'.tr; }
                 }
                 return null;
-              },
+              }`)},
             )`;
       return wrapInGridCol(widgetExpr);
     }
 
     if (cat === 'rel') {
-      const kind = (f.relationshipType || '').toLowerCase();
       const tModel = `${f.targetEntity}Model`;
 
-      if (kind === 'manytoone' || kind === 'onetoone') {
+      if (!f.isCollection) {
         // Single relation: dropdown fed from <name>Options
         widgetExpr = `
             Obx(() {
@@ -239,11 +277,11 @@ function generateFormTemplate(entityName, fields, parsedEnums = {}, options = {}
                 value: controller.${n}.value,
                 items: options.map((e) => DropdownMenuItem<${tModel}>(
                   value: e,
-                  child: Text((e.id ?? '').toString()),
+                  child: Text(${relationshipLabelExpr(f, 'e', parsedEnums, { nullable: false })}),
                 )).toList(),
-                onChanged: loading ? null : (v) => controller.${n}.value = v,
+                onChanged: ${ro ? 'null' : `loading ? null : (v) => controller.${n}.value = v`},
                 decoration: InputDecoration(
-                  labelText: '${label}'.tr,
+                  labelText: '${label}'.tr,${helperLine('                  ')}
                   suffixIcon: loading ? const Padding(
                     padding: EdgeInsets.all(8.0),
                     child: SizedBox(width: 16, height: 16, child: CircularProgressIndicator(strokeWidth: 2)),
@@ -253,7 +291,7 @@ function generateFormTemplate(entityName, fields, parsedEnums = {}, options = {}
                     onPressed: () => controller.load${cap(n)}Options(),
                   ),
                 ),
-                validator: ${f.required ? `(v) => v == null ? 'Please select ${label.toLowerCase()}'.tr : null` : `null`},
+                validator: ${validated(f.required ? `(v) => v == null ? 'Please select ${label.toLowerCase()}'.tr : null` : `null`)},
               );
             })`;
         return wrapInGridCol(widgetExpr);
@@ -276,12 +314,22 @@ function generateFormTemplate(entityName, fields, parsedEnums = {}, options = {}
     }
 
     // default string
+    const checks = formInputChecks(f, 'string');
+    const validator = checks.length
+      ? `(v) {
+                ${f.required ? `if (v == null || v.isEmpty) return 'Please enter ${label.toLowerCase()}'.tr;` : ''}
+                if (v != null && v.isNotEmpty) {
+${indentChecks(checks, '                  ')}                }
+                return null;
+              }`
+      : (f.required ? `(v) => (v == null || v.isEmpty) ? 'Please enter ${label.toLowerCase()}'.tr : null` : `null`);
+    const widgetArgs = (STRING_WIDGET_ARGS[f.widget] || []).map(arg => `\n              ${arg},`).join('');
     widgetExpr = `
             FHipsterInputField(
               controller: controller.${n}Ctrl,
               label: '${label}'.tr,
-              hint: 'Enter ${label}'.tr,
-              validator: ${f.required ? `(v) => (v == null || v.isEmpty) ? 'Please enter ${label.toLowerCase()}'.tr : null` : `null`},
+              hint: 'Enter ${label}'.tr,${helperLine('              ')}${widgetArgs}${readOnlyLine('              ')}
+              validator: ${validated(validator)},
             )`;
     return wrapInGridCol(widgetExpr);
   }).join(',\n');
@@ -0,0 +1,22 @@
+// generators/helpers/docs.js
+// JDL Javadoc (`/** ... */` on entities and fields, kept by parser/index.js as `doc`)
+// rendered for Dart: `///` comments on models, one-line text for helper text and tooltips.
+
+const { dartStringEscape } = require('./validations');
+
+/** `/// line` comment block, or '' when there is no doc. */
+function dartDocComment(doc, indent = '') {
+  if (!doc) return '';
+  return String(doc)
+    .split(/\r?\n/)
+    .map((line) => `${indent}///${line.trim() ? ` ${line.trimEnd()}` : ''}`)
+    .join('\n') + '\n';
+}
+
+/** Doc collapsed to a single line and escaped for a single-quoted Dart string. */
+function docText(doc) {
+  if (!doc) return '';
+  return dartStringEscape(String(doc).replace(/\s+/g, ' ').trim());
+}
+
+module.exports = { dartDocComment, docText };
@@ -0,0 +1,25 @@
+// generators/helpers/enum_labels.js
+// Human labels for enum values. JDL custom values (`IN_PROGRESS (In progress)`)
+// win; otherwise the token is humanized ('IN_PROGRESS' -> 'In Progress').
+// Shared by the enum generator (`label` getter) and the table view label maps.
+
+function enumTokenLabel(token) {
+  const raw = String(token || '').trim();
+  if (!raw) return '';
+  const spaced = raw
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[_\-]+/g, ' ');
+  return spaced
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(' ');
+}
+
+/** `enumValues` entry ({ name, label? }) for `token`, from parser/index.js. */
+function enumValueLabel(enumValues, enumName, token) {
+  const meta = ((enumValues && enumValues[enumName]) || []).find((v) => v.name === token);
+  return (meta && meta.label) || enumTokenLabel(token);
+}
+
+module.exports = { enumTokenLabel, enumValueLabel };
@@ -0,0 +1,22 @@
+// generators/helpers/relationship_display.js
+// Dart expressions that render a related record by its JDL display field
+// (`Order{customer(name)} to Customer` -> customer.name), falling back to the id.
+// Used by the form, table view and child dialogs.
+
+/**
+ * @param {object} field relationship field from parser/index.js (displayField?, displayFieldType?)
+ * @param {string} target Dart expression of the related model, e.g. `m.customer` or `e`
+ * @param {object} [parsedEnums]
+ * @param {object} [opts]
+ * @param {boolean} [opts.nullable=true] whether `target` itself may be null
+ */
+function relationshipLabelExpr(field, target, parsedEnums = {}, { nullable = true } = {}) {
+  const dot = nullable ? '?.' : '.';
+  const idExpr = `${target}${dot}id?.toString()`;
+  const display = field && field.displayField;
+  if (!display || display === 'id') return `(${idExpr} ?? '')`;
+  const toText = parsedEnums[field.displayFieldType] ? '?.label' : '?.toString()';
+  return `(${target}${dot}${display}${toText} ?? ${idExpr} ?? '')`;
+}
+
+module.exports = { relationshipLabelExpr };
@@ -0,0 +1,130 @@
+// generators/helpers/validations.js
+// Turns the JDL validation metadata produced by parser/index.js
+// ({ required, unique, minlength, maxlength, pattern, min, max, minbytes, maxbytes })
+// into Dart snippets shared by the form, model and filter generators.
+
+function validationsOf(field) {
+  return (field && field.validations) || {};
+}
+
+function has(v, key) {
+  return v[key] !== undefined && v[key] !== null;
+}
+
+/**
+ * Dart string literal for a JDL pattern. Bean Validation's @Pattern matches the
+ * whole value, so the expression is anchored.
+ */
+function dartPatternLiteral(pattern) {
+  const src = `^(?:${pattern})$`;
+  if (!src.includes("'")) return `r'${src}'`;
+  if (!src.includes('"')) return `r"${src}"`;
+  return `'${dartStringEscape(src)}'`;
+}
+
+/**
+ * Dart statements validating a non-empty form input `v` (String).
+ * kind: 'string' | 'number'
+ * Each statement returns a translated message on failure.
+ */
+function formInputChecks(field, kind) {
+  const v = validationsOf(field);
+  const lines = [];
+
+  if (kind === 'number') {
+    if (!has(v, 'min') && !has(v, 'max')) return lines;
+    lines.push(`final n = num.parse(v);`);
+    if (has(v, 'min')) lines.push(`if (n < ${v.min}) return 'Must be at least ${v.min}'.tr;`);
+    if (has(v, 'max')) lines.push(`if (n > ${v.max}) return 'Must be at most ${v.max}'.tr;`);
+    return lines;
+  }
+
+  if (has(v, 'minlength')) lines.push(`if (v.length < ${v.minlength}) return 'Must be at least ${v.minlength} characters'.tr;`);
+  if (has(v, 'maxlength')) lines.push(`if (v.length > ${v.maxlength}) return 'Must be at most ${v.maxlength} characters'.tr;`);
+  if (has(v, 'pattern')) lines.push(`if (!RegExp(${dartPatternLiteral(v.pattern)}).hasMatch(v)) return 'Invalid format'.tr;`);
+  if (has(v, 'minbytes')) lines.push(`if (utf8.encode(v).length < ${v.minbytes}) return 'Must be at least ${v.minbytes} bytes'.tr;`);
+  if (has(v, 'maxbytes')) lines.push(`if (utf8.encode(v).length > ${v.maxbytes}) return 'Must be at most ${v.maxbytes} bytes'.tr;`);
+  return lines;
+}
+
+/**
+ * Dart statements for a model's validate() method. `dartType` is the mapped
+ * property type; the first failure per field is recorded into `errors[fieldName]`.
+ */
+function modelFieldChecks(field, dartType) {
+  const v = validationsOf(field);
+  const n = field.name;
+  const lines = [];
+  const fail = (msg) => `errors['${n}'] ??= '${msg}';`;
+
+  if (field.required || v.required) {
+    const empty = dartType === 'String' ? ` || ${n}!.isEmpty` : '';
+    lines.push(`if (${n} == null${empty}) ${fail('is required')}`);
+  }
+
+  const checks = [];
+  if (dartType === 'String') {
+    if (has(v, 'minlength')) checks.push(`if (${n}!.length < ${v.minlength}) ${fail(`must be at least ${v.minlength} characters`)}`);
+    if (has(v, 'maxlength')) checks.push(`if (${n}!.length > ${v.maxlength}) ${fail(`must be at most ${v.maxlength} characters`)}`);
+    if (has(v, 'pattern')) checks.push(`if (!RegExp(${dartPatternLiteral(v.pattern)}).hasMatch(${n}!)) ${fail('has an invalid format')}`);
+    if (has(v, 'minbytes')) checks.push(`if (utf8.encode(${n}!).length < ${v.minbytes}) ${fail(`must be at least ${v.minbytes} bytes`)}`);
+    if (has(v, 'maxbytes')) checks.push(`if (utf8.encode(${n}!).length > ${v.maxbytes}) ${fail(`must be at most ${v.maxbytes} bytes`)}`);
+  } else if (dartType === 'int' || dartType === 'double') {
+    if (has(v, 'min')) checks.push(`if (${n}! < ${v.min}) ${fail(`must be at least ${v.min}`)}`);
+    if (has(v, 'max')) checks.push(`if (${n}! > ${v.max}) ${fail(`must be at most ${v.max}`)}`);
+  } else if (dartType === 'Uint8List') {
+    if (has(v, 'minbytes')) checks.push(`if (${n}!.length < ${v.minbytes}) ${fail(`must be at least ${v.minbytes} bytes`)}`);
+    if (has(v, 'maxbytes')) checks.push(`if (${n}!.length > ${v.maxbytes}) ${fail(`must be at most ${v.maxbytes} bytes`)}`);
+  }
+
+  if (checks.length) {
+    lines.push(`if (${n} != null) {`);
+    checks.forEach((c) => lines.push(`  ${c}`));
+    lines.push('}');
+  }
+  return lines;
+}
+
+/** Escape text for a single-quoted Dart string literal. */
+function dartStringEscape(s) {
+  return String(s).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\$/g, '\\$');
+}
+
+/** Whether a String model check needs dart:convert (utf8). */
+function needsUtf8(field, dartType) {
+  const v = validationsOf(field);
+  return dartType === 'String' && (has(v, 'minbytes') || has(v, 'maxbytes'));
+}
+
+/** Short human hint for the declared constraints, e.g. "2–50 characters · unique". */
+function validationHint(field) {
+  const v = validationsOf(field);
+  const parts = [];
+
+  if (has(v, 'minlength') && has(v, 'maxlength')) parts.push(`${v.minlength}–${v.maxlength} characters`);
+  else if (has(v, 'minlength')) parts.push(`min ${v.minlength} characters`);
+  else if (has(v, 'maxlength')) parts.push(`max ${v.maxlength} characters`);
+
+  if (has(v, 'min') && has(v, 'max')) parts.push(`${v.min}–${v.max}`);
+  else if (has(v, 'min')) parts.push(`≥ ${v.min}`);
+  else if (has(v, 'max')) parts.push(`≤ ${v.max}`);
+
+  if (has(v, 'minbytes') && has(v, 'maxbytes')) parts.push(`${v.minbytes}–${v.maxbytes} bytes`);
+  else if (has(v, 'minbytes')) parts.push(`min ${v.minbytes} bytes`);
+  else if (has(v, 'maxbytes')) parts.push(`max ${v.maxbytes} bytes`);
+
+  if (has(v, 'pattern')) parts.push(`pattern ${v.pattern}`);
+  if (v.unique) parts.push('unique');
+
+  return parts.join(' · ');
+}
+
+module.exports = {
+  validationsOf,
+  dartPatternLiteral,
+  formInputChecks,
+  modelFieldChecks,
+  needsUtf8,
+  validationHint,
+  dartStringEscape,
+};
@@ -1,8 +1,13 @@
-function generateMainDartTemplate({ enableSQLite = false } = {}) {
+// `profiles`: the names registered in env.dart; the ones besides dev and prod get a launch line
+function generateMainDartTemplate({ enableSQLite = false, profiles = ['dev', 'prod'] } = {}) {
   const sqliteImports = enableSQLite ? "import 'core/local/local_database.dart';\n" : '';
   const sqliteInit = enableSQLite ? `  await LocalDatabase.instance.database;\n` : '';
   const connectivityImport = "import 'core/connectivity/connectivity_service.dart';\n";
   const syncImport = enableSQLite ? "import 'core/sync/sync_service.dart';\n" : '';
+  const extraLaunches = profiles
+    .filter((name) => name !== 'dev' && name !== 'prod')
+    .map((name) => `//   flutter run -t lib/main.dart --dart-define=ENV=${name}\n`)
+    .join('');
   const syncRegistration = enableSQLite ? "  if (!Get.isRegistered<SyncService>()) Get.put(SyncService(), permanent: true);\n" : '';
 
   return `import 'package:flutter/material.dart';
@@ -21,7 +26,7 @@ ${connectivityImport}${sqliteImports}${syncImport}
 // Select runtime profile at launch:
 //   flutter run -t lib/main.dart
 //   flutter run -t lib/main.dart --dart-define=ENV=prod
-const _profile = String.fromEnvironment('ENV', defaultValue: 'dev');
+${extraLaunches}const _profile = String.fromEnvironment('ENV', defaultValue: 'dev');
 
 Future<void> main() async {
   WidgetsFlutterBinding.ensureInitialized();
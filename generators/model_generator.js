@@ -8,15 +8,19 @@
 // - Tolerant fromJson (accepts nested object or *Id fields)
 // - toJson respects Env.get().relationshipPayloadMode (idOnly|fullObject)
 // - Includes copyWith()
+// - Includes validate() mirroring the JDL field validations
+// - JDL Javadoc on the entity and its fields becomes `///` dartdoc
 
 const { jdlToDartType, normalizeJdlType } = require('../parser/type_mapping');
 const { toFileName } = require('../utils/naming');
+const { modelFieldChecks, needsUtf8 } = require('./helpers/validations');
+const { dartDocComment } = require('./helpers/docs');
 
 function lcFirst(s) { return s.charAt(0).toLowerCase() + s.slice(1); }
 function modelImportPath(name) { return `../models/${toFileName(name)}_model.dart`; }
 function enumImportPath(name) { return `../enums/${toFileName(name)}_enum.dart`; }
 
-function generateModelTemplate(entityName, fields, parsedEnums) {
+function generateModelTemplate(entityName, fields, parsedEnums, options = {}) {
   const className = `${entityName}Model`;
   const instance = lcFirst(entityName);
 
@@ -35,16 +39,16 @@ function generateModelTemplate(entityName, fields, parsedEnums) {
 
   // Properties
   const props = fields.map(f => {
+    const doc = dartDocComment(f.doc, '  ');
     if (f.isRelationship) {
       const tModel = `${f.targetEntity}Model`;
-      const kind = (f.relationshipType || '').toLowerCase();
-      if (kind === 'onetomany' || kind === 'manytomany') {
-        return `  final List<${tModel}>? ${f.name};`;
+      if (f.isCollection) {
+        return `${doc}  final List<${tModel}>? ${f.name};`;
       }
-      return `  final ${tModel}? ${f.name};`;
+      return `${doc}  final ${tModel}? ${f.name};`;
     }
     const dartType = jdlToDartType(f.type, parsedEnums);
-    return `  final ${dartType}? ${f.name};`;
+    return `${doc}  final ${dartType}? ${f.name};`;
   }).join('\n');
 
   // Constructor params
@@ -55,8 +59,7 @@ function generateModelTemplate(entityName, fields, parsedEnums) {
     const n = f.name;
     if (f.isRelationship) {
       const tModel = `${f.targetEntity}Model`;
-      const kind = (f.relationshipType || '').toLowerCase();
-      if (kind === 'onetomany' || kind === 'manytomany') {
+      if (f.isCollection) {
         // Accept list of maps or list of ids (fallback)
         return `    ${n}: (json['${n}'] is List)
         ? (json['${n}'] as List).whereType<dynamic>().map((e) {
@@ -110,8 +113,7 @@ function generateModelTemplate(entityName, fields, parsedEnums) {
   const toJsonLines = fields.map(f => {
     const n = f.name;
     if (f.isRelationship) {
-      const kind = (f.relationshipType || '').toLowerCase();
-      if (kind === 'onetomany' || kind === 'manytomany') {
+      if (f.isCollection) {
         return `    '${n}': (() {
       final mode = Env.get().relationshipPayloadMode;
       if (${n} == null) return null;
@@ -156,8 +158,7 @@ function generateModelTemplate(entityName, fields, parsedEnums) {
   const copyParams = fields.map(f => {
     if (f.isRelationship) {
       const tModel = `${f.targetEntity}Model`;
-      const kind = (f.relationshipType || '').toLowerCase();
-      if (kind === 'onetomany' || kind === 'manytomany') {
+      if (f.isCollection) {
         return `    List<${tModel}>? ${f.name},`;
       }
       return `    ${tModel}? ${f.name},`;
@@ -166,17 +167,28 @@ function generateModelTemplate(entityName, fields, parsedEnums) {
     return `    ${dartType}? ${f.name},`;
   }).join('\n');
 
+  // validate() body
+  const validateLines = fields.flatMap(f => {
+    if (f.name === 'id' || f.isAudit) return [];
+    if (f.isRelationship) {
+      return f.required ? [`if (${f.name} == null) errors['${f.name}'] ??= 'is required';`] : [];
+    }
+    return modelFieldChecks(f, jdlToDartType(f.type, parsedEnums));
+  });
+  const validateBody = validateLines.map(l => `    ${l}`).join('\n');
+  const usesUtf8 = fields.some(f => !f.isRelationship && needsUtf8(f, jdlToDartType(f.type, parsedEnums)));
+
   const copyBody = fields.map(f => `      ${f.name}: ${f.name} ?? this.${f.name},`).join('\n');
 
   const header = `/// Generated model for ${entityName}.
 /// Relationships are typed per cardinality and serialized using Env.relationshipPayloadMode.
 `;
 
-  return `${header}import 'package:intl/intl.dart';
+  return `${header}${usesUtf8 ? "import 'dart:convert';\n" : ''}import 'package:intl/intl.dart';
 import '../core/env/env.dart';
 ${enumImports ? enumImports + '\n' : ''}${relImports ? relImports + '\n' : ''}
 
-class ${className} {
+${dartDocComment(options.doc)}class ${className} {
 ${props}
 
   const ${className}({
@@ -198,6 +210,15 @@ ${fromJsonLines}
   Map<String, dynamic> toJson() => {
 ${toJsonLines}
   };
+
+  /// Client-side checks mirroring the JDL validations.
+  /// Returns a map of field name -> message; empty when valid.
+  Map<String, String> validate() {
+    final errors = <String, String>{};
+${validateBody ? validateBody + '\n' : ''}    return errors;
+  }
+
+  bool get isValid => validate().isEmpty;
 }
 
 // ----------------- helpers -----------------
@@ -1,10 +1,14 @@
 // generators/navigation_destinations_generator.js
 // Emits lib/core/navigation_destinations.dart
 // - Global list of navigation destinations for all entities
+// - Each route may carry its own icon/selectedIcon ('Icons.inventory', from @FhIcon)
+//   and a verbatim title (from @FhLabel); otherwise the label is humanized
+// - Pages added with `fhipster generate-page` live in the page-destinations keep region
 //
-// Usage: generateNavigationDestinationsTemplate(navRoutes)
+// Usage: generateNavigationDestinationsTemplate(navRoutes)  // [{ path, label, title?, icon?, selectedIcon? }]
 
 const { titleCase, toWords } = require('../utils/naming');
+const { dartStringEscape } = require('./helpers/validations');
 
 function normalizeLabel(label) {
   const words = toWords(label);
@@ -14,12 +18,14 @@ function normalizeLabel(label) {
 
 function generateNavigationDestinationsTemplate(navRoutes) {
   const destinations = navRoutes.map(route => {
-    const humanizedLabel = normalizeLabel(route.label || route.path.replace(/^\/+/, ''));
+    const humanizedLabel = route.title
+      ? dartStringEscape(route.title)
+      : normalizeLabel(route.label || route.path.replace(/^\/+/, ''));
     return `
     AppDestination(
       route: '${route.path}',
-      icon: Icons.table_chart_outlined,
-      selectedIcon: Icons.table_chart,
+      icon: ${route.icon || 'Icons.table_chart_outlined'},
+      selectedIcon: ${route.selectedIcon || 'Icons.table_chart'},
       label: '${humanizedLabel}',
     ),`;
   }).join('');
@@ -34,6 +40,10 @@ const List<AppDestination> globalNavDestinations = [
     selectedIcon: Icons.home,
     label: 'Home',
   ),${destinations}
+
+  // Pages added with \`fhipster generate-page\`
+  // <fh:keep:page-destinations>
+  // </fh:keep:page-destinations>
 ];
 `;
 }
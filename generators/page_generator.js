@@ -1,14 +1,50 @@
 // generators/page_generator.js
-// Emits lib/views/<page_name>_page.dart
+// Emits lib/views/<page_name>_page.dart (and lib/controllers/<page_name>_controller.dart)
 // - Stateless widget for a blank page
+// - With a controller: a GetView bound to a GetxController, registered by the page's route
 //
 // Usage:
 //   writeFile(..., generatePageTemplate('MyPage'), ...)
+//   writeFile(..., generatePageTemplate('MyPage', { controllerFile: 'mypage_controller.dart' }), ...)
+//   writeFile(..., generatePageControllerTemplate('MyPage'), ...)
 
-function generatePageTemplate(pageName) {
+// First line of each file; remove-page only deletes files that start with it
+const PAGE_HEADER = '// Custom page - do not overwrite';
+const CONTROLLER_HEADER = '// Custom controller - do not overwrite';
+
+function generatePageTemplate(pageName, { controllerFile = null } = {}) {
   const className = `${pageName}Page`;
 
-  return `// Custom page - do not overwrite
+  if (controllerFile) {
+    const controllerClass = `${pageName}Controller`;
+    return `${PAGE_HEADER}
+import 'package:flutter/material.dart';
+import 'package:get/get.dart';
+
+import '../controllers/${controllerFile}';
+
+/// Page for ${pageName}; its state lives in [${controllerClass}].
+class ${className} extends GetView<${controllerClass}> {
+  const ${className}({super.key});
+
+  @override
+  Widget build(BuildContext context) {
+    return Scaffold(
+      appBar: AppBar(
+        title: Text('${pageName}'.tr),
+      ),
+      body: Obx(() => controller.isLoading.value
+          ? const Center(child: CircularProgressIndicator())
+          : Center(
+              child: Text('${pageName} Page'.tr),
+            )),
+    );
+  }
+}
+`;
+  }
+
+  return `${PAGE_HEADER}
 import 'package:flutter/material.dart';
 import 'package:get/get.dart';
 
@@ -31,4 +67,39 @@ class ${className} extends StatelessWidget {
 `;
 }
 
-module.exports = { generatePageTemplate };
\ No newline at end of file
+function generatePageControllerTemplate(pageName) {
+  const controllerClass = `${pageName}Controller`;
+
+  return `${CONTROLLER_HEADER}
+import 'package:get/get.dart';
+
+/// State of ${pageName}Page. Registered by its route binding in core/routes.dart.
+class ${controllerClass} extends GetxController {
+  final isLoading = false.obs;
+
+  @override
+  void onReady() {
+    super.onReady();
+    load();
+  }
+
+  /// Fetch what the page shows.
+  Future<void> load() async {
+    isLoading.value = true;
+    try {
+      // TODO: load data
+    } finally {
+      isLoading.value = false;
+    }
+  }
+}
+`;
+}
+
+/** Whether `content` is a page or page controller written by generate-page. */
+function isGeneratedPageFile(content) {
+  const [first] = String(content).split('\n');
+  return first.trim() === PAGE_HEADER || first.trim() === CONTROLLER_HEADER;
+}
+
+module.exports = { generatePageTemplate, generatePageControllerTemplate, isGeneratedPageFile };
@@ -4,20 +4,23 @@
 // - Registers ApiClient + AuthService once per page via _ensureCore()
 // - Attaches AuthMiddleware (and RoleMiddleware when roles provided)
 // - Wires splash/login/home + entity table views
+// - Keeps the pages registered by `fhipster generate-page` in the page-imports and pages
+//   keep regions (see utils/page_routes.js)
 //
 // Usage in bin/index.js:
 //   writeFile(path.join(coreDir, 'routes.dart'), generateRoutesTemplate({
-//     entityRoutes,                   // [{ path, controllerFile, viewFile, controllerClass, viewClass, roles: [] }]
+//     entityRoutes,                   // [{ path, controllerFile, viewFile, controllerClass, viewClass, roles: [], folder? }]
 //     includeAuthGuards: true,
 //   }), force, 'core/routes.dart');
 
 function generateRoutesTemplate({ entityRoutes = [], includeAuthGuards = true, includeColumnSettings = false } = {}) {
-  // Dynamic imports for entities
+  // Dynamic imports for entities (`folder`: the lib/ subfolder of the entity's service, if any)
+  const under = (r) => (r.folder ? `${r.folder}/` : '');
   const entityViewImports = entityRoutes
-    .map(r => `import '../views/${r.viewFile}';`)
+    .map(r => `import '../${under(r)}views/${r.viewFile}';`)
     .join('\n');
   const entityControllerImports = entityRoutes
-    .map(r => `import '../controllers/${r.controllerFile}';`)
+    .map(r => `import '../${under(r)}controllers/${r.controllerFile}';`)
     .join('\n');
   const columnSettingsImports = includeColumnSettings
     ? "import '../views/settings/column_settings_view.dart';\nimport 'preferences/column_preferences.dart';\n"
@@ -85,6 +88,9 @@ import '../controllers/login_controller.dart';
 ${entityViewImports}
 ${entityControllerImports}
 ${columnSettingsImports}
+// Pages added with \`fhipster generate-page\`
+// <fh:keep:page-imports>
+// </fh:keep:page-imports>
 
 class AppRoutes {
   static const splash = '/';
@@ -137,6 +143,10 @@ ${includeColumnSettings ? "  static const columnSettings = '/settings/columns';\
 
 ${columnSettingsRoute}
 ${entityPages}
+
+    // Pages added with \`fhipster generate-page\`
+    // <fh:keep:pages>
+    // </fh:keep:pages>
   ];
 }
 
@@ -2,12 +2,12 @@
 // Emits lib/services/<entity>_service.dart
 // - CRUD: GET (list/getOne), POST (create), PUT (update), PATCH (merge-patch), DELETE (delete)
 // - Criteria filtering (JPA) with page/size/sort/distinct
-// - Elasticsearch search via /_search/<entities>
+// - Elasticsearch search via /_search/<entities> (only when the entity has `search` in the JDL)
 // - Reads API host & paths from Env (gateway/direct aware)
 // - Uses ApiClient (GetConnect) for auth + refresh
 //
 // Usage:
-//   writeFile(..., generateServiceTemplate('Order', { microserviceName, useGateway, tenantIsolation }), ...)
+//   writeFile(..., generateServiceTemplate('Order', { microserviceName, useGateway, tenantIsolation, search }), ...)
 
 const { toFileName } = require('../utils/naming');
 
@@ -17,6 +17,7 @@ function generateServiceTemplate(
     microserviceName = 'app',
     useGateway = false,
     tenantIsolation = {},
+    search = true,
   } = {}
 ) {
   const className = `${entityName}Service`;
@@ -63,6 +64,66 @@ function generateServiceTemplate(
     : '';
   const applyTenantCall = tenantEnabled ? '_applyTenant(q)' : 'q';
 
+  const searchBaseGetter = search
+    ? `  String get _searchBase => Env.searchBasePath(_plural, microserviceOverride: _micro);\n`
+    : '';
+  const searchMethod = search
+    ? `  /// Full text search via Elasticsearch.
+  Future<PagedResult<${modelClass}>> search({
+    required String query,
+    int? page,
+    int? size,
+    List<String>? sort,
+    Map<String, dynamic>? filters,
+  }) async {
+    final params = <String>[];
+    params.add('query=\$query');
+    if (page != null) params.add('page=\$page');
+    if (size != null) params.add('size=\$size');
+    final sorts = sort ?? Env.get().defaultSearchSort;
+    if (sorts.isNotEmpty) {
+      params.addAll(sorts.map((s) => 'sort=\$s'));
+    }
+    if (filters != null) {
+      filters.forEach((field, ops) {
+        if (ops == null) return;
+        if (ops is Map) {
+          ops.forEach((op, val) {
+            if (val == null) return;
+            final key = '\${field}.\${op}';
+            if (op == 'in' && val is List) {
+              params.add('\${key}=\${val.map((e) => e?.toString() ?? '').where((e) => e.isNotEmpty).join(',')}');
+            } else {
+              params.add('\${key}=\${val.toString()}');
+            }
+          });
+        } else {
+          params.add('\${field}.equals=\${ops.toString()}');
+        }
+      });
+    }
+    final url = params.isEmpty ? _searchBase : '\${_searchBase}?\${params.join('&')}';
+
+    final res = await _api.get(url);
+    if (!res.isOk) _throwHttp(res);
+
+    final body = res.body;
+    final List<dynamic> rows = _extractContentArray(body);
+    final items = rows.map((e) => ${modelClass}.fromJson(Map<String, dynamic>.from(e))).toList();
+
+    int? total;
+    final hdr = res.headers?[Env.get().totalCountHeaderName];
+    if (hdr != null) {
+      total = int.tryParse(hdr);
+    } else if (body is Map) {
+      total = (body['totalElements'] as num?)?.toInt();
+    }
+    return PagedResult<${modelClass}>(items, total);
+  }
+
+`
+    : '';
+
   return `import 'package:get/get.dart';
 ${tenantImport}import '../core/api_client.dart';
 import '../core/env/env.dart';
@@ -83,8 +144,7 @@ ${tenantMembers ? '\n' + tenantMembers : ''}
   final String? _micro = ${microOverrideInit};
   late final String _plural = Env.pluralFor('${entityName}');
   String get _base => Env.entityBasePath(_plural, microserviceOverride: _micro);
-  String get _searchBase => Env.searchBasePath(_plural, microserviceOverride: _micro);
-
+${searchBaseGetter}
   /// List with pagination, sorting and criteria filters.
   /// Returns only items; see [listPaged] to also get total.
   Future<List<${modelClass}>> list({
@@ -169,60 +229,7 @@ ${tenantMembers ? '\n' + tenantMembers : ''}
     return 0;
   }
 
-  /// Full text search via Elasticsearch.
-  Future<PagedResult<${modelClass}>> search({
-    required String query,
-    int? page,
-    int? size,
-    List<String>? sort,
-    Map<String, dynamic>? filters,
-  }) async {
-    final params = <String>[];
-    params.add('query=\$query');
-    if (page != null) params.add('page=\$page');
-    if (size != null) params.add('size=\$size');
-    final sorts = sort ?? Env.get().defaultSearchSort;
-    if (sorts.isNotEmpty) {
-      params.addAll(sorts.map((s) => 'sort=\$s'));
-    }
-    if (filters != null) {
-      filters.forEach((field, ops) {
-        if (ops == null) return;
-        if (ops is Map) {
-          ops.forEach((op, val) {
-            if (val == null) return;
-            final key = '\${field}.\${op}';
-            if (op == 'in' && val is List) {
-              params.add('\${key}=\${val.map((e) => e?.toString() ?? '').where((e) => e.isNotEmpty).join(',')}');
-            } else {
-              params.add('\${key}=\${val.toString()}');
-            }
-          });
-        } else {
-          params.add('\${field}.equals=\${ops.toString()}');
-        }
-      });
-    }
-    final url = params.isEmpty ? _searchBase : '\${_searchBase}?\${params.join('&')}';
-
-    final res = await _api.get(url);
-    if (!res.isOk) _throwHttp(res);
-
-    final body = res.body;
-    final List<dynamic> rows = _extractContentArray(body);
-    final items = rows.map((e) => ${modelClass}.fromJson(Map<String, dynamic>.from(e))).toList();
-
-    int? total;
-    final hdr = res.headers?[Env.get().totalCountHeaderName];
-    if (hdr != null) {
-      total = int.tryParse(hdr);
-    } else if (body is Map) {
-      total = (body['totalElements'] as num?)?.toInt();
-    }
-    return PagedResult<${modelClass}>(items, total);
-  }
-
-  Future<${modelClass}> getOne(dynamic id) async {
+${searchMethod}  Future<${modelClass}> getOne(dynamic id) async {
     final res = await _api.get('\${_base}/\${Uri.encodeComponent(id.toString())}');
     if (!res.isOk) _throwHttp(res);
     return ${modelClass}.fromJson(Map<String, dynamic>.from(res.body));
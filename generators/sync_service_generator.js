@@ -7,7 +7,8 @@ function relativeImport(fromDir, target) {
   return path.posix.relative(fromDir, target).replace(/\\/g, '/');
 }
 
-function generateSyncServiceTemplate(entityNames = []) {
+// `folders`: { Entity: 'inventory' } for entities whose services live in lib/<folder>/services
+function generateSyncServiceTemplate(entityNames = [], { folders = {} } = {}) {
   const safeEntities = Array.isArray(entityNames) ? entityNames : [];
   const hasEntities = safeEntities.length > 0;
 
@@ -17,7 +18,7 @@ function generateSyncServiceTemplate(entityNames = []) {
 
   const serviceImports = hasEntities
     ? safeEntities
-        .map(name => `import '${relativeImport(syncDir, path.posix.join(servicesDir, `${toFileName(name)}_service.dart`))}';`)
+        .map(name => `import '${relativeImport(syncDir, path.posix.join(folders[name] || '', servicesDir, `${toFileName(name)}_service.dart`))}';`)
         .join('\n')
     : '';
   const daoImports = hasEntities
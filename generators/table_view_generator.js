@@ -1,13 +1,16 @@
 // generators/table_view_generator.js
 // Emits lib/views/<entity>_table_view.dart
 // - Web/mobile friendly table page inside AppShell
-// - Search input (debounced via controller), refresh, create
+// - Search input (debounced via controller; `search` entities only), refresh, create
 // - Horizontal scrolling DataTable
-// - Pagination controls (prev/next + page size)
-// - View / Edit / Delete dialogs
+// - Pagination controls (prev/next + page size; `paginate` entities only)
+// - View / Edit / Delete dialogs (view only for `readOnly` entities)
+// - Criteria filter drawer (`filter` entities only)
+// - Column header tooltips from the JDL field Javadoc
+// - Titles from `@FhLabel`; `@FhHidden` fields get no column or detail row
 //
 // Usage:
-//   writeFile(..., generateTableViewTemplate('Order', fields, allEntities), ...)
+//   writeFile(..., generateTableViewTemplate('Order', fields, allEntities, { search, paginate, filter, readOnly, entityOptions, label }), ...)
 
 function lcFirst(s) { return s ? s.charAt(0).toLowerCase() + s.slice(1) : s; }
 function cap(s) { return s ? s.charAt(0).toUpperCase() + s.slice(1) : s; }
@@ -17,31 +20,16 @@ function labelize(fieldName) {
     .replace(/^./, (c) => c.toUpperCase())
     .trim();
 }
-function sanitizeEnumMember(name) {
-  let s = String(name || '').trim();
-  if (!s) s = 'UNKNOWN';
-  s = s.replace(/[^A-Za-z0-9_]/g, '_');
-  if (/^[0-9]/.test(s)) s = '_' + s;
-  return s;
-}
-function enumTokenLabel(token) {
-  const raw = String(token || '').trim();
-  if (!raw) return '';
-  const spaced = raw
-    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
-    .replace(/[_\-]+/g, ' ');
-  return spaced
-    .split(/\s+/)
-    .filter(Boolean)
-    .map((word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-    .join(' ');
-}
 function escapeDartString(text) {
   return String(text || '').replace(/\\/g, '\\\\').replace(/'/g, "\\'");
 }
 const { toFileName } = require('../utils/naming');
 const { navDestinationsString } = require('./helpers/nav_destinations');
 const { jdlToDartType } = require('../parser/type_mapping');
+const { relationshipLabelExpr } = require('./helpers/relationship_display');
+const { docText } = require('./helpers/docs');
+const { enumValueLabel } = require('./helpers/enum_labels');
+const { dartStringEscape } = require('./helpers/validations');
 
 function generateTableViewTemplate(entityName, fields, allEntities = {}, options = {}) {
   const className = `${entityName}TableView`;
@@ -50,22 +38,35 @@ function generateTableViewTemplate(entityName, fields, allEntities = {}, options
   const instance = lcFirst(entityName);
   const enableSQLite = !!options.enableSQLite;
   const parsedEnums = options.enums || {};
+  const searchEnabled = options.search !== false;
+  const paginateEnabled = options.paginate !== false;
+  const filterEnabled = options.filter !== false;
+  const readOnly = !!options.readOnly;
+  const entityOptions = options.entityOptions || {};
+  const title = dartStringEscape(options.label || entityName);
   const fieldTypes = fields.map((f) => ({
     field: f,
     dartType: jdlToDartType(f.type, parsedEnums),
     isEnum: !!parsedEnums[f.type],
   }));
-  const enumTypesUsed = Array.from(new Set(fieldTypes.filter(info => info.isEnum).map(info => info.field.type)));
+  const enumTypesUsed = Array.from(new Set([
+    ...fieldTypes.filter(info => info.isEnum).map(info => info.field.type),
+    // relationship display fields rendered through the enum's `label` extension
+    ...fields.filter(f => f.isRelationship && parsedEnums[f.displayFieldType]).map(f => f.displayFieldType),
+  ]));
   const usesTemporalField = fieldTypes.some((info) => info.dartType === 'DateTime');
 
   // Determine child creation shortcuts for one-to-many relationships
   const childRelInfos = (fields || [])
-    .filter((f) => f && f.isRelationship && String(f.relationshipType || '').toLowerCase() === 'onetomany')
+    .filter((f) => f && f.isRelationship && f.relKind === 'O2M')
     .map((f) => {
       const childEntity = f.targetEntity;
       if (!childEntity) return null;
+      // read-only children can be listed but not created/edited/deleted from the parent
+      if (entityOptions[childEntity]?.readOnly) return null;
       const childFields = allEntities?.[childEntity] || [];
-      const backRef = childFields.find((cf) => cf && cf.isRelationship && String(cf.relationshipType || '').toLowerCase() === 'manytoone' && cf.targetEntity === entityName);
+      // the child's many-to-one back to this entity, as linked by the relationship normalizer
+      const backRef = f.inverse && childFields.find((cf) => cf && cf.name === f.inverse.fieldName && cf.relKind === 'M2O');
       if (!backRef) return null;
       return {
         fieldName: f.name,
@@ -74,9 +75,12 @@ function generateTableViewTemplate(entityName, fields, allEntities = {}, options
         childField: backRef.name,
         childController: `${childEntity}Controller`,
         childForm: `${childEntity}Form`,
+        displayField: f.displayField,
       };
     })
     .filter(Boolean);
+  // `, titleField: 'name'` for child dialogs when the relationship declares a display field
+  const titleFieldArg = (info) => (info.displayField ? `, titleField: '${info.displayField}'` : '');
   const childRelMap = {};
   childRelInfos.forEach((info) => { childRelMap[info.fieldName] = info; });
 
@@ -96,15 +100,15 @@ function generateTableViewTemplate(entityName, fields, allEntities = {}, options
     .filter((f) => f && f.isRelationship)
     .map((f) => {
       if (!f.targetEntity) return null;
-      const relationshipType = String(f.relationshipType || '').toLowerCase();
       return {
         fieldName: f.name,
         childEntity: f.targetEntity,
         label: labelize(f.name),
-        relationshipType,
+        relKind: f.relKind,
+        displayField: f.displayField,
       };
     })
-    .filter((info) => info && ['onetomany', 'manytomany', 'onetoone'].includes(info.relationshipType));
+    .filter((info) => info && ['O2M', 'M2M', 'O2O'].includes(info.relKind));
 
   const childFieldLabelInfos = Array.from(new Set(childShowInfos.map((info) => info.childEntity).filter(Boolean)))
     .map((childEntity) => {
@@ -134,9 +138,9 @@ function generateTableViewTemplate(entityName, fields, allEntities = {}, options
   // Build DataColumn list (headers)
   const displayFieldInfos = fieldTypes.filter((info) => {
     const f = info.field;
+    if (f.hidden) return false;
     if (f.isRelationship) {
-      const kind = (f.relationshipType || '').toLowerCase();
-      if (kind === 'onetomany' || kind === 'manytomany') {
+      if (f.isCollection) {
         return false;
       }
     }
@@ -167,11 +171,10 @@ function generateTableViewTemplate(entityName, fields, allEntities = {}, options
     const label = escapeDartString(labelize(n));
     let cellExpr;
     if (f.isRelationship) {
-      const kind = (f.relationshipType || '').toLowerCase();
-      if (kind === 'onetomany' || kind === 'manytomany') {
+      if (f.isCollection) {
         cellExpr = `Text(((m.${n}?.length) ?? 0).toString())`;
       } else {
-        cellExpr = `Text(m.${n}?.id?.toString() ?? '')`;
+        cellExpr = `Text(${relationshipLabelExpr(f, `m.${n}`, parsedEnums)})`;
       }
     } else if (info.isEnum) {
       cellExpr = `Text(_enumLabel(m.${n}))`;
@@ -180,20 +183,22 @@ function generateTableViewTemplate(entityName, fields, allEntities = {}, options
     } else {
       cellExpr = `Text(m.${n} == null ? '' : m.${n}.toString())`;
     }
-    return `    _ColumnSpec<${modelClass}>(\n      field: '${n}',\n      label: '${label}',\n      isAudit: ${isAudit},\n      cellBuilder: (context, m) => DataCell(${cellExpr}),\n    )`;
+    const tooltip = docText(f.doc);
+    const tooltipLine = tooltip ? `      tooltip: '${tooltip}',\n` : '';
+    return `    _ColumnSpec<${modelClass}>(\n      field: '${n}',\n      label: '${label}',\n${tooltipLine}      isAudit: ${isAudit},\n      cellBuilder: (context, m) => DataCell(${cellExpr}),\n    )`;
   }).join(',\n');
 
   const childSpecEntries = childShowInfos.map((info) => {
     const childLabel = escapeDartString(info.label);
     const dialogTitle = escapeDartString(labelize(info.childEntity || info.label));
-    const quickInfo = info.relationshipType === 'onetomany' ? childRelMap[info.fieldName] : null;
-    const itemsExpr = info.relationshipType === 'onetoone'
+    const quickInfo = info.relKind === 'O2M' ? childRelMap[info.fieldName] : null;
+    const itemsExpr = info.relKind === 'O2O'
       ? `(m.${info.fieldName} == null ? const [] : [m.${info.fieldName}])`
       : `(m.${info.fieldName} ?? const [])`;
     const childFieldLabelsMap = childFieldLabelMapByEntity[info.childEntity] || '_fieldLabels';
     const viewHandler = quickInfo
       ? `_handleShow${quickInfo.childEntity}${cap(quickInfo.fieldName)}(context, m)`
-      : `_openChildListDialog(context, title: '${dialogTitle}'.tr, items: ${itemsExpr}, fieldLabels: ${childFieldLabelsMap})`;
+      : `_openChildListDialog(context, title: '${dialogTitle}'.tr, items: ${itemsExpr}, fieldLabels: ${childFieldLabelsMap}${titleFieldArg(info)})`;
     const addButton = quickInfo
       ? `          const SizedBox(width: 8),\n          FilledButton.icon(\n            onPressed: () => _quickCreate${quickInfo.childEntity}${cap(quickInfo.fieldName)}(context, m),\n            icon: const Icon(Icons.add),\n            label: Text('Add ${escapeDartString(labelize(quickInfo.childEntity))}'.tr),\n          ),\n`
       : '';
@@ -204,20 +209,19 @@ function generateTableViewTemplate(entityName, fields, allEntities = {}, options
     .filter((s) => s && s.length > 0)
     .join(',\n');
 
-  const detailRows = fieldTypes.map((info) => {
+  const detailRows = fieldTypes.filter((info) => !info.field.hidden).map((info) => {
     const f = info.field;
     const label = labelize(f.name);
     let valueExpr;
     if (f.isRelationship) {
-      const kind = (f.relationshipType || '').toLowerCase();
-      if (kind === 'onetomany' || kind === 'manytomany') {
+      if (f.isCollection) {
         valueExpr = `((m.${f.name}?.length) ?? 0).toString()`;
         const childInfo = childRelMap[f.name];
         if (childInfo) {
-          return `              _kvWithAction('${label}', ${valueExpr}, actionLabel: 'Create ${childInfo.childEntity}'.tr, onAction: () => _quickCreate${childInfo.childEntity}${cap(childInfo.fieldName)}(context, m), secondaryActionLabel: 'View ${childInfo.childEntity}'.tr, onSecondaryAction: () => _openChildListDialog(\n                context,\n                title: '${childInfo.childEntity}'.tr,\n                items: m.${f.name},\n                fieldLabels: ${childFieldLabelMapByEntity[childInfo.childEntity] || '_fieldLabels'},\n                onRefresh: () => _fetch${childInfo.childEntity}${cap(childInfo.fieldName)}(m),\n                onEdit: (item) async {\n                  if (item is ${childInfo.childEntity}Model) {\n                    return await _editChild${childInfo.childEntity}${cap(childInfo.fieldName)}(context, m, item);\n                  }\n                  return false;\n                },\n                onDelete: (item) async {\n                  if (item is ${childInfo.childEntity}Model) {\n                    return await _deleteChild${childInfo.childEntity}${cap(childInfo.fieldName)}(context, m, item);\n                  }\n                  return false;\n                },\n              )),`;
+          return `              _kvWithAction('${label}', ${valueExpr}, actionLabel: 'Create ${childInfo.childEntity}'.tr, onAction: () => _quickCreate${childInfo.childEntity}${cap(childInfo.fieldName)}(context, m), secondaryActionLabel: 'View ${childInfo.childEntity}'.tr, onSecondaryAction: () => _openChildListDialog(\n                context,\n                title: '${childInfo.childEntity}'.tr,\n                items: m.${f.name},\n                fieldLabels: ${childFieldLabelMapByEntity[childInfo.childEntity] || '_fieldLabels'},\n${childInfo.displayField ? `                titleField: '${childInfo.displayField}',\n` : ''}                onRefresh: () => _fetch${childInfo.childEntity}${cap(childInfo.fieldName)}(m),\n                onEdit: (item) async {\n                  if (item is ${childInfo.childEntity}Model) {\n                    return await _editChild${childInfo.childEntity}${cap(childInfo.fieldName)}(context, m, item);\n                  }\n                  return false;\n                },\n                onDelete: (item) async {\n                  if (item is ${childInfo.childEntity}Model) {\n                    return await _deleteChild${childInfo.childEntity}${cap(childInfo.fieldName)}(context, m, item);\n                  }\n                  return false;\n                },\n              )),`;
         }
       } else {
-        valueExpr = `m.${f.name}?.id?.toString() ?? ''`;
+        valueExpr = relationshipLabelExpr(f, `m.${f.name}`, parsedEnums);
       }
     } else if (info.isEnum) {
       valueExpr = `_enumLabel(m.${f.name})`;
@@ -236,28 +240,11 @@ function generateTableViewTemplate(entityName, fields, allEntities = {}, options
     .map(e => `import '../enums/${toFileName(e)}_enum.dart';`)
     .join('\n');
 
-  const enumLabelMaps = enumTypesUsed.map((enumName) => {
-    const values = parsedEnums[enumName] || [];
-    const seen = new Set();
-    const entries = values
-      .map((original) => {
-        const sanitized = sanitizeEnumMember(original);
-        if (seen.has(sanitized)) return null;
-        seen.add(sanitized);
-        const label = enumTokenLabel(original).replace(/'/g, "\\'");
-        return `    ${enumName}.${sanitized}: '${label}',`;
-      })
-      .filter(Boolean)
-      .join('\n');
-    return `const Map<${enumName}, String> _${lcFirst(enumName)}Labels = {\n${entries}\n  };`;
-  }).join('\n\n');
-
   const enumTokenLabelEntries = [];
   enumTypesUsed.forEach((enumName) => {
     (parsedEnums[enumName] || []).forEach((token) => {
-      const key = token;
-      const label = enumTokenLabel(token).replace(/'/g, "\\'");
-      enumTokenLabelEntries.push(`  '${key}': '${label}',`);
+      const label = dartStringEscape(enumValueLabel(options.enumValues, enumName, token));
+      enumTokenLabelEntries.push(`  '${token}': '${label}',`);
     });
   });
   const enumTokenLabelMap = enumTokenLabelEntries.length
@@ -288,7 +275,7 @@ function generateTableViewTemplate(entityName, fields, allEntities = {}, options
       title: '${childLabel}'.tr,
       items: fetched,
       fieldLabels: ${childFieldLabelMapByEntity[info.childEntity] || '_fieldLabels'},
-      onRefresh: () => _fetch${info.childEntity}${cap(info.fieldName)}(parent),
+${info.displayField ? `      titleField: '${info.displayField}',\n` : ''}      onRefresh: () => _fetch${info.childEntity}${cap(info.fieldName)}(parent),
       onEdit: (item) async {
         if (item is ${info.childEntity}Model) {
           return await _editChild${info.childEntity}${cap(info.fieldName)}(context, parent, item);
@@ -314,9 +301,7 @@ import '../core/routes.dart';
 import '../core/preferences/column_preferences.dart';
 import '../controllers/${toFileName(entityName)}_controller.dart';
 import '../models/${toFileName(entityName)}_model.dart';
-import '../forms/${toFileName(entityName)}_form.dart';
-import '../widgets/${toFileName(entityName)}_filter_drawer.dart';
-import '../widgets/common/confirm_dialog.dart';
+${readOnly ? '' : `import '../forms/${toFileName(entityName)}_form.dart';\n`}${filterEnabled ? `import '../widgets/${toFileName(entityName)}_filter_drawer.dart';\n` : ''}import '../widgets/common/confirm_dialog.dart';
 ${enumImports ? enumImports + '\n' : ''}
 ${childControllerImports ? childControllerImports + '\n' : ''}${childFormImports ? childFormImports + '\n' : ''}${childServiceImports ? childServiceImports + '\n' : ''}${childModelImports ? childModelImports + '\n' : ''}${syncImport}
 
@@ -326,7 +311,7 @@ class ${className} extends GetView<${controllerClass}> {
   final GlobalKey<ScaffoldState> _scaffoldKey = GlobalKey();
 
   static const String _tableKey = '${toFileName(entityName)}';
-  static const String _tableLabel = '${escapeDartString(labelize(entityName))}';
+  static const String _tableLabel = '${options.label ? title : escapeDartString(labelize(entityName))}';
   static final List<TableColumnDefinition> _columnDefinitions = [
 ${columnDefinitionList}
   ];
@@ -355,7 +340,7 @@ ${columnSpecEntries}
     _columnsRegistered = true;
   }
 
-  String get _title => '${entityName}';
+  String get _title => '${title}';
 
   @override
   Widget build(BuildContext context) {
@@ -393,11 +378,11 @@ ${columnSpecEntries}
       title: _title,
       body: Scaffold(
         key: _scaffoldKey,
-        endDrawer: ${entityName}FilterDrawer(
+${filterEnabled ? `        endDrawer: ${entityName}FilterDrawer(
           onApply: controller.applyFilters,
           initialFilters: controller.filters,
         ),
-        body: Obx(() {
+` : ''}        body: Obx(() {
         final items = controller.items;
         final isLoading = controller.isLoading.value;
         final total = controller.total.value;
@@ -477,7 +462,7 @@ ${columnSpecEntries}
                 runSpacing: 12,
                 crossAxisAlignment: WrapCrossAlignment.center,
                 children: [
-                // Search box
+${searchEnabled ? `                // Search box
                 ConstrainedBox(
                   constraints: const BoxConstraints(maxWidth: 420),
                   child: TextField(
@@ -490,25 +475,25 @@ ${columnSpecEntries}
                     ),
                   ),
                 ),
-                FilledButton.icon(
+` : ''}${readOnly ? '' : `                FilledButton.icon(
                   onPressed: () async {
                     controller.beginCreate();
-                    await _openFormDialog(context, title: 'Create ${entityName}');
+                    await _openFormDialog(context, title: 'Create ${title}');
                   },
                   icon: const Icon(Icons.add),
                   label: Text('New'.tr),
                 ),
-                OutlinedButton.icon(
+`}                OutlinedButton.icon(
                   onPressed: isLoading ? null : () => controller.loadPage(page),
                   icon: const Icon(Icons.refresh),
                   label: Text('Refresh'.tr),
                 ),
-                OutlinedButton.icon(
+${filterEnabled ? `                OutlinedButton.icon(
                   onPressed: _openFilterDrawer,
                   icon: const Icon(Icons.filter_list),
                   label: Text('Filter'.tr),
                 ),
-                ToggleButtons(
+` : ''}                ToggleButtons(
                   borderRadius: const BorderRadius.all(Radius.circular(8)),
                   constraints: const BoxConstraints(minHeight: 36, minWidth: 40),
                   isSelected: [
@@ -554,6 +539,7 @@ ${columnSpecEntries}
                                   for (var i = 0; i < specs.length; i++)
                                     DataColumn(
                                       label: _buildSortLabel(context, controller, specs[i].field, specs[i].label, activeSortField, isSortDescending),
+                                      tooltip: specs[i].tooltip,
                                       onSort: (_, __) => _toggleSort(controller, specs[i].field),
                                     ),
                                   DataColumn(label: Text('Actions'.tr)),
@@ -634,7 +620,7 @@ ${columnSpecEntries}
                             ),
                     ),
 
-// Pagination bar
+${paginateEnabled ? `// Pagination bar
                     Container(
                       padding: const EdgeInsets.symmetric(horizontal: 12, vertical: 8),
                       decoration: BoxDecoration(
@@ -678,7 +664,7 @@ ${columnSpecEntries}
                         ],
                       ),
                     ),
-                  ],
+` : ''}                  ],
                 ),
               ),
             ),
@@ -692,10 +678,10 @@ ${columnSpecEntries}
     );
   }
 
-  void _openFilterDrawer() {
+${filterEnabled ? `  void _openFilterDrawer() {
     _scaffoldKey.currentState?.openEndDrawer();
   }
-
+` : ''}
   // --------- dialogs ---------
 
   Widget _buildRowActions(BuildContext context, ${modelClass} m) {
@@ -707,12 +693,12 @@ ${columnSpecEntries}
           icon: const Icon(Icons.visibility),
           onPressed: () => _openViewDialog(context, m),
         ),
-        IconButton(
+${readOnly ? '' : `        IconButton(
           tooltip: 'Edit'.tr,
           icon: const Icon(Icons.edit),
           onPressed: () async {
             controller.beginEdit(m);
-            await _openFormDialog(context, title: 'Edit ${entityName}');
+            await _openFormDialog(context, title: 'Edit ${title}');
           },
         ),
         IconButton(
@@ -729,7 +715,7 @@ ${columnSpecEntries}
             }
           },
         ),
-      ],
+`}      ],
     );
   }
 
@@ -788,6 +774,7 @@ ${columnSpecEntries}
     required String title,
     Iterable<dynamic>? items,
     Map<String, String>? fieldLabels,
+    String? titleField,
     Future<List<dynamic>> Function()? onRefresh,
     Future<bool> Function(dynamic item)? onEdit,
     Future<bool> Function(dynamic item)? onDelete,
@@ -835,6 +822,7 @@ ${columnSpecEntries}
                             child: _childItemCard(
                               item,
                               fieldLabels: effectiveLabels,
+                              titleField: titleField,
                               onEdit: onEdit == null
                                   ? null
                                   : (value) async {
@@ -866,11 +854,11 @@ ${columnSpecEntries}
     );
   }
 
-  Future<bool?> _openFormDialog(BuildContext context, {required String title}) {
+${readOnly ? '' : `  Future<bool?> _openFormDialog(BuildContext context, {required String title}) {
     return _showFormDialog(context, title: title, body: ${entityName}Form());
   }
 
-  Future<bool?> _openChildFormDialog(BuildContext context, {required String title, required Widget body}) {
+`}  Future<bool?> _openChildFormDialog(BuildContext context, {required String title, required Widget body}) {
     return _showFormDialog(context, title: title, body: body);
   }
 
@@ -908,7 +896,7 @@ ${columnSpecEntries}
       _openViewDialog(Get.context!, m);
     } catch (e) {
       if (!Get.isSnackbarOpen) {
-        Get.snackbar('Error'.tr, 'Failed to load ${entityName}'.tr);
+        Get.snackbar('Error'.tr, 'Failed to load ${title}'.tr);
       }
     }
   }
@@ -922,7 +910,7 @@ ${enableSQLite ? "    if (Get.isRegistered<SyncService>()) {\n      Get.find<Syn
           constraints: const BoxConstraints(maxWidth: 720, maxHeight: 640),
           child: Scaffold(
             appBar: AppBar(
-              title: Text('View ${entityName}'),
+              title: Text('View ${title}'),
               automaticallyImplyLeading: false,
               actions: [
                 IconButton(
@@ -1081,6 +1069,7 @@ String _humanizeKeyLabel(String key) {
 Widget _childItemCard(
   dynamic item, {
   required Map<String, String> fieldLabels,
+  String? titleField,
   Future<bool> Function(dynamic item)? onEdit,
   Future<bool> Function(dynamic item)? onDelete,
 }) {
@@ -1128,6 +1117,7 @@ Widget _childItemCard(
   final cardColor = theme.colorScheme.surfaceVariant.withOpacity(theme.brightness == Brightness.dark ? 0.25 : 0.7);
   final titleEntry = entries.firstWhere(
     (e) {
+      if (titleField != null) return e.key == titleField;
       final key = e.key.toLowerCase();
       return key == 'title' || key == 'name' || key == 'displayname';
     },
@@ -1300,12 +1290,11 @@ ${usesTemporalField
   if (value == null) return '';
   return value.toString();
 }`}
-${enumLabelMaps ? '\n' + enumLabelMaps + '\n' : ''}
 ${enumTokenLabelMap}\n
 String _enumLabel(Object? value) {
   if (value == null) return '';
 ${enumTypesUsed.map(enumName => `  if (value is ${enumName}) {
-    return _${lcFirst(enumName)}Labels[value] ?? _enumTokenLabels[value.toString().split('.').last] ?? _humanizeEnumToken(value.toString().split('.').last);
+    return value.label;
   }`).join('\n')}
   if (value is Enum) {
     final token = value.toString().split('.').last;
@@ -1319,6 +1308,7 @@ ${enumTypesUsed.map(enumName => `  if (value is ${enumName}) {
 class _ColumnSpec<T> {
   final String field;
   final String label;
+  final String? tooltip;
   final bool isAudit;
   final DataCell Function(BuildContext context, T model) cellBuilder;
 
@@ -1326,6 +1316,7 @@ class _ColumnSpec<T> {
     required this.field,
     required this.label,
     required this.cellBuilder,
+    this.tooltip,
     this.isAudit = false,
   });
 
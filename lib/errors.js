@@ -0,0 +1,52 @@
+// lib/errors.js
+// Errors thrown by the FHipster API (lib/index.js). The CLI prints them and exits with 1;
+// build scripts can tell them apart with instanceof or `code`:
+//
+//   FHipsterError      base class; `code`
+//   ConfigError        'CONFIG'      the YAML config (or config object) is unreadable or invalid; `diagnostics`, `file`
+//   InputError         'INPUT'       missing or incompatible input files / options; `path`
+//   ParseError         'PARSE'       the JDL, .jhipster JSON or OpenAPI spec has errors; `diagnostics`
+//   GenerationError    'GENERATION'  a plugin or user template failed; `plugin` or `template`
+//
+// `diagnostics` are parser/diagnostics.js entries ({ severity, message, file, line, col }),
+// warnings included.
+
+class FHipsterError extends Error {
+  constructor(message, { code = 'FHIPSTER', cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+class ConfigError extends FHipsterError {
+  constructor(message, { file = null, diagnostics = [], cause } = {}) {
+    super(message, { code: 'CONFIG', cause });
+    this.file = file;
+    this.diagnostics = diagnostics;
+  }
+}
+
+class InputError extends FHipsterError {
+  constructor(message, { path = null } = {}) {
+    super(message, { code: 'INPUT' });
+    this.path = path;
+  }
+}
+
+class ParseError extends FHipsterError {
+  constructor(message, { diagnostics = [] } = {}) {
+    super(message, { code: 'PARSE' });
+    this.diagnostics = diagnostics;
+  }
+}
+
+class GenerationError extends FHipsterError {
+  constructor(message, { plugin = null, template = null, cause } = {}) {
+    super(message, { code: 'GENERATION', cause });
+    this.plugin = plugin;
+    this.template = template;
+  }
+}
+
+module.exports = { FHipsterError, ConfigError, InputError, ParseError, GenerationError };
@@ -0,0 +1,95 @@
+// lib/index.js
+// FHipster as a library. generate() runs the same pipeline as the `fhipster` command
+// (bin/index.js is a wrapper around it) but prints nothing and never exits: it returns
+// what happened and throws the typed errors of lib/errors.js.
+//
+//   const { generate, ParseError } = require('fhipster');
+//   const result = generate({ jdl: 'jdl/app.jdl', config: 'fhipster.config.yaml', outputDir: 'lib', dryRun: true });
+//   result.files       [{ path, label, status, reason? }]
+//                      status: created | updated | unchanged | merged | conflict | protected | pruned
+//   result.warnings    [{ message, file?, line?, col? }]
+//   result.entities    parsed entities ({ Name: [field, ...] }); result.enums ({ Name: [value, ...] })
+//   result.patch       dry runs only: unified diff of every file that would change
+
+const fs = require('fs');
+const path = require('path');
+const { collectWrites, dryRunWrites } = require('../utils/file_writer');
+const { loadManifest, saveManifest } = require('../utils/manifest');
+const { resolveSettings, loadYamlConfig, loadConfigObject } = require('./settings');
+const { loadModel, generateTracked, pruneRemovedEntities, resolveDirs } = require('./pipeline');
+const { collectingLogger } = require('./logger');
+const errors = require('./errors');
+
+/**
+ * Generate the Flutter sources.
+ * @param {object} [options]
+ * @param {string|string[]} [options.jdl] JDL file(s), glob, JDL directory, `.jhipster` directory or OpenAPI spec
+ *   (default: `jdlFile` of the config)
+ * @param {string|object} [options.config] path of fhipster.config.yaml, or the config as an object (relative paths
+ *   in it resolve against the working directory); default: fhipster.config.yaml in the working directory, if any
+ * @param {string} [options.outputDir] the Flutter lib/ to write to (default: config `outputDir`, else flutter_generated)
+ * @param {boolean} [options.dryRun] write nothing; `result.patch` holds the diff (`diffOut` also saves it)
+ * @param {{ log: Function, warn: Function }} [options.logger] also receive the progress messages (lib/logger.js)
+ * @param {boolean} [options.verbose] print every file as it is written, as the CLI does
+ * The other CLI options are accepted under their CLI names: microservice, force, prune, only, skipParts, module,
+ * templatesDir, apiHost, useGateway, gatewayServiceName, includeAuthGuards, emitMain, enableSQLite, diffOut.
+ * @returns {{ outputDir: string, files: object[], warnings: object[], entities: object, enums: object, patch?: string }}
+ * @throws {errors.ConfigError|errors.InputError|errors.ParseError|errors.GenerationError}
+ */
+function generate(options = {}) {
+  const { jdl, config, logger: userLogger = null, verbose = false, ...cliOptions } = options;
+  const warnings = [];
+  const logger = withWarnings(collectingLogger(warnings), userLogger);
+
+  let yamlConfig;
+  if (config && typeof config === 'object') {
+    yamlConfig = loadConfigObject(config, { logger });
+  } else {
+    if (config && !fs.existsSync(path.resolve(process.cwd(), config))) {
+      throw new errors.ConfigError(`Config file not found: '${config}'`, { file: config });
+    }
+    yamlConfig = loadYamlConfig(config, { logger });
+  }
+
+  const argv = { ...cliOptions, _: [].concat(jdl || []), watch: false, quiet: !userLogger };
+  const settings = resolveSettings(argv, yamlConfig, { logger });
+  const model = loadModel(settings, { log: !!userLogger });
+  const manifest = loadManifest(resolveDirs(settings.outputDir).projectRoot, { logger });
+  const run = () => [
+    ...collectWrites(() => generateTracked(settings, model, manifest), { log: verbose }),
+    ...pruneRemovedEntities(settings, model, manifest),
+  ];
+
+  let results;
+  let patch = null;
+  if (settings.dryRun) {
+    ({ result: results, patch } = dryRunWrites(run));
+    if (settings.diffOut) fs.writeFileSync(settings.diffOut, patch, 'utf8');
+  } else {
+    results = run();
+    saveManifest(manifest);
+  }
+
+  return {
+    outputDir: settings.outputDir,
+    files: results.map(({ absPath, label, status, reason }) => ({ path: absPath, label, status, ...(reason ? { reason } : {}) })),
+    warnings,
+    entities: model.entities,
+    enums: model.enums,
+    ...(settings.dryRun ? { patch } : {}),
+  };
+}
+
+// Warnings are always collected; a caller's logger gets them too
+function withWarnings(collecting, userLogger) {
+  if (!userLogger) return collecting;
+  return {
+    log: (message) => userLogger.log(message),
+    warn: (message, loc) => {
+      collecting.warn(message, loc);
+      userLogger.warn(message, loc);
+    },
+  };
+}
+
+module.exports = { generate, ...errors };
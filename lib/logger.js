@@ -0,0 +1,25 @@
+// lib/logger.js
+// Where the pipeline reports progress and warnings (`settings.logger`):
+//   log(message)          progress ('ℹ️ Application ...')
+//   warn(message, loc?)   a warning; `loc` ({ file, line, col }) when it points into a source file
+// The CLI prints both; the API (lib/index.js) returns the warnings in its result and prints nothing.
+
+const { formatDiagnostic } = require('../parser/diagnostics');
+
+const consoleLogger = {
+  log: (message) => console.log(message),
+  warn: (message, loc) => console.warn(`⚠️ ${loc && loc.line ? formatDiagnostic({ ...loc, severity: 'warning', message }) : message}`),
+};
+
+/** A logger that only collects warnings ({ message, file?, line?, col? }) into `warnings`. */
+function collectingLogger(warnings) {
+  return {
+    log: () => {},
+    warn: (message, loc) => {
+      const at = loc && loc.file ? { file: loc.file, ...(loc.line ? { line: loc.line, col: loc.col } : {}) } : {};
+      warnings.push({ message, ...at });
+    },
+  };
+}
+
+module.exports = { consoleLogger, collectingLogger };
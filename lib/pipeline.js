@@ -0,0 +1,698 @@
+// lib/pipeline.js
+// The generation pipeline shared by the CLI (bin/index.js) and the API (lib/index.js):
+// parse the inputs into a model (loadModel), write the Flutter sources (generateFiles,
+// or generateTracked with templates, plugins and the manifest), and the entity diffing
+// --watch and the JDL edit commands regenerate with.
+
+const fs = require('fs');
+const path = require('path');
+
+// ---- Generators ----
+const { generateEnvTemplate } = require('../generators/env_generator');
+const { generateApiClientTemplate } = require('../generators/api_client_generator');
+const { generateModuleBridgeTemplate } = require('../generators/module_bridge_generator');
+const { generateAuthServiceTemplate } = require('../generators/auth_service_generator');
+const { generateAuthMiddlewareTemplate } = require('../generators/auth_middleware_generator');
+const { generateRoleMiddlewareTemplate } = require('../generators/role_middleware_generator');
+const { generateTokenDecoderTemplate } = require('../generators/token_decoder_generator');
+const { generateConnectivityServiceTemplate } = require('../generators/connectivity_service_generator');
+const { generateSyncServiceTemplate } = require('../generators/sync_service_generator');
+const { generateSamplePubspec } = require('../generators/pubspec_generator');
+
+const { generateAppShellTemplate } = require('../generators/app_shell_generator');
+const { generateNavigationSidebarTemplate } = require('../generators/navigation_sidebar_generator');
+const { generateNavigationDestinationsTemplate } = require('../generators/navigation_destinations_generator');
+const { generateAppThemeTemplate } = require('../generators/theme_generator');
+const { generateRoutesTemplate } = require('../generators/routes_generator');
+
+const { generateEnumTemplate } = require('../generators/enum_generator');
+const { generateModelTemplate } = require('../generators/model_generator');
+const { generateServiceTemplate } = require('../generators/service_generator');
+const { generateEntityControllerTemplate } = require('../generators/entity_controller_generator');
+const { generateFormTemplate } = require('../generators/form_generator');
+const { generateTableViewTemplate } = require('../generators/table_view_generator');
+const { generateTableWidgetsTemplates } = require('../generators/table_widgets_generator');
+const { generateFHipsterInputFieldTemplate } = require('../generators/fhipster_input_field_generator');
+const { generateLocalDatabaseTemplate, generateDaoTemplate } = require('../generators/sqlite_generator');
+const { generateColumnPreferencesTemplate } = require('../generators/column_preferences_generator');
+const { generateColumnSettingsViewTemplate } = require('../generators/column_settings_view_generator');
+const { generateColumnPreferencesRegistryTemplate } = require('../generators/column_preferences_registry_generator');
+const { generateFilterDrawerTemplate } = require('../generators/filter_generator');
+
+const { generateLoginControllerTemplate } = require('../generators/login_controller_generator');
+const { generateLoginViewTemplate } = require('../generators/login_view_generator');
+const { generateSplashControllerTemplate } = require('../generators/splash_controller_generator');
+const { generateSplashViewTemplate } = require('../generators/splash_view_generator');
+const { generateHomeViewTemplate } = require('../generators/home_view_generator');
+const { generateUnauthorizedViewTemplate } = require('../generators/unauthorized_view_generator');
+const { generateForbiddenViewTemplate } = require('../generators/forbidden_view_generator');
+
+const { generateMainDartTemplate } = require('../generators/main_dart_generator');
+
+// ---- Parser / Utils ----
+const { parseJdlFiles, hasErrors } = require('../parser');
+const { parseJhipsterDir } = require('../parser/jhipster_json');
+const { parseOpenApi } = require('../parser/openapi');
+const { normalizeRelationships } = require('../parser/relationship_mapping');
+const {
+  entityFileBase,
+  controllerClassName,
+  tableViewClassName,
+  modelFileName,
+  serviceFileName,
+  controllerFileName,
+  formFileName,
+  tableViewFileName,
+  enumFileName,
+  resourcePlural,
+} = require('../utils/naming');
+const { writeFile, withManifest, withTransform } = require('../utils/file_writer');
+const { orphanedFiles, pruneOrphans } = require('../utils/manifest');
+const { runAfterParse, pluginEntityFiles, pluginTransform } = require('../utils/plugins');
+const { templateTransform } = require('../utils/templates');
+const { GenerationError, ParseError } = require('./errors');
+const { consoleLogger } = require('./logger');
+const { inputKindOf, relPath } = require('./settings');
+const { mergeServiceModels, serviceOf, serviceImportsTransform } = require('./services');
+
+// ---------- Parsing ----------
+
+/**
+ * Parse the inputs: JDL (one or more files, merged), a JHipster `.jhipster/` directory
+ * of entity JSON files, or an OpenAPI 3 spec. Warnings go to the logger; errors throw a
+ * ParseError with every diagnostic. `select: false` keeps every parsed entity (no
+ * application or skipClient filtering). With `services:` each service is parsed on its
+ * own and the models are merged (lib/services.js). The plugins' afterParse hooks run on
+ * the result.
+ */
+function loadModel(settings, { log = true, select = true } = {}) {
+  const { services, plugins = [] } = settings;
+  const logger = settings.logger || consoleLogger;
+  const model = services
+    ? mergeServiceModels(services.map((service) => {
+      if (log) logger.log(`ℹ️ Service '${service.name}' → lib/${service.folder}/`);
+      const parsed = parseInputs({ ...settings, inputPaths: service.inputPaths, microserviceName: service.name }, { log, select });
+      const entities = select && service.only.length ? serviceEntities(service, parsed.entities, logger) : parsed.entities;
+      return { service, model: { ...parsed, entities } };
+    }))
+    : parseInputs(settings, { log, select });
+
+  if (plugins.length) {
+    try {
+      runAfterParse(plugins, model, { settings });
+    } catch (e) {
+      if (!e.plugin) throw e;
+      throw new GenerationError(e.message, { plugin: e.plugin, cause: e });
+    }
+    // relationship fields added by plugins get the same metadata as parsed ones
+    normalizeRelationships(model.entities);
+  }
+  return model;
+}
+
+function parseInputs(settings, { log, select }) {
+  const { inputPaths, microserviceName } = settings;
+  const logger = settings.logger || consoleLogger;
+  const parseOptions = {
+    file: relPath(inputPaths[0]),
+    application: microserviceName,
+  };
+  const inputKind = inputKindOf(inputPaths[0]);
+  if (log) {
+    if (inputKind === 'jhipster') logger.log(`ℹ️ Reading JHipster entity definitions from '${parseOptions.file}'`);
+    if (inputKind === 'openapi') logger.log(`ℹ️ Reading OpenAPI spec '${parseOptions.file}'`);
+    if (inputKind === 'jdl' && inputPaths.length > 1) logger.log(`ℹ️ Merging ${inputPaths.length} JDL files: ${inputPaths.map(relPath).join(', ')}`);
+  }
+  const { entities: parsedEntities, enums, enumValues, entityOptions, entityDocs, entityUi, applications, relationships, diagnostics, pluralOverrides = {} } = inputKind === 'jhipster'
+    ? parseJhipsterDir(inputPaths[0], parseOptions)
+    : inputKind === 'openapi'
+      ? parseOpenApi(fs.readFileSync(inputPaths[0], 'utf8'), parseOptions)
+      : parseJdlFiles(inputPaths.map((p) => ({ file: relPath(p), text: fs.readFileSync(p, 'utf8') })), parseOptions);
+
+  if (hasErrors(diagnostics)) {
+    const source = { jhipster: 'Entity definitions have', openapi: 'OpenAPI spec has', jdl: 'JDL has' }[inputKind];
+    throw new ParseError(`${source} ${diagnostics.filter((d) => d.severity === 'error').length} error(s); nothing was generated.`, { diagnostics });
+  }
+  diagnostics.forEach((d) => logger.warn(d.message, d));
+
+  // Multi-application JDL: only the entities of the application named by --microservice.
+  // skipClient entities get no Flutter code; relationships pointing at them are dropped too.
+  const application = select ? selectApplication(applications, microserviceName, logger) : null;
+  const entities = select ? selectClientEntities(parsedEntities, entityOptions, application, logger) : parsedEntities;
+
+  return { entities, enums, enumValues, entityOptions, entityDocs, entityUi, applications, relationships, pluralOverrides };
+}
+
+// ---------- Generation ----------
+
+/**
+ * Write the Flutter sources. With `changed` (a Set of entity names, from --watch) only
+ * the files of those entities are rewritten, plus the ones every entity feeds into
+ * (enums, routes, navigation, SQLite registry, column settings); scaffolding such as
+ * core/auth, widgets and the static screens is left alone.
+ */
+function generateFiles(settings, model, changed = null) {
+  const { outputDir, microserviceName, includeAuthGuards, emitMain, force, isModule, onlyEntities, skipParts, debugRelationships, enableSQLite } = settings;
+  const { entities, enums, enumValues, entityOptions, entityDocs, entityUi, pluralOverrides: fromJdlPlural = {} } = model;
+
+  const shouldGen = (part) => !skipParts.has(part);
+  const entityAllowed = (name) =>
+    !onlyEntities.length || onlyEntities.map(s => s.toLowerCase()).includes(String(name).toLowerCase());
+  const scaffold = !changed;
+  const regenerate = (name) => !changed || changed.has(name);
+  const logger = settings.logger || consoleLogger;
+  const log = settings.watch || settings.quiet ? () => {} : logger.log;
+
+  if (debugRelationships.length) {
+    const targets = debugRelationships.includes('*') ? Object.keys(entities || {}) : debugRelationships.map((n) => n.trim()).filter(Boolean);
+    logger.log('\n🔍 Relationship metadata preview:');
+    targets.forEach((entityName) => {
+      const fields = entities?.[entityName];
+      if (!fields) {
+        logger.log(`  • ${entityName}: not found in parsed entities`);
+        return;
+      }
+      const rels = fields.filter((f) => f && f.isRelationship);
+      if (!rels.length) {
+        logger.log(`  • ${entityName}: no relationships detected`);
+        return;
+      }
+      logger.log(`  • ${entityName}:`);
+      rels.forEach((rel) => {
+        const inverse = rel.inverse ? `, inverse ${rel.inverse.entity}.${rel.inverse.fieldName}` : '';
+        logger.log(`      - ${rel.name} ➜ ${rel.targetEntity} (${rel.relationshipType}${inverse})`);
+      });
+    });
+    logger.log('');
+  }
+
+  const withPlurals = (profile) => ({ ...profile, pluralOverrides: { ...fromJdlPlural, ...(profile.pluralOverrides || {}) } });
+  const profiles = {};
+  Object.entries(settings.profiles).forEach(([name, profile]) => {
+    profiles[name] = withPlurals(profile);
+  });
+  const devProfile = profiles.dev;
+
+  // Dirs
+  const dirs = resolveDirs(outputDir);
+  if (!settings.dryRun) ensureDirs(dirs);
+
+  // With `services:` an entity's files go under its service's folder (lib/<folder>/)
+  const folderOf = (entityName) => (serviceOf(settings, model, entityName) || {}).folder || '';
+  const dirsIn = (folder) => (folder ? resolveDirs(path.join(outputDir, folder)) : dirs);
+  const labelIn = (folder, label) => (folder ? `${folder}/${label}` : label);
+
+  // Sample pubspec to track dependencies expected by generated code
+  if (scaffold) {
+    writeFile(
+      path.join(dirs.projectRoot, 'pubspec.offline_sample.yaml'),
+      generateSamplePubspec({ enableSQLite }),
+      force,
+      'pubspec.offline_sample.yaml'
+    );
+  }
+
+  // Header
+  log(`\n📦 Output: '${outputDir}'`);
+  log(settings.services ? `🔧 Services: ${settings.services.map((s) => `${s.name} (lib/${s.folder})`).join(', ')}` : `🔧 Microservice: '${microserviceName}'`);
+  log(`🧩 Profiles: ${Object.entries(profiles).map(([name, profile]) => `${name} → ${profile.apiHost}`).join(' | ')}`);
+  if (settings.templatesDir && fs.existsSync(settings.templatesDir)) log(`🎨 Templates: '${relPath(settings.templatesDir)}'`);
+  log('');
+
+  // Core / Env / Auth
+  if (scaffold && shouldGen('core')) {
+    log('• Generating core/env/auth ...');
+
+    writeFile(
+      path.join(dirs.coreDir, 'env', 'env.dart'),
+      generateEnvTemplate({ profiles }),
+      force,
+      'core/env/env.dart'
+    );
+
+    writeFile(path.join(dirs.coreDir, 'api_client.dart'), generateApiClientTemplate(isModule), force, 'core/api_client.dart');
+    if (isModule) {
+      writeFile(path.join(dirs.coreDir, 'module_bridge.dart'), generateModuleBridgeTemplate(), force, 'core/module_bridge.dart');
+    } else {
+      writeFile(path.join(dirs.coreAuthDir, 'auth_service.dart'), generateAuthServiceTemplate(), force, 'core/auth/auth_service.dart');
+    }
+    writeFile(path.join(dirs.coreAuthDir, 'auth_middleware.dart'), generateAuthMiddlewareTemplate(), force, 'core/auth/auth_middleware.dart');
+    writeFile(path.join(dirs.coreAuthDir, 'role_middleware.dart'), generateRoleMiddlewareTemplate(), force, 'core/auth/role_middleware.dart');
+    writeFile(path.join(dirs.coreAuthDir, 'token_decoder.dart'), generateTokenDecoderTemplate(), force, 'core/auth/token_decoder.dart');
+
+    writeFile(path.join(dirs.coreDir, 'app_shell.dart'), generateAppShellTemplate(), force, 'core/app_shell.dart');
+    writeFile(path.join(dirs.widgetsDir, 'navigation_sidebar.dart'), generateNavigationSidebarTemplate(), force, 'widgets/navigation_sidebar.dart');
+    writeFile(
+      path.join(dirs.coreThemeDir, 'app_theme.dart'),
+      generateAppThemeTemplate(),
+      force,
+      'core/theme/app_theme.dart'
+    );
+    writeFile(
+      path.join(dirs.corePreferencesDir, 'column_preferences.dart'),
+      generateColumnPreferencesTemplate(),
+      force,
+      'core/preferences/column_preferences.dart'
+    );
+
+    writeFile(
+      path.join(dirs.coreConnectivityDir, 'connectivity_service.dart'),
+      generateConnectivityServiceTemplate(),
+      force,
+      'core/connectivity/connectivity_service.dart'
+    );
+  }
+
+  const generatedDaoEntities = new Set();
+
+  if (enableSQLite) {
+    log('• Generating local SQLite cache ...');
+    const entityNames = entities ? Object.keys(entities) : [];
+    writeFile(
+      path.join(dirs.localDir, 'local_database.dart'),
+      generateLocalDatabaseTemplate(entityNames),
+      force,
+      'core/local/local_database.dart'
+    );
+
+    entityNames.forEach((entityName) => {
+      const modelFile = `${entityFileBase(entityName)}_model.dart`;
+      const modelImportRelative = path.relative(dirs.localDaoDir, path.join(dirsIn(folderOf(entityName)).modelsDir, modelFile)).replace(/\\/g, '/');
+      const daoContent = generateDaoTemplate(entityName, { modelImportPath: modelImportRelative });
+      if (regenerate(entityName)) {
+        writeFile(
+          path.join(dirs.localDaoDir, `${entityFileBase(entityName)}_dao.dart`),
+          daoContent,
+          force,
+          path.join('core/local/dao', `${entityFileBase(entityName)}_dao.dart`),
+          { entity: entityName }
+        );
+      }
+      generatedDaoEntities.add(entityName);
+    });
+  }
+
+  // Widgets
+  if (scaffold && shouldGen('widgets')) {
+    log('• Generating common widgets ...');
+    writeFile(path.join(dirs.widgetsDir, 'fhipster_input_field.dart'), generateFHipsterInputFieldTemplate(), force, 'widgets/fhipster_input_field.dart');
+
+    const tableWidgetFiles = generateTableWidgetsTemplates();
+    Object.entries(tableWidgetFiles).forEach(([relPath, content]) => {
+      writeFile(path.join(dirs.widgetsDir, relPath), content, force, path.join('widgets', relPath));
+    });
+  }
+
+  // Enums
+  if (shouldGen('enums') && enums && Object.keys(enums).length > 0) {
+    log('• Generating enums ...');
+    for (const [enumName, values] of Object.entries(enums)) {
+      const eFile = enumFileName(enumName);
+      // in every service that declares it
+      const folders = settings.services ? model.enumServices[enumName].map((name) => settings.services.find((s) => s.name === name).folder) : [''];
+      folders.forEach((folder) => {
+        writeFile(path.join(dirsIn(folder).enumsDir, eFile), generateEnumTemplate(enumName, values, { values: enumValues[enumName] }), force, labelIn(folder, path.join('enums', eFile)));
+      });
+    }
+  }
+
+  // Entities
+  log('• Generating entities (models/services/controllers/forms/views) ...');
+
+  const entityRoutes = [];
+  const navRoutes = [];
+  const navRouteMap = new Map();
+  const entityNamesForRegistry = [];
+  if (entities) {
+    Object.keys(entities).forEach((entityName) => {
+      const path = `/${resourcePlural(entityName, devProfile.pluralOverrides || {})}`;
+      const ui = entityUi[entityName] || {};
+      const entry = { path, label: entityName };
+      if (ui.label) entry.title = ui.label;
+      if (ui.icon) {
+        entry.icon = `Icons.${ui.icon}`;
+        entry.selectedIcon = `Icons.${ui.selectedIcon}`;
+      }
+      navRoutes.push(entry);
+      navRouteMap.set(entityName, entry);
+    });
+  }
+
+  navRoutes.push({
+    path: '/settings/columns',
+    label: 'Column Settings',
+    icon: 'Icons.view_column_outlined',
+    selectedIcon: 'Icons.view_column',
+  });
+
+  writeFile(path.join(dirs.coreDir, 'navigation_destinations.dart'), generateNavigationDestinationsTemplate(navRoutes), force, 'core/navigation_destinations.dart');
+
+  const generatedServiceEntities = new Set();
+  const entityFolders = {};
+  if (entities) {
+    for (const [entityName, fields] of Object.entries(entities)) {
+      if (!entityAllowed(entityName)) continue;
+      if (!entityNamesForRegistry.includes(entityName)) {
+        entityNamesForRegistry.push(entityName);
+      }
+
+      const modelF = modelFileName(entityName);
+      const serviceF = serviceFileName(entityName);
+      const controllerF = controllerFileName(entityName);
+      const formF = formFileName(entityName);
+      const viewF = tableViewFileName(entityName);
+      const service = serviceOf(settings, model, entityName);
+      const folder = service ? service.folder : '';
+      const at = dirsIn(folder);
+      if (folder) entityFolders[entityName] = folder;
+
+      const tenantIsolation = {
+        enabled: !!devProfile.tenantIsolationEnabled && !!devProfile.tenantFieldName && Array.isArray(fields) && fields.some(f => f?.name === devProfile.tenantFieldName),
+        fieldName: devProfile.tenantFieldName,
+      };
+
+      if (regenerate(entityName) && devProfile.tenantIsolationEnabled && devProfile.tenantFieldName && !tenantIsolation.enabled) {
+        logger.warn(`Tenant isolation enabled but field '${devProfile.tenantFieldName}' not found on entity '${entityName}'.`);
+      }
+
+      const opts = entityOptions[entityName] || {};
+      const ui = entityUi[entityName] || {};
+      const routePath = (navRouteMap.get(entityName)?.path) ?? `/${resourcePlural(entityName, devProfile.pluralOverrides || {})}`;
+      const write = regenerate(entityName);
+
+      if (write && shouldGen('models')) {
+        writeFile(path.join(at.modelsDir, modelF), generateModelTemplate(entityName, fields, enums, { doc: entityDocs[entityName] }), force, labelIn(folder, `models/${modelF}`), { entity: entityName });
+      }
+      if (shouldGen('services')) {
+        if (write) {
+          writeFile(
+            path.join(at.servicesDir, serviceF),
+            generateServiceTemplate(entityName, {
+              microserviceName: opts.microservice || (service ? service.gatewayServiceName : devProfile.gatewayServiceName || microserviceName),
+              useGateway: !!devProfile.useGateway,
+              tenantIsolation,
+              enableSQLite,
+              search: !!opts.search,
+            }),
+            force,
+            labelIn(folder, `services/${serviceF}`),
+            { entity: entityName }
+          );
+        }
+        generatedServiceEntities.add(entityName);
+      }
+      if (write && shouldGen('controllers')) {
+        writeFile(path.join(at.controllersDir, controllerF), generateEntityControllerTemplate(entityName, fields, enums, {
+          tenantIsolation,
+          enableSQLite,
+          search: !!opts.search,
+          paginate: !!opts.paginate,
+        }), force, labelIn(folder, `controllers/${controllerF}`), { entity: entityName });
+      }
+      if (write && shouldGen('forms')) {
+        writeFile(path.join(at.formsDir, formF), generateFormTemplate(entityName, fields, enums, { tenantIsolation }), force, labelIn(folder, `forms/${formF}`), { entity: entityName });
+      }
+      if (write && shouldGen('views')) {
+        writeFile(path.join(at.viewsDir, viewF), generateTableViewTemplate(entityName, fields, entities, {
+          enableSQLite,
+          navRoutes,
+          enums,
+          enumValues,
+          search: !!opts.search,
+          paginate: !!opts.paginate,
+          filter: !!opts.filter,
+          readOnly: !!opts.readOnly,
+          entityOptions,
+          label: ui.label,
+        }), force, labelIn(folder, `views/${viewF}`), { entity: entityName });
+      }
+      if (write && shouldGen('widgets') && opts.filter) {
+        writeFile(path.join(at.widgetsDir, `${entityFileBase(entityName)}_filter_drawer.dart`), generateFilterDrawerTemplate(entityName, fields, enums), force, labelIn(folder, `widgets/${entityFileBase(entityName)}_filter_drawer.dart`), { entity: entityName });
+      }
+      if (write) {
+        pluginEntityFiles(settings.plugins, entityName, fields, { settings, model }).forEach((file) => {
+          writeFile(path.join(at.libDir, file.path), file.content, force, labelIn(folder, file.path), { entity: entityName });
+        });
+      }
+
+      entityRoutes.push({
+        path: routePath,
+        controllerFile: controllerF,
+        viewFile: viewF,
+        controllerClass: controllerClassName(entityName),
+        viewClass: tableViewClassName(entityName),
+        label: ui.label || entityName,
+        roles: ui.roles || [],
+        folder,
+      });
+    }
+  }
+
+  if (enableSQLite) {
+    const syncEntities = shouldGen('services')
+      ? Array.from(generatedDaoEntities).filter((entityName) => generatedServiceEntities.has(entityName))
+      : [];
+
+    writeFile(
+      path.join(dirs.coreSyncDir, 'sync_service.dart'),
+      generateSyncServiceTemplate(syncEntities, { folders: entityFolders }),
+      force,
+      'core/sync/sync_service.dart'
+    );
+  }
+
+  // Static screens
+  if (shouldGen('views') || shouldGen('controllers')) {
+    log('• Generating static views/controllers ...');
+
+    if (scaffold && shouldGen('controllers')) {
+      writeFile(path.join(dirs.controllersDir, 'splash_controller.dart'), generateSplashControllerTemplate(), force, 'controllers/splash_controller.dart');
+      writeFile(path.join(dirs.controllersDir, 'login_controller.dart'), generateLoginControllerTemplate(), force, 'controllers/login_controller.dart');
+    }
+    if (shouldGen('views')) {
+      if (scaffold) {
+        writeFile(path.join(dirs.viewsDir, 'splash_view.dart'), generateSplashViewTemplate(), force, 'views/splash_view.dart');
+        writeFile(path.join(dirs.viewsDir, 'login_view.dart'), generateLoginViewTemplate(), force, 'views/login_view.dart');
+        writeFile(path.join(dirs.viewsDir, 'home_view.dart'), generateHomeViewTemplate(), force, 'views/home_view.dart');
+        writeFile(path.join(dirs.viewsDir, 'unauthorized_view.dart'), generateUnauthorizedViewTemplate(), force, 'views/unauthorized_view.dart');
+        writeFile(path.join(dirs.viewsDir, 'forbidden_view.dart'), generateForbiddenViewTemplate(), force, 'views/forbidden_view.dart');
+      }
+      writeFile(
+        path.join(dirs.viewsSettingsDir, 'column_settings_view.dart'),
+        generateColumnSettingsViewTemplate(navRoutes),
+        force,
+        'views/settings/column_settings_view.dart'
+      );
+      writeFile(
+        path.join(dirs.viewsSettingsDir, 'column_preferences_registry.dart'),
+        generateColumnPreferencesRegistryTemplate(entityNamesForRegistry, { folders: entityFolders }),
+        force,
+        'views/settings/column_preferences_registry.dart'
+      );
+    }
+  }
+
+  // Routes
+  if (shouldGen('routes')) {
+    writeFile(
+      path.join(dirs.coreDir, 'routes.dart'),
+      generateRoutesTemplate({ entityRoutes, includeAuthGuards, includeColumnSettings: shouldGen('views') }),
+      force,
+      'core/routes.dart'
+    );
+  }
+
+  // main.dart
+  if (scaffold && emitMain && shouldGen('main')) {
+    log('• Generating main.dart ...');
+    writeFile(path.join(dirs.libDir, 'main.dart'), generateMainDartTemplate({ enableSQLite, profiles: Object.keys(profiles) }), force, 'main.dart');
+  }
+}
+
+/**
+ * One generation pass as the CLI and API run it: user templates replace the built-in output,
+ * then plugin transforms apply to every file, and the manifest tracks what is written.
+ * Template and plugin failures throw a GenerationError.
+ */
+function generateTracked(settings, model, manifest, changed = null) {
+  try {
+    withManifest(manifest, () => withTransform(contentTransform(settings, model), () => generateFiles(settings, model, changed)));
+  } catch (e) {
+    if (!e.plugin && !e.template) throw e;
+    throw new GenerationError(e.message, { plugin: e.plugin || null, template: e.template || null, cause: e });
+  }
+}
+
+/**
+ * templatesDir overrides first, plugin transforms on the result, then the imports of files in
+ * service folders are rebased (lib/services.js); null when none applies.
+ */
+function contentTransform(settings, model) {
+  const context = { settings, model };
+  const transforms = [
+    templateTransform(settings.templatesDir, context),
+    pluginTransform(settings.plugins, context),
+    serviceImportsTransform(settings),
+  ].filter(Boolean);
+  if (!transforms.length) return null;
+  return (content, file) => transforms.reduce((current, transform) => transform(current, file), content);
+}
+
+/**
+ * --prune: delete the tracked files of entities that left the model. Without it the
+ * leftovers are only pointed out.
+ */
+function pruneRemovedEntities(settings, model, manifest) {
+  const liveEntities = Object.keys(model.entities || {});
+  if (settings.prune) return pruneOrphans(manifest, liveEntities, { force: settings.force, outputDir: settings.outputDir });
+  const orphans = orphanedFiles(manifest, liveEntities, { outputDir: settings.outputDir });
+  if (orphans.length) {
+    const removed = Array.from(new Set(orphans.map((o) => o.entity)));
+    (settings.logger || consoleLogger).warn(`${orphans.length} generated file(s) of removed entities (${removed.join(', ')}) left in place; run with --prune to delete them`);
+  }
+  return [];
+}
+
+/** Per-entity fingerprint of everything its generated files are built from. */
+function entitySignatures({ entities, enums, enumValues, entityOptions, entityDocs, entityUi, entityServices = {} }) {
+  const out = {};
+  Object.entries(entities || {}).forEach(([name, fields]) => {
+    const enumTypes = fields.map((f) => f.type).filter((t) => enums[t]);
+    out[name] = JSON.stringify({
+      fields,
+      options: entityOptions[name] || {},
+      ui: entityUi[name] || {},
+      doc: entityDocs[name] || null,
+      service: entityServices[name] || null,
+      enums: enumTypes.map((t) => [t, enums[t], enumValues[t] || null]),
+    });
+  });
+  return out;
+}
+
+/**
+ * Entities added or modified since the last cycle, and the set to rewrite: those plus
+ * every entity related to a changed or removed one (views and forms embed related entities).
+ */
+function diffEntities(previous, next, entities = {}) {
+  const changed = Object.keys(next).filter((name) => previous[name] !== next[name]);
+  const removed = Object.keys(previous).filter((name) => !(name in next));
+  const touched = new Set([...changed, ...removed]);
+  const affected = new Set(changed);
+  Object.entries(entities).forEach(([name, fields]) => {
+    fields.filter((f) => f.isRelationship).forEach((f) => {
+      if (touched.has(f.targetEntity)) affected.add(name);
+      if (touched.has(name) && entities[f.targetEntity]) affected.add(f.targetEntity);
+    });
+  });
+  return { changed, removed, affected };
+}
+
+// ---------- JDL options ----------
+
+function selectApplication(applications = {}, microserviceName, logger = consoleLogger) {
+  const names = Object.keys(applications);
+  if (!names.length) return null;
+  const app = applications[microserviceName];
+  if (!app) {
+    logger.warn(`No application with baseName '${microserviceName}' in the JDL (found: ${names.join(', ')}); generating all entities.`);
+    return null;
+  }
+  logger.log(`ℹ️ Application '${app.baseName}' (${app.applicationType}): ${app.entities.length} entit${app.entities.length === 1 ? 'y' : 'ies'}`);
+  return app;
+}
+
+function selectClientEntities(entities, entityOptions = {}, application = null, logger = consoleLogger) {
+  const names = Object.keys(entities || {});
+  const skipped = names.filter((name) => entityOptions[name]?.skipClient);
+  const keep = new Set(names.filter((name) => !skipped.includes(name) && (!application || application.entities.includes(name))));
+  if (keep.size === names.length) return entities;
+
+  if (skipped.length) logger.log(`ℹ️ skipClient: not generating ${skipped.join(', ')}`);
+  return pickEntities(entities, keep);
+}
+
+// The entities named in `keep` (a Set), without their relationships to the others
+function pickEntities(entities, keep) {
+  const out = {};
+  for (const [name, fields] of Object.entries(entities)) {
+    if (!keep.has(name)) continue;
+    out[name] = fields.filter((f) => !(f.isRelationship && !keep.has(f.targetEntity)));
+  }
+  return out;
+}
+
+// The entities a service's `only` names (case-insensitive, as --only)
+function serviceEntities(service, entities, logger) {
+  const names = Object.keys(entities);
+  const unknown = service.only.filter((n) => !names.some((name) => name.toLowerCase() === n.toLowerCase()));
+  if (unknown.length) logger.warn(`Service '${service.name}': only names unknown entit${unknown.length === 1 ? 'y' : 'ies'} ${unknown.join(', ')}`);
+  const wanted = service.only.map((n) => n.toLowerCase());
+  return pickEntities(entities, new Set(names.filter((name) => wanted.includes(name.toLowerCase()))));
+}
+
+// ---------- Output directories ----------
+
+function resolveDirs(rootOut) {
+  const libDir = rootOut;
+  return {
+    libDir,
+    projectRoot: path.resolve(libDir, '..'),
+    coreDir: path.join(libDir, 'core'),
+    coreAuthDir: path.join(libDir, 'core', 'auth'),
+    coreEnvDir: path.join(libDir, 'core', 'env'),
+    coreThemeDir: path.join(libDir, 'core', 'theme'),
+    corePreferencesDir: path.join(libDir, 'core', 'preferences'),
+    coreConnectivityDir: path.join(libDir, 'core', 'connectivity'),
+    coreSyncDir: path.join(libDir, 'core', 'sync'),
+    modelsDir: path.join(libDir, 'models'),
+    servicesDir: path.join(libDir, 'services'),
+    controllersDir: path.join(libDir, 'controllers'),
+    formsDir: path.join(libDir, 'forms'),
+    viewsDir: path.join(libDir, 'views'),
+    viewsSettingsDir: path.join(libDir, 'views', 'settings'),
+    widgetsDir: path.join(libDir, 'widgets'),
+    widgetsTableDir: path.join(libDir, 'widgets', 'table'),
+    widgetsCommonDir: path.join(libDir, 'widgets', 'common'),
+    enumsDir: path.join(libDir, 'enums'),
+    localDir: path.join(libDir, 'core', 'local'),
+    localDaoDir: path.join(libDir, 'core', 'local', 'dao'),
+  };
+}
+
+function ensureDirs(dirs) {
+  [
+    dirs.libDir,
+    dirs.coreDir,
+    dirs.coreAuthDir,
+    dirs.coreEnvDir,
+    dirs.coreThemeDir,
+    dirs.corePreferencesDir,
+    dirs.modelsDir,
+    dirs.servicesDir,
+    dirs.controllersDir,
+    dirs.formsDir,
+    dirs.viewsDir,
+    dirs.viewsSettingsDir,
+    dirs.widgetsDir,
+    dirs.widgetsTableDir,
+    dirs.widgetsCommonDir,
+    dirs.enumsDir,
+    dirs.coreConnectivityDir,
+    dirs.coreSyncDir,
+    dirs.localDir,
+    dirs.localDaoDir,
+  ].forEach((d) => fs.mkdirSync(d, { recursive: true }));
+}
+
+module.exports = {
+  loadModel,
+  generateFiles,
+  generateTracked,
+  contentTransform,
+  pruneRemovedEntities,
+  entitySignatures,
+  diffEntities,
+  selectApplication,
+  resolveDirs,
+};
@@ -0,0 +1,111 @@
+// lib/services.js
+// Several microservices in one Flutter app (`services:` in fhipster.config.yaml).
+//
+// Each service is parsed on its own (its JDL, its application, its `only` filter) and the
+// models are merged into one, so the shared files (routes, navigation, column settings,
+// SQLite, sync) list the entities of every service. An entity's own files go under the
+// folder of its service:
+//
+//   lib/inventory/{models,services,controllers,forms,views,enums,widgets}/...
+//
+// The generators write imports for the flat lib/ layout; rebaseSharedImports() points the
+// ones that leave the service folder (core/, shared widgets) one level further up.
+
+const path = require('path');
+const { ConfigError } = require('./errors');
+
+// What a service folder holds; any other `../` import is shared and lives in lib/
+const SERVICE_DIRS = ['models', 'services', 'controllers', 'forms', 'views', 'enums'];
+const SERVICE_WIDGET = /^widgets\/[^/]+_filter_drawer\.dart$/;
+
+/**
+ * One model out of the services' models (`parts`: [{ service, model }]). The result also
+ * maps each entity to its service (`entityServices`) and each enum to the services that
+ * declare it (`enumServices`). An entity declared by two services, or an enum declared
+ * with different values, throws a ConfigError listing every collision.
+ */
+function mergeServiceModels(parts) {
+  const merged = {
+    entities: {},
+    enums: {},
+    enumValues: {},
+    entityOptions: {},
+    entityDocs: {},
+    entityUi: {},
+    applications: {},
+    relationships: [],
+    pluralOverrides: {},
+    entityServices: {},
+    enumServices: {},
+  };
+  const collisions = [];
+
+  parts.forEach(({ service, model }) => {
+    Object.entries(model.entities).forEach(([name, fields]) => {
+      const owner = merged.entityServices[name];
+      if (owner) {
+        collisions.push(`entity '${name}' is declared by services '${owner}' and '${service.name}'`);
+        return;
+      }
+      merged.entities[name] = fields;
+      merged.entityServices[name] = service.name;
+      ['entityOptions', 'entityDocs', 'entityUi'].forEach((key) => {
+        if (model[key][name] !== undefined) merged[key][name] = model[key][name];
+      });
+    });
+    Object.entries(model.enums).forEach(([name, values]) => {
+      const owners = merged.enumServices[name];
+      if (owners && JSON.stringify(merged.enumValues[name] || merged.enums[name]) !== JSON.stringify(model.enumValues[name] || values)) {
+        collisions.push(`enum '${name}' has different values in services '${owners[0]}' and '${service.name}'`);
+        return;
+      }
+      merged.enums[name] = values;
+      if (model.enumValues[name]) merged.enumValues[name] = model.enumValues[name];
+      merged.enumServices[name] = [...(owners || []), service.name];
+    });
+    Object.assign(merged.applications, model.applications);
+    Object.assign(merged.pluralOverrides, model.pluralOverrides);
+    merged.relationships.push(...(model.relationships || []));
+  });
+
+  if (collisions.length) {
+    throw new ConfigError(`Name collision${collisions.length === 1 ? '' : 's'} across services: ${collisions.join('; ')}. Rename one of them, or leave entities out with the service's 'only'.`);
+  }
+  return merged;
+}
+
+/** The service (from `settings.services`) whose folder holds `entityName`'s files, or null. */
+function serviceOf(settings, model, entityName) {
+  if (!settings.services) return null;
+  const name = (model.entityServices || {})[entityName];
+  return settings.services.find((s) => s.name === name) || null;
+}
+
+/** The service folder `absPath` lies in (under `outputDir`), or null. */
+function serviceFolderOf(settings, absPath) {
+  if (!settings.services) return null;
+  const [first] = path.relative(settings.outputDir, absPath).split(path.sep);
+  return settings.services.find((s) => s.folder === first) || null;
+}
+
+/** Point the `../` imports of a service folder file that leave the folder at lib/. */
+function rebaseSharedImports(content) {
+  return content.replace(/^(import\s+')\.\.\/([^']+)'/gm, (line, head, target) => {
+    const local = SERVICE_DIRS.includes(target.split('/')[0]) || SERVICE_WIDGET.test(target);
+    return local ? line : `${head}../../${target}'`;
+  });
+}
+
+/** Content transform (utils/file_writer.js) rebasing the files written into service folders; null without services. */
+function serviceImportsTransform(settings) {
+  if (!settings.services) return null;
+  return (content, { absPath }) => (serviceFolderOf(settings, absPath) ? rebaseSharedImports(content) : content);
+}
+
+module.exports = {
+  mergeServiceModels,
+  serviceOf,
+  serviceFolderOf,
+  rebaseSharedImports,
+  serviceImportsTransform,
+};
@@ -0,0 +1,546 @@
+// lib/settings.js
+// CLI/API options and fhipster.config.yaml -> the settings a run works with (resolveSettings),
+// plus the YAML loading and input path helpers the CLI commands share.
+//
+// Precedence: explicit options win over YAML, YAML over defaults. Problems throw the typed
+// errors of lib/errors.js (ConfigError, InputError); warnings go to the logger.
+
+const fs = require('fs');
+const path = require('path');
+const { hasErrors } = require('../parser');
+const { loadPlugins } = require('../utils/plugins');
+const { hasGlob, expandGlob } = require('../utils/glob');
+const { validateConfig, validateConfigFile } = require('../utils/config_schema');
+const { snakeCase } = require('../utils/naming');
+const { ConfigError, InputError } = require('./errors');
+const { consoleLogger } = require('./logger');
+
+// ---------- Settings ----------
+
+/**
+ * Everything the run needs from the CLI (or API options, in the same shape) and YAML,
+ * before the inputs are parsed. `logger` (lib/logger.js) is kept as `settings.logger`.
+ */
+function resolveSettings(argv, yamlConfig, { logger = consoleLogger } = {}) {
+  // Inputs
+  // `services:` in YAML: one app from several microservices, each with its own inputs
+  const services = resolveServices(yamlConfig.services, argv);
+  const inputPaths = services
+    ? Array.from(new Set(services.flatMap((s) => s.inputPaths)))
+    : resolveInputPaths(argv._.length ? argv._ : yamlConfig.jdlFile);
+  const outputDir = path.resolve(process.cwd(), argv.outputDir || yamlConfig.outputDir || 'flutter_generated');
+
+  const microserviceName = services ? null : pick(argv.microservice, yamlConfig.microservice, null);
+  if (!microserviceName && !services) {
+    throw new InputError('Missing required option: --microservice (or set microservice in YAML)');
+  }
+
+  // Precedence: YAML wins when CLI not explicitly set
+  const includeAuthGuards = argv.includeAuthGuards !== undefined ? argv.includeAuthGuards
+                           : (yamlConfig.includeAuthGuards ?? true);
+  const emitMain = argv.emitMain !== undefined ? argv.emitMain
+                  : (yamlConfig.emitMain ?? false);
+
+  const force = !!argv.force;
+  const isModule = !!argv.module;
+
+  // Partial gen flags
+  const onlyEntities = parseCsv(argv.only || yamlConfig.only);
+  const skipParts = new Set(parseCsv(argv.skipParts || yamlConfig.skipParts));
+  const debugRelationships = parseCsv(argv.debugRelationships);
+
+  // In module mode, skip auth, SQLite, main, and app-specific core components
+  if (isModule) {
+    skipParts.add('auth');
+    skipParts.add('sqlite');
+    skipParts.add('main');
+    skipParts.add('core');
+  }
+
+  let plugins;
+  try {
+    plugins = loadPlugins(yamlConfig.plugins, yamlConfig.configDir || process.cwd());
+  } catch (e) {
+    throw new ConfigError(e.message, { cause: e });
+  }
+
+  // Build profiles from YAML
+  const { devProfile, prodProfile, profiles } = buildProfilesFromYaml(yamlConfig, argv);
+  const enableSQLite = isModule ? false : pick(argv.enableSQLite, yamlConfig.enableSQLite, true);
+
+  // CLI paths are relative to the working directory. So are the YAML inputs and outputDir
+  // (jdlFile, outputDir, services[].jdlFile); plugins and templatesDir are relative to the config file
+  const templatesDir = argv.templatesDir
+    ? path.resolve(process.cwd(), argv.templatesDir)
+    : yamlConfig.templatesDir ? path.resolve(yamlConfig.configDir || process.cwd(), yamlConfig.templatesDir) : null;
+
+  return {
+    inputPaths,
+    outputDir,
+    microserviceName,
+    services,
+    includeAuthGuards,
+    emitMain,
+    force,
+    isModule,
+    onlyEntities,
+    skipParts,
+    debugRelationships,
+    devProfile,
+    prodProfile,
+    profiles,
+    enableSQLite,
+    watch: !!argv.watch,
+    prune: !!argv.prune,
+    // --diff-out implies a dry run
+    dryRun: !!argv.dryRun || !!argv.diffOut,
+    diffOut: argv.diffOut ? path.resolve(process.cwd(), argv.diffOut) : null,
+    plugins,
+    templatesDir,
+    quiet: !!argv.quiet,
+    logger,
+  };
+}
+
+// ---------- Services ----------
+
+// Top-level folders of lib/ a service folder must not take over
+const RESERVED_FOLDERS = ['core', 'models', 'services', 'controllers', 'forms', 'views', 'enums', 'widgets'];
+
+/**
+ * The `services:` list ([{ name, jdlFile, gatewayServiceName?, only?, folder? }]) as
+ * [{ name, inputPaths, gatewayServiceName, only, folder }], or null without one. The
+ * gateway name defaults to the service name, the folder to its snake_case form.
+ */
+function resolveServices(list, argv) {
+  if (!Array.isArray(list) || !list.length) return null;
+  if (argv._.length) {
+    throw new InputError('The JDL of each service is set by its jdlFile in services:; drop the input argument.');
+  }
+  if (argv.microservice) {
+    throw new InputError('--microservice does not apply with services: in YAML; every service is generated.');
+  }
+  const services = list.map((entry, i) => {
+    if (!entry || !entry.name) throw new ConfigError(`services[${i}] has no name`);
+    if (!entry.jdlFile) throw new ConfigError(`Service '${entry.name}' has no jdlFile`);
+    return {
+      name: entry.name,
+      inputPaths: resolveInputPaths(entry.jdlFile),
+      gatewayServiceName: entry.gatewayServiceName || entry.name,
+      only: parseCsv(entry.only),
+      folder: entry.folder || snakeCase(entry.name),
+    };
+  });
+  services.forEach((service, i) => {
+    const clash = services.slice(0, i).find((s) => s.name === service.name || s.folder === service.folder);
+    if (clash) {
+      throw new ConfigError(clash.name === service.name
+        ? `Service '${service.name}' is listed twice in services:`
+        : `Services '${clash.name}' and '${service.name}' share the folder '${service.folder}'; set folder on one of them`);
+    }
+    if (RESERVED_FOLDERS.includes(service.folder)) {
+      throw new ConfigError(`Service '${service.name}' cannot use the folder '${service.folder}' (lib/${service.folder} holds generated files); set folder`);
+    }
+  });
+  return services;
+}
+
+// ---------- Profiles ----------
+
+const DEFAULT_THEME = {
+  light: {
+    primary: '0xFF2D6CDF',
+    secondary: '0xFF1B48B2',
+    accent: '0xFF0B6EFD',
+  },
+  dark: {
+    primary: '0xFF8AB4F8',
+    secondary: '0xFF5F85DB',
+    accent: '0xFF4C8CF6',
+  },
+};
+
+function buildProfilesFromYaml(yamlConfig, argv) {
+  const base = {
+    appName: yamlConfig.appName ?? 'FHipster',
+    envName: yamlConfig.envName ?? 'dev',
+    apiHost: yamlConfig.apiHost ?? 'http://localhost:8080',
+    useGateway: yamlConfig.useGateway ?? false,
+    gatewayServiceName: yamlConfig.gatewayServiceName ?? null,
+
+    auth: yamlConfig.auth || { provider: 'keycloak', keycloak: {} },
+
+    defaultPageSize: yamlConfig.defaultPageSize ?? 20,
+    pageSizeOptions: yamlConfig.pageSizeOptions || [10, 20, 50, 100],
+    defaultSort: yamlConfig.defaultSort || ['id,desc'],
+    defaultSearchSort: yamlConfig.defaultSearchSort || ['_score,desc'],
+    distinctByDefault: yamlConfig.distinctByDefault ?? false,
+
+    totalCountHeaderName: yamlConfig.totalCountHeaderName || 'X-Total-Count',
+    storageKeyAccessToken: yamlConfig.storageKeyAccessToken || 'fh_access_token',
+    storageKeyAccessExpiry: yamlConfig.storageKeyAccessExpiry || 'fh_access_expiry',
+    storageKeyRefreshToken: yamlConfig.storageKeyRefreshToken || 'fh_refresh_token',
+    storageKeyRefreshExpiry: yamlConfig.storageKeyRefreshExpiry || 'fh_refresh_expiry',
+    storageKeyRememberedUsername: yamlConfig.storageKeyRememberedUsername || 'fh_remembered_username',
+
+    relationshipPayloadMode: yamlConfig.relationshipPayloadMode || 'idOnly',
+
+    // Security options
+    storageMode: yamlConfig.storageMode || 'get_storage',
+    httpStrict: yamlConfig.httpStrict ?? false,
+    pinnedSha256Certs: yamlConfig.pinnedSha256Certs || [],
+
+    pluralOverrides: yamlConfig.pluralOverrides || {},
+
+    tenantIsolationEnabled: yamlConfig.tenantIsolationEnabled ?? false,
+    tenantFieldName: yamlConfig.tenantFieldName || null,
+
+    syncIntervalMinutes: yamlConfig.syncIntervalMinutes ?? 15,
+    theme: normalizeTheme(yamlConfig.theme, DEFAULT_THEME),
+  };
+
+  // CLI quick overrides
+  if (argv.apiHost) base.apiHost = argv.apiHost;
+  if (typeof argv.useGateway === 'boolean') base.useGateway = argv.useGateway;
+  if (argv.gatewayServiceName) base.gatewayServiceName = argv.gatewayServiceName;
+
+  // dev and prod always exist; any other named profile follows them in YAML order
+  const profilesIn = yamlConfig.profiles || {};
+  const profiles = {};
+  Array.from(new Set(['dev', 'prod', ...Object.keys(profilesIn)])).forEach((name) => {
+    const pIn = profileInput(profilesIn, name);
+    if (name === 'dev') profiles.dev = normalizeProfile(pIn, base);
+    else if (name === 'prod') profiles.prod = normalizeProfile(pIn, base, { envName: 'prod', appName: base.appName });
+    else profiles[name] = normalizeProfile(pIn, { ...base, envName: name });
+  });
+
+  return { devProfile: profiles.dev, prodProfile: profiles.prod, profiles };
+}
+
+/**
+ * A profile's YAML with what it `extends` merged underneath (nested mappings such as auth
+ * and theme key by key). envName is not inherited. Unknown parents and cycles are reported
+ * by the config schema; here they just end the chain.
+ */
+function profileInput(profilesIn, name, seen = new Set()) {
+  const { extends: parent, ...own } = profilesIn[name] || {};
+  if (!parent || seen.has(name)) return own;
+  seen.add(name);
+  const { envName, ...inherited } = profileInput(profilesIn, parent, seen);
+  return mergeDeep(inherited, own);
+}
+
+function mergeDeep(base, over) {
+  const out = { ...base };
+  const isMap = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+  Object.entries(over).forEach(([key, value]) => {
+    // an empty value (`key:`) leaves the inherited one
+    if (value === null || value === undefined) return;
+    out[key] = isMap(value) && isMap(out[key]) ? mergeDeep(out[key], value) : value;
+  });
+  return out;
+}
+
+function normalizeProfile(pIn, base, hard = {}) {
+  const authIn = pIn.auth || base.auth || {};
+  const kcIn = authIn.keycloak || {};
+
+  return {
+    appName: valueOr(pIn.appName, base.appName, hard.appName),
+    envName: valueOr(pIn.envName, base.envName, hard.envName),
+    apiHost: valueOr(pIn.apiHost, base.apiHost),
+    useGateway: valueOrBool(pIn.useGateway, base.useGateway),
+    gatewayServiceName: valueOr(pIn.gatewayServiceName, base.gatewayServiceName),
+
+    authProvider: authIn.provider || base.auth.provider || 'keycloak',
+    jwtAuthEndpoint: authIn.jwtAuthEndpoint || '/api/authenticate',
+    accountEndpoint: authIn.accountEndpoint || '/api/account',
+    allowCredentialCacheForJwt: valueOrBool(authIn.allowCredentialCacheForJwt, false),
+
+    keycloakTokenEndpoint: kcIn.tokenEndpoint || null,
+    keycloakLogoutEndpoint: kcIn.logoutEndpoint || null,
+    keycloakAuthorizeEndpoint: kcIn.authorizeEndpoint || null,
+    keycloakUserinfoEndpoint: kcIn.userinfoEndpoint || null,
+    keycloakClientId: kcIn.clientId || null,
+    keycloakClientSecret: kcIn.clientSecret || null,
+    keycloakScopes: Array.isArray(kcIn.scopes) && kcIn.scopes.length > 0 ? kcIn.scopes : ['openid','profile','email','offline_access'],
+
+    defaultPageSize: valueOrNum(pIn.defaultPageSize, base.defaultPageSize),
+    pageSizeOptions: Array.isArray(pIn.pageSizeOptions) ? pIn.pageSizeOptions : base.pageSizeOptions,
+    defaultSort: Array.isArray(pIn.defaultSort) ? pIn.defaultSort : base.defaultSort,
+    defaultSearchSort: Array.isArray(pIn.defaultSearchSort) ? pIn.defaultSearchSort : base.defaultSearchSort,
+    distinctByDefault: valueOrBool(pIn.distinctByDefault, base.distinctByDefault),
+
+    totalCountHeaderName: valueOr(pIn.totalCountHeaderName, base.totalCountHeaderName),
+    storageKeyAccessToken: valueOr(pIn.storageKeyAccessToken, base.storageKeyAccessToken),
+    storageKeyAccessExpiry: valueOr(pIn.storageKeyAccessExpiry, base.storageKeyAccessExpiry),
+    storageKeyRefreshToken: valueOr(pIn.storageKeyRefreshToken, base.storageKeyRefreshToken),
+    storageKeyRefreshExpiry: valueOr(pIn.storageKeyRefreshExpiry, base.storageKeyRefreshExpiry),
+    storageKeyRememberedUsername: valueOr(pIn.storageKeyRememberedUsername, base.storageKeyRememberedUsername),
+
+    relationshipPayloadMode: valueOr(pIn.relationshipPayloadMode, base.relationshipPayloadMode),
+
+    storageMode: valueOr(pIn.storageMode, base.storageMode),
+    httpStrict: valueOrBool(pIn.httpStrict, base.httpStrict),
+    pinnedSha256Certs: Array.isArray(pIn.pinnedSha256Certs) ? pIn.pinnedSha256Certs : base.pinnedSha256Certs,
+
+    pluralOverrides: {
+      ...(base.pluralOverrides || {}),
+      ...(pIn.pluralOverrides || {}),
+    },
+
+    tenantIsolationEnabled: valueOrBool(pIn.tenantIsolationEnabled, base.tenantIsolationEnabled),
+    tenantFieldName: valueOr(pIn.tenantFieldName, base.tenantFieldName),
+
+    syncIntervalMinutes: valueOrNum(pIn.syncIntervalMinutes, base.syncIntervalMinutes),
+
+    theme: normalizeTheme(pIn.theme, base.theme || DEFAULT_THEME),
+  };
+}
+
+function normalizeTheme(themeIn, fallback = DEFAULT_THEME) {
+  const provided = themeIn || {};
+  const base = fallback && typeof fallback === 'object' ? fallback : DEFAULT_THEME;
+
+  const baseLight = base.light || DEFAULT_THEME.light;
+  const baseDark = base.dark || DEFAULT_THEME.dark;
+
+  const lightIn = provided.light || {};
+  const darkIn = provided.dark || {};
+
+  return {
+    light: {
+      primary: parseColor(lightIn.primary, baseLight.primary),
+      secondary: parseColor(lightIn.secondary, baseLight.secondary),
+      accent: parseColor(lightIn.accent, baseLight.accent),
+    },
+    dark: {
+      primary: parseColor(darkIn.primary, baseDark.primary || baseLight.primary),
+      secondary: parseColor(darkIn.secondary, baseDark.secondary || baseLight.secondary),
+      accent: parseColor(darkIn.accent, baseDark.accent || baseLight.accent),
+    },
+  };
+}
+
+function parseColor(value, fallback) {
+  const defaultFallback = typeof fallback === 'string' && fallback.trim()
+    ? fallback.trim()
+    : '0xFF2D6CDF';
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    const hex = value.toString(16).toUpperCase().padStart(8, '0');
+    return `0x${hex}`;
+  }
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (!trimmed) {
+      return defaultFallback;
+    }
+
+    let hex = trimmed.replace(/^#/, '').replace(/^0x/i, '');
+    const isSix = /^[0-9a-fA-F]{6}$/.test(hex);
+    const isEight = /^[0-9a-fA-F]{8}$/.test(hex);
+    if (!isSix && !isEight) {
+      return defaultFallback;
+    }
+    if (hex.length === 6) {
+      hex = `FF${hex}`;
+    }
+    return `0x${hex.toUpperCase()}`;
+  }
+
+  if (typeof defaultFallback === 'number' && Number.isFinite(defaultFallback)) {
+    const hex = defaultFallback.toString(16).toUpperCase().padStart(8, '0');
+    return `0x${hex}`;
+  }
+
+  return defaultFallback;
+}
+
+
+// ---------- YAML ----------
+
+/** The YAML config in use: --config, else fhipster.config.yaml/.yml in the cwd (null if none exists). */
+function findYamlConfig(providedPath) {
+  const tryPaths = [];
+  if (providedPath) tryPaths.push(path.resolve(process.cwd(), providedPath));
+  tryPaths.push(
+    path.resolve(process.cwd(), 'fhipster.config.yaml'),
+    path.resolve(process.cwd(), 'fhipster.config.yml')
+  );
+  return tryPaths.find((p) => fs.existsSync(p)) || null;
+}
+
+/**
+ * Read and check the YAML config (utils/config_schema.js). Unknown keys are warned about;
+ * a config that does not parse or has wrong values throws a ConfigError. No config: {}.
+ */
+function loadYamlConfig(providedPath, { logger = consoleLogger } = {}) {
+  const p = findYamlConfig(providedPath);
+  if (!p) return {};
+  let checked;
+  try {
+    checked = validateConfigFile(p, { label: relPath(p) });
+  } catch (e) {
+    throw new ConfigError(`Failed to read YAML at ${p}: ${e.message}`, { file: p, cause: e });
+  }
+  logger.log(`📝 Using config: ${p}`);
+  return checkedConfig(checked, { file: p, configDir: path.dirname(p), logger });
+}
+
+/** The same checks for a config given as an object (API); its `plugins` and `templatesDir` are relative to `configDir`. */
+function loadConfigObject(data, { configDir = process.cwd(), logger = consoleLogger } = {}) {
+  const file = '<config>';
+  return checkedConfig({ data, diagnostics: validateConfig(data, { file }) }, { file, configDir, logger });
+}
+
+function checkedConfig({ data, diagnostics }, { file, configDir, logger }) {
+  if (hasErrors(diagnostics)) {
+    const errors = diagnostics.filter((d) => d.severity === 'error').length;
+    throw new ConfigError(`${file === '<config>' ? 'The config' : relPath(file)} has ${errors} error(s); nothing was generated.`, { file, diagnostics });
+  }
+  diagnostics.forEach((d) => logger.warn(d.message, d));
+  return { ...normalizeYaml(data), configDir };
+}
+
+function normalizeYaml(data) {
+  const root = { ...(data || {}) };
+  const proj = root.project || {};
+
+  return {
+    enableSQLite: pickBool(root.enableSQLite, proj.enableSQLite, false) ?? false,
+    jdlFile: root.jdlFile || proj.jdlFile,
+    outputDir: root.outputDir || proj.outputDir,
+    microservice: root.microservice || proj.microservice,
+    services: root.services || proj.services,
+
+    appName: root.appName || proj.appName,
+    envName: root.envName || proj.envName,
+    includeAuthGuards: pickBool(root.includeAuthGuards, proj.includeAuthGuards, undefined),
+    emitMain: pickBool(root.emitMain, proj.emitMain, undefined),
+
+    apiHost: root.apiHost || proj.apiHost,
+    useGateway: pickBool(root.useGateway, proj.useGateway, undefined),
+    gatewayServiceName: root.gatewayServiceName || proj.gatewayServiceName,
+
+    auth: root.auth || proj.auth,
+
+    defaultPageSize: root.defaultPageSize ?? proj.defaultPageSize,
+    pageSizeOptions: root.pageSizeOptions || proj.pageSizeOptions,
+    defaultSort: root.defaultSort || proj.defaultSort,
+    defaultSearchSort: root.defaultSearchSort || proj.defaultSearchSort,
+    distinctByDefault: pickBool(root.distinctByDefault, proj.distinctByDefault, undefined),
+
+    totalCountHeaderName: root.totalCountHeaderName || proj.totalCountHeaderName,
+    storageKeyAccessToken: root.storageKeyAccessToken || proj.storageKeyAccessToken,
+    storageKeyAccessExpiry: root.storageKeyAccessExpiry || proj.storageKeyAccessExpiry,
+    storageKeyRefreshToken: root.storageKeyRefreshToken || proj.storageKeyRefreshToken,
+    storageKeyRefreshExpiry: root.storageKeyRefreshExpiry || proj.storageKeyRefreshExpiry,
+    storageKeyRememberedUsername: root.storageKeyRememberedUsername || proj.storageKeyRememberedUsername,
+
+    relationshipPayloadMode: root.relationshipPayloadMode || proj.relationshipPayloadMode,
+
+    storageMode: root.storageMode || proj.storageMode,
+    httpStrict: pickBool(root.httpStrict, proj.httpStrict, undefined),
+    pinnedSha256Certs: root.pinnedSha256Certs || proj.pinnedSha256Certs,
+
+    pluralOverrides: root.pluralOverrides || proj.pluralOverrides || {},
+
+    tenantIsolationEnabled: pickBool(root.tenantIsolationEnabled, proj.tenantIsolationEnabled, undefined),
+    tenantFieldName: root.tenantFieldName || proj.tenantFieldName,
+
+    profiles: root.profiles || proj.profiles || {},
+    theme: root.theme || proj.theme,
+
+    // Optional passthroughs for partial gen
+    only: root.only || proj.only,
+    skipParts: root.skipParts || proj.skipParts,
+
+    syncIntervalMinutes: root.syncIntervalMinutes ?? proj.syncIntervalMinutes,
+
+    plugins: root.plugins || proj.plugins,
+    templatesDir: root.templatesDir || proj.templatesDir,
+  };
+}
+
+function pick(...vals) {
+  for (const v of vals) if (v !== undefined && v !== null) return v;
+  return undefined;
+}
+function pickBool(...vals) {
+  for (const v of vals) if (v === true || v === false) return v;
+  return undefined;
+}
+function valueOr(v, fallback, hardOverride) {
+  if (hardOverride !== undefined) return hardOverride;
+  return v !== undefined ? v : fallback;
+}
+function valueOrBool(v, fallback) {
+  return (v === true || v === false) ? v : !!fallback;
+}
+function valueOrNum(v, fallback) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : Number(fallback);
+}
+function parseCsv(s) {
+  if (!s) return [];
+  return String(s).split(',').map(x => x.trim()).filter(Boolean);
+}
+/**
+ * Input paths from the CLI positionals or `jdlFile` in YAML: a path, a glob
+ * (`jdl/*.jdl`) or a list of them. A directory that holds `.jdl` files stands
+ * for those files; any other directory is read as a JHipster `.jhipster` folder.
+ */
+function resolveInputPaths(jdlFromArgOrYaml) {
+  const specs = [].concat(jdlFromArgOrYaml || []).map(String).filter(Boolean);
+  if (!specs.length) {
+    throw new InputError('Missing JDL file path (provide as first arg or set jdlFile in YAML).');
+  }
+  const paths = [];
+  specs.forEach((spec) => {
+    if (hasGlob(spec)) {
+      const matches = expandGlob(spec, process.cwd());
+      if (!matches.length) {
+        throw new InputError(`No files match '${spec}'`, { path: spec });
+      }
+      paths.push(...matches);
+      return;
+    }
+    const abs = path.resolve(process.cwd(), spec);
+    if (!fs.existsSync(abs)) {
+      throw new InputError(`JDL file not found at '${abs}'`, { path: abs });
+    }
+    const jdlFiles = fs.statSync(abs).isDirectory()
+      ? fs.readdirSync(abs).filter((name) => name.toLowerCase().endsWith('.jdl')).sort().map((name) => path.join(abs, name))
+      : [];
+    paths.push(...(jdlFiles.length ? jdlFiles : [abs]));
+  });
+  const unique = Array.from(new Set(paths));
+  if (unique.length > 1 && unique.some((p) => inputKindOf(p) !== 'jdl')) {
+    throw new InputError('Only JDL files can be combined; pass a .jhipster directory or an OpenAPI spec on its own.');
+  }
+  return unique;
+}
+
+/** 'jhipster' for a `.jhipster` directory, 'openapi' for a .json/.yaml spec, else 'jdl'. */
+function inputKindOf(p) {
+  if (fs.statSync(p).isDirectory()) return 'jhipster';
+  return /\.(json|ya?ml)$/i.test(p) ? 'openapi' : 'jdl';
+}
+
+function relPath(p) {
+  return path.relative(process.cwd(), p) || p;
+}
+
+module.exports = {
+  resolveSettings,
+  findYamlConfig,
+  loadYamlConfig,
+  loadConfigObject,
+  resolveInputPaths,
+  inputKindOf,
+  parseCsv,
+  pick,
+  relPath,
+};
@@ -0,0 +1,43 @@
+// parser/diagnostics.js
+// Diagnostics shared by the JDL lexer and parser.
+//
+// Shape:
+//   { severity: 'error' | 'warning', message, file, line, col }
+//
+// Lines and columns are 1-based so they can be pasted into editors as
+// `file:line:col`. Config diagnostics of a config object (no YAML source) have neither.
+
+function diagnostic(severity, message, loc = {}) {
+  return {
+    severity,
+    message,
+    file: loc.file || '<jdl>',
+    line: loc.line || 1,
+    col: loc.col || 1,
+  };
+}
+
+function error(message, loc) {
+  return diagnostic('error', message, loc);
+}
+
+function warning(message, loc) {
+  return diagnostic('warning', message, loc);
+}
+
+function hasErrors(diagnostics = []) {
+  return diagnostics.some((d) => d.severity === 'error');
+}
+
+/** `app.jdl:12:5: error: Unknown validation 'requird' on field 'name'` */
+function formatDiagnostic(d) {
+  return `${d.file}${d.line ? `:${d.line}:${d.col}` : ''}: ${d.severity}: ${d.message}`;
+}
+
+module.exports = {
+  diagnostic,
+  error,
+  warning,
+  hasErrors,
+  formatDiagnostic,
+};
@@ -1,23 +1,164 @@
 // parser/index.js
-// Lightweight JDL parser -> { entities, enums }
-// - Supports: entity blocks, enum blocks, relationship blocks (O2O/M2O/O2M/M2M)
+// JDL parser -> { entities, enums, enumValues, entityOptions, entityDocs, entityUi, applications, relationships, ast, diagnostics }
+// - Text is tokenized (parser/lexer.js) and parsed into an AST (parser/jdl_parser.js);
+//   this module turns that AST into the generator-facing model below.
+// - Supports: entity blocks, enum blocks, relationship blocks (O2O/M2O/O2M/M2M),
+//   option lines, annotations, constants and comments
 // - Adds an implicit 'id' field to each entity if not declared
+// - Enum values keep their JHipster custom value as a display label:
+//     enum Status { ACTIVE (Active), IN_PROGRESS (In progress) }
+//     enums:      { Status: ['ACTIVE', 'IN_PROGRESS'] }          (wire values)
+//     enumValues: { Status: [ { name: 'IN_PROGRESS', label: 'In progress', doc? }, ... ] }
 // - Embeds relationship fields directly into entities:
 //     * OneToOne / ManyToOne  -> single object field on that side
 //     * OneToMany / ManyToMany -> List<Target> field on that side
 // - Each relationship field has:
-//     { name, isRelationship: true, relationshipType, targetEntity, inverseField? }
-// - Field shape for non-relations: { name, type, required?, nullable? }
+//     { name, isRelationship: true, relationshipType, targetEntity, inverseField?,
+//       displayField?, displayFieldType?, doc? }
+//     displayField comes from `Order{customer(name)}` and names a field of the target entity
+//     inverseField names the other side when the relationship declares both (`A{b} to B{a}`)
+// - Relationship fields are then normalized (parser/relationship_mapping.js), which adds
+//     { relKind: 'O2O'|'M2O'|'O2M'|'M2M', isCollection, cardinality, targetEntityModel,
+//       inverse?: { entity, fieldName } }
+//   generators read cardinality from these rather than from relationshipType strings
+// - The declared relationships are also returned once each (for diagrams):
+//     relationships: [ { type, from, to, fromField?, toField?, fromRequired, toRequired, doc? } ]
+// - Field shape for non-relations: { name, type, required?, nullable?, validations, doc?, hidden?, readOnly?, widget? }
+//     doc: the field's `/** ... */` Javadoc; entity Javadoc is returned as `entityDocs: { EntityName: text }`
+//     validations: { required, unique, minlength, maxlength, pattern, min, max, minbytes, maxbytes }
+//     (only the keys declared in the JDL are present)
+// - Client-side UI annotations (prefix `Fh`) keep UI intent next to the domain model:
+//     entities: @FhIcon("inventory"), @FhLabel("Purchase Order"), @FhRoles("ROLE_ADMIN")
+//               -> `entityUi`: { EntityName: { icon?, selectedIcon?, label?, roles? } }
+//     fields:   @FhHidden, @FhReadOnly, @FhWidget("textarea")
+//               -> field.hidden / field.readOnly / field.widget
+// - Option lines (`paginate * with pagination`, `search Order with elasticsearch`,
+//   `skipClient Audit`, `readOnly Ledger`, `filter *`), JHipster 8 `use ... for ...`
+//   and entity annotations (`@paginate(pagination)`, `@readOnly`) are resolved into
+//   `entityOptions`: { EntityName: { paginate?, search?, service?, dto?, skipClient?, readOnly?, filter?, ... } }
+//     binary options keep their value ('pagination', 'elasticsearch', ...); unary options are `true`
+// - `application` blocks are resolved into `applications`:
+//     { baseName: { baseName, applicationType, config, entities: ['Invoice', ...] } }
+//   entities of a microservice application get `entityOptions[E].microservice = baseName`
+//   unless `microservice E with other` says otherwise
+// - parseJdlFiles([{ file, text }, ...]) merges several files into one model; redefinitions
+//   across files are reported with both locations (identical copies only warn)
+// - Malformed input never throws: problems are returned as `diagnostics`
+//   ({ severity, message, file, line, col }, see parser/diagnostics.js).
 //
 // NOTE: jdlToDartType is handled elsewhere (parser/type_mapping.js).
 // This file ONLY parses JDL text into a normalized JSON structure.
 
-function parseJdl(jdlText) {
-  const text = stripComments(jdlText);
+const { parseJdlAst, UNARY_OPTIONS, BINARY_OPTIONS } = require('./jdl_parser');
+const { error, warning, hasErrors, formatDiagnostic } = require('./diagnostics');
+const { PRIMITIVE_MAP, normalizeJdlType, jdlToDartType } = require('./type_mapping');
+const { normalizeRelationships } = require('./relationship_mapping');
+
+// Relationship targets JHipster provides without a JDL declaration.
+const BUILT_IN_ENTITIES = ['User', 'Authority'];
+
+// `use <value> for ...` (JHipster 8) -> equivalent binary option
+const USE_OPTIONS = {
+  pagination: ['paginate', 'pagination'],
+  'infinite-scroll': ['paginate', 'infinite-scroll'],
+  infiniteScroll: ['paginate', 'infinite-scroll'],
+  elasticsearch: ['search', 'elasticsearch'],
+  couchbase: ['search', 'couchbase'],
+  mapstruct: ['dto', 'mapstruct'],
+  serviceClass: ['service', 'serviceClass'],
+  serviceImpl: ['service', 'serviceImpl'],
+};
 
-  const enums = parseEnums(text);                // { EnumName: ['A','B'] }
-  const entities = parseEntities(text);          // { EntityName: [ fields... ] }
-  const rels = parseRelationships(text);         // [ {type, from, to, fromField?, toField?} ]
+const FH_ENTITY_ANNOTATIONS = ['FhIcon', 'FhLabel', 'FhRoles'];
+const FH_FIELD_ANNOTATIONS = ['FhHidden', 'FhReadOnly', 'FhWidget'];
+
+// `@FhWidget(...)` value -> Dart type of the fields it applies to
+const FH_WIDGETS = {
+  textarea: 'String',
+  password: 'String',
+  email: 'String',
+  phone: 'String',
+  url: 'String',
+  switch: 'bool',
+};
+
+/**
+ * @param {string} jdlText
+ * @param {object} [options]
+ * @param {string} [options.file] file name used in diagnostics
+ * @param {string} [options.application] baseName whose application-scoped options apply
+ */
+function parseJdl(jdlText, options = {}) {
+  const { ast, diagnostics } = parseJdlAst(jdlText, options);
+  return buildModel(ast, diagnostics, options);
+}
+
+/**
+ * Several JDL files parsed as one model (`catalog.jdl` + `orders.jdl` + `shared-enums.jdl`).
+ * Relationships, options and applications may refer to entities of any file;
+ * redefinitions across files are reported with both locations.
+ * @param {Array<{ file: string, text: string }>} files
+ * @param {object} [options] same as parseJdl (`file` is taken from each entry)
+ */
+function parseJdlFiles(files, options = {}) {
+  const diagnostics = [];
+  const asts = files.map(({ file, text }) => {
+    const parsed = parseJdlAst(text, { ...options, file });
+    diagnostics.push(...parsed.diagnostics);
+    return parsed.ast;
+  });
+  return buildModel(mergeAsts(asts, diagnostics), diagnostics, options);
+}
+
+function mergeAsts(asts, diagnostics) {
+  const merged = {
+    kind: 'jdl',
+    file: asts.map(a => a.file).join(', '),
+    files: asts.map(a => a.file),
+    entities: [],
+    enums: [],
+    relationships: [],
+    options: [],
+    uses: [],
+    constants: {},
+    applications: [],
+    blocks: [],
+    comments: [],
+  };
+  const constantFile = {};
+  asts.forEach((ast) => {
+    ['entities', 'enums', 'relationships', 'options', 'uses', 'applications', 'blocks', 'comments'].forEach((key) => {
+      merged[key].push(...(ast[key] || []));
+    });
+    Object.entries(ast.constants || {}).forEach(([name, value]) => {
+      if (Object.prototype.hasOwnProperty.call(merged.constants, name) && merged.constants[name] !== value) {
+        diagnostics.push(error(`Constant '${name}' is ${value} here but ${merged.constants[name]} in ${constantFile[name]}`, { file: ast.file }));
+        return;
+      }
+      merged.constants[name] = value;
+      if (!constantFile[name]) constantFile[name] = ast.file;
+    });
+  });
+  return merged;
+}
+
+/**
+ * JDL-shaped AST (see parser/jdl_parser.js) -> the generator-facing model.
+ * Shared by parseJdl and the other input front-ends (parser/jhipster_json.js).
+ * @param {object} ast
+ * @param {Array} diagnostics collected so far; model problems are appended
+ * @param {object} [options] same as parseJdl
+ */
+function buildModel(ast, diagnostics, options = {}) {
+  const enumValues = buildEnumValues(ast, diagnostics);        // { EnumName: [ { name, label?, doc? } ] }
+  const enums = {};                                            // { EnumName: ['A','B'] }
+  Object.entries(enumValues).forEach(([name, values]) => { enums[name] = values.map(v => v.name); });
+  const entities = buildEntities(ast, enums, diagnostics);     // { EntityName: [ fields... ] }
+  const rels = buildRelationships(ast, entities, diagnostics); // [ {type, from, to, fromField?, toField?, fromRequired, toRequired} ]
+  const applications = buildApplications(ast, entities, diagnostics); // { baseName: { applicationType, config, entities } }
+  const entityDocs = buildEntityDocs(ast, entities);             // { EntityName: 'Javadoc text' }
+  const entityUi = buildEntityUi(ast, entities, diagnostics);    // { EntityName: { icon?, label?, roles? } }
+  const entityOptions = buildEntityOptions(ast, entities, applications, options.application, diagnostics); // { EntityName: { paginate: 'pagination', ... } }
 
   // Ensure each entity has an 'id' field if not defined.
   for (const [name, fields] of Object.entries(entities)) {
@@ -29,167 +170,403 @@ function parseJdl(jdlText) {
         required: false,
         nullable: true,
         isRelationship: false,
+        validations: {},
       });
     }
   }
 
-  // Materialize relationship fields onto entities
+  // Materialize relationship fields onto entities, then annotate cardinality and inverse sides
   applyRelationshipsToEntities(entities, rels);
+  normalizeRelationships(entities);
 
-  return { entities, enums };
-}
-
-// -------------------- Parsing helpers --------------------
+  // merged JDL: keep the files in input order
+  const fileOrder = ast.files || [];
+  const fileRank = d => fileOrder.indexOf(d.file);
+  diagnostics.sort((a, b) => (fileRank(a) - fileRank(b)) || (a.line - b.line) || (a.col - b.col));
 
-function stripComments(s) {
-  // remove /* ... */ and // ...
-  return s
-    .replace(/\/\*[\s\S]*?\*\//g, '')
-    .replace(/\/\/[^\n\r]*/g, '');
+  return { entities, enums, enumValues, entityOptions, entityDocs, entityUi, applications, relationships: rels, ast, diagnostics };
 }
 
-function parseEnums(text) {
+// -------------------- AST -> model --------------------
+
+function buildEnumValues(ast, diagnostics) {
   const enums = {};
-  const re = /enum\s+([A-Za-z_]\w*)\s*\{\s*([^}]*)\}/g;
-  let m;
-  while ((m = re.exec(text)) !== null) {
-    const name = m[1].trim();
-    const body = m[2];
-    const vals = body
-      .split(/[,;\n]/)
-      .map(v => v.trim())
-      .filter(v => v.length > 0);
-    if (vals.length > 0) enums[name] = vals;
-  }
+  const seen = {};
+  ast.enums.forEach((node) => {
+    if (enums[node.name]) {
+      reportRedefinition('Enum', node, seen[node.name], diagnostics);
+      return;
+    }
+    const values = [];
+    node.values.forEach((v) => {
+      if (values.some(x => x.name === v.name)) {
+        diagnostics.push(error(`Duplicate value '${v.name}' in enum '${node.name}'`, v.loc));
+        return;
+      }
+      const value = { name: v.name };
+      if (v.value) value.label = v.value.replace(/^(['"])(.*)\1$/, '$2');
+      if (v.doc) value.doc = v.doc;
+      values.push(value);
+    });
+    if (!values.length) {
+      diagnostics.push(warning(`Enum '${node.name}' has no values; skipped`, node.loc));
+      return;
+    }
+    enums[node.name] = values;
+    seen[node.name] = node;
+  });
   return enums;
 }
 
-function parseEntities(text) {
+function buildEntities(ast, enums, diagnostics) {
   const entities = {};
-  const re = /((?:@[A-Za-z_][\w]*(?:\([^)]*\))?\s*)*)entity\s+([A-Za-z_]\w*)\s*\{\s*([^}]*)\}/g;
-  let m;
-  while ((m = re.exec(text)) !== null) {
-    const annotationsRaw = (m[1] || '').trim();
-    const name = m[2].trim();
-    const body = m[3] || '';
+  const seen = {};
+  ast.entities.forEach((node) => {
+    if (entities[node.name]) {
+      reportRedefinition('Entity', node, seen[node.name], diagnostics);
+      return;
+    }
+    seen[node.name] = node;
+
     const fields = [];
+    node.fields.forEach((f) => {
+      if (fields.some(x => x.name === f.name)) {
+        diagnostics.push(error(`Duplicate field '${f.name}' in entity '${node.name}'`, f.loc));
+        return;
+      }
+      if (!enums[f.type] && !PRIMITIVE_MAP[normalizeJdlType(f.type)]) {
+        diagnostics.push(warning(`Unknown type '${f.type}' for field '${node.name}.${f.name}'; treated as String`, f.loc));
+      }
 
-    body
-      .split(/\r?\n/)
-      .map(l => l.trim())
-      .filter(l => l.length > 0)
-      .forEach(line => {
-        // fieldName Type [validations...]
-        // e.g. name String required
-        const fm = /^([A-Za-z_]\w*)\s+([A-Za-z_]\w*)(?:\s+(.*))?$/.exec(line);
-        if (!fm) return;
-        const fname = fm[1].trim();
-        const ftype = fm[2].trim();
-        const flags = (fm[3] || '').trim();
-
-        const required = /\brequired\b/i.test(flags);
-        // nullable: if not required -> nullable true by default
-        const nullable = !required;
-
-        fields.push({
-          name: fname,
-          type: ftype,
-          required,
-          nullable,
-          isRelationship: false,
-        });
-      });
+      const validations = buildValidations(f, ast.constants, diagnostics);
+      const required = !!validations.required;
+      // nullable: if not required -> nullable true by default
+      const nullable = !required;
+
+      const field = {
+        name: f.name,
+        type: f.type,
+        required,
+        nullable,
+        isRelationship: false,
+        validations,
+      };
+      if (f.doc) field.doc = f.doc;
+      applyFieldUi(field, f, node.name, enums, diagnostics);
+      fields.push(field);
+    });
 
-    entities[name] = fields;
+    entities[node.name] = fields;
 
-    if (/@EnableAudit\b/i.test(annotationsRaw)) {
+    if (node.annotations.some(a => /^EnableAudit$/i.test(a.name))) {
       addAuditFields(fields);
     }
-  }
+  });
   return entities;
 }
 
-function addAuditFields(fields) {
-  const ensureField = (name, type) => {
-    const exists = fields.some(f => f.name.toLowerCase() === name.toLowerCase());
-    if (exists) return;
-    fields.push({
-      name,
-      type,
-      required: false,
-      nullable: true,
-      isRelationship: false,
-      isAudit: true,
-      readOnly: true,
+function buildEntityDocs(ast, entities) {
+  const docs = {};
+  ast.entities.forEach((node) => {
+    if (node.doc && entities[node.name] && !docs[node.name]) docs[node.name] = node.doc;
+  });
+  return docs;
+}
+
+/** `@FhIcon`, `@FhLabel`, `@FhRoles` entity annotations -> { EntityName: { icon?, selectedIcon?, label?, roles? } } */
+function buildEntityUi(ast, entities, diagnostics) {
+  const ui = {};
+  ast.entities.forEach((node) => {
+    if (!entities[node.name] || ui[node.name]) return;
+    const entry = {};
+    node.annotations.forEach((a) => {
+      if (!/^Fh/.test(a.name)) return;
+      if (a.name === 'FhIcon') {
+        // @FhIcon("inventory_2_outlined", "inventory_2") -> icon, selected icon
+        const [icon, selectedIcon] = a.args.map(materialIconName);
+        if (!icon) {
+          diagnostics.push(warning(`@FhIcon on '${node.name}' expects a Material icon name, e.g. @FhIcon("inventory"); ignored`, a.loc));
+          return;
+        }
+        entry.icon = icon;
+        entry.selectedIcon = selectedIcon || icon;
+      } else if (a.name === 'FhLabel') {
+        if (a.value === undefined || !String(a.value).trim()) {
+          diagnostics.push(warning(`@FhLabel on '${node.name}' expects a label, e.g. @FhLabel("Purchase Order"); ignored`, a.loc));
+          return;
+        }
+        entry.label = String(a.value).trim();
+      } else if (a.name === 'FhRoles') {
+        const roles = a.args.map(r => String(r).trim()).filter(Boolean);
+        if (!roles.length) {
+          diagnostics.push(warning(`@FhRoles on '${node.name}' expects at least one authority, e.g. @FhRoles("ROLE_ADMIN"); ignored`, a.loc));
+          return;
+        }
+        entry.roles = roles;
+      } else {
+        diagnostics.push(warning(misplacedFhAnnotation(a.name, `entity '${node.name}'`), a.loc));
+      }
     });
-  };
+    ui[node.name] = entry;
+  });
+  return ui;
+}
 
-  ensureField('createdBy', 'String');
-  ensureField('createdDate', 'Instant');
-  ensureField('lastModifiedBy', 'String');
-  ensureField('lastModifiedDate', 'Instant');
+/** `@FhHidden`, `@FhReadOnly`, `@FhWidget("textarea")` field annotations -> field.hidden / readOnly / widget */
+function applyFieldUi(field, node, entityName, enums, diagnostics) {
+  node.annotations.forEach((a) => {
+    if (!/^Fh/.test(a.name)) return;
+    if (a.name === 'FhHidden') {
+      field.hidden = true;
+    } else if (a.name === 'FhReadOnly') {
+      field.readOnly = true;
+    } else if (a.name === 'FhWidget') {
+      const widget = a.value === undefined ? '' : String(a.value);
+      const dartType = FH_WIDGETS[widget];
+      if (!dartType) {
+        diagnostics.push(warning(`Unknown widget '${widget}' in @FhWidget on '${entityName}.${field.name}' (expected one of ${Object.keys(FH_WIDGETS).join(', ')}); ignored`, a.loc));
+      } else if (jdlToDartType(field.type, enums) !== dartType) {
+        diagnostics.push(warning(`@FhWidget("${widget}") does not apply to ${field.type} field '${entityName}.${field.name}'; ignored`, a.loc));
+      } else {
+        field.widget = widget;
+      }
+    } else {
+      diagnostics.push(warning(misplacedFhAnnotation(a.name, `field '${entityName}.${field.name}'`), a.loc));
+    }
+  });
+}
+
+function misplacedFhAnnotation(name, placement) {
+  if (FH_ENTITY_ANNOTATIONS.includes(name)) return `@${name} only applies to entities (found on ${placement}); ignored`;
+  if (FH_FIELD_ANNOTATIONS.includes(name)) return `@${name} only applies to fields (found on ${placement}); ignored`;
+  const known = [...FH_ENTITY_ANNOTATIONS, ...FH_FIELD_ANNOTATIONS].map(n => `@${n}`).join(', ');
+  return `Unknown annotation @${name} on ${placement} (known: ${known}); ignored`;
+}
+
+/** 'inventory' / 'Icons.inventory' -> 'inventory'; undefined for anything that is not an icon name */
+function materialIconName(value) {
+  const name = String(value === undefined ? '' : value).trim().replace(/^Icons\./, '');
+  return /^[a-z0-9_]+$/.test(name) ? name : undefined;
+}
+
+/** AST validation nodes -> { required, minlength: 2, pattern: '...', ... } */
+function buildValidations(field, constants, diagnostics) {
+  const validations = {};
+  field.validations.forEach((v) => {
+    if (Object.prototype.hasOwnProperty.call(validations, v.name)) {
+      diagnostics.push(warning(`Validation '${v.name}' is repeated on field '${field.name}'`, v.loc));
+    }
+    if (v.value === undefined) {
+      validations[v.name] = true;
+    } else if (v.constant) {
+      if (!Object.prototype.hasOwnProperty.call(constants, v.value)) {
+        diagnostics.push(error(`Unknown constant '${v.value}' in ${v.name}() on field '${field.name}'`, v.loc));
+        return;
+      }
+      validations[v.name] = constants[v.value];
+    } else {
+      validations[v.name] = v.value;
+    }
+  });
+  return validations;
 }
 
-function parseRelationships(text) {
+function buildRelationships(ast, entities, diagnostics) {
   // relationship OneToMany { A{a} to B{b} }
   // relationship ManyToOne { Order{customer} to Customer }
   // relationship OneToOne   { User to Profile{user} }
   // relationship ManyToMany { Tag{posts} to Post{tags} }
   const rels = [];
-  const blockRe = /relationship\s+([A-Za-z]+)\s*\{/g;
-  let bm;
-  while ((bm = blockRe.exec(text)) !== null) {
-    const type = bm[1].trim();
-    let bodyStart = blockRe.lastIndex;
-    let i = bodyStart;
-    let depth = 1;
-    while (i < text.length && depth > 0) {
-      const ch = text[i];
-      if (ch === '{') depth += 1;
-      else if (ch === '}') depth -= 1;
-      i += 1;
-    }
-    if (depth !== 0) {
-      // malformed block; skip to avoid infinite loop
-      break;
+  ast.relationships.forEach((node) => {
+    node.items.forEach((item) => {
+      const builtIn = item.options.includes('builtInEntity');
+      const missing = [item.from, item.to].find(side => !entities[side.entity]);
+      if (missing) {
+        if (!builtIn && !BUILT_IN_ENTITIES.includes(missing.entity)) {
+          diagnostics.push(warning(`Relationship ${node.type} references unknown entity '${missing.entity}'; skipped`, missing.loc));
+        }
+        return;
+      }
+      rels.push({
+        type: node.type,
+        from: item.from.entity,
+        to: item.to.entity,
+        fromField: item.from.field,
+        toField: item.to.field,
+        fromRequired: !!item.from.required,
+        toRequired: !!item.to.required,
+        fromDisplay: displayFieldOf(item.from, item.to.entity, entities, diagnostics),
+        toDisplay: displayFieldOf(item.to, item.from.entity, entities, diagnostics),
+        doc: item.doc,
+      });
+    });
+  });
+  return rels;
+}
+
+/** `application { config { baseName ... } entities ... }` -> { baseName: { applicationType, config, entities } } */
+function buildApplications(ast, entities, diagnostics) {
+  const applications = {};
+  ast.applications.forEach((node) => {
+    const baseName = node.config.baseName;
+    if (!baseName) return; // reported by the parser
+    if (applications[baseName]) {
+      diagnostics.push(error(`Application '${baseName}' is already defined at ${definedAt(applications[baseName].loc, node.loc)}`, node.loc));
+      return;
     }
-    const bodyEnd = i - 1;
-    const body = text.slice(bodyStart, bodyEnd);
-    blockRe.lastIndex = i;
+    applications[baseName] = {
+      baseName,
+      applicationType: node.config.applicationType || 'monolith',
+      config: node.config,
+      entities: node.entities
+        ? resolveTargets(node.entities, Object.keys(entities), entities, `Application '${baseName}'`, diagnostics)
+        : [],
+      loc: node.loc,
+    };
+  });
+  return applications;
+}
 
-    const lines = body.split(/\r?\n|,/).map(l => l.trim()).filter(Boolean);
+/**
+ * Resolve option lines, `use` statements, application-scoped options and entity
+ * annotations into per-entity options. Later declarations win; `no` values
+ * (e.g. `dto * with no`) clear the option.
+ * Options declared inside an application block only apply to that application's
+ * entities, and only when it is the selected application, no application is
+ * selected, or it is a microservice.
+ * Entities of a `microservice` application default to `microservice: <baseName>`.
+ */
+function buildEntityOptions(ast, entities, applications, selectedApplication, diagnostics) {
+  const names = Object.keys(entities);
+  const entityOptions = {};
+  names.forEach((name) => { entityOptions[name] = {}; });
+
+  const setOption = (entityName, name, value) => {
+    if (value === 'no' || value === false) delete entityOptions[entityName][name];
+    else entityOptions[entityName][name] = value;
+  };
 
-    lines.forEach(line => {
-      // A{foo(bar)} to B{baz}
-      const rm = /^([A-Za-z_]\w*)(?:\{([^}]*)\})?\s+to\s+([A-Za-z_]\w*)(?:\{([^}]*)\})?;?$/.exec(line);
-      if (!rm) return;
-      const from = rm[1].trim();
-      const fromSpec = (rm[2] || '').trim(); // may contain fieldName or fieldName(display)
-      const to = rm[3].trim();
-      const toSpec = (rm[4] || '').trim();
+  const applyOptions = (options, uses, scope) => {
+    options.forEach((node) => {
+      const value = UNARY_OPTIONS.includes(node.name) ? true : node.value;
+      resolveTargets(node, scope, entities, `Option '${node.name}'`, diagnostics).forEach(n => setOption(n, node.name, value));
+    });
+
+    uses.forEach((node) => {
+      const targets = resolveTargets(node, scope, entities, `'use ${node.values.join(', ')}'`, diagnostics);
+      node.values.forEach((v) => {
+        const mapped = USE_OPTIONS[v];
+        if (!mapped) {
+          diagnostics.push(warning(`Unknown option '${v}' in 'use'; ignored`, node.loc));
+          return;
+        }
+        targets.forEach(n => setOption(n, mapped[0], mapped[1]));
+      });
+    });
+  };
 
-      const fromField = extractInjectedField(fromSpec); // { name, display? }
-      const toField = extractInjectedField(toSpec);
+  applyOptions(ast.options, ast.uses, names);
 
-      rels.push({
-        type, from, to,
-        fromField: fromField?.name,
-        toField: toField?.name,
+  ast.applications.forEach((node) => {
+    const app = applications[node.config.baseName];
+    if (!app || app.loc !== node.loc) return;
+    // a microservice's options describe its own API, so they hold for every client of it
+    const applies = !selectedApplication || selectedApplication === app.baseName || app.applicationType === 'microservice';
+    if (!applies) return;
+    applyOptions(node.options, node.uses, app.entities);
+  });
+
+  Object.values(applications)
+    .filter(app => app.applicationType === 'microservice')
+    .forEach((app) => {
+      app.entities.forEach((n) => {
+        if (!entityOptions[n].microservice) entityOptions[n].microservice = app.baseName;
       });
     });
+
+  ast.entities.forEach((node) => {
+    if (!entityOptions[node.name]) return;
+    node.annotations.forEach((a) => {
+      if (UNARY_OPTIONS.includes(a.name)) setOption(node.name, a.name, true);
+      else if (BINARY_OPTIONS.includes(a.name)) setOption(node.name, a.name, a.value !== undefined ? a.value : true);
+    });
+  });
+
+  return entityOptions;
+}
+
+/** `* except B` / `A, B` -> entity names within `scope`; unknown names are reported. */
+function resolveTargets(node, scope, entities, label, diagnostics) {
+  const unknown = [...node.targets, ...node.excepts].filter(n => n !== '*' && !entities[n]);
+  unknown.forEach((n) => {
+    diagnostics.push(warning(`${label} references unknown entity '${n}'`, node.loc));
+  });
+  const selected = node.targets.includes('*') ? scope : node.targets.filter(n => scope.includes(n));
+  return selected.filter(n => !node.excepts.includes(n));
+}
+
+/**
+ * A second `entity X` / `enum X`. Across files (merged JDL), an identical copy is only
+ * a warning so a shared file can be listed twice; anything else is an error.
+ */
+function reportRedefinition(kind, node, first, diagnostics) {
+  const where = definedAt(first.loc, node.loc);
+  if (first.loc.file === node.loc.file) {
+    diagnostics.push(error(`${kind} '${node.name}' is already defined at ${where}`, node.loc));
+  } else if (declarationSignature(first) === declarationSignature(node)) {
+    diagnostics.push(warning(`${kind} '${node.name}' is also defined at ${where} (identical); this copy is ignored`, node.loc));
+  } else {
+    diagnostics.push(error(`${kind} '${node.name}' is already defined differently at ${where}`, node.loc));
   }
-  return rels;
 }
 
-function extractInjectedField(spec) {
-  if (!spec) return null;
-  // patterns:
-  //   "orders"
-  //   "customer(name)"
-  //   "customer()"
-  const m = /^([A-Za-z_]\w*)(?:\([^)]*\))?$/.exec(spec);
-  if (!m) return null;
-  return { name: m[1].trim() };
+/** 'line 12' in the same file, 'catalog.jdl:12' in another one */
+function definedAt(firstLoc, loc) {
+  return firstLoc.file === loc.file ? `line ${firstLoc.line}` : `${firstLoc.file}:${firstLoc.line}`;
+}
+
+/** Entity/enum content without locations, for comparing redefinitions. */
+function declarationSignature(node) {
+  if (node.kind === 'enum') {
+    return JSON.stringify(node.values.map(v => [v.name, v.value || null]));
+  }
+  return JSON.stringify({
+    annotations: node.annotations.map(a => [a.name, a.args]),
+    fields: node.fields.map(f => [f.name, f.type, f.annotations.map(a => [a.name, a.args]), f.validations.map(v => [v.name, v.value === undefined ? null : v.value])]),
+  });
+}
+
+/** `{customer(name)}` -> the `name` field of the target entity, or undefined when it does not exist. */
+function displayFieldOf(side, targetEntity, entities, diagnostics) {
+  if (!side.display) return undefined;
+  const target = (entities[targetEntity] || []).find(f => f.name === side.display);
+  if (!target && side.display !== 'id') {
+    diagnostics.push(warning(`Display field '${side.display}' not found on entity '${targetEntity}'; the id is shown instead`, side.loc));
+    return undefined;
+  }
+  return { name: side.display, type: target ? target.type : 'Long' };
+}
+
+function addAuditFields(fields) {
+  const ensureField = (name, type) => {
+    const exists = fields.some(f => f.name.toLowerCase() === name.toLowerCase());
+    if (exists) return;
+    fields.push({
+      name,
+      type,
+      required: false,
+      nullable: true,
+      isRelationship: false,
+      isAudit: true,
+      readOnly: true,
+      validations: {},
+    });
+  };
+
+  ensureField('createdBy', 'String');
+  ensureField('createdDate', 'Instant');
+  ensureField('lastModifiedBy', 'String');
+  ensureField('lastModifiedDate', 'Instant');
 }
 
 function applyRelationshipsToEntities(entities, rels) {
@@ -199,26 +576,40 @@ function applyRelationshipsToEntities(entities, rels) {
     if (!entities[r.from] || !entities[r.to]) continue;
 
     if (t === 'onetomany') {
+      const fromName = r.fromField || pluralize(lcFirst(r.to));
+      const toName = r.toField || lcFirst(r.from);
       // From: collection of To
       addRelField(entities[r.from], {
-        name: r.fromField || pluralize(lcFirst(r.to)),
+        name: fromName,
         relationshipType: 'OneToMany',
         targetEntity: r.to,
+        inverseField: toName,
+        display: r.fromDisplay,
+        required: r.fromRequired,
+        doc: r.doc,
       });
 
       // To: single From
       addRelField(entities[r.to], {
-        name: r.toField || lcFirst(r.from),
+        name: toName,
         relationshipType: 'ManyToOne',
         targetEntity: r.from,
+        inverseField: fromName,
+        display: r.toDisplay,
+        required: r.toRequired,
       });
 
     } else if (t === 'manytoone') {
+      const fromName = r.fromField || lcFirst(r.to);
       // From: single To
       addRelField(entities[r.from], {
-        name: r.fromField || lcFirst(r.to),
+        name: fromName,
         relationshipType: 'ManyToOne',
         targetEntity: r.to,
+        inverseField: r.toField,
+        display: r.fromDisplay,
+        required: r.fromRequired,
+        doc: r.doc,
       });
 
       // To: optional backref collection
@@ -227,15 +618,23 @@ function applyRelationshipsToEntities(entities, rels) {
           name: r.toField,
           relationshipType: 'OneToMany',
           targetEntity: r.from,
+          inverseField: fromName,
+          display: r.toDisplay,
+          required: r.toRequired,
         });
       }
 
     } else if (t === 'onetoone') {
+      const fromName = r.fromField || lcFirst(r.to);
       // Single on both sides; only create when field name provided, otherwise create on "from"
       addRelField(entities[r.from], {
-        name: r.fromField || lcFirst(r.to),
+        name: fromName,
         relationshipType: 'OneToOne',
         targetEntity: r.to,
+        inverseField: r.toField,
+        display: r.fromDisplay,
+        required: r.fromRequired,
+        doc: r.doc,
       });
 
       if (r.toField) {
@@ -243,21 +642,33 @@ function applyRelationshipsToEntities(entities, rels) {
           name: r.toField,
           relationshipType: 'OneToOne',
           targetEntity: r.from,
+          inverseField: fromName,
+          display: r.toDisplay,
+          required: r.toRequired,
         });
       }
 
     } else if (t === 'manytomany') {
+      const fromName = r.fromField || pluralize(lcFirst(r.to));
+      const toName = r.toField || pluralize(lcFirst(r.from));
       // Collections on both sides
       addRelField(entities[r.from], {
-        name: r.fromField || pluralize(lcFirst(r.to)),
+        name: fromName,
         relationshipType: 'ManyToMany',
         targetEntity: r.to,
+        inverseField: toName,
+        display: r.fromDisplay,
+        required: r.fromRequired,
+        doc: r.doc,
       });
 
       addRelField(entities[r.to], {
-        name: r.toField || pluralize(lcFirst(r.from)),
+        name: toName,
         relationshipType: 'ManyToMany',
         targetEntity: r.from,
+        inverseField: fromName,
+        display: r.toDisplay,
+        required: r.toRequired,
       });
     }
   }
@@ -266,15 +677,22 @@ function applyRelationshipsToEntities(entities, rels) {
 function addRelField(fields, rel) {
   // Avoid duplicates
   if (fields.some(f => f.name === rel.name && f.isRelationship)) return;
-  fields.push({
+  const field = {
     name: rel.name,
     type: 'relationship',
     isRelationship: true,
     relationshipType: rel.relationshipType,
     targetEntity: rel.targetEntity,
     nullable: true,
-    required: false,
-  });
+    required: !!rel.required,
+  };
+  if (rel.inverseField) field.inverseField = rel.inverseField;
+  if (rel.doc) field.doc = rel.doc;
+  if (rel.display) {
+    field.displayField = rel.display.name;
+    field.displayFieldType = rel.display.type;
+  }
+  fields.push(field);
 }
 
 // -------------------- tiny utils --------------------
@@ -291,4 +709,8 @@ function pluralize(word) {
 
 module.exports = {
   parseJdl,
+  parseJdlFiles,
+  buildModel,
+  hasErrors,
+  formatDiagnostic,
 };
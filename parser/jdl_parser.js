@@ -0,0 +1,709 @@
+// parser/jdl_parser.js
+// Recursive-descent JDL parser: tokens (parser/lexer.js) -> AST.
+//
+// AST (every node carries `loc: { file, line, col }`):
+//   {
+//     kind: 'jdl', file,
+//     entities:      [ { kind: 'entity', name, tableName?, doc?, annotations, fields, loc, end? } ],
+//     enums:         [ { kind: 'enum', name, doc?, values: [ { name, value?, doc?, loc } ], loc } ],
+//     relationships: [ { kind: 'relationship', type, items: [ { from, to, options, doc?, loc } ], loc, end } ],
+//     options:       [ { kind: 'option', name, value?, targets, excepts, loc } ],
+//     uses:          [ { kind: 'use', values, targets, excepts, loc } ],
+//     constants:     { NAME: number },
+//     applications:  [ { kind: 'application', config: { baseName, applicationType, ... },
+//                        entities: { targets, excepts } | null, options, uses, loc } ],
+//     blocks:        [ { kind: 'deployment', loc } ],   // recognised but not interpreted
+//     comments:      [ { text, doc, loc } ],
+//   }
+//
+//   field:        { kind: 'field', name, type, doc?, annotations, validations: [ { name, value?, loc } ], loc }
+//   annotation:   { name, value?, args: [ ... ], loc }
+//   relationship side: { entity, field?, display?, required, annotations, loc }
+//
+// `end` is the location of the closing '}' of an entity body or relationship block.
+//
+// Errors never throw: they are collected as diagnostics and the parser
+// resynchronizes at the next top-level keyword.
+
+const { tokenize } = require('./lexer');
+const { error } = require('./diagnostics');
+
+const RELATIONSHIP_TYPES = ['OneToOne', 'ManyToOne', 'OneToMany', 'ManyToMany'];
+
+// `<option> <targets> [except <names>]`
+const UNARY_OPTIONS = ['skipClient', 'skipServer', 'noFluentMethod', 'filter', 'readOnly', 'embedded'];
+// `<option> <targets> with <value> [except <names>]`
+const BINARY_OPTIONS = ['dto', 'service', 'paginate', 'search', 'microservice', 'angularSuffix', 'clientRootFolder'];
+
+const BLOCK_KEYWORDS = ['application', 'deployment'];
+const SKIPPED_BLOCKS = ['deployment'];
+const TOP_KEYWORDS = new Set([
+  'entity', 'enum', 'relationship', 'use',
+  ...UNARY_OPTIONS, ...BINARY_OPTIONS, ...BLOCK_KEYWORDS,
+]);
+
+const VALIDATIONS = {
+  required: 'none',
+  unique: 'none',
+  minlength: 'number',
+  maxlength: 'number',
+  min: 'number',
+  max: 'number',
+  minbytes: 'number',
+  maxbytes: 'number',
+  pattern: 'regex',
+};
+
+function parseJdlAst(text, options = {}) {
+  const file = options.file || '<jdl>';
+  const lexed = tokenize(text, { file });
+  const parser = new Parser(attachDocs(lexed.tokens), file);
+  const ast = parser.parseDocument();
+  ast.comments = lexed.comments;
+  return { ast, diagnostics: [...lexed.diagnostics, ...parser.diagnostics] };
+}
+
+/** Fold 'doc' tokens into a `doc` property on the token that follows them. */
+function attachDocs(tokens) {
+  const out = [];
+  let pending = null;
+  tokens.forEach((t) => {
+    if (t.type === 'doc') {
+      pending = t.value;
+      return;
+    }
+    if (pending !== null) {
+      t.doc = pending;
+      pending = null;
+    }
+    out.push(t);
+  });
+  return out;
+}
+
+class Parser {
+  constructor(tokens, file) {
+    this.tokens = tokens;
+    this.file = file;
+    this.pos = 0;
+    this.diagnostics = [];
+  }
+
+  // ---------- token helpers ----------
+
+  peek(k = 0) { return this.tokens[this.pos + k] || null; }
+  eof() { return this.pos >= this.tokens.length; }
+  next() { const t = this.tokens[this.pos]; this.pos += 1; return t; }
+
+  isPunct(t, value) { return !!t && t.type === 'punct' && t.value === value; }
+  isIdent(t, value) { return !!t && t.type === 'ident' && (value === undefined || t.value === value); }
+
+  loc(t) {
+    if (t) return { file: this.file, line: t.line, col: t.col };
+    const last = this.tokens[this.tokens.length - 1];
+    return last ? { file: this.file, line: last.line, col: last.col } : { file: this.file, line: 1, col: 1 };
+  }
+
+  describe(t) {
+    if (!t) return 'end of file';
+    if (t.type === 'string') return `"${t.value}"`;
+    return `'${t.value}'`;
+  }
+
+  fail(message, t) {
+    this.diagnostics.push(error(message, this.loc(t)));
+    return null;
+  }
+
+  expectPunct(value, what) {
+    const t = this.peek();
+    if (this.isPunct(t, value)) return this.next();
+    return this.fail(`Expected '${value}'${what ? ` ${what}` : ''} but found ${this.describe(t)}`, t);
+  }
+
+  expectIdent(what) {
+    const t = this.peek();
+    if (this.isIdent(t)) return this.next();
+    return this.fail(`Expected ${what} but found ${this.describe(t)}`, t);
+  }
+
+  /** Skip to the next top-level keyword, stepping over balanced braces. */
+  synchronize() {
+    let depth = 0;
+    while (!this.eof()) {
+      const t = this.peek();
+      if (depth === 0 && (this.isPunct(t, '@') || (this.isIdent(t) && TOP_KEYWORDS.has(t.value)))) return;
+      if (this.isPunct(t, '{')) depth += 1;
+      if (this.isPunct(t, '}')) depth = Math.max(0, depth - 1);
+      this.next();
+    }
+  }
+
+  /** Skip remaining tokens on the line of `line`. */
+  skipLine(line) {
+    while (!this.eof() && this.peek().line === line && !this.isPunct(this.peek(), '}')) this.next();
+  }
+
+  // ---------- document ----------
+
+  parseDocument() {
+    const ast = {
+      kind: 'jdl',
+      file: this.file,
+      entities: [],
+      enums: [],
+      relationships: [],
+      options: [],
+      uses: [],
+      constants: {},
+      applications: [],
+      blocks: [],
+      comments: [],
+    };
+
+    while (!this.eof()) {
+      const start = this.peek();
+      const doc = start.doc;
+      const annotations = this.parseAnnotations();
+      const t = this.peek();
+
+      if (!this.isIdent(t)) {
+        this.fail(`Unexpected ${this.describe(t)} at top level`, t);
+        if (t) this.next();
+        this.synchronize();
+        continue;
+      }
+
+      if (annotations.length && t.value !== 'entity') {
+        this.fail(`Annotations are only allowed on entities, fields and relationships (found before '${t.value}')`, start);
+      }
+
+      if (t.value === 'entity') {
+        const node = this.parseEntity(annotations, doc);
+        if (node) ast.entities.push(node);
+      } else if (t.value === 'enum') {
+        const node = this.parseEnum(doc);
+        if (node) ast.enums.push(node);
+      } else if (t.value === 'relationship') {
+        const node = this.parseRelationship();
+        if (node) ast.relationships.push(node);
+      } else if (t.value === 'use') {
+        const node = this.parseUse();
+        if (node) ast.uses.push(node);
+      } else if (UNARY_OPTIONS.includes(t.value) || BINARY_OPTIONS.includes(t.value)) {
+        const node = this.parseOption();
+        if (node) ast.options.push(node);
+      } else if (t.value === 'application') {
+        const node = this.parseApplication();
+        if (node) ast.applications.push(node);
+      } else if (SKIPPED_BLOCKS.includes(t.value)) {
+        ast.blocks.push(this.skipBlock());
+      } else if (this.isPunct(this.peek(1), '=')) {
+        this.parseConstant(ast.constants);
+      } else {
+        this.fail(`Unknown declaration '${t.value}'`, t);
+        this.next();
+        this.synchronize();
+      }
+    }
+    return ast;
+  }
+
+  // ---------- annotations ----------
+
+  parseAnnotations() {
+    const out = [];
+    while (this.isPunct(this.peek(), '@')) {
+      const at = this.next();
+      const name = this.expectIdent('annotation name after @');
+      if (!name) break;
+      const node = { name: name.value, args: [], loc: this.loc(at) };
+      if (this.isPunct(this.peek(), '(') && this.peek(1) && this.peek(1).line === name.line) {
+        this.next();
+        while (!this.eof() && !this.isPunct(this.peek(), ')')) {
+          const a = this.peek();
+          if (a.type === 'string' || a.type === 'ident') {
+            node.args.push(a.value);
+          } else if (a.type === 'number') {
+            node.args.push(Number(a.value));
+          } else if (!this.isPunct(a, ',')) {
+            this.fail(`Unexpected ${this.describe(a)} in annotation @${node.name}`, a);
+            break;
+          }
+          this.next();
+        }
+        this.expectPunct(')', `to close annotation @${node.name}`);
+        node.value = node.args.length ? node.args[0] : undefined;
+      }
+      out.push(node);
+    }
+    return out;
+  }
+
+  // ---------- entity ----------
+
+  parseEntity(annotations, doc) {
+    const kw = this.next(); // entity
+    const name = this.expectIdent('entity name');
+    if (!name) { this.synchronize(); return null; }
+
+    const node = {
+      kind: 'entity',
+      name: name.value,
+      doc: doc || kw.doc,
+      annotations,
+      fields: [],
+      loc: this.loc(kw),
+    };
+
+    if (this.isPunct(this.peek(), '(')) {
+      this.next();
+      const table = this.expectIdent('table name');
+      if (table) node.tableName = table.value;
+      this.expectPunct(')', 'to close the table name');
+    }
+
+    if (!this.isPunct(this.peek(), '{')) return node; // body-less entity
+
+    const open = this.next();
+    while (!this.eof() && !this.isPunct(this.peek(), '}')) {
+      if (this.isPunct(this.peek(), ',') || this.isPunct(this.peek(), ';')) { this.next(); continue; }
+      if (this.looksLikeTopLevel()) break;
+      const field = this.parseField(node.name);
+      if (field) node.fields.push(field);
+    }
+    if (!this.isPunct(this.peek(), '}')) {
+      this.fail(`Missing '}' to close entity '${node.name}' opened at line ${open.line}`, this.peek());
+      return node;
+    }
+    node.end = this.loc(this.next());
+    return node;
+  }
+
+  /** `entity Foo {` / `enum X {` / `relationship T {` seen where a field was expected. */
+  looksLikeTopLevel() {
+    const t = this.peek();
+    if (!this.isIdent(t) || !['entity', 'enum', 'relationship'].includes(t.value)) return false;
+    const a = this.peek(1);
+    const b = this.peek(2);
+    return this.isIdent(a) && (this.isPunct(b, '{') || !b || b.line !== a.line);
+  }
+
+  parseField(entityName) {
+    const start = this.peek();
+    const doc = start.doc;
+    const annotations = this.parseAnnotations();
+    const name = this.peek();
+    if (!this.isIdent(name)) {
+      this.fail(`Expected field name in entity '${entityName}' but found ${this.describe(name)}`, name);
+      this.next();
+      this.skipLine(name ? name.line : 0);
+      return null;
+    }
+    this.next();
+
+    const type = this.peek();
+    if (!this.isIdent(type) || type.line !== name.line) {
+      this.fail(`Missing type for field '${name.value}' in entity '${entityName}'`, name);
+      this.skipLine(name.line);
+      return null;
+    }
+    this.next();
+
+    const field = {
+      kind: 'field',
+      name: name.value,
+      type: type.value,
+      doc: doc || name.doc,
+      annotations,
+      validations: [],
+      loc: this.loc(name),
+    };
+
+    // validations live on the same line as the field declaration
+    while (!this.eof()) {
+      const t = this.peek();
+      if (t.line !== type.line) break;
+      if (this.isPunct(t, '}') || this.isPunct(t, ',') || this.isPunct(t, ';')) break;
+      if (!this.isIdent(t)) {
+        this.fail(`Unexpected ${this.describe(t)} after field '${field.name}'`, t);
+        this.skipLine(t.line);
+        break;
+      }
+      const v = this.parseValidation(field);
+      if (!v) { this.skipLine(t.line); break; }
+      field.validations.push(v);
+    }
+    return field;
+  }
+
+  parseValidation(field) {
+    const t = this.next();
+    const kind = VALIDATIONS[t.value];
+    if (!kind) {
+      return this.fail(`Unknown validation '${t.value}' on field '${field.name}'`, t);
+    }
+    const node = { name: t.value, loc: this.loc(t) };
+    if (kind === 'none') return node;
+
+    if (!this.isPunct(this.peek(), '(')) {
+      return this.fail(`Validation '${t.value}' on field '${field.name}' needs an argument, e.g. ${t.value}(${kind === 'regex' ? '/.../' : '1'})`, t);
+    }
+    this.next();
+    const arg = this.peek();
+    if (kind === 'regex') {
+      if (!arg || arg.type !== 'regex') return this.fail(`Expected /regex/ in pattern() on field '${field.name}'`, arg || t);
+      node.value = arg.value;
+    } else if (arg && arg.type === 'number') {
+      node.value = Number(arg.value);
+    } else if (arg && arg.type === 'ident') {
+      node.value = arg.value;
+      node.constant = true; // resolved against top-level constants
+    } else {
+      return this.fail(`Expected a number in ${t.value}() on field '${field.name}' but found ${this.describe(arg)}`, arg || t);
+    }
+    this.next();
+    if (!this.expectPunct(')', `to close ${t.value}()`)) return null;
+    return node;
+  }
+
+  // ---------- enum ----------
+
+  parseEnum(doc) {
+    const kw = this.next(); // enum
+    const name = this.expectIdent('enum name');
+    if (!name) { this.synchronize(); return null; }
+    const node = { kind: 'enum', name: name.value, doc: doc || kw.doc, values: [], loc: this.loc(kw) };
+
+    const open = this.expectPunct('{', `after enum '${node.name}'`);
+    if (!open) { this.synchronize(); return node; }
+
+    while (!this.eof() && !this.isPunct(this.peek(), '}')) {
+      const t = this.peek();
+      if (this.isPunct(t, ',') || this.isPunct(t, ';')) { this.next(); continue; }
+      if (this.looksLikeTopLevel()) break;
+      if (!this.isIdent(t)) {
+        this.fail(`Expected enum value in '${node.name}' but found ${this.describe(t)}`, t);
+        this.next();
+        continue;
+      }
+      this.next();
+      const value = { name: t.value, doc: t.doc, loc: this.loc(t) };
+      if (this.peek() && this.peek().type === 'paren-text') value.value = this.next().value;
+      node.values.push(value);
+    }
+    if (!this.isPunct(this.peek(), '}')) {
+      this.fail(`Missing '}' to close enum '${node.name}' opened at line ${open.line}`, this.peek());
+      return node;
+    }
+    this.next();
+    return node;
+  }
+
+  // ---------- relationship ----------
+
+  parseRelationship() {
+    const kw = this.next(); // relationship
+    const typeTok = this.expectIdent(`relationship type (${RELATIONSHIP_TYPES.join(', ')})`);
+    if (!typeTok) { this.synchronize(); return null; }
+    const type = RELATIONSHIP_TYPES.find((r) => r.toLowerCase() === typeTok.value.toLowerCase());
+    if (!type) this.fail(`Unknown relationship type '${typeTok.value}' (expected ${RELATIONSHIP_TYPES.join(', ')})`, typeTok);
+
+    const node = { kind: 'relationship', type: type || typeTok.value, items: [], loc: this.loc(kw) };
+    const open = this.expectPunct('{', `after relationship ${typeTok.value}`);
+    if (!open) { this.synchronize(); return type ? node : null; }
+
+    while (!this.eof() && !this.isPunct(this.peek(), '}')) {
+      if (this.isPunct(this.peek(), ',') || this.isPunct(this.peek(), ';')) { this.next(); continue; }
+      if (this.looksLikeTopLevel()) break;
+      const item = this.parseRelationshipItem();
+      if (item) node.items.push(item);
+    }
+    if (!this.isPunct(this.peek(), '}')) {
+      this.fail(`Missing '}' to close relationship ${node.type} opened at line ${open.line}`, this.peek());
+      return type ? node : null;
+    }
+    node.end = this.loc(this.next());
+    return type ? node : null;
+  }
+
+  parseRelationshipItem() {
+    const start = this.peek();
+    const from = this.parseRelationshipSide();
+    if (!from) { this.skipLine(start.line); return null; }
+    const to = this.peek();
+    if (!this.isIdent(to, 'to')) {
+      this.fail(`Expected 'to' after '${from.entity}' in relationship but found ${this.describe(to)}`, to);
+      this.skipLine(start.line);
+      return null;
+    }
+    this.next();
+    const target = this.parseRelationshipSide();
+    if (!target) { this.skipLine(start.line); return null; }
+
+    const item = { from, to: target, options: [], doc: start.doc, loc: this.loc(start) };
+    if (this.isIdent(this.peek(), 'with')) {
+      this.next();
+      do {
+        const opt = this.expectIdent(`relationship option after 'with'`);
+        if (!opt) break;
+        item.options.push(opt.value);
+      } while (this.isPunct(this.peek(), ',') && this.isRelationshipOptionAhead() && this.next());
+    }
+    return item;
+  }
+
+  /** `, builtInEntity` continues the option list; `, Other to X` starts a new item. */
+  isRelationshipOptionAhead() {
+    const a = this.peek(1);
+    const b = this.peek(2);
+    return this.isIdent(a) && !this.isIdent(b, 'to') && !this.isPunct(b, '{') && !this.isPunct(b, '(');
+  }
+
+  parseRelationshipSide() {
+    const annotations = this.parseAnnotations();
+    const name = this.expectIdent('entity name in relationship');
+    if (!name) return null;
+    const side = { entity: name.value, required: false, annotations, loc: this.loc(name) };
+
+    if (this.isPunct(this.peek(), '{')) {
+      const open = this.next();
+      const field = this.expectIdent(`injected field name in ${name.value}{...}`);
+      if (!field) return null;
+      side.field = field.value;
+      if (this.isPunct(this.peek(), '(')) {
+        this.next();
+        if (this.isIdent(this.peek())) side.display = this.next().value;
+        if (!this.expectPunct(')', `to close display field of ${name.value}{${field.value}(...)}`)) return null;
+      }
+      while (this.isIdent(this.peek())) {
+        const flag = this.next();
+        if (flag.value === 'required') side.required = true;
+        else this.fail(`Unknown relationship field option '${flag.value}'`, flag);
+      }
+      if (!this.expectPunct('}', `to close ${name.value}{...} opened at line ${open.line}`)) return null;
+    }
+    return side;
+  }
+
+  // ---------- options ----------
+
+  parseTargets(what) {
+    const targets = [];
+    const t = this.peek();
+    if (this.isPunct(t, '*') || this.isIdent(t, 'all')) {
+      this.next();
+      return ['*'];
+    }
+    do {
+      const name = this.expectIdent(what);
+      if (!name) return null;
+      targets.push(name.value);
+    } while (this.isPunct(this.peek(), ',') && this.next());
+    return targets;
+  }
+
+  parseExcepts() {
+    if (!this.isIdent(this.peek(), 'except')) return [];
+    this.next();
+    return this.parseTargets(`entity name after 'except'`) || [];
+  }
+
+  parseOption() {
+    const kw = this.next();
+    const node = { kind: 'option', name: kw.value, targets: [], excepts: [], loc: this.loc(kw) };
+    const targets = this.parseTargets(`entity name or * after '${kw.value}'`);
+    if (!targets) { this.synchronize(); return null; }
+    node.targets = targets;
+
+    if (BINARY_OPTIONS.includes(kw.value)) {
+      if (!this.isIdent(this.peek(), 'with')) {
+        this.fail(`Expected 'with <value>' after '${kw.value} ${targets.join(', ')}'`, this.peek());
+        this.synchronize();
+        return null;
+      }
+      this.next();
+      const value = this.expectIdent(`value after '${kw.value} ... with'`);
+      if (!value) { this.synchronize(); return null; }
+      node.value = value.value;
+    }
+    node.excepts = this.parseExcepts();
+    return node;
+  }
+
+  parseUse() {
+    const kw = this.next(); // use
+    const node = { kind: 'use', values: [], targets: [], excepts: [], loc: this.loc(kw) };
+    do {
+      const v = this.expectIdent(`option after 'use'`);
+      if (!v) { this.synchronize(); return null; }
+      node.values.push(v.value);
+    } while (this.isPunct(this.peek(), ',') && this.next());
+
+    if (!this.isIdent(this.peek(), 'for')) {
+      this.fail(`Expected 'for <entities>' after 'use ${node.values.join(', ')}'`, this.peek());
+      this.synchronize();
+      return null;
+    }
+    this.next();
+    const targets = this.parseTargets(`entity name or * after 'for'`);
+    if (!targets) { this.synchronize(); return null; }
+    node.targets = targets;
+    node.excepts = this.parseExcepts();
+    return node;
+  }
+
+  // ---------- application ----------
+
+  // application {
+  //   config { baseName invoice, applicationType microservice, languages [en, fr] }
+  //   entities Invoice, Shipment            // or `*`, with optional `except`
+  //   paginate Invoice with pagination     // options scoped to this application
+  // }
+  parseApplication() {
+    const kw = this.next(); // application
+    const node = { kind: 'application', config: {}, entities: null, options: [], uses: [], loc: this.loc(kw) };
+    const open = this.expectPunct('{', `after 'application'`);
+    if (!open) { this.synchronize(); return null; }
+
+    while (!this.eof() && !this.isPunct(this.peek(), '}')) {
+      const t = this.peek();
+      if (this.isIdent(t, 'config')) {
+        this.next();
+        this.parseApplicationConfig(node.config);
+      } else if (this.isIdent(t, 'entities')) {
+        this.next();
+        const targets = this.parseTargets(`entity name or * after 'entities'`);
+        if (!targets) { this.skipToBlockEnd(); break; }
+        node.entities = { targets, excepts: this.parseExcepts() };
+      } else if (this.isIdent(t, 'use')) {
+        const use = this.parseUse();
+        if (use) node.uses.push(use);
+      } else if (this.isIdent(t) && (UNARY_OPTIONS.includes(t.value) || BINARY_OPTIONS.includes(t.value))) {
+        const opt = this.parseOption();
+        if (opt) node.options.push(opt);
+      } else if (this.isIdent(t) && this.isPunct(this.peek(1), '{')) {
+        // other sub-blocks (e.g. `microfrontends`, blueprint config) are not interpreted
+        this.next();
+        this.skipNested();
+      } else {
+        this.fail(`Unexpected ${this.describe(t)} in application block`, t);
+        this.skipToBlockEnd();
+        break;
+      }
+    }
+    this.expectPunct('}', `to close application block opened at line ${open.line}`);
+
+    if (!node.config.baseName) {
+      this.fail(`Application block is missing 'config { baseName ... }'`, kw);
+    }
+    return node;
+  }
+
+  parseApplicationConfig(config) {
+    const open = this.expectPunct('{', `after 'config'`);
+    if (!open) return;
+    while (!this.eof() && !this.isPunct(this.peek(), '}')) {
+      const key = this.expectIdent('config option name');
+      if (!key) { this.skipToBlockEnd(); return; }
+      config[key.value] = this.parseConfigValue(key);
+      if (this.isPunct(this.peek(), ',')) this.next();
+    }
+    this.expectPunct('}', `to close config block opened at line ${open.line}`);
+  }
+
+  /** `gw`, `8080`, `true`, `"8.0.0"`, `com.example.app`, `[en, fr]` */
+  parseConfigValue(key) {
+    if (this.isPunct(this.peek(), '[')) {
+      this.next();
+      const list = [];
+      while (!this.eof() && !this.isPunct(this.peek(), ']')) {
+        const t = this.next();
+        if (!this.isPunct(t, ',')) list.push(configScalar(t.value, t.type));
+      }
+      this.expectPunct(']', `to close the list for '${key.value}'`);
+      return list;
+    }
+    const parts = [];
+    let type = null;
+    while (!this.eof() && this.peek().line === key.line && !this.isPunct(this.peek(), '}') && !this.isPunct(this.peek(), ',')) {
+      const t = this.next();
+      type = type || t.type;
+      parts.push(t.value);
+    }
+    if (!parts.length) {
+      this.fail(`Missing value for config option '${key.value}'`, key);
+      return null;
+    }
+    return configScalar(parts.join(''), parts.length === 1 ? type : 'ident');
+  }
+
+  /** Step over a `{ ... }` block, including nested braces. */
+  skipNested() {
+    const open = this.expectPunct('{');
+    if (!open) return;
+    let depth = 1;
+    while (!this.eof() && depth > 0) {
+      const t = this.next();
+      if (this.isPunct(t, '{')) depth += 1;
+      if (this.isPunct(t, '}')) depth -= 1;
+    }
+  }
+
+  /** Error recovery inside a block: stop before the `}` that closes it. */
+  skipToBlockEnd() {
+    let depth = 0;
+    while (!this.eof()) {
+      const t = this.peek();
+      if (this.isPunct(t, '}')) {
+        if (depth === 0) return;
+        depth -= 1;
+      }
+      if (this.isPunct(t, '{')) depth += 1;
+      this.next();
+    }
+  }
+
+  // ---------- misc ----------
+
+  parseConstant(constants) {
+    const name = this.next();
+    this.next(); // =
+    const value = this.peek();
+    if (!value || value.type !== 'number') {
+      this.fail(`Constant '${name.value}' must be a number`, value || name);
+      this.synchronize();
+      return;
+    }
+    this.next();
+    constants[name.value] = Number(value.value);
+  }
+
+  skipBlock() {
+    const kw = this.next();
+    const node = { kind: kw.value, loc: this.loc(kw) };
+    const open = this.expectPunct('{', `after '${kw.value}'`);
+    if (!open) { this.synchronize(); return node; }
+    let depth = 1;
+    while (!this.eof() && depth > 0) {
+      const t = this.next();
+      if (this.isPunct(t, '{')) depth += 1;
+      if (this.isPunct(t, '}')) depth -= 1;
+    }
+    if (depth > 0) this.fail(`Missing '}' to close ${kw.value} block opened at line ${open.line}`, null);
+    return node;
+  }
+}
+
+function configScalar(value, type) {
+  if (type === 'number') return Number(value);
+  if (type === 'ident' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+module.exports = {
+  parseJdlAst,
+  RELATIONSHIP_TYPES,
+  UNARY_OPTIONS,
+  BINARY_OPTIONS,
+};
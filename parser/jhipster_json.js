@@ -0,0 +1,307 @@
+// parser/jhipster_json.js
+// JHipster `.jhipster/*.json` entity definitions -> the same model parseJdl returns.
+// For services that no longer have a JDL, only their `.jhipster/` folder.
+//
+// Each file is mapped onto the JDL AST (parser/jdl_parser.js) and then built by
+// the shared buildModel (parser/index.js), so validation, enums, relationships
+// and entity options behave exactly as they do for JDL:
+//   - fields[]: fieldName/fieldType, `fieldValues` ("A (Label),B") -> enum,
+//     `byte[]` + fieldTypeBlobContent -> Blob/ImageBlob/TextBlob,
+//     fieldValidateRules + fieldValidateRules<Rule> -> validations,
+//     javadoc/documentation -> doc, `options` (JHipster 8 field annotations) -> annotations
+//   - relationships[]: both sides of a bidirectional relationship are paired through
+//     otherEntityRelationshipName; otherEntityField -> display field;
+//     relationshipValidateRules "required" (or relationshipRequired) -> required field
+//   - pagination, searchEngine, dto, service, jpaMetamodelFiltering, readOnly,
+//     skipClient, microserviceName, clientRootFolder, embedded -> entity options
+//   - `annotations` (JHipster 8) -> entity annotations (@EnableAudit, @FhIcon, ...)
+//
+// Usage:
+//   const { parseJhipsterDir } = require('../parser/jhipster_json');
+//   const { entities, enums, diagnostics } = parseJhipsterDir('/path/to/service/.jhipster');
+
+const fs = require('fs');
+const path = require('path');
+const { buildModel } = require('./index');
+const { error, warning } = require('./diagnostics');
+
+const RELATIONSHIP_TYPES = {
+  'one-to-one': 'OneToOne',
+  'many-to-one': 'ManyToOne',
+  'one-to-many': 'OneToMany',
+  'many-to-many': 'ManyToMany',
+};
+
+const VALIDATION_RULES = ['required', 'unique', 'minlength', 'maxlength', 'pattern', 'min', 'max', 'minbytes', 'maxbytes'];
+
+const BLOB_TYPES = { image: 'ImageBlob', text: 'TextBlob', any: 'AnyBlob' };
+
+// entity JSON key -> [option name, unary?]
+const ENTITY_OPTIONS = {
+  pagination: ['paginate'],
+  searchEngine: ['search'],
+  dto: ['dto'],
+  service: ['service'],
+  microserviceName: ['microservice'],
+  clientRootFolder: ['clientRootFolder'],
+  jpaMetamodelFiltering: ['filter', true],
+  readOnly: ['readOnly', true],
+  skipClient: ['skipClient', true],
+  embedded: ['embedded', true],
+};
+
+/**
+ * Read every `*.json` entity file of a `.jhipster` directory. A project root
+ * containing `.jhipster/` is accepted too.
+ * @param {string} dir
+ * @param {object} [options] same as parseJdl (`file` labels diagnostics, `application`)
+ */
+function parseJhipsterDir(dir, options = {}) {
+  const nested = path.join(dir, '.jhipster');
+  const jsonDir = fs.existsSync(nested) && fs.statSync(nested).isDirectory() ? nested : dir;
+  const label = options.file ? path.join(options.file, path.relative(dir, jsonDir)) : jsonDir;
+  const files = fs.readdirSync(jsonDir)
+    .filter((name) => name.toLowerCase().endsWith('.json'))
+    .sort()
+    .map((name) => ({
+      file: path.join(label, name),
+      text: fs.readFileSync(path.join(jsonDir, name), 'utf8'),
+    }));
+  return parseJhipsterJson(files, options);
+}
+
+/**
+ * @param {Array<{ file: string, text: string }>} files entity JSON documents
+ * @param {object} [options] same as parseJdl
+ */
+function parseJhipsterJson(files, options = {}) {
+  const diagnostics = [];
+  const ast = jhipsterJsonToAst(files, diagnostics);
+  if (!files.length) {
+    diagnostics.push(error('No .jhipster/*.json entity files found', { file: options.file }));
+  }
+  return buildModel(ast, diagnostics, options);
+}
+
+function jhipsterJsonToAst(files, diagnostics) {
+  const ast = {
+    kind: 'jhipster-json',
+    entities: [],
+    enums: [],
+    relationships: [],
+    options: [],
+    uses: [],
+    constants: {},
+    applications: [],
+    blocks: [],
+    comments: [],
+  };
+
+  const docs = [];
+  files.forEach(({ file, text }) => {
+    const loc = { file, line: 1, col: 1 };
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      diagnostics.push(error(`Invalid JSON: ${e.message}`, loc));
+      return;
+    }
+    if (!json || typeof json !== 'object' || !Array.isArray(json.fields)) {
+      diagnostics.push(warning('Not a JHipster entity definition (expected an object with "fields"); skipped', loc));
+      return;
+    }
+    const name = json.name || path.basename(file, path.extname(file));
+    docs.push({ name, json, loc });
+  });
+
+  // `otherEntityName` is lower camel case ('purchaseOrder'); match it case-insensitively
+  const entityByKey = {};
+  docs.forEach(({ name }) => { entityByKey[name.toLowerCase()] = name; });
+  const resolveEntity = (otherEntityName) => {
+    const key = String(otherEntityName || '').toLowerCase();
+    return entityByKey[key] || (key ? key.charAt(0).toUpperCase() + String(otherEntityName).slice(1) : key);
+  };
+
+  const enumsSeen = {};
+  docs.forEach(({ name, json, loc }) => {
+    ast.entities.push({
+      kind: 'entity',
+      name,
+      tableName: json.entityTableName,
+      doc: docOf(json),
+      annotations: annotationsOf(json.annotations, loc),
+      fields: (json.fields || []).map((f) => fieldNode(f, name, loc, ast.enums, enumsSeen, diagnostics)).filter(Boolean),
+      loc,
+    });
+
+    Object.entries(ENTITY_OPTIONS).forEach(([key, [option, unary]]) => {
+      const value = json[key];
+      if (value === undefined || value === null || value === false || value === 'no' || value === '') return;
+      ast.options.push({
+        kind: 'option',
+        name: option,
+        value: unary ? undefined : String(value),
+        targets: [name],
+        excepts: [],
+        loc,
+      });
+    });
+  });
+
+  ast.relationships = relationshipNodes(docs, resolveEntity, diagnostics);
+  return ast;
+}
+
+function fieldNode(f, entityName, loc, enums, enumsSeen, diagnostics) {
+  if (!f || !f.fieldName) {
+    diagnostics.push(warning(`Field without "fieldName" in entity '${entityName}'; skipped`, loc));
+    return null;
+  }
+  let type = f.fieldType || 'String';
+  if (type === 'byte[]') type = BLOB_TYPES[f.fieldTypeBlobContent] || 'Blob';
+
+  if (f.fieldValues !== undefined) {
+    const values = enumValuesOf(f.fieldValues, f.fieldValuesJavadocs || f.fieldValuesDocumentation, loc);
+    const signature = values.map(v => `${v.name}(${v.value || ''})`).join(',');
+    if (!enumsSeen[type]) {
+      enumsSeen[type] = signature;
+      enums.push({ kind: 'enum', name: type, values, loc });
+    } else if (enumsSeen[type] !== signature) {
+      diagnostics.push(warning(`Enum '${type}' on '${entityName}.${f.fieldName}' has different values than an earlier entity; the first definition is used`, loc));
+    }
+  }
+
+  const rules = [].concat(f.fieldValidateRules || []);
+  const validations = [];
+  rules.forEach((rule) => {
+    if (!VALIDATION_RULES.includes(rule)) {
+      diagnostics.push(warning(`Unknown validation rule '${rule}' on field '${entityName}.${f.fieldName}'; ignored`, loc));
+      return;
+    }
+    const node = { name: rule, loc };
+    if (rule !== 'required' && rule !== 'unique') {
+      const raw = f[`fieldValidateRules${rule.charAt(0).toUpperCase()}${rule.slice(1)}`];
+      if (raw === undefined || raw === '') {
+        diagnostics.push(warning(`Validation '${rule}' on field '${entityName}.${f.fieldName}' has no value; ignored`, loc));
+        return;
+      }
+      node.value = rule === 'pattern' ? String(raw) : Number(raw);
+    }
+    validations.push(node);
+  });
+
+  return {
+    kind: 'field',
+    name: f.fieldName,
+    type,
+    doc: docOf(f),
+    annotations: annotationsOf(f.options, loc),
+    validations,
+    loc,
+  };
+}
+
+/** "ACTIVE (Active),IN_PROGRESS" -> [ { name: 'ACTIVE', value: 'Active' }, { name: 'IN_PROGRESS' } ] */
+function enumValuesOf(fieldValues, valueDocs = {}, loc) {
+  const values = [];
+  const re = /\s*([A-Za-z_][\w]*)\s*(?:\(([^)]*)\))?\s*(?:,|$)/g;
+  let m;
+  while ((m = re.exec(String(fieldValues))) && m[0]) {
+    const value = { name: m[1], loc };
+    if (m[2] !== undefined) value.value = m[2].trim();
+    if (valueDocs && valueDocs[m[1]]) value.doc = valueDocs[m[1]];
+    values.push(value);
+  }
+  return values;
+}
+
+/**
+ * Pair both sides of each relationship (A.rel <-> B.inverse via otherEntityRelationshipName)
+ * and emit one JDL relationship item per pair, oriented the way JDL declares it.
+ */
+function relationshipNodes(docs, resolveEntity, diagnostics) {
+  const byType = {};
+  const sides = [];
+  docs.forEach(({ name, json, loc }) => {
+    (json.relationships || []).forEach((r) => {
+      const type = RELATIONSHIP_TYPES[String(r.relationshipType || '').toLowerCase()];
+      if (!type || !r.relationshipName || !r.otherEntityName) {
+        diagnostics.push(warning(`Relationship '${r.relationshipName || '?'}' on entity '${name}' needs relationshipName, otherEntityName and a relationshipType (${Object.keys(RELATIONSHIP_TYPES).join(', ')}); skipped`, loc));
+        return;
+      }
+      sides.push({ entity: name, target: resolveEntity(r.otherEntityName), type, rel: r, loc });
+    });
+  });
+
+  const used = new Set();
+  sides.forEach((side) => {
+    if (used.has(side)) return;
+    used.add(side);
+    const inverse = sides.find((o) => !used.has(o)
+      && o.entity === side.target
+      && o.target === side.entity
+      && o.rel.relationshipName === side.rel.otherEntityRelationshipName
+      && (!o.rel.otherEntityRelationshipName || o.rel.otherEntityRelationshipName === side.rel.relationshipName));
+    if (inverse) used.add(inverse);
+
+    // JDL names the "one" side first for OneToMany, and the owner side first otherwise
+    let from = side;
+    let to = inverse;
+    let type = side.type;
+    if (side.type === 'ManyToOne' && inverse) {
+      from = inverse;
+      to = side;
+      type = 'OneToMany';
+    } else if (inverse && (side.type === 'OneToOne' || side.type === 'ManyToMany') && isOwner(inverse.rel) && !isOwner(side.rel)) {
+      from = inverse;
+      to = side;
+    }
+
+    const item = {
+      from: sideNode(from),
+      to: to ? sideNode(to) : { entity: from.target, required: false, annotations: [], loc: from.loc },
+      options: [],
+      doc: docOf(from.rel),
+      loc: from.loc,
+    };
+    if (!byType[type]) byType[type] = { kind: 'relationship', type, items: [], loc: from.loc };
+    byType[type].items.push(item);
+  });
+  return Object.values(byType);
+}
+
+function sideNode({ entity, rel, loc }) {
+  const rules = [].concat(rel.relationshipValidateRules || []);
+  const node = {
+    entity,
+    field: rel.relationshipName,
+    required: rules.includes('required') || rel.relationshipRequired === true,
+    annotations: [],
+    loc,
+  };
+  if (rel.otherEntityField && rel.otherEntityField !== 'id') node.display = rel.otherEntityField;
+  return node;
+}
+
+function isOwner(rel) {
+  return rel.ownerSide === true || rel.relationshipSide === 'left';
+}
+
+function docOf(node) {
+  return node.documentation || node.javadoc || undefined;
+}
+
+/** `{ "paginate": "pagination", "EnableAudit": true }` -> AST annotation nodes */
+function annotationsOf(annotations, loc) {
+  if (!annotations || typeof annotations !== 'object') return [];
+  return Object.entries(annotations).map(([name, value]) => {
+    const args = value === true || value === null ? [] : [].concat(value);
+    return { name, args, value: args.length ? args[0] : undefined, loc };
+  });
+}
+
+module.exports = {
+  parseJhipsterDir,
+  parseJhipsterJson,
+};
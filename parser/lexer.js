@@ -0,0 +1,240 @@
+// parser/lexer.js
+// Tokenizer for JDL text.
+//
+// Token shape:
+//   { type, value, line, col, start, end }
+//   type: 'ident' | 'number' | 'string' | 'regex' | 'paren-text' | 'punct' | 'doc'
+//
+// - Whitespace and `//` / `/* */` comments are dropped from the token stream
+//   but collected into `comments` so the AST can keep them.
+// - `/** ... */` Javadoc blocks become 'doc' tokens (cleaned text).
+// - Two constructs are lexed contextually because their bodies are free text:
+//     * pattern(/regex/)          -> 'regex' token (may contain `}` or `)`)
+//     * enum values `A (Label)`   -> 'paren-text' token with the raw label
+//
+// Malformed input (unterminated comments/strings/regexes, stray characters)
+// is reported through `diagnostics` with file:line:col positions.
+
+const { error } = require('./diagnostics');
+
+const PUNCT = new Set(['{', '}', '(', ')', ',', '@', '*', '=', ';', ':', '[', ']', '.']);
+
+function tokenize(text, options = {}) {
+  const file = options.file || '<jdl>';
+  const src = String(text || '');
+  const tokens = [];
+  const comments = [];
+  const diagnostics = [];
+
+  let i = 0;
+  let line = 1;
+  let col = 1;
+
+  // enum body tracking for `VALUE (label)` syntax
+  let enumState = 0; // 0: none, 1: saw `enum`, 2: saw name, 3: inside body
+
+  const loc = () => ({ file, line, col });
+
+  function advance(n = 1) {
+    for (let k = 0; k < n && i < src.length; k += 1) {
+      if (src[i] === '\n') {
+        line += 1;
+        col = 1;
+      } else {
+        col += 1;
+      }
+      i += 1;
+    }
+  }
+
+  function push(type, value, start, at) {
+    const tok = { type, value, line: at.line, col: at.col, start, end: i };
+    tokens.push(tok);
+    trackEnum(tok);
+    return tok;
+  }
+
+  function trackEnum(tok) {
+    if (tok.type === 'doc') return;
+    if (tok.type === 'ident' && tok.value === 'enum' && enumState !== 3) {
+      enumState = 1;
+    } else if (enumState === 1) {
+      enumState = tok.type === 'ident' ? 2 : 0;
+    } else if (enumState === 2) {
+      enumState = tok.value === '{' && tok.type === 'punct' ? 3 : 0;
+    } else if (enumState === 3 && tok.type === 'punct' && tok.value === '}') {
+      enumState = 0;
+    }
+  }
+
+  function prevIs(offset, type, value) {
+    const t = tokens[tokens.length - offset];
+    return !!t && t.type === type && (value === undefined || t.value === value);
+  }
+
+  while (i < src.length) {
+    const ch = src[i];
+    const next = src[i + 1];
+
+    // whitespace
+    if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\n' || ch === '\f' || ch === '\v' || ch === '\uFEFF') {
+      advance();
+      continue;
+    }
+
+    // line comment
+    if (ch === '/' && next === '/') {
+      const at = loc();
+      const start = i;
+      while (i < src.length && src[i] !== '\n') advance();
+      comments.push({ text: src.slice(start + 2, i).trim(), doc: false, loc: at });
+      continue;
+    }
+
+    // block / doc comment
+    if (ch === '/' && next === '*') {
+      const at = loc();
+      const start = i;
+      const isDoc = src[i + 2] === '*' && src[i + 3] !== '/';
+      const close = src.indexOf('*/', i + 2);
+      if (close === -1) {
+        diagnostics.push(error('Unterminated comment', at));
+        advance(src.length - i);
+        break;
+      }
+      advance(close + 2 - i);
+      const raw = src.slice(start, i);
+      const text = cleanComment(raw);
+      comments.push({ text, doc: isDoc, loc: at });
+      if (isDoc) push('doc', text, start, at);
+      continue;
+    }
+
+    // pattern(/regex/)
+    if (ch === '/' && prevIs(1, 'punct', '(') && prevIs(2, 'ident', 'pattern')) {
+      const at = loc();
+      const start = i;
+      const end = findRegexEnd(src, i + 1);
+      if (end === -1) {
+        diagnostics.push(error('Unterminated pattern: expected /) to close the regular expression', at));
+        while (i < src.length && src[i] !== '\n') advance();
+        continue;
+      }
+      const body = src.slice(i + 1, end);
+      advance(end + 1 - i);
+      push('regex', body, start, at);
+      continue;
+    }
+
+    // enum value label: VALUE (Free text label)
+    if (ch === '(' && enumState === 3 && prevIs(1, 'ident')) {
+      const at = loc();
+      const start = i;
+      const close = src.indexOf(')', i + 1);
+      const newline = src.indexOf('\n', i + 1);
+      if (close === -1 || (newline !== -1 && newline < close)) {
+        diagnostics.push(error("Unterminated enum value: expected ')'", at));
+        while (i < src.length && src[i] !== '\n') advance();
+        continue;
+      }
+      const value = src.slice(i + 1, close).trim();
+      advance(close + 1 - i);
+      push('paren-text', value, start, at);
+      continue;
+    }
+
+    // identifiers
+    if (/[A-Za-z_$]/.test(ch)) {
+      const at = loc();
+      const start = i;
+      while (i < src.length && /[A-Za-z0-9_$\-]/.test(src[i])) {
+        // allow kebab-case values (e.g. `clientRootFolder * with my-folder`) but not a trailing '-'
+        if (src[i] === '-' && !/[A-Za-z0-9_]/.test(src[i + 1] || '')) break;
+        advance();
+      }
+      push('ident', src.slice(start, i), start, at);
+      continue;
+    }
+
+    // numbers
+    if (/[0-9]/.test(ch) || (ch === '-' && /[0-9]/.test(next || ''))) {
+      const at = loc();
+      const start = i;
+      advance();
+      while (i < src.length && /[0-9.]/.test(src[i])) advance();
+      push('number', src.slice(start, i), start, at);
+      continue;
+    }
+
+    // strings
+    if (ch === '"' || ch === '\'') {
+      const at = loc();
+      const start = i;
+      const quote = ch;
+      advance();
+      let value = '';
+      let closed = false;
+      while (i < src.length && src[i] !== '\n') {
+        if (src[i] === '\\' && i + 1 < src.length) {
+          value += src[i + 1];
+          advance(2);
+          continue;
+        }
+        if (src[i] === quote) {
+          closed = true;
+          advance();
+          break;
+        }
+        value += src[i];
+        advance();
+      }
+      if (!closed) {
+        diagnostics.push(error('Unterminated string literal', at));
+        continue;
+      }
+      push('string', value, start, at);
+      continue;
+    }
+
+    if (PUNCT.has(ch)) {
+      const at = loc();
+      const start = i;
+      advance();
+      push('punct', ch, start, at);
+      continue;
+    }
+
+    diagnostics.push(error(`Unexpected character '${ch}'`, loc()));
+    advance();
+  }
+
+  return { tokens, comments, diagnostics };
+}
+
+/** Index of the closing '/' of a pattern regex, i.e. the unescaped '/' followed by ')'. */
+function findRegexEnd(src, from) {
+  for (let k = from; k < src.length; k += 1) {
+    const c = src[k];
+    if (c === '\\') { k += 1; continue; }
+    if (c === '\n') return -1;
+    if (c === '/') {
+      let j = k + 1;
+      while (j < src.length && (src[j] === ' ' || src[j] === '\t')) j += 1;
+      if (src[j] === ')') return k;
+    }
+  }
+  return -1;
+}
+
+/** Strip comment delimiters and leading `*` gutters. */
+function cleanComment(raw) {
+  return raw
+    .replace(/^\/\*\*?/, '')
+    .replace(/\*\/$/, '')
+    .split(/\r?\n/)
+    .map((l) => l.replace(/^\s*\*(?!\/)\s?/, '').trimEnd())
+    .join('\n')
+    .trim();
+}
+
+module.exports = { tokenize };
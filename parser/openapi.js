@@ -0,0 +1,322 @@
+// parser/openapi.js
+// OpenAPI 3 spec (e.g. a saved `/v3/api-docs` of a JHipster backend) -> the same model parseJdl returns.
+// For backends that expose an API but no JDL.
+//
+// The spec is mapped onto the JDL AST (parser/jdl_parser.js) and built by the
+// shared buildModel (parser/index.js):
+//   - entities: component schemas used by `/api/<resource>` paths (request bodies and
+//     responses); `FooDTO` -> `Foo`. Without such paths, every object schema with an `id`.
+//   - properties: type/format -> JDL types (int64 -> Long, date -> LocalDate, date-time -> Instant,
+//     byte -> Blob, ...), `required` / minLength / maxLength / pattern / minimum / maximum
+//     -> validations, description -> doc
+//   - string enums -> enums (named by their schema, or after the property: `status` -> `Status`)
+//   - `$ref` to another entity -> ManyToOne, array of `$ref` -> OneToMany / ManyToMany;
+//     both sides are paired when the target refers back. Other arrays are skipped with a warning
+//   - paths -> `pluralOverrides` ({ PurchaseOrder: 'purchase-orders' }), and entity options:
+//     `/api/_search/<resource>` -> search, `page` parameter -> paginate, criteria
+//     parameters (`name.contains`) -> filter
+//
+// Usage:
+//   const { parseOpenApi } = require('../parser/openapi');
+//   const { entities, enums, pluralOverrides, diagnostics } = parseOpenApi(text, { file: 'openapi.json' });
+
+const yaml = require('js-yaml');
+const { buildModel } = require('./index');
+const { error, warning } = require('./diagnostics');
+
+// JHipster account/admin endpoints are not entity resources.
+const NON_ENTITY_RESOURCES = ['account', 'admin', 'authenticate', 'register', 'activate', 'users', 'authorities', 'management'];
+
+// `string` formats -> JDL types
+const STRING_FORMATS = {
+  date: 'LocalDate',
+  'date-time': 'Instant',
+  uuid: 'UUID',
+  byte: 'Blob',
+  binary: 'Blob',
+  duration: 'Duration',
+};
+
+// `/api/purchase-orders`, `/services/invoice/api/invoices/{id}`, `/api/_search/invoices`
+const RESOURCE_PATH = /^(?:\/services\/[^/]+)?\/api\/(_search\/)?([^/{}]+)(\/\{[^}]+\})?\/?$/;
+
+/**
+ * @param {string} text OpenAPI 3 document (JSON or YAML)
+ * @param {object} [options] same as parseJdl (`file` labels diagnostics, `application`)
+ */
+function parseOpenApi(text, options = {}) {
+  const diagnostics = [];
+  const loc = { file: options.file, line: 1, col: 1 };
+  let spec;
+  try {
+    spec = /^\s*\{/.test(text) ? JSON.parse(text) : yaml.load(text);
+  } catch (e) {
+    diagnostics.push(error(`Invalid OpenAPI document: ${e.message}`, loc));
+  }
+  if (spec && !String(spec.openapi || '').startsWith('3')) {
+    diagnostics.push(error(`Expected an OpenAPI 3 document (found ${spec.swagger ? `Swagger ${spec.swagger}` : 'no "openapi" version'})`, loc));
+    spec = null;
+  }
+
+  const { ast, pluralOverrides } = spec
+    ? openApiToAst(spec, loc, diagnostics)
+    : { ast: emptyAst(), pluralOverrides: {} };
+  return { ...buildModel(ast, diagnostics, options), pluralOverrides };
+}
+
+function emptyAst() {
+  return {
+    kind: 'openapi',
+    entities: [],
+    enums: [],
+    relationships: [],
+    options: [],
+    uses: [],
+    constants: {},
+    applications: [],
+    blocks: [],
+    comments: [],
+  };
+}
+
+function openApiToAst(spec, loc, diagnostics) {
+  const ast = emptyAst();
+  const schemas = (spec.components && spec.components.schemas) || {};
+  const entityOf = (schemaName) => schemaName.replace(/(DTO|Dto)$/, '');
+
+  // ---- resources: schema <- /api/<resource> paths ----
+  const resources = {}; // schemaName -> { resource, search, paginate, filter }
+  Object.entries(spec.paths || {}).forEach(([p, item]) => {
+    const m = RESOURCE_PATH.exec(p);
+    if (!m || NON_ENTITY_RESOURCES.includes(m[2])) return;
+    const [, isSearch, resource, byId] = m;
+    Object.entries(item || {}).forEach(([method, op]) => {
+      if (!op || typeof op !== 'object' || !['get', 'post', 'put', 'patch'].includes(method)) return;
+      const schemaName = operationSchema(op);
+      if (!schemaName || !schemas[schemaName]) return;
+      const info = resources[schemaName] || (resources[schemaName] = { resource, search: false, paginate: false, filter: false });
+      if (isSearch) {
+        info.search = true;
+        return;
+      }
+      if (method === 'get' && !byId) {
+        const params = (op.parameters || []).map(prm => (prm && prm.name) || '');
+        if (params.includes('page')) info.paginate = true;
+        if (params.some(n => /^[A-Za-z]\w*\.[a-zA-Z]+$/.test(n))) info.filter = true;
+      }
+    });
+  });
+
+  let entitySchemas = Object.keys(resources);
+  if (!entitySchemas.length) {
+    entitySchemas = Object.keys(schemas).filter((name) => {
+      const s = schemas[name];
+      return s && (s.type === 'object' || s.properties) && s.properties && s.properties.id;
+    });
+    if (entitySchemas.length) {
+      diagnostics.push(warning('No /api/<resource> paths refer to component schemas; every object schema with an `id` is treated as an entity', loc));
+    }
+  }
+  entitySchemas = entitySchemas.filter(name => entityOf(name) !== 'User' && entityOf(name) !== 'Authority');
+  if (!entitySchemas.length) {
+    diagnostics.push(error('No entity schemas found in components.schemas', loc));
+  }
+  const entityBySchema = {};
+  entitySchemas.forEach((name) => { entityBySchema[name] = entityOf(name); });
+  // refs to User/Authority stay relationships (built-in entities, skipped by buildModel)
+  ['User', 'UserDTO', 'AdminUserDTO', 'Authority', 'AuthorityDTO'].forEach((name) => {
+    if (schemas[name]) entityBySchema[name] = entityOf(name).replace(/^Admin/, '');
+  });
+
+  // ---- entities, enums, relationship sides ----
+  const enumsByName = {};
+  const relSides = [];
+  entitySchemas.forEach((schemaName) => {
+    const entityName = entityBySchema[schemaName];
+    const schema = resolveSchema(schemas[schemaName], schemas);
+    const props = schema.properties || {};
+    const required = schema.required || [];
+    const fields = [];
+
+    Object.entries(props).forEach(([propName, rawProp]) => {
+      // JHipster adds `<blob>ContentType` next to every Blob field; JDL has no such field, so neither do we
+      if (/ContentType$/.test(propName) && props[propName.replace(/ContentType$/, '')]) return;
+      const prop = rawProp || {};
+      const ref = refName(prop) || refName(prop.items);
+      const target = ref && entityBySchema[ref];
+      if (target) {
+        relSides.push({
+          entity: entityName,
+          field: propName,
+          target,
+          many: prop.type === 'array',
+          doc: prop.description,
+        });
+        return;
+      }
+
+      // no list field type; a Json (map) field would read the list as null and send null back on save
+      if (prop.type === 'array') {
+        diagnostics.push(warning(`Array property '${entityName}.${propName}' is not an entity reference; skipped`, loc));
+        return;
+      }
+
+      const type = propertyType(propName, prop, ref, entityName, { schemas, enumsByName, ast, loc });
+      fields.push({
+        kind: 'field',
+        name: propName,
+        type,
+        doc: prop.description,
+        annotations: [],
+        validations: validationsOf(propName, prop, required, loc),
+        loc,
+      });
+    });
+
+    ast.entities.push({ kind: 'entity', name: entityName, doc: schema.description, annotations: [], fields, loc });
+  });
+
+  // ---- relationships: pair A.x -> B with B.y -> A ----
+  const byType = {};
+  const used = new Set();
+  relSides.forEach((side) => {
+    if (used.has(side)) return;
+    used.add(side);
+    const inverse = relSides.find(o => !used.has(o) && o.entity === side.target && o.target === side.entity);
+    if (inverse) used.add(inverse);
+
+    let type;
+    let from = side;
+    let to = inverse;
+    if (!inverse) {
+      type = side.many ? 'ManyToMany' : 'ManyToOne';
+    } else if (side.many && inverse.many) {
+      type = 'ManyToMany';
+    } else if (!side.many && !inverse.many) {
+      type = 'OneToOne';
+    } else {
+      type = 'OneToMany';
+      if (!side.many) { from = inverse; to = side; }
+    }
+    const sideNode = s => ({ entity: s.entity, field: s.field, required: false, annotations: [], loc });
+    const item = {
+      from: sideNode(from),
+      to: to ? sideNode(to) : { entity: from.target, required: false, annotations: [], loc },
+      options: [],
+      doc: from.doc,
+      loc,
+    };
+    if (!byType[type]) byType[type] = { kind: 'relationship', type, items: [], loc };
+    byType[type].items.push(item);
+  });
+  ast.relationships = Object.values(byType);
+
+  // ---- entity options + resource paths ----
+  const pluralOverrides = {};
+  Object.entries(resources).forEach(([schemaName, info]) => {
+    const entityName = entityBySchema[schemaName];
+    if (!entityName || !ast.entities.some(e => e.name === entityName)) return;
+    pluralOverrides[entityName] = info.resource;
+    const option = (name, value) => ast.options.push({ kind: 'option', name, value, targets: [entityName], excepts: [], loc });
+    if (info.search) option('search', 'elasticsearch');
+    if (info.paginate) option('paginate', 'pagination');
+    if (info.filter) option('filter');
+  });
+
+  return { ast, pluralOverrides };
+}
+
+/** Schema name behind an operation's request body or JSON response (arrays unwrapped). */
+function operationSchema(op) {
+  const jsonSchema = (content) => {
+    if (!content) return null;
+    const media = content['application/json'] || content['*/*'] || Object.values(content)[0];
+    return media && media.schema;
+  };
+  const candidates = [
+    jsonSchema(op.requestBody && op.requestBody.content),
+    ...['200', '201'].map(code => jsonSchema(op.responses && op.responses[code] && op.responses[code].content)),
+  ];
+  for (const schema of candidates) {
+    const name = schema && (refName(schema) || refName(schema.items));
+    if (name) return name;
+  }
+  return null;
+}
+
+/** `#/components/schemas/Foo` (directly or wrapped in a single-item allOf/oneOf) -> 'Foo' */
+function refName(schema) {
+  if (!schema) return null;
+  if (schema.$ref) return schema.$ref.split('/').pop();
+  const wrapped = schema.allOf || schema.oneOf || schema.anyOf;
+  if (Array.isArray(wrapped) && wrapped.length === 1) return refName(wrapped[0]);
+  return null;
+}
+
+/** Merge `allOf` parts (inheritance) into one object schema. */
+function resolveSchema(schema, schemas, depth = 0) {
+  if (!schema || !schema.allOf || depth > 5) return schema || {};
+  const merged = { properties: { ...(schema.properties || {}) }, required: [...(schema.required || [])], description: schema.description };
+  schema.allOf.forEach((part) => {
+    const ref = refName(part);
+    const resolved = resolveSchema(ref ? schemas[ref] : part, schemas, depth + 1);
+    Object.assign(merged.properties, resolved.properties || {});
+    merged.required.push(...(resolved.required || []));
+    if (!merged.description) merged.description = resolved.description;
+  });
+  return merged;
+}
+
+function propertyType(propName, prop, ref, entityName, { schemas, enumsByName, ast, loc }) {
+  const refSchema = ref ? schemas[ref] : null;
+  const enumSchema = refSchema && refSchema.enum ? refSchema : (prop.enum ? prop : null);
+  if (enumSchema) {
+    const values = enumSchema.enum.filter(v => typeof v === 'string' && /^[A-Za-z_]\w*$/.test(v));
+    let name = ref || cap(propName);
+    const signature = values.join(',');
+    if (enumsByName[name] !== undefined && enumsByName[name] !== signature) name = `${entityName}${cap(propName)}`;
+    if (enumsByName[name] === undefined) {
+      enumsByName[name] = signature;
+      ast.enums.push({
+        kind: 'enum',
+        name,
+        doc: enumSchema.description,
+        values: values.map(v => ({ name: v, loc })),
+        loc,
+      });
+    }
+    return name;
+  }
+  if (refSchema) return 'Json';
+
+  switch (prop.type) {
+    case 'integer':
+      return prop.format === 'int32' ? 'Integer' : 'Long';
+    case 'number':
+      return prop.format === 'float' ? 'Float' : prop.format === 'double' ? 'Double' : 'BigDecimal';
+    case 'boolean':
+      return 'Boolean';
+    case 'object':
+      return 'Json';
+    default:
+      return STRING_FORMATS[prop.format] || 'String';
+  }
+}
+
+function validationsOf(propName, prop, required, loc) {
+  const out = [];
+  const add = (name, value) => out.push(value === undefined ? { name, loc } : { name, value, loc });
+  if (required.includes(propName)) add('required');
+  if (prop.minLength !== undefined) add('minlength', Number(prop.minLength));
+  if (prop.maxLength !== undefined) add('maxlength', Number(prop.maxLength));
+  if (prop.pattern) add('pattern', String(prop.pattern));
+  if (prop.minimum !== undefined) add('min', Number(prop.minimum));
+  if (prop.maximum !== undefined) add('max', Number(prop.maximum));
+  return out;
+}
+
+function cap(s) {
+  return s ? s.charAt(0).toUpperCase() + s.slice(1) : s;
+}
+
+module.exports = { parseOpenApi };
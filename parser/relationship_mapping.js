@@ -135,6 +135,7 @@ function expectedInverseType(relType) {
  *  - entity(target) must exist
  *  - relationshipType must be the expected inverse type (e.g., O2M <-> M2O)
  *  - targetEntity of that candidate must equal current entity
+ *  - a candidate whose own inverseField names another field is skipped
  * If multiple candidates exist, prefer exact inverse naming match if we have f.inverseField,
  * otherwise prefer a field whose name equals lcFirst(currentEntity) or pluralized version.
  */
@@ -146,10 +147,18 @@ function findInverseField(entities, currentEntity, field) {
   const candidates = targetFields.filter((g) =>
     g.isRelationship &&
     normalizeRelType(g.relationshipType) === normalizeRelType(expType) &&
-    String(g.targetEntity) === String(currentEntity)
+    String(g.targetEntity) === String(currentEntity) &&
+    // a side already paired with another field is not this field's inverse
+    (!g.inverseField || g.inverseField === field.name)
   );
 
   if (candidates.length === 0) return null;
+
+  // The parser names the other side when the JDL declares both (`A{b} to B{a}`)
+  if (field.inverseField) {
+    const declared = candidates.find((c) => c.name === field.inverseField);
+    if (declared) return declared;
+  }
   if (candidates.length === 1) return candidates[0];
 
   // Heuristics: prefer names that resemble the expected defaults
@@ -0,0 +1,391 @@
+// utils/config_schema.js
+// Schema of fhipster.config.yaml. Every key FHipster reads is listed here, so a misspelled
+// key is reported (with a "did you mean" suggestion) instead of silently falling back to
+// the default, and a value of the wrong type is reported with its YAML line.
+//
+// Diagnostics have the JDL parser's shape (parser/diagnostics.js): unknown keys and
+// skipParts are warnings, wrong types and values are errors.
+//
+// Usage:
+//   const { data, diagnostics } = validateConfigFile('fhipster.config.yaml');
+//   reportDiagnostics(diagnostics);
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { error, warning } = require('../parser/diagnostics');
+const { pascalCase } = require('./naming');
+
+// ------------------- schema -------------------
+
+const str = { type: 'string' };
+const bool = { type: 'boolean' };
+const int = (min) => ({ type: 'integer', min });
+const oneOf = (...values) => ({ type: 'enum', values });
+const list = (of) => ({ type: 'list', of });
+const map = (of) => ({ type: 'map', of });
+const obj = (keys) => ({ type: 'object', keys });
+const anyOf = (label, ...options) => ({ type: 'anyOf', label, options });
+const color = { type: 'color' };
+const any = { type: 'any' };
+
+// a comma-separated string or a list
+const csv = (values) => anyOf('a comma-separated string or a list', { type: 'string', values }, list({ type: 'string', values }));
+
+const SKIP_PARTS = ['models', 'services', 'controllers', 'forms', 'views', 'enums', 'core', 'widgets', 'routes', 'main'];
+
+const THEME_COLORS = obj({ primary: color, secondary: color, accent: color });
+
+const AUTH = obj({
+  provider: oneOf('keycloak', 'jhipsterJwt'),
+  jwtAuthEndpoint: str,
+  accountEndpoint: str,
+  allowCredentialCacheForJwt: bool,
+  keycloak: obj({
+    tokenEndpoint: str,
+    logoutEndpoint: str,
+    authorizeEndpoint: str,
+    userinfoEndpoint: str,
+    clientId: str,
+    clientSecret: str,
+    scopes: list(str),
+  }),
+});
+
+// Settings a profile (profiles.dev, profiles.prod, profiles.<name>) may override
+const PROFILE_KEYS = {
+  appName: str,
+  envName: str,
+  apiHost: str,
+  useGateway: bool,
+  gatewayServiceName: str,
+  auth: AUTH,
+
+  defaultPageSize: int(1),
+  pageSizeOptions: list(int(1)),
+  defaultSort: list(str),
+  defaultSearchSort: list(str),
+  distinctByDefault: bool,
+
+  totalCountHeaderName: str,
+  storageKeyAccessToken: str,
+  storageKeyAccessExpiry: str,
+  storageKeyRefreshToken: str,
+  storageKeyRefreshExpiry: str,
+  storageKeyRememberedUsername: str,
+
+  relationshipPayloadMode: oneOf('idOnly', 'fullObject'),
+
+  storageMode: oneOf('get_storage', 'secure_storage'),
+  httpStrict: bool,
+  pinnedSha256Certs: list(str),
+
+  pluralOverrides: map(str),
+
+  tenantIsolationEnabled: bool,
+  tenantFieldName: str,
+
+  syncIntervalMinutes: int(1),
+  theme: obj({ light: THEME_COLORS, dark: THEME_COLORS }),
+};
+
+const JDL_FILE = anyOf('a path or a list of paths', str, list(str));
+
+const SERVICE = obj({
+  name: str,
+  jdlFile: JDL_FILE,
+  gatewayServiceName: str,
+  only: csv(),
+  folder: str,
+});
+
+const PROJECT_KEYS = {
+  ...PROFILE_KEYS,
+  jdlFile: JDL_FILE,
+  outputDir: str,
+  microservice: str,
+  services: list(SERVICE),
+  includeAuthGuards: bool,
+  emitMain: bool,
+  enableSQLite: bool,
+  only: csv(),
+  skipParts: csv(SKIP_PARTS),
+  plugins: list(anyOf('a module path or { path, options }', str, obj({ path: str, options: any }))),
+  templatesDir: str,
+  profiles: map(obj({ ...PROFILE_KEYS, extends: str })),
+};
+
+// A profile name becomes an env.dart factory and a --dart-define=ENV= value
+const PROFILE_NAME = /^[A-Za-z][A-Za-z0-9_-]*$/;
+const BUILTIN_PROFILES = ['dev', 'prod'];
+
+// `project:` may hold the same settings as the root
+const CONFIG_SCHEMA = obj({ ...PROJECT_KEYS, project: obj(PROJECT_KEYS) });
+
+// ------------------- validation -------------------
+
+/**
+ * Check parsed YAML `data` against the schema. `text` (the file's source) locates the keys;
+ * without it the diagnostics have no line and col.
+ * @returns {{ severity: 'error'|'warning', message: string, file: string, line?: number, col?: number }[]}
+ */
+function validateConfig(data, { text = null, file = 'fhipster.config.yaml' } = {}) {
+  // without YAML source (a config object) there are no lines to point at
+  const lines = text === null ? null : keyLines(text);
+  const diagnostics = [];
+  const report = (make, keyPath, message) => {
+    const d = make(message, { file, ...(lines ? locate(lines, keyPath) : {}) });
+    if (!lines) {
+      delete d.line;
+      delete d.col;
+    }
+    diagnostics.push(d);
+  };
+  if (data === null || data === undefined) return diagnostics;
+  if (!isPlainObject(data)) {
+    report(error, '', `the config must be a mapping of settings, got ${describe(data)}`);
+    return diagnostics;
+  }
+  check(CONFIG_SCHEMA, data, '', report);
+  checkProfiles(data.profiles, 'profiles', report);
+  if (isPlainObject(data.project)) checkProfiles(data.project.profiles, 'project.profiles', report);
+  return diagnostics;
+}
+
+/** Read, parse and check a config file: { data, diagnostics } (data is null when it does not parse). */
+function validateConfigFile(filePath, { label = filePath } = {}) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  let data;
+  try {
+    data = yaml.load(text);
+  } catch (e) {
+    const loc = e.mark ? { line: e.mark.line + 1, col: e.mark.column + 1 } : {};
+    return { data: null, diagnostics: [error(e.reason || e.message, { file: label, ...loc })] };
+  }
+  return { data: data || {}, diagnostics: validateConfig(data, { text, file: label }) };
+}
+
+function check(node, value, keyPath, report) {
+  // an empty value (`key:`) leaves the setting unset
+  if (value === null || value === undefined || node.type === 'any') return true;
+  const name = keyPath || 'config';
+  switch (node.type) {
+    case 'object': {
+      if (!isPlainObject(value)) return mismatch(report, keyPath, 'a mapping', value);
+      const known = Object.keys(node.keys);
+      Object.entries(value).forEach(([key, child]) => {
+        const childPath = keyPath ? `${keyPath}.${key}` : key;
+        if (!node.keys[key]) {
+          const hint = didYouMean(key, known);
+          const nested = hint ? null : nestedKey(node, key);
+          const advice = hint ? `; did you mean '${hint}'?` : nested ? `; it belongs under ${nested}` : ' (ignored)';
+          report(warning, childPath, `Unknown key '${key}'${keyPath ? ` in ${keyPath}` : ''}${advice}`);
+          return;
+        }
+        check(node.keys[key], child, childPath, report);
+      });
+      return true;
+    }
+    case 'map':
+      if (!isPlainObject(value)) return mismatch(report, keyPath, 'a mapping', value);
+      Object.entries(value).forEach(([key, child]) => check(node.of, child, `${keyPath}.${key}`, report));
+      return true;
+    case 'list':
+      if (!Array.isArray(value)) return mismatch(report, keyPath, 'a list', value);
+      value.forEach((item, i) => check(node.of, item, `${keyPath}[${i}]`, report));
+      return true;
+    case 'anyOf': {
+      const option = node.options.find((o) => matchesType(o, value));
+      if (!option) return mismatch(report, keyPath, node.label, value);
+      return check(option, value, keyPath, report);
+    }
+    case 'enum':
+      if (!node.values.includes(value)) {
+        const hint = didYouMean(String(value), node.values);
+        report(error, keyPath, `'${name}' must be one of ${node.values.join(', ')}, got ${describe(value)}${hint ? `; did you mean '${hint}'?` : ''}`);
+        return false;
+      }
+      return true;
+    case 'string':
+      if (typeof value !== 'string') return mismatch(report, keyPath, 'a string', value);
+      if (node.values) {
+        value.split(',').map((v) => v.trim()).filter(Boolean).filter((v) => !node.values.includes(v)).forEach((v) => {
+          const hint = didYouMean(v, node.values);
+          report(warning, keyPath, `Unknown value '${v}' in ${name} (known: ${node.values.join(', ')})${hint ? `; did you mean '${hint}'?` : ''}`);
+        });
+      }
+      return true;
+    case 'boolean':
+      return typeof value === 'boolean' || mismatch(report, keyPath, 'true or false', value);
+    case 'integer':
+      if (!Number.isInteger(value)) return mismatch(report, keyPath, 'a whole number', value);
+      if (node.min !== undefined && value < node.min) {
+        report(error, keyPath, `'${name}' must be at least ${node.min}, got ${value}`);
+        return false;
+      }
+      return true;
+    case 'color':
+      if (typeof value === 'number' || (typeof value === 'string' && /^(#|0x)?([0-9a-f]{6}|[0-9a-f]{8})$/i.test(value.trim()))) return true;
+      return mismatch(report, keyPath, "a color ('#RRGGBB', '#AARRGGBB' or 0xAARRGGBB)", value);
+    default:
+      return true;
+  }
+}
+
+// Profile names, and `extends` naming another profile without going round in a cycle
+function checkProfiles(profiles, keyPath, report) {
+  if (!isPlainObject(profiles)) return;
+  const names = Object.keys(profiles);
+  const factories = new Map();
+  names.forEach((name) => {
+    if (!PROFILE_NAME.test(name)) {
+      report(error, `${keyPath}.${name}`, `Profile name '${name}' must start with a letter and hold only letters, digits, '_' and '-'`);
+      return;
+    }
+    const factory = pascalCase(name);
+    if (factories.has(factory)) {
+      report(error, `${keyPath}.${name}`, `Profiles '${factories.get(factory)}' and '${name}' differ only in case or separators`);
+    }
+    factories.set(factory, name);
+  });
+  const parentOf = (name) => (isPlainObject(profiles[name]) ? profiles[name].extends : null);
+  names.forEach((name) => {
+    const parent = parentOf(name);
+    if (typeof parent !== 'string') return;
+    const known = Array.from(new Set([...BUILTIN_PROFILES, ...names]));
+    if (!known.includes(parent)) {
+      const hint = didYouMean(parent, known);
+      report(error, `${keyPath}.${name}.extends`, `Profile '${name}' extends unknown profile '${parent}'${hint ? `; did you mean '${hint}'?` : ''}`);
+      return;
+    }
+    const chain = [name];
+    let current = parent;
+    while (typeof current === 'string' && !chain.includes(current)) {
+      chain.push(current);
+      current = parentOf(current);
+    }
+    if (current === name) {
+      report(error, `${keyPath}.${name}.extends`, `Profile '${name}' extends itself (${[...chain, name].join(' → ')})`);
+    }
+  });
+}
+
+// Where `key` is known in the objects below `node` ('auth.keycloak'), nearest first
+function nestedKey(node, key) {
+  const queue = Object.entries(node.keys).filter(([name]) => name !== 'project').map(([name, child]) => [name, child]);
+  while (queue.length) {
+    const [where, child] = queue.shift();
+    if (child.type !== 'object') continue;
+    if (child.keys[key]) return where;
+    Object.entries(child.keys).forEach(([name, grandchild]) => queue.push([`${where}.${name}`, grandchild]));
+  }
+  return null;
+}
+
+// Whether `value` has the JSON type of `node` (to pick an anyOf branch)
+function matchesType(node, value) {
+  if (node.type === 'string') return typeof value === 'string';
+  if (node.type === 'list') return Array.isArray(value);
+  if (node.type === 'object' || node.type === 'map') return isPlainObject(value);
+  return true;
+}
+
+function mismatch(report, keyPath, expected, value) {
+  report(error, keyPath, `'${keyPath || 'config'}' must be ${expected}, got ${describe(value)}`);
+  return false;
+}
+
+function describe(value) {
+  if (Array.isArray(value)) return 'a list';
+  if (isPlainObject(value)) return 'a mapping';
+  if (typeof value === 'string') return `the string ${JSON.stringify(value)}`;
+  return `${typeof value} ${String(value)}`;
+}
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date);
+
+/** The closest of `candidates` to a misspelled `word`, or null when none is close. */
+function didYouMean(word, candidates) {
+  const lower = String(word).toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach((c) => {
+    const d = c.toLowerCase() === lower ? 0 : editDistance(lower, c.toLowerCase());
+    if (d < bestDistance) {
+      best = c;
+      bestDistance = d;
+    }
+  });
+  const limit = Math.max(2, Math.floor(String(word).length / 3));
+  return bestDistance <= limit ? best : null;
+}
+
+// Levenshtein distance, with a swap of two neighbouring letters counted as one edit
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// ------------------- key locations -------------------
+
+/**
+ * Line and column of every key in block-style YAML, by path ('profiles.dev.auth',
+ * 'plugins[1].path'). js-yaml does not expose node positions, so the indentation is
+ * followed here; keys inside flow collections ({ a: 1 }) take their parent's line.
+ */
+function keyLines(text) {
+  const found = new Map();
+  const stack = []; // { indent, path, item }
+  const counters = new Map();
+  const keyRe = /^("[^"]*"|'[^']*'|[^\s#'"\-[{][^:#]*?|-[^\s:#][^:#]*?)\s*:(\s|$)/;
+  String(text).split('\n').forEach((raw, i) => {
+    const line = i + 1;
+    const indent = raw.length - raw.trimStart().length;
+    let rest = raw.slice(indent);
+    if (!rest || rest.startsWith('#') || rest === '---') return;
+
+    let col = indent;
+    const dash = /^-(\s+|$)/.exec(rest);
+    if (dash) {
+      while (stack.length && (stack[stack.length - 1].indent > indent || (stack[stack.length - 1].indent === indent && stack[stack.length - 1].item))) stack.pop();
+      const parent = stack.length ? stack[stack.length - 1].path : '';
+      const index = counters.get(parent) || 0;
+      counters.set(parent, index + 1);
+      const itemPath = `${parent}[${index}]`;
+      found.set(itemPath, { line, col: indent + 1 });
+      stack.push({ indent, path: itemPath, item: true });
+      col = indent + dash[0].length;
+      rest = rest.slice(dash[0].length);
+    }
+
+    const key = keyRe.exec(rest);
+    if (!key) return;
+    while (stack.length && stack[stack.length - 1].indent >= col && !(dash && stack[stack.length - 1].item && stack[stack.length - 1].indent === indent)) stack.pop();
+    const parent = stack.length ? stack[stack.length - 1].path : '';
+    const name = key[1].replace(/^(["'])(.*)\1$/, '$2');
+    const keyPath = parent ? `${parent}.${name}` : name;
+    found.set(keyPath, { line, col: col + 1 });
+    stack.push({ indent: col, path: keyPath, item: false });
+  });
+  return found;
+}
+
+// The location of `keyPath`, or of its closest parent that has one
+function locate(lines, keyPath) {
+  let p = keyPath;
+  while (p) {
+    if (lines.has(p)) return lines.get(p);
+    const cut = Math.max(p.lastIndexOf('.'), p.lastIndexOf('['));
+    p = cut > 0 ? p.slice(0, cut) : '';
+  }
+  return { line: 1, col: 1 };
+}
+
+module.exports = { CONFIG_SCHEMA, validateConfig, validateConfigFile, didYouMean };
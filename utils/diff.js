@@ -0,0 +1,155 @@
+// utils/diff.js
+// Line-based unified diffs (used by --dry-run and utils/merge.js), without external dependencies.
+//
+// Usage:
+//   const patch = unifiedDiff(oldText, newText, { oldLabel: 'a/lib/x.dart', newLabel: 'b/lib/x.dart' });
+//   console.log(colorizeDiff(patch));
+//
+// New files are diffed against '' with oldLabel '/dev/null' (and deleted files the other
+// way round), so the concatenated diffs form a patch `git apply` accepts.
+
+const CONTEXT_LINES = 3;
+const NO_EOL = '\\ No newline at end of file';
+
+/**
+ * @returns {string} the unified diff ('' when the texts are equal)
+ */
+function unifiedDiff(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = CONTEXT_LINES } = {}) {
+  if (oldText === newText) return '';
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const ops = diffLines(a, b);
+
+  // Number both sides, then cut the op list into hunks around the changes
+  let ai = 0;
+  let bi = 0;
+  const numbered = ops.map((op) => {
+    const entry = { ...op, a: ai, b: bi };
+    if (op.type !== '+') ai++;
+    if (op.type !== '-') bi++;
+    return entry;
+  });
+  const changes = numbered.map((op, i) => (op.type === ' ' ? -1 : i)).filter((i) => i >= 0);
+  const hunks = [];
+  changes.forEach((i) => {
+    const last = hunks[hunks.length - 1];
+    if (last && i - last.end <= context * 2) last.end = i;
+    else hunks.push({ start: i, end: i });
+  });
+
+  const out = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  hunks.forEach(({ start, end }) => {
+    const slice = numbered.slice(Math.max(0, start - context), Math.min(numbered.length, end + context + 1));
+    const oldLen = slice.filter((op) => op.type !== '+').length;
+    const newLen = slice.filter((op) => op.type !== '-').length;
+    // an empty side is numbered by the line before it (so a new file is -0,0)
+    const oldStart = oldLen ? slice[0].a + 1 : slice[0].a;
+    const newStart = newLen ? slice[0].b + 1 : slice[0].b;
+    out.push(`@@ -${oldStart},${oldLen} +${newStart},${newLen} @@`);
+    slice.forEach((op) => {
+      out.push(op.type + op.line.text);
+      if (op.line.noEol) out.push(NO_EOL);
+    });
+  });
+  return `${out.join('\n')}\n`;
+}
+
+/** ANSI colors for a terminal (kept plain when stdout is not a TTY or NO_COLOR is set). */
+function colorizeDiff(patch, stream = process.stdout) {
+  if (!stream.isTTY || process.env.NO_COLOR) return patch;
+  return patch.split('\n').map((line) => {
+    if (line.startsWith('---') || line.startsWith('+++')) return `\x1b[1m${line}\x1b[0m`;
+    if (line.startsWith('@@')) return `\x1b[36m${line}\x1b[0m`;
+    if (line.startsWith('+')) return `\x1b[32m${line}\x1b[0m`;
+    if (line.startsWith('-')) return `\x1b[31m${line}\x1b[0m`;
+    return line;
+  }).join('\n');
+}
+
+// Lines as { text, noEol }; a last line without '\n' differs from the same text with one.
+function splitLines(text) {
+  if (!text) return [];
+  const parts = String(text).split('\n');
+  const eol = parts[parts.length - 1] === '';
+  if (eol) parts.pop();
+  return parts.map((t, i) => ({ text: t, noEol: !eol && i === parts.length - 1 }));
+}
+
+const sameLine = (x, y) => x.text === y.text && x.noEol === y.noEol;
+
+/**
+ * Myers' O(ND) shortest edit script, with the common prefix and suffix trimmed first
+ * (regenerated files usually differ in a few places).
+ * @returns {{ type: ' '|'-'|'+', line: { text: string, noEol: boolean } }[]}
+ */
+function diffLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && sameLine(a[prefix], b[prefix])) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix
+    && sameLine(a[a.length - 1 - suffix], b[b.length - 1 - suffix])) suffix++;
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  return [
+    ...a.slice(0, prefix).map((line) => ({ type: ' ', line })),
+    ...myers(midA, midB),
+    ...a.slice(a.length - suffix).map((line) => ({ type: ' ', line })),
+  ];
+}
+
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (!n) return b.map((line) => ({ type: '+', line }));
+  if (!m) return a.map((line) => ({ type: '-', line }));
+
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] holds v[-d-1 .. d+1] as it was before step d (enough to backtrack)
+  const trace = [];
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && sameLine(a[x], b[y])) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snap = trace[d];
+    const at = (k) => snap[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: '+', line: b[y - 1] });
+      else ops.push({ type: '-', line: a[x - 1] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+module.exports = { unifiedDiff, colorizeDiff, splitLines, diffLines };
@@ -11,19 +11,68 @@
 //   // </fh:keep:custom>
 //
 // Regions are matched by name and replaced in the new content.
+//
+// writeFile returns what happened: 'created' | 'updated' | 'unchanged' | 'protected'
+// | 'merged' | 'conflict'.
+// Inside collectWrites(fn) the results are also returned, so the caller can print a
+// summary (per-file logging is off unless asked for, as in --watch).
+//
+// Inside withManifest(manifest, fn) (see utils/manifest.js) every written file is recorded
+// with the hash it was generated with, and a copy of it is kept under .fhipster/base/.
+// A tracked file whose current hash differs was edited by hand: unless force is set, the
+// new output is three-way merged into it (utils/merge.js) against that copy ('merged', or
+// 'conflict' when git-style conflict markers were written). Without a copy the file is
+// kept as is (status 'protected', reason 'edited').
+//
+// Inside withTransform(transform, fn) the content passed to writeFile goes through
+// `transform(content, { absPath, label, entity })` first (plugin post-processing).
+//
+// Inside dryRunWrites(fn) nothing touches the disk: writeFile computes the merged output
+// as usual and prints a unified diff against the current file (new files are only marked),
+// and removeFile prints nothing; both add to the patch dryRunWrites returns.
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { unifiedDiff, colorizeDiff } = require('./diff');
+const { mergeThreeWay, hasConflictMarkers } = require('./merge');
 
-const KEEP_START_RE = /\/\/\s*<fh:keep:([a-zA-Z0-9_-]+)>\s*[\r\n]?/g;
+const KEEP_START_RE = /\/\/\s*<fh:keep:([a-zA-Z0-9_-]+)>[ \t]*\r?\n?/g;
 const KEEP_END_TAG = '// </fh:keep:';
 const KEEP_END_RE = /\/\/\s*<\/fh:keep:([a-zA-Z0-9_-]+)>\s*[\r\n]?/g;
+const KEEP_REGION_RE = /(\/\/\s*<fh:keep:([a-zA-Z0-9_-]+)>)[\s\S]*?(\/\/\s*<\/fh:keep:\2>)/g;
+
+// Results of the collectWrites() call in progress, if any, and whether to log as well
+let collected = null;
+let logCollected = false;
+
+// Manifest of the withManifest() call in progress, if any
+let manifest = null;
+
+// Diffs of the dryRunWrites() call in progress, if any
+let dryRunPatches = null;
+
+// Content transform of the withTransform() call in progress, if any
+let transform = null;
 
 function sha(content) {
   return crypto.createHash('md5').update(content || '', 'utf8').digest('hex');
 }
 
+/** Hash a generated file is tracked by; keep-region bodies are left out (editing them is expected). */
+function generatedHash(text) {
+  return sha(String(text || '').replace(KEEP_REGION_RE, '$1$3'));
+}
+
+function manifestKey(absPath) {
+  return path.relative(manifest.projectRoot, absPath).split(path.sep).join('/');
+}
+
+// Patch paths are relative to the working directory, so `git apply` works from there
+function patchPath(absPath) {
+  return path.relative(process.cwd(), absPath).split(path.sep).join('/');
+}
+
 function readIfExists(absPath) {
   try {
     return fs.readFileSync(absPath, 'utf8');
@@ -36,6 +85,7 @@ function extractKeepRegions(text) {
   if (!text) return {};
   const regions = {};
   let startMatch;
+  KEEP_START_RE.lastIndex = 0;
   while ((startMatch = KEEP_START_RE.exec(text)) !== null) {
     const name = startMatch[1];
     const startIdx = KEEP_START_RE.lastIndex;
@@ -52,20 +102,21 @@ function spliceKeepRegions(newContent, oldRegions) {
   if (!oldRegions || Object.keys(oldRegions).length === 0) return newContent;
 
   // Replace bodies between keep tags in new content if the same tag exists
-  return newContent.replace(KEEP_START_RE, (m, name, offset) => {
-    const startIdx = offset + m.length;
-    const endTag = `${KEEP_END_TAG}${name}>`;
-    const endIdx = newContent.indexOf(endTag, startIdx);
-    if (endIdx === -1) return m; // unmatched in template
-
-    if (Object.prototype.hasOwnProperty.call(oldRegions, name)) {
-      const before = newContent.slice(0, startIdx);
-      const after = newContent.slice(endIdx);
-      const rebuilt = before + oldRegions[name] + after;
-      newContent = rebuilt;
-    }
-    return m;
-  });
+  let out = '';
+  let at = 0;
+  let startMatch;
+  KEEP_START_RE.lastIndex = 0;
+  while ((startMatch = KEEP_START_RE.exec(newContent)) !== null) {
+    const name = startMatch[1];
+    const startIdx = KEEP_START_RE.lastIndex;
+    const endIdx = newContent.indexOf(`${KEEP_END_TAG}${name}>`, startIdx);
+    if (endIdx === -1) continue; // unmatched in template
+    if (!Object.prototype.hasOwnProperty.call(oldRegions, name)) continue;
+    out += newContent.slice(at, startIdx) + oldRegions[name];
+    at = endIdx;
+    KEEP_START_RE.lastIndex = endIdx;
+  }
+  return out + newContent.slice(at);
 }
 
 /**
@@ -74,15 +125,24 @@ function spliceKeepRegions(newContent, oldRegions) {
  * @param {string} content new content (may include keep regions)
  * @param {boolean} force overwrite if unchanged
  * @param {string} label pretty label for logs
+ * @param {{ entity?: string }} [meta] entity the file belongs to (recorded in the manifest for --prune)
+ * @returns {'created'|'updated'|'unchanged'|'protected'|'merged'|'conflict'}
  */
-function writeFile(absPath, content, force = false, label = '') {
+function writeFile(absPath, content, force = false, label = '', { entity } = {}) {
+  if (transform) content = transform(content, { absPath, label, entity });
   const existed = fs.existsSync(absPath);
   const old = readIfExists(absPath);
+  const key = manifest ? manifestKey(absPath) : null;
+  const tracked = manifest ? manifest.files[key] : null;
+  const done = (status, message, reason) => {
+    if (collected) collected.push({ absPath, label: label || absPath, status, ...(reason ? { reason } : {}) });
+    if (!collected || logCollected) console.log(message);
+    return status;
+  };
 
   // Check for user flag to avoid overwriting (always skip, even with force)
-  if (existed && old && old.trim().startsWith('// DO NOT OVERWRITE')) {
-    console.log(`  🚫 Skipped: ${absPath}  — user flagged as DO NOT OVERWRITE`);
-    return;
+  if (existed && old && isFlaggedDoNotOverwrite(old)) {
+    return done('protected', `  🚫 Skipped: ${absPath}  — user flagged as DO NOT OVERWRITE`, 'flagged');
   }
 
   const oldRegions = extractKeepRegions(old);
@@ -92,23 +152,144 @@ function writeFile(absPath, content, force = false, label = '') {
     merged = spliceKeepRegions(content, oldRegions);
   }
 
-  const nextSha = sha(merged);
   const oldSha = sha(old);
 
-  if (!existed) {
-    fs.mkdirSync(path.dirname(absPath), { recursive: true });
-    fs.writeFileSync(absPath, merged, 'utf8');
-    console.log(`  ✍️  Wrote: ${absPath}  (sha:${nextSha.slice(0, 12)})`);
-    return;
+  // Changed since we generated it: a hand edit, not a stale file (unless it already
+  // matches the new output, e.g. after applying a --diff-out patch). Merge the new output
+  // into it against the version generated last time; without that base, keep the file.
+  let output = merged;
+  let mergeStatus = null;
+  let mergeNote = '';
+  if (existed && tracked && !force && oldSha !== sha(merged) && generatedHash(old) !== tracked.sha) {
+    const base = readIfExists(baseCopyPath(key));
+    if (base === null) {
+      return done('protected', `  🛡️  Kept: ${absPath}  — edited since it was generated (--force overwrites)`, 'edited');
+    }
+    if (hasConflictMarkers(old)) {
+      return done('protected', `  ⚔️  Kept: ${absPath}  — resolve the conflict markers from the last merge first`, 'conflicts');
+    }
+    const { text, conflicts } = mergeThreeWay(base, old, merged);
+    output = text;
+    mergeStatus = conflicts ? 'conflict' : 'merged';
+    mergeNote = conflicts
+      ? `${conflicts} conflict(s) marked with <<<<<<< local / >>>>>>> generated`
+      : 'your edits were kept';
+  }
+  if (manifest) {
+    manifest.files[key] = entity ? { sha: generatedHash(merged), entity } : { sha: generatedHash(merged) };
+    if (!dryRunPatches) saveBaseCopy(key, merged);
+  }
+
+  const nextSha = sha(output);
+  const status = !existed ? 'created' : (oldSha === nextSha && !force ? 'unchanged' : (mergeStatus || 'updated'));
+
+  if (status === 'unchanged') {
+    return done('unchanged', `  ↩︎  Skipped: ${absPath}  — unchanged (sha:${oldSha.slice(0, 12)})`);
+  }
+
+  if (dryRunPatches) {
+    if (oldSha === nextSha) {
+      return done('unchanged', `  ↩︎  Skipped: ${absPath}  — unchanged (sha:${oldSha.slice(0, 12)})`);
+    }
+    const rel = patchPath(absPath);
+    const patch = unifiedDiff(existed ? old : '', output, { oldLabel: existed ? `a/${rel}` : '/dev/null', newLabel: `b/${rel}` });
+    dryRunPatches.push(patch);
+    if (!existed) {
+      return done('created', `  ✳️  Would create: ${absPath}  (new file, ${output.split('\n').length - 1} lines)`);
+    }
+    const verb = mergeStatus ? `merge (${mergeNote})` : 'update';
+    return done(status, `  ✍️  Would ${verb}: ${absPath}\n${colorizeDiff(patch).replace(/\n$/, '')}`);
   }
 
-  if (oldSha === nextSha && !force) {
-    console.log(`  ↩︎  Skipped: ${absPath}  — unchanged (sha:${oldSha.slice(0, 12)})`);
+  fs.mkdirSync(path.dirname(absPath), { recursive: true });
+  fs.writeFileSync(absPath, output, 'utf8');
+  if (status === 'merged') return done(status, `  🔀 Merged: ${absPath}  — ${mergeNote}`);
+  if (status === 'conflict') return done(status, `  ⚔️  Merged with conflicts: ${absPath}  — ${mergeNote}`);
+  return done(status, `  ✍️  Wrote: ${absPath}  (sha:${nextSha.slice(0, 12)})`);
+}
+
+// Copy of the last generated version of a tracked file, the base of the next three-way merge
+function baseCopyPath(key) {
+  return path.join(manifest.baseDir, ...key.split('/'));
+}
+
+function saveBaseCopy(key, content) {
+  const file = baseCopyPath(key);
+  if (readIfExists(file) === content) return;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content, 'utf8');
+}
+
+function isFlaggedDoNotOverwrite(text) {
+  return String(text || '').trim().startsWith('// DO NOT OVERWRITE');
+}
+
+/**
+ * Delete a generated file; inside dryRunWrites() its removal only goes into the patch.
+ * `internal` files (FHipster's own bookkeeping) are left out of the patch and kept in a dry run.
+ */
+function removeFile(absPath, { internal = false } = {}) {
+  const old = readIfExists(absPath);
+  if (old === null) return;
+  if (dryRunPatches && internal) return;
+  if (dryRunPatches) {
+    dryRunPatches.push(unifiedDiff(old, '', { oldLabel: `a/${patchPath(absPath)}`, newLabel: '/dev/null' }));
     return;
   }
+  fs.unlinkSync(absPath);
+}
 
-  fs.writeFileSync(absPath, merged, 'utf8');
-  console.log(`  ✍️  Wrote: ${absPath}  (sha:${nextSha.slice(0, 12)})`);
+/**
+ * Run `fn` and return the writeFile results it produced ({ absPath, label, status, reason? }).
+ * Files are not logged one by one unless `log` is set.
+ */
+function collectWrites(fn, { log = false } = {}) {
+  const previous = [collected, logCollected];
+  collected = [];
+  logCollected = log;
+  try {
+    fn();
+    return collected;
+  } finally {
+    [collected, logCollected] = previous;
+  }
+}
+
+/** Run `fn` with every writeFile checked against and recorded in `m` (utils/manifest.js). */
+function withManifest(m, fn) {
+  const previous = manifest;
+  manifest = m;
+  try {
+    return fn();
+  } finally {
+    manifest = previous;
+  }
+}
+
+/** Run `fn` with every writeFile content passed through `contentTransform` first (null: as is). */
+function withTransform(contentTransform, fn) {
+  const previous = transform;
+  transform = contentTransform;
+  try {
+    return fn();
+  } finally {
+    transform = previous;
+  }
+}
+
+/**
+ * Run `fn` as a dry run (see above).
+ * @returns {{ result: *, patch: string }} what `fn` returned and the diffs of every file it would change
+ */
+function dryRunWrites(fn) {
+  const previous = dryRunPatches;
+  dryRunPatches = [];
+  try {
+    const result = fn();
+    return { result, patch: dryRunPatches.join('') };
+  } finally {
+    dryRunPatches = previous;
+  }
 }
 
-module.exports = { writeFile };
+module.exports = { writeFile, removeFile, collectWrites, withManifest, withTransform, dryRunWrites, generatedHash, isFlaggedDoNotOverwrite };
@@ -0,0 +1,83 @@
+// utils/glob.js
+// Minimal glob expansion for input paths (no dependency):
+//   *   any characters except '/'
+//   **  any number of directories
+//   ?   one character except '/'
+//   {a,b} alternatives
+//
+// Usage:
+//   expandGlob('jdl/**/*.jdl', process.cwd()) // -> ['/abs/jdl/catalog.jdl', ...] (sorted)
+
+const fs = require('fs');
+const path = require('path');
+
+// Directories never worth descending into for `**`
+const SKIPPED_DIRS = new Set(['node_modules', '.git']);
+
+function hasGlob(p) {
+  return /[*?{]/.test(String(p || ''));
+}
+
+function globToRegExp(pattern) {
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      // `**/` matches zero or more directories
+      if (pattern[i + 2] === '/') { re += '(?:.*/)?'; i += 2; } else { re += '.*'; i += 1; }
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end < 0) { re += '\\{'; continue; }
+      re += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRe).join('|')})`;
+      i = end;
+    } else {
+      re += escapeRe(c);
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function escapeRe(s) {
+  return s.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Absolute, sorted file paths matching `pattern` (relative to `cwd` unless absolute). */
+function expandGlob(pattern, cwd = process.cwd()) {
+  const abs = path.resolve(cwd, pattern).split(path.sep).join('/');
+  const parts = abs.split('/');
+  const firstGlob = parts.findIndex(hasGlob);
+  if (firstGlob < 0) return fs.existsSync(abs) ? [path.resolve(abs)] : [];
+
+  const base = parts.slice(0, firstGlob).join('/') || '/';
+  const matcher = globToRegExp(parts.slice(firstGlob).join('/'));
+  const recursive = abs.includes('**') || parts.length - firstGlob > 1;
+  const out = [];
+  walk(base, '', recursive, (rel, full) => {
+    if (matcher.test(rel)) out.push(full);
+  });
+  return out.sort();
+}
+
+function walk(dir, rel, recursive, visit) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (_) {
+    return;
+  }
+  entries.forEach((entry) => {
+    const childRel = rel ? `${rel}/${entry.name}` : entry.name;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (recursive && !SKIPPED_DIRS.has(entry.name)) walk(full, childRel, recursive, visit);
+    } else {
+      visit(childRel, full);
+    }
+  });
+}
+
+module.exports = { hasGlob, expandGlob };
@@ -0,0 +1,243 @@
+// utils/jdl_edit.js
+// Text edits behind `fhipster add-entity` / `add-field`: new declarations are spliced into
+// the JDL source where they belong, so comments and formatting around them are kept.
+//
+//   fieldLine('notes TextBlob maxlength(500)', { enums })   -> 'notes TextBlob maxlength(500)'
+//   relationshipItem('Invoice', 'ManyToOne Customer')       -> { type: 'ManyToOne', line: 'Invoice{customer} to Customer' }
+//   addField(text, ast, entityNode, line)                   -> text with the field before the entity's '}'
+//   addRelationships(text, ast, type, lines)                -> text with the items in a `relationship <type>` block
+//   addEntity(text, ast, entityText)                        -> text with the entity after the file's last entity
+//
+// Specs are checked by parsing them with the JDL parser; invalid ones throw an Error
+// tagged `jdlEdit` whose message is meant for the user.
+
+const { parseJdlAst, RELATIONSHIP_TYPES } = require('../parser/jdl_parser');
+const { PRIMITIVE_MAP, normalizeJdlType } = require('../parser/type_mapping');
+const { lcFirst, pluralize } = require('./naming');
+const { didYouMean } = require('./config_schema');
+
+// Spelling used in suggestions (PRIMITIVE_MAP keys are lowercase)
+const JDL_TYPES = [
+  'String', 'UUID', 'Boolean', 'Integer', 'Long', 'Float', 'Double', 'BigDecimal',
+  'LocalDate', 'Instant', 'ZonedDateTime', 'Duration', 'Blob', 'AnyBlob', 'ImageBlob', 'TextBlob',
+];
+
+const DEFAULT_INDENT = '  ';
+
+function editError(message) {
+  const err = new Error(message);
+  err.jdlEdit = true;
+  return err;
+}
+
+/**
+ * A field spec ('<name> <type> [validations]') checked as JDL; returns it as a field line.
+ * `enums` and `entities` are the names declared in the JDL.
+ */
+function fieldLine(spec, { enums = [], entities = [] } = {}) {
+  const text = String(spec || '').trim();
+  if (!text || text.includes('\n')) throw editError(`Field spec must be one line: '<name> <type> [validations]'`);
+  const { ast, diagnostics } = parseJdlAst(`entity Spec {\n${text}\n}\n`);
+  const problem = diagnostics.find((d) => d.severity === 'error');
+  if (problem) throw editError(`Invalid field '${text}': ${problem.message.replace(" in entity 'Spec'", '')}`);
+  const fields = ast.entities.length ? ast.entities[0].fields : [];
+  if (fields.length !== 1) throw editError(`Field spec must declare exactly one field: '<name> <type> [validations]', got '${text}'`);
+
+  const { type } = fields[0];
+  if (!enums.includes(type) && !PRIMITIVE_MAP[normalizeJdlType(type)]) {
+    if (entities.includes(type)) throw editError(`'${type}' is an entity; add a relationship instead (e.g. add-entity --rel "ManyToOne ${type}")`);
+    const hint = didYouMean(type, [...JDL_TYPES, ...enums]);
+    throw editError(`Unknown type '${type}'${hint ? `; did you mean '${hint}'?` : ` (expected a JDL type such as ${JDL_TYPES.slice(0, 5).join(', ')} or an enum)`}`);
+  }
+  return text;
+}
+
+/**
+ * A relationship spec for entity `from`: '<Type> <Target> [field[(display)]] [required]'.
+ * The field defaults to the target's name (plural for *ToMany).
+ * @returns {{ type: string, target: string, line: string }}
+ */
+function relationshipItem(from, spec, { entities = [] } = {}) {
+  const parts = String(spec || '').trim().split(/\s+/).filter(Boolean);
+  const [rawType, target, ...rest] = parts;
+  const type = RELATIONSHIP_TYPES.find((t) => t.toLowerCase() === String(rawType).toLowerCase());
+  if (!type) {
+    const hint = rawType ? didYouMean(rawType, RELATIONSHIP_TYPES) : null;
+    throw editError(`Relationship spec '${parts.join(' ')}' must start with ${RELATIONSHIP_TYPES.join(', ')}${hint ? `; did you mean '${hint}'?` : ''}`);
+  }
+  if (!target) throw editError(`Relationship spec '${parts.join(' ')}' needs a target entity: '<Type> <Target> [field[(display)]] [required]'`);
+  if (!entities.includes(target)) {
+    const hint = didYouMean(target, entities);
+    throw editError(`Unknown entity '${target}' in relationship '${parts.join(' ')}'${hint ? `; did you mean '${hint}'?` : ''}`);
+  }
+  const required = rest.includes('required');
+  const fieldSpecs = rest.filter((p) => p !== 'required');
+  if (fieldSpecs.length > 1) throw editError(`Relationship spec '${parts.join(' ')}': expected at most one field name before 'required'`);
+  const toMany = type === 'OneToMany' || type === 'ManyToMany';
+  const field = fieldSpecs[0] || (toMany ? pluralize(lcFirst(target)) : lcFirst(target));
+  const line = `${from}{${field}${required ? ' required' : ''}} to ${target}`;
+
+  const { diagnostics } = parseJdlAst(`relationship ${type} {\n${line}\n}\n`);
+  const problem = diagnostics.find((d) => d.severity === 'error');
+  if (problem) throw editError(`Invalid relationship '${parts.join(' ')}': ${problem.message}`);
+  return { type, target, line };
+}
+
+/** `entity <name> { ... }` with the given field lines (and a doc comment). */
+function entityText(name, fieldLines = [], { doc = null } = {}) {
+  const head = doc ? [`/** ${doc} */`] : [];
+  if (!fieldLines.length) return [...head, `entity ${name}`].join('\n');
+  return [...head, `entity ${name} {`, ...fieldLines.map((l) => `${DEFAULT_INDENT}${l}`), '}'].join('\n');
+}
+
+// ------------------- text edits -------------------
+
+const eolOf = (text) => (text.includes('\r\n') ? '\r\n' : '\n');
+
+/** Offset of a 1-based { line, col } in `text`. */
+function offsetOf(text, { line, col }) {
+  let at = 0;
+  for (let l = 1; l < line; l++) {
+    const nl = text.indexOf('\n', at);
+    if (nl === -1) return text.length;
+    at = nl + 1;
+  }
+  return at + col - 1;
+}
+
+function lineText(text, line) {
+  return text.split('\n')[line - 1].replace(/\r$/, '');
+}
+
+const indentOf = (s) => /^[ \t]*/.exec(s)[0];
+
+/** Line `line` without its trailing `//` comment (located by the lexer, so `//` inside a regex is safe). */
+function codeOfLine(text, line, comments) {
+  const src = lineText(text, line);
+  const comment = comments.find((c) => c.loc.line === line && src.slice(c.loc.col - 1).startsWith('//'));
+  return (comment ? src.slice(0, comment.loc.col - 1) : src).trimEnd();
+}
+
+/** `text` with each { at, remove?, insert } applied (offsets in the original text). */
+function applyEdits(text, edits) {
+  return [...edits].sort((x, y) => y.at - x.at).reduce(
+    (out, e) => `${out.slice(0, e.at)}${e.insert}${out.slice(e.at + (e.remove || 0))}`,
+    text,
+  );
+}
+
+/**
+ * Add `items` as the last items of the block opened at `open` and closed at `end`; each
+ * item is its lines (a doc comment, then the declaration). `itemLines` are the lines of
+ * the items already in it. Follows the block's layout: the indentation of its items,
+ * comma separators and one-line blocks.
+ */
+function insertIntoBlock(text, { open, end, itemLines, comments }, items) {
+  const eol = eolOf(text);
+  const closeAt = offsetOf(text, end);
+  let trimmedAt = closeAt;
+  while (trimmedAt > 0 && /[ \t]/.test(text[trimmedAt - 1])) trimmedAt--;
+
+  // `entity A { a String }` stays on one line (doc comments are left out there)
+  if (open.line === end.line && itemLines.length) {
+    const decls = items.map((lines) => lines[lines.length - 1]);
+    return applyEdits(text, [{ at: trimmedAt, remove: closeAt - trimmedAt, insert: `, ${decls.join(', ')} ` }]);
+  }
+
+  const lastLine = itemLines.length ? itemLines[itemLines.length - 1] : null;
+  const blockIndent = indentOf(lineText(text, open.line));
+  const indent = lastLine ? indentOf(lineText(text, lastLine)) : blockIndent + DEFAULT_INDENT;
+  const code = (line) => codeOfLine(text, line, comments);
+  const trailingComma = lastLine !== null && code(lastLine).endsWith(',');
+  const commas = trailingComma || (itemLines.length > 1 && code(itemLines[0]).endsWith(','));
+  const body = items.map((lines, i) => lines.map((l, j) => {
+    const comma = j === lines.length - 1 && (trailingComma || (commas && i < items.length - 1));
+    return `${indent}${l}${comma ? ',' : ''}`;
+  }).join(eol)).join(eol);
+
+  const edits = [];
+  if (commas && !trailingComma) {
+    // `a String,` / `b String`: the previous last item gets its comma
+    edits.push({ at: offsetOf(text, { line: lastLine, col: 1 }) + code(lastLine).length, insert: ',' });
+  }
+  const lineStart = text.lastIndexOf('\n', closeAt - 1) + 1;
+  if (!itemLines.length) {
+    // empty body: `{}` or `{` ... `}` (comments inside are kept)
+    let start = closeAt;
+    while (start > 0 && /\s/.test(text[start - 1])) start--;
+    edits.push({ at: start, remove: closeAt - start, insert: `${eol}${body}${eol}${blockIndent}` });
+  } else if (text.slice(lineStart, closeAt).trim()) {
+    // `b String }`: the brace moves to a line of its own
+    edits.push({ at: trimmedAt, remove: closeAt - trimmedAt, insert: `${eol}${body}${eol}${blockIndent}` });
+  } else {
+    edits.push({ at: lineStart, insert: `${body}${eol}` });
+  }
+  return applyEdits(text, edits);
+}
+
+/** `text` with `line` (and an optional `/** doc *\/` above it) added as the last field of `entity`. */
+function addField(text, ast, entity, line, { doc = null } = {}) {
+  const item = doc ? [`/** ${doc} */`, line] : [line];
+  if (!entity.end) {
+    // body-less `entity Foo` / `entity Foo(table)`: give it one
+    const eol = eolOf(text);
+    const header = /entity\s+\w+(\s*\(\s*\w+\s*\))?/y;
+    header.lastIndex = offsetOf(text, entity.loc);
+    if (!header.exec(text)) throw editError(`Cannot find the declaration of entity '${entity.name}'`);
+    const indent = indentOf(lineText(text, entity.loc.line));
+    const body = item.map((l) => `${indent}${DEFAULT_INDENT}${l}`).join(eol);
+    return applyEdits(text, [{ at: header.lastIndex, insert: ` {${eol}${body}${eol}${indent}}` }]);
+  }
+  return insertIntoBlock(text, {
+    open: entity.loc,
+    end: entity.end,
+    itemLines: entity.fields.map((f) => f.loc.line),
+    comments: ast.comments || [],
+  }, [item]);
+}
+
+/**
+ * `text` with relationship `lines` of `type` added to the last `relationship <type>` block
+ * of the file, or to a new block at the end of the file.
+ */
+function addRelationships(text, ast, type, lines) {
+  if (!lines.length) return text;
+  const blocks = ast.relationships.filter((r) => r.type === type && r.end);
+  const block = blocks[blocks.length - 1];
+  if (block) {
+    return insertIntoBlock(text, {
+      open: block.loc,
+      end: block.end,
+      itemLines: block.items.map((item) => item.to.loc.line),
+      comments: ast.comments || [],
+    }, lines.map((l) => [l]));
+  }
+  const blockText = [`relationship ${type} {`, ...lines.map((l) => `${DEFAULT_INDENT}${l}`), '}'].join('\n');
+  return appendDeclaration(text, blockText);
+}
+
+/** `text` with `declaration` (e.g. from entityText) after the last entity of the file, or at its end. */
+function addEntity(text, ast, declaration) {
+  const last = ast.entities[ast.entities.length - 1];
+  if (!last) return appendDeclaration(text, declaration);
+  const eol = eolOf(text);
+  const endLine = (last.end || last.loc).line;
+  const lineEnd = offsetOf(text, { line: endLine, col: 1 }) + lineText(text, endLine).length;
+  return `${text.slice(0, lineEnd)}${eol}${eol}${declaration.split('\n').join(eol)}${text.slice(lineEnd)}`;
+}
+
+function appendDeclaration(text, declaration) {
+  const eol = eolOf(text);
+  const body = text.replace(/\s+$/, '');
+  return `${body}${body ? `${eol}${eol}` : ''}${declaration.split('\n').join(eol)}${eol}`;
+}
+
+module.exports = {
+  JDL_TYPES,
+  fieldLine,
+  relationshipItem,
+  entityText,
+  addField,
+  addRelationships,
+  addEntity,
+};
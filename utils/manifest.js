@@ -0,0 +1,96 @@
+// utils/manifest.js
+// `.fhipster/manifest.json` in the project root (next to lib/): every file a generation
+// run wrote, with the hash it was generated with and the entity it belongs to, if any.
+// `.fhipster/base/` holds a copy of each as generated, the base for three-way merges.
+//
+//   { "version": 1, "files": { "lib/models/order_model.dart": { "sha": "…", "entity": "Order" } } }
+//
+// writeFile (utils/file_writer.js) compares a tracked file against its recorded hash to
+// tell a hand edit (merged into) from a stale file (overwritten); --prune deletes the
+// files recorded for entities that are no longer in the model.
+//
+// Usage:
+//   const manifest = loadManifest(projectRoot, { logger });
+//   withManifest(manifest, () => generate(...));
+//   const results = pruneOrphans(manifest, Object.keys(entities), { force, outputDir });
+//   saveManifest(manifest);
+
+const fs = require('fs');
+const path = require('path');
+const { consoleLogger } = require('../lib/logger');
+const { removeFile, generatedHash, isFlaggedDoNotOverwrite } = require('./file_writer');
+
+const MANIFEST_FILE = path.join('.fhipster', 'manifest.json');
+const BASE_DIR = path.join('.fhipster', 'base');
+const MANIFEST_VERSION = 1;
+
+/** Read the manifest of `projectRoot`; a missing or unreadable one starts empty (warned about through `logger`). */
+function loadManifest(projectRoot, { logger = consoleLogger } = {}) {
+  const file = path.join(projectRoot, MANIFEST_FILE);
+  let files = {};
+  if (fs.existsSync(file)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (data && typeof data.files === 'object' && data.files) files = data.files;
+    } catch (e) {
+      logger.warn(`Ignoring unreadable ${file}: ${e.message}`);
+    }
+  }
+  return { projectRoot, file, baseDir: path.join(projectRoot, BASE_DIR), files };
+}
+
+function saveManifest(manifest) {
+  const files = {};
+  Object.keys(manifest.files).sort().forEach((key) => { files[key] = manifest.files[key]; });
+  fs.mkdirSync(path.dirname(manifest.file), { recursive: true });
+  fs.writeFileSync(manifest.file, `${JSON.stringify({ version: MANIFEST_VERSION, files }, null, 2)}\n`, 'utf8');
+}
+
+/**
+ * Tracked files of entities not in `entityNames`: [{ key, absPath, entity }]. Output dirs
+ * with the same parent share one manifest, so only files under `outputDir` (default: the
+ * whole project) are considered.
+ */
+function orphanedFiles(manifest, entityNames, { outputDir = manifest.projectRoot } = {}) {
+  const live = new Set(entityNames);
+  return Object.entries(manifest.files)
+    .filter(([, entry]) => entry.entity && !live.has(entry.entity))
+    .map(([key, entry]) => ({ key, absPath: path.join(manifest.projectRoot, key), entity: entry.entity }))
+    .filter(({ absPath }) => isInside(outputDir, absPath));
+}
+
+function isInside(dir, absPath) {
+  const rel = path.relative(path.resolve(dir), absPath);
+  return rel !== '' && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+/**
+ * Delete the files of removed entities and drop them from the manifest. Files flagged
+ * DO NOT OVERWRITE are kept, and so are files edited since they were generated unless
+ * `force` is set; kept files stay tracked so a later run can still remove them. Only files
+ * under `outputDir` are looked at (see orphanedFiles); labels are relative to it.
+ * @returns {{ absPath: string, label: string, status: 'pruned'|'protected', reason?: string }[]}
+ */
+function pruneOrphans(manifest, entityNames, { force = false, outputDir = manifest.projectRoot } = {}) {
+  return orphanedFiles(manifest, entityNames, { outputDir }).map(({ key, absPath }) => {
+    const label = path.relative(outputDir, absPath).split(path.sep).join('/');
+    let current = null;
+    try {
+      current = fs.readFileSync(absPath, 'utf8');
+    } catch (_) {
+      // already gone
+    }
+    if (current !== null && isFlaggedDoNotOverwrite(current)) {
+      return { absPath, label, status: 'protected', reason: 'flagged' };
+    }
+    if (current !== null && !force && generatedHash(current) !== manifest.files[key].sha) {
+      return { absPath, label, status: 'protected', reason: 'edited' };
+    }
+    removeFile(absPath);
+    removeFile(path.join(manifest.baseDir, ...key.split('/')), { internal: true });
+    delete manifest.files[key];
+    return { absPath, label, status: 'pruned' };
+  });
+}
+
+module.exports = { loadManifest, saveManifest, orphanedFiles, pruneOrphans };
@@ -0,0 +1,130 @@
+// utils/merge.js
+// Three-way line merge (diff3) of a generated file: the version generated last time
+// (base), the file on disk with the user's edits (local) and the new template output
+// (generated). Changes from either side are combined; where both changed the same
+// lines differently, git-style conflict markers are written:
+//
+//   <<<<<<< local
+//   ...your lines...
+//   =======
+//   ...generated lines...
+//   >>>>>>> generated
+//
+// Usage:
+//   const { text, conflicts } = mergeThreeWay(base, onDisk, generated);
+//   hasConflictMarkers(onDisk) // true until the user resolved them
+
+const { splitLines, diffLines } = require('./diff');
+
+const CONFLICT_START = '<<<<<<< local';
+const CONFLICT_SEPARATOR = '=======';
+const CONFLICT_END = '>>>>>>> generated';
+
+/**
+ * @returns {{ text: string, conflicts: number }}
+ */
+function mergeThreeWay(base, local, generated) {
+  if (local === generated || generated === base) return { text: local, conflicts: 0 };
+  if (local === base) return { text: generated, conflicts: 0 };
+
+  const baseLines = splitLines(base);
+  const localHunks = changeHunks(baseLines, splitLines(local)).map((h) => ({ ...h, side: 'local' }));
+  const generatedHunks = changeHunks(baseLines, splitLines(generated)).map((h) => ({ ...h, side: 'generated' }));
+
+  // Hunks of both sides that overlap (or touch) on the base form one region
+  const hunks = [...localHunks, ...generatedHunks].sort((x, y) => x.start - y.start || x.end - y.end);
+  const regions = [];
+  hunks.forEach((h) => {
+    const last = regions[regions.length - 1];
+    if (last && h.start <= last.end) {
+      last.end = Math.max(last.end, h.end);
+      last.hunks.push(h);
+    } else {
+      regions.push({ start: h.start, end: h.end, hunks: [h] });
+    }
+  });
+
+  const out = [];
+  let conflicts = 0;
+  let at = 0;
+  regions.forEach((region) => {
+    out.push(...baseLines.slice(at, region.start));
+    const sides = new Set(region.hunks.map((h) => h.side));
+    const localText = applyHunks(baseLines, region, 'local');
+    const generatedText = applyHunks(baseLines, region, 'generated');
+    if (sides.size === 1) {
+      out.push(...(sides.has('local') ? localText : generatedText));
+    } else if (sameLines(localText, generatedText)) {
+      out.push(...localText);
+    } else {
+      conflicts++;
+      out.push(
+        marker(CONFLICT_START), ...withEol(localText),
+        marker(CONFLICT_SEPARATOR), ...withEol(generatedText),
+        marker(CONFLICT_END)
+      );
+    }
+    at = region.end;
+  });
+  out.push(...baseLines.slice(at));
+
+  return { text: joinLines(out), conflicts };
+}
+
+/** Whether `text` still has markers of an unresolved mergeThreeWay conflict. */
+function hasConflictMarkers(text) {
+  const lines = String(text || '').split('\n');
+  return lines.includes(CONFLICT_START) && lines.includes(CONFLICT_END);
+}
+
+/** Changed ranges of `base` ([start, end) replaced by `lines`) turning it into `other`. */
+function changeHunks(base, other) {
+  const hunks = [];
+  let baseAt = 0;
+  let current = null;
+  diffLines(base, other).forEach((op) => {
+    if (op.type === ' ') {
+      current = null;
+      baseAt++;
+      return;
+    }
+    if (!current) {
+      current = { start: baseAt, end: baseAt, lines: [] };
+      hunks.push(current);
+    }
+    if (op.type === '-') {
+      baseAt++;
+      current.end = baseAt;
+    } else {
+      current.lines.push(op.line);
+    }
+  });
+  return hunks;
+}
+
+// One side's version of the region: the base lines with that side's hunks applied
+function applyHunks(baseLines, region, side) {
+  const out = [];
+  let at = region.start;
+  region.hunks.filter((h) => h.side === side).forEach((h) => {
+    out.push(...baseLines.slice(at, h.start), ...h.lines);
+    at = h.end;
+  });
+  out.push(...baseLines.slice(at, region.end));
+  return out;
+}
+
+const sameLines = (a, b) => a.length === b.length && a.every((l, i) => l.text === b[i].text && l.noEol === b[i].noEol);
+
+const marker = (text) => ({ text, noEol: false });
+
+// inside a conflict every line ends with a newline, or the marker after it would join it
+const withEol = (lines) => lines.map((l) => ({ text: l.text, noEol: false }));
+
+function joinLines(lines) {
+  if (!lines.length) return '';
+  const last = lines[lines.length - 1];
+  return lines.map((l) => l.text).join('\n') + (last.noEol ? '' : '\n');
+}
+
+module.exports = { mergeThreeWay, hasConflictMarkers };
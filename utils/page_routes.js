@@ -0,0 +1,152 @@
+// utils/page_routes.js
+// Registers hand-made pages (`fhipster generate-page` / `remove-page`) in the generated
+// lib/core/routes.dart and lib/core/navigation_destinations.dart. Both files have keep
+// regions for them, so registered pages survive regeneration:
+//
+//   routes.dart                    // <fh:keep:page-imports>, // <fh:keep:pages>
+//   navigation_destinations.dart   // <fh:keep:page-destinations>
+//
+// Every line added for a page is tagged with its key, so remove-page finds them again:
+//
+//   import '../views/about_page.dart'; // page:about
+//   // page:about
+//   GetPage(...),
+//   // end page:about
+//
+// All functions take and return file text; null means the region is missing (a file
+// generated before the regions existed).
+
+const PAGE_REGIONS = { imports: 'page-imports', routes: 'pages', destinations: 'page-destinations' };
+
+/** `text` with `lines` appended to the end of keep region `region`, or null without it. */
+function insertIntoRegion(text, region, lines) {
+  const endTag = new RegExp(`^([ \\t]*)// </fh:keep:${region}>`, 'm');
+  const start = text.indexOf(`// <fh:keep:${region}>`);
+  const end = endTag.exec(text);
+  if (start === -1 || !end || end.index < start) return null;
+  return `${text.slice(0, end.index)}${lines.join('\n')}\n${text.slice(end.index)}`;
+}
+
+/** Whether a page with `key` is registered in `text`. */
+function hasPage(text, key) {
+  return String(text).split('\n').some((line) => isTagLine(line, key));
+}
+
+/** The lib/-relative files the tagged imports of page `key` point at ('views/about_page.dart', ...). */
+function pageImports(text, key) {
+  return String(text).split('\n')
+    .filter((line) => line.trimEnd().endsWith(` // page:${key}`))
+    .map((line) => /^\s*import\s+'\.\.\/([^']+)'/.exec(line))
+    .filter(Boolean)
+    .map((m) => m[1]);
+}
+
+/** `text` without the lines of page `key`; `removed` counts the tagged lines and blocks. */
+function removePage(text, key) {
+  const out = [];
+  let removed = 0;
+  let inBlock = false;
+  String(text).split('\n').forEach((line) => {
+    const trimmed = line.trim();
+    if (!inBlock && trimmed === `// page:${key}`) {
+      inBlock = true;
+      removed++;
+    } else if (inBlock) {
+      if (trimmed === `// end page:${key}`) inBlock = false;
+    } else if (line.trimEnd().endsWith(` // page:${key}`)) {
+      removed++;
+    } else {
+      out.push(line);
+    }
+  });
+  return { text: out.join('\n'), removed };
+}
+
+const isTagLine = (line, key) => line.trim() === `// page:${key}` || line.trimEnd().endsWith(` // page:${key}`);
+
+/**
+ * routes.dart with the page registered: imports in page-imports, the GetPage in pages.
+ * Null when routes.dart has no such regions.
+ */
+function addPageRoute(text, { key, route, viewFile, viewClass, controllerFile = null, controllerClass = null, roles = [], authGuards = true }) {
+  const imports = [`import '../views/${viewFile}'; // page:${key}`];
+  if (controllerFile) imports.push(`import '../controllers/${controllerFile}'; // page:${key}`);
+
+  const middlewares = [];
+  if (authGuards || roles.length) middlewares.push('AuthMiddleware(requireAuth: true)');
+  if (roles.length) middlewares.push(`RoleMiddleware(requiredAuthorities: const [${roles.map((r) => `'${r}'`).join(', ')}])`);
+  const page = [
+    `    // page:${key}`,
+    '    GetPage(',
+    `      name: '${route}',`,
+    `      page: () => const ${viewClass}(),`,
+    '      binding: BindingsBuilder(() {',
+    '        _ensureCore();',
+    ...(controllerClass ? [`        if (!Get.isRegistered<${controllerClass}>()) Get.put(${controllerClass}());`] : []),
+    '      }),',
+    ...(middlewares.length ? [`      middlewares: [${middlewares.join(', ')}],`] : []),
+    '    ),',
+    `    // end page:${key}`,
+  ];
+
+  const withImports = insertIntoRegion(text, PAGE_REGIONS.imports, imports);
+  return withImports === null ? null : insertIntoRegion(withImports, PAGE_REGIONS.routes, page);
+}
+
+/** The lines addPageRoute would add, for a routes.dart without the regions. */
+function pageRouteSnippet(entry) {
+  const template = [
+    `// <fh:keep:${PAGE_REGIONS.imports}>`, `// </fh:keep:${PAGE_REGIONS.imports}>`,
+    `// <fh:keep:${PAGE_REGIONS.routes}>`, `// </fh:keep:${PAGE_REGIONS.routes}>`,
+  ].join('\n');
+  return addPageRoute(template, entry).split('\n').filter((line) => !line.includes('fh:keep:'));
+}
+
+/**
+ * navigation_destinations.dart with a destination for the page, in page-destinations;
+ * without the region it goes before the end of the list (as older FHipster versions did).
+ * Null when there is no list to add to.
+ */
+function addPageDestination(text, { key, route, label, icon = 'Icons.description_outlined', selectedIcon = 'Icons.description' }) {
+  const lines = [
+    `  // page:${key}`,
+    '  AppDestination(',
+    `    route: '${route}',`,
+    `    icon: ${icon},`,
+    `    selectedIcon: ${selectedIcon},`,
+    `    label: '${label.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}',`,
+    '  ),',
+    `  // end page:${key}`,
+  ];
+  const inRegion = insertIntoRegion(text, PAGE_REGIONS.destinations, lines);
+  if (inRegion !== null) return inRegion;
+  const listEnd = text.lastIndexOf('];');
+  if (listEnd === -1) return null;
+  return `${text.slice(0, listEnd)}${lines.join('\n')}\n${text.slice(listEnd)}`;
+}
+
+/**
+ * Remove the untagged destination of `route` added by older FHipster versions.
+ * @returns {{ text: string, removed: number }}
+ */
+function removeLegacyDestination(text, route) {
+  const at = text.indexOf(`route: '${route}',`);
+  if (at === -1) return { text, removed: 0 };
+  const start = text.lastIndexOf('AppDestination(', at);
+  const close = text.indexOf('),', at);
+  if (start === -1 || close === -1) return { text, removed: 0 };
+  const lineStart = text.lastIndexOf('\n', start) + 1;
+  const lineEnd = text.indexOf('\n', close);
+  return { text: text.slice(0, lineStart) + text.slice(lineEnd === -1 ? text.length : lineEnd + 1), removed: 1 };
+}
+
+module.exports = {
+  PAGE_REGIONS,
+  hasPage,
+  pageImports,
+  removePage,
+  addPageRoute,
+  pageRouteSnippet,
+  addPageDestination,
+  removeLegacyDestination,
+};
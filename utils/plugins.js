@@ -0,0 +1,144 @@
+// utils/plugins.js
+// Plugins listed in fhipster.config.yaml add generators and transform templates without
+// forking FHipster:
+//
+//   plugins:
+//     - ./fh-plugins/audit.js                 # relative to the config file
+//     - path: ./fh-plugins/banner.js
+//       options: { text: 'ACME Corp' }
+//
+// A plugin is a CommonJS module exporting any of these hooks (all optional):
+//
+//   module.exports = {
+//     name: 'audit',
+//     // after parse: mutate model.entities, enums, entityOptions, ... in place
+//     afterParse(model, fh) {},
+//     // per entity: extra files to write, paths relative to the output lib/
+//     generateEntity(entityName, fields, fh) { return [{ path: 'audit/order_audit.dart', content: '...' }]; },
+//     // every generated file right before it is written; returns the new content
+//     transform(content, file, fh) { return content; },   // file: { path, absPath, entity? }
+//   };
+//
+// `fh` is the plugin's view of the generator: fh.naming (utils/naming.js), fh.types
+// (parser/type_mapping.js), fh.options (its `options` from the YAML), fh.settings
+// (outputDir, microservice, module, enableSQLite) and fh.model once parsed.
+// Hooks run in the order the plugins are listed. A failing hook stops the run with an
+// error naming the plugin and hook.
+
+const path = require('path');
+const naming = require('./naming');
+const types = require('../parser/type_mapping');
+
+const HOOKS = ['afterParse', 'generateEntity', 'transform'];
+
+/**
+ * Load the plugins of the YAML `plugins:` list.
+ * @param {(string|{ path: string, options?: object })[]} specs
+ * @param {string} baseDir directory relative plugin paths are resolved from (the config's)
+ * @returns {{ name: string, file: string, hooks: object, options: object }[]}
+ */
+function loadPlugins(specs, baseDir) {
+  if (!specs) return [];
+  if (!Array.isArray(specs)) throw new Error('`plugins` must be a list of module paths');
+  return specs.map((spec) => {
+    const ref = typeof spec === 'string' ? spec : spec && spec.path;
+    if (!ref) throw new Error(`Plugin entry ${JSON.stringify(spec)} has no path`);
+    let file;
+    try {
+      file = require.resolve(path.resolve(baseDir, ref));
+    } catch (_) {
+      throw new Error(`Cannot find plugin '${ref}' (resolved from ${baseDir})`);
+    }
+    // re-read on every load, so --watch picks up edits to the plugin
+    delete require.cache[file];
+    let hooks;
+    try {
+      hooks = require(file);
+    } catch (e) {
+      throw new Error(`Cannot load plugin '${ref}': ${e.message}`);
+    }
+    if (!hooks || typeof hooks !== 'object' || !HOOKS.some((h) => typeof hooks[h] === 'function')) {
+      throw new Error(`Plugin '${ref}' exports none of the hooks ${HOOKS.join(', ')}`);
+    }
+    const name = hooks.name || path.basename(file, path.extname(file));
+    return { name, file, hooks, options: (spec && spec.options) || {} };
+  });
+}
+
+/** What a hook sees as `fh`. */
+function pluginApi(plugin, { settings = {}, model = null } = {}) {
+  return {
+    naming,
+    types,
+    options: plugin.options,
+    settings: {
+      outputDir: settings.outputDir,
+      microservice: settings.microserviceName,
+      module: !!settings.isModule,
+      enableSQLite: !!settings.enableSQLite,
+    },
+    model,
+  };
+}
+
+function callHook(plugin, hook, args) {
+  try {
+    return plugin.hooks[hook](...args);
+  } catch (e) {
+    const err = new Error(`Plugin '${plugin.name}' failed in ${hook}: ${e.message}`);
+    err.plugin = plugin.name;
+    throw err;
+  }
+}
+
+function pluginError(plugin, hook, message) {
+  const err = new Error(`Plugin '${plugin.name}' ${hook}: ${message}`);
+  err.plugin = plugin.name;
+  return err;
+}
+
+/** after parse: every plugin may mutate the model in place. */
+function runAfterParse(plugins, model, context = {}) {
+  plugins.filter((p) => p.hooks.afterParse).forEach((plugin) => {
+    callHook(plugin, 'afterParse', [model, pluginApi(plugin, { ...context, model })]);
+  });
+}
+
+/**
+ * per entity: the extra files the plugins add for `entityName`.
+ * @returns {{ path: string, content: string, plugin: string }[]} paths relative to lib/
+ */
+function pluginEntityFiles(plugins, entityName, fields, context = {}) {
+  const files = [];
+  plugins.filter((p) => p.hooks.generateEntity).forEach((plugin) => {
+    const out = callHook(plugin, 'generateEntity', [entityName, fields, pluginApi(plugin, context)]) || [];
+    if (!Array.isArray(out)) throw pluginError(plugin, 'generateEntity', 'must return an array of { path, content }');
+    out.forEach((f) => {
+      const rel = f && typeof f.path === 'string' ? path.normalize(f.path) : '';
+      if (!rel || path.isAbsolute(rel) || rel.startsWith('..')) {
+        throw pluginError(plugin, 'generateEntity', `file path '${f && f.path}' must be relative to lib/`);
+      }
+      if (typeof f.content !== 'string') throw pluginError(plugin, 'generateEntity', `no string content for '${f.path}'`);
+      files.push({ path: rel.split(path.sep).join('/'), content: f.content, plugin: plugin.name });
+    });
+  });
+  return files;
+}
+
+/**
+ * post-process: one function running every plugin's transform (for withTransform in
+ * utils/file_writer.js), or null when no plugin has one.
+ */
+function pluginTransform(plugins, context = {}) {
+  const transformers = plugins.filter((p) => p.hooks.transform);
+  if (!transformers.length) return null;
+  const libDir = context.settings && context.settings.outputDir;
+  return (content, { absPath, entity }) => transformers.reduce((current, plugin) => {
+    const file = { path: path.relative(libDir, absPath).split(path.sep).join('/'), absPath, ...(entity ? { entity } : {}) };
+    const next = callHook(plugin, 'transform', [current, file, pluginApi(plugin, context)]);
+    if (typeof next !== 'string') throw pluginError(plugin, 'transform', `returned ${typeof next} for '${file.path}' instead of the content`);
+    return next;
+  }, content);
+}
+
+module.exports = { loadPlugins, runAfterParse, pluginEntityFiles, pluginTransform };
@@ -0,0 +1,273 @@
+// utils/templates.js
+// User template overrides (YAML `templatesDir`, CLI --templatesDir).
+//
+// A file in the templates directory named after a generated path (relative to lib/) plus
+// `.tmpl` replaces the built-in generator for that file:
+//
+//   fh-templates/views/login_view.dart.tmpl        -> lib/views/login_view.dart
+//   fh-templates/models/order_model.dart.tmpl      -> lib/models/order_model.dart (Order only)
+//   fh-templates/models/[entity]_model.dart.tmpl   -> every entity's model ([entity] = file base)
+//
+// With `services:` the files of a service's entities (lib/inventory/models/...) use the
+// templates under the service folder first, then the ones of the flat layout above.
+//
+// Template syntax (no HTML escaping; `\{{` is a literal `{{`):
+//   {{entity.modelClass}}                      value (dotted path)
+//   {{#each fields}}...{{this.name}}...{{/each}}  loop; also {{@index}}, {{@first}}, {{@last}}
+//   {{#if entity.doc}}...{{else}}...{{/if}}    condition (empty lists are false); also #unless
+// A block tag alone on its line takes the whole line with it.
+//
+// Context:
+//   file          generated path relative to lib/, e.g. 'views/login_view.dart'
+//   builtin       what the built-in generator produced for this file
+//   microservice  the --microservice name
+//   profile       the dev profile (apiHost, useGateway, defaultPageSize, theme, ...)
+//   enums         [{ name, values: [{ name, label }] }]
+//   entities      every generated entity (same shape as `entity`)
+//   entity        entity files only: { name, fileBase, modelClass, serviceClass, controllerClass,
+//                 formClass, viewClass, instanceName, resourcePlural, label, doc, options, fields }
+//   fields        entity files only: [{ name, type, dartType, required, doc, validations, isEnum,
+//                 isRelationship, relationshipType, relKind, targetEntity, isCollection }]
+
+const fs = require('fs');
+const path = require('path');
+const naming = require('./naming');
+const { jdlToDartType } = require('../parser/type_mapping');
+const { consoleLogger } = require('../lib/logger');
+
+const TEMPLATE_EXT = '.tmpl';
+const ENTITY_PLACEHOLDER = '[entity]';
+const BLOCKS = ['each', 'if', 'unless'];
+
+/** Template file overriding `file` (relative to lib/), or null. */
+function findTemplate(templatesDir, file, entityName = null) {
+  const candidates = [file];
+  if (entityName) {
+    const base = naming.entityFileBase(entityName);
+    const dir = path.posix.dirname(file);
+    const generic = path.posix.basename(file).split(base).join(ENTITY_PLACEHOLDER);
+    candidates.push(dir === '.' ? generic : `${dir}/${generic}`);
+  }
+  return candidates
+    .map((c) => path.join(templatesDir, ...c.split('/')) + TEMPLATE_EXT)
+    .find((p) => fs.existsSync(p)) || null;
+}
+
+/**
+ * Content transform (for withTransform in utils/file_writer.js) rendering the user's
+ * templates in place of the built-in output; null without a templates directory (a
+ * configured one that does not exist is warned about through `settings.logger`).
+ */
+function templateTransform(templatesDir, { settings, model }) {
+  if (!templatesDir) return null;
+  if (!fs.existsSync(templatesDir)) {
+    (settings.logger || consoleLogger).warn(`templatesDir '${path.relative(process.cwd(), templatesDir) || templatesDir}' does not exist; using the built-in templates`);
+    return null;
+  }
+  const libDir = settings.outputDir;
+  let shared = null;
+  return (content, { absPath, entity }) => {
+    const file = path.relative(libDir, absPath).split(path.sep).join('/');
+    if (file.startsWith('..')) return content; // outside lib/ (pubspec sample)
+    const flat = withoutServiceFolder(settings, file);
+    const template = findTemplate(templatesDir, file, entity) || (flat && findTemplate(templatesDir, flat, entity));
+    if (!template) return content;
+    shared = shared || sharedContext(settings, model);
+    const context = { ...shared, file, builtin: content, entity: null, fields: [] };
+    if (entity) {
+      context.entity = shared.entities.find((e) => e.name === entity) || null;
+      context.fields = context.entity ? context.entity.fields : [];
+    }
+    return renderTemplate(fs.readFileSync(template, 'utf8'), context, { source: path.relative(process.cwd(), template) });
+  };
+}
+
+// `file` without its service folder (lib/<folder>/...), or null when it is not in one
+function withoutServiceFolder(settings, file) {
+  const folder = (settings.services || []).map((s) => s.folder).find((f) => file.startsWith(`${f}/`));
+  return folder ? file.slice(folder.length + 1) : null;
+}
+
+function sharedContext(settings, model) {
+  const { entities = {}, enums = {}, enumValues = {}, entityOptions = {}, entityDocs = {}, entityUi = {} } = model;
+  const profile = settings.devProfile || {};
+  const fieldInfo = (f) => ({
+    name: f.name,
+    type: f.type || null,
+    dartType: f.isRelationship
+      ? (f.isCollection ? `List<${naming.entityClassName(f.targetEntity)}>` : naming.entityClassName(f.targetEntity))
+      : jdlToDartType(f.type, enums),
+    required: !!f.required,
+    doc: f.doc || null,
+    validations: f.validations || {},
+    isEnum: !!enums[f.type],
+    isRelationship: !!f.isRelationship,
+    relationshipType: f.relationshipType || null,
+    relKind: f.relKind || null,
+    targetEntity: f.targetEntity || null,
+    isCollection: !!f.isCollection,
+  });
+  return {
+    microservice: settings.microserviceName,
+    profile,
+    enums: Object.keys(enums).map((name) => ({
+      name,
+      values: (enumValues[name] || enums[name].map((v) => ({ name: v }))).map((v) => ({ name: v.name, label: v.label || v.name })),
+    })),
+    entities: Object.entries(entities).map(([name, fields]) => ({
+      name,
+      fileBase: naming.entityFileBase(name),
+      modelClass: naming.entityClassName(name),
+      serviceClass: naming.serviceClassName(name),
+      controllerClass: naming.controllerClassName(name),
+      formClass: naming.formClassName(name),
+      viewClass: naming.tableViewClassName(name),
+      instanceName: naming.camelCase(name),
+      resourcePlural: naming.resourcePlural(name, profile.pluralOverrides || {}),
+      label: (entityUi[name] && entityUi[name].label) || name,
+      doc: entityDocs[name] || null,
+      options: entityOptions[name] || {},
+      fields: fields.map(fieldInfo),
+    })),
+  };
+}
+
+/** Render `text` with `context`; errors name `source` and the line. */
+function renderTemplate(text, context, { source = 'template' } = {}) {
+  const tree = parse(tokenize(text), source);
+  return renderNodes(tree, [{ item: context }], source);
+}
+
+/** Built-in output as a template source: `{{` must not start a tag. */
+function escapeTemplateText(text) {
+  return String(text).split('{{').join('\\{{');
+}
+
+// ------------------- engine -------------------
+
+function templateError(source, line, message) {
+  const err = new Error(`${source}:${line}: ${message}`);
+  err.template = source;
+  return err;
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const tagRe = /\\\{\{|\{\{\s*([^}]*?)\s*\}\}/g;
+  let at = 0;
+  let match;
+  const lineOf = (i) => text.slice(0, i).split('\n').length;
+  const pushText = (value) => { if (value) tokens.push({ type: 'text', value }); };
+  while ((match = tagRe.exec(text)) !== null) {
+    if (match[0] === '\\{{') {
+      pushText(text.slice(at, match.index) + '{{');
+      at = tagRe.lastIndex;
+      continue;
+    }
+    const inner = match[1];
+    const line = lineOf(match.index);
+    let token;
+    const block = /^#(\w+)\s+(.+)$/.exec(inner);
+    if (block) token = { type: 'open', kind: block[1], path: block[2].trim(), line };
+    else if (/^\/\w+$/.test(inner)) token = { type: 'close', kind: inner.slice(1), line };
+    else if (inner === 'else') token = { type: 'else', line };
+    else token = { type: 'var', path: inner, line };
+
+    let start = match.index;
+    let end = tagRe.lastIndex;
+    if (token.type !== 'var') {
+      // standalone block tag: drop its line
+      const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+      const newline = text.indexOf('\n', end);
+      const lineEnd = newline === -1 ? text.length : newline + 1;
+      if (!text.slice(lineStart, start).trim() && !text.slice(end, lineEnd).trim() && lineStart >= at) {
+        start = lineStart;
+        end = lineEnd;
+      }
+    }
+    pushText(text.slice(at, start));
+    tokens.push(token);
+    at = end;
+    tagRe.lastIndex = end;
+  }
+  pushText(text.slice(at));
+  return tokens;
+}
+
+function parse(tokens, source) {
+  const root = { children: [] };
+  const stack = [root];
+  tokens.forEach((t) => {
+    const top = stack[stack.length - 1];
+    const target = top.inElse ? top.elseChildren : top.children;
+    if (t.type === 'text' || t.type === 'var') {
+      target.push(t);
+    } else if (t.type === 'open') {
+      if (!BLOCKS.includes(t.kind)) throw templateError(source, t.line, `unknown block '#${t.kind}' (use #each, #if or #unless)`);
+      const node = { ...t, type: 'block', children: [], elseChildren: [], inElse: false };
+      target.push(node);
+      stack.push(node);
+    } else if (t.type === 'else') {
+      if (stack.length === 1 || top.kind === 'each' || top.inElse) throw templateError(source, t.line, '{{else}} outside an #if/#unless block');
+      top.inElse = true;
+    } else {
+      if (stack.length === 1 || top.kind !== t.kind) {
+        throw templateError(source, t.line, `{{/${t.kind}}} does not close ${stack.length === 1 ? 'any block' : `{{#${top.kind}}} from line ${top.line}`}`);
+      }
+      stack.pop();
+    }
+  });
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw templateError(source, open.line, `{{#${open.kind} ${open.path}}} is never closed`);
+  }
+  return root.children;
+}
+
+function lookup(scopes, ref, source, line) {
+  const frame = scopes[scopes.length - 1];
+  if (ref.startsWith('@')) {
+    const key = ref.slice(1);
+    if (!(key in (frame.meta || {}))) throw templateError(source, line, `'${ref}' is only available inside {{#each}}`);
+    return frame.meta[key];
+  }
+  const [head, ...rest] = ref.split('.');
+  let value;
+  if (head === 'this') {
+    value = frame.item;
+  } else {
+    const owner = [...scopes].reverse().find((s) => s.item && typeof s.item === 'object' && head in s.item);
+    if (!owner) throw templateError(source, line, `unknown value '${ref}'`);
+    value = owner.item[head];
+  }
+  for (const key of rest) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+const truthy = (v) => (Array.isArray(v) ? v.length > 0 : !!v);
+
+function renderNodes(nodes, scopes, source) {
+  return nodes.map((node) => {
+    if (node.type === 'text') return node.value;
+    const value = lookup(scopes, node.path, source, node.line);
+    if (node.type === 'var') {
+      if (value === null || value === undefined) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+    if (node.kind === 'each') {
+      if (value === null || value === undefined) return '';
+      if (!Array.isArray(value)) throw templateError(source, node.line, `'${node.path}' is not a list`);
+      return value.map((item, index) => renderNodes(node.children, [...scopes, {
+        item,
+        meta: { index, first: index === 0, last: index === value.length - 1 },
+      }], source)).join('');
+    }
+    const pass = node.kind === 'if' ? truthy(value) : !truthy(value);
+    return renderNodes(pass ? node.children : node.elseChildren, scopes, source);
+  }).join('');
+}
+
+module.exports = { findTemplate, templateTransform, renderTemplate, escapeTemplateText, TEMPLATE_EXT };
@@ -0,0 +1,83 @@
+// utils/watch.js
+// Debounced change notifications for a set of files and directories (used by --watch).
+//
+// Files are watched through their parent directory, so editors that save by
+// replacing the file (rename over it) keep being picked up, and a file that does
+// not exist yet (e.g. fhipster.config.yaml) is noticed once it is created.
+// A watched directory reports a change for any file inside it.
+//
+// Usage:
+//   const stop = watchPaths(['/abs/app.jdl', '/abs/fhipster.config.yaml'], (changed) => { ... });
+//   stop();
+
+const fs = require('fs');
+const path = require('path');
+
+// Saves often arrive as several events (truncate + write, or write + rename)
+const DEBOUNCE_MS = 150;
+
+/**
+ * @param {string[]} paths absolute file or directory paths
+ * @param {(changed: string[]) => void} onChange called with the changed paths, in `paths` order
+ * @returns {() => void} stops watching
+ */
+function watchPaths(paths, onChange, debounceMs = DEBOUNCE_MS) {
+  const files = new Map(); // dir -> Set<absolute file path>
+  const dirs = new Set();
+  paths.forEach((p) => {
+    if (isDirectory(p)) {
+      dirs.add(p);
+      return;
+    }
+    const dir = path.dirname(p);
+    if (!files.has(dir)) files.set(dir, new Set());
+    files.get(dir).add(p);
+  });
+
+  const pending = new Set();
+  let timer = null;
+  const notify = (p) => {
+    pending.add(p);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changed = paths.filter((x) => pending.has(x));
+      pending.clear();
+      if (changed.length) onChange(changed);
+    }, debounceMs);
+  };
+
+  const watchers = [];
+  new Set([...files.keys(), ...dirs]).forEach((dir) => {
+    try {
+      watchers.push(fs.watch(dir, (event, filename) => {
+        if (dirs.has(dir)) {
+          notify(dir);
+          return;
+        }
+        const wanted = files.get(dir);
+        if (!filename) {
+          wanted.forEach(notify); // platform did not say which file; assume all
+        } else if (wanted.has(path.join(dir, String(filename)))) {
+          notify(path.join(dir, String(filename)));
+        }
+      }));
+    } catch (e) {
+      console.warn(`⚠️ Cannot watch '${dir}': ${e.message}`);
+    }
+  });
+
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach((w) => w.close());
+  };
+}
+
+function isDirectory(p) {
+  try {
+    return fs.statSync(p).isDirectory();
+  } catch (_) {
+    return false;
+  }
+}
+
+module.exports = { watchPaths };